@@ -1,15 +1,24 @@
 #!/usr/bin/env node
 // ai-wot REST API Server
-// Usage: ai-wot-server [--port 3000]
+// Usage: ai-wot-server [--port 3000] [--sync] [--store-dir <path>] [--policy <file.json>]...
 
 const { createServer } = require('../lib/server');
 
 const args = process.argv.slice(2);
 let port = process.env.AI_WOT_PORT || 3000;
+let sync;
+let storeDir;
+const policies = [];
 
 for (let i = 0; i < args.length; i++) {
   if ((args[i] === '--port' || args[i] === '-p') && args[i + 1]) {
     port = parseInt(args[++i], 10);
+  } else if (args[i] === '--sync') {
+    sync = true;
+  } else if (args[i] === '--store-dir' && args[i + 1]) {
+    storeDir = args[++i];
+  } else if (args[i] === '--policy' && args[i + 1]) {
+    policies.push(args[++i]);
   }
 }
 
@@ -20,7 +29,7 @@ console.log('║   Web of Trust for AI Agents on Nostr                ║');
 console.log('╚══════════════════════════════════════════════════════╝');
 console.log('');
 
-const { start } = createServer({ port });
+const { start } = createServer({ port, sync, storeDir, policies });
 
 start().then(() => {
   console.log('  Press Ctrl+C to stop.\n');
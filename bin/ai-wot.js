@@ -3,16 +3,23 @@
 // v0.4.0: DVM receipts, batch attestations, DVM history
 //
 // Usage:
-//   ai-wot attest <pubkey> <type> "<comment>"
+//   ai-wot attest <pubkey> <type> "<comment>" [--event <event-id>] [--discover-relays]
 //   ai-wot dispute <pubkey> "<reason>"
 //   ai-wot warn <pubkey> "<reason>"
 //   ai-wot revoke <event-id> "<reason>"
+//   ai-wot rebut <event-id> "<text>"
 //   ai-wot receipt <dvm-result-event-id> [--amount <sats>] [--rating <1-5>] [--comment "<text>"]
 //   ai-wot batch <file.json>
 //   ai-wot dvm-history [--kinds 5050,5100] [--unattested]
 //   ai-wot lookup <pubkey>
-//   ai-wot score <pubkey>
+//   ai-wot score <pubkey> [--perspective <pubkey>|me] [--policy <name|file.json>] [--at <date>] [--sybil] [--volume] [--calibrate]
+//   ai-wot history <pubkey> [--days 90] [--step 7]
+//   ai-wot score-diff <pubkey> [--from <date>] [--to <date>]
+//   ai-wot sybil <pubkey>
+//   ai-wot calibration <pubkey>
 //   ai-wot my-score
+//   ai-wot sync [--once] [--dir <path>]
+//   ai-wot outbox [--retry] [--drop <event-id>]
 //   ai-wot help
 
 const path = require('path');
@@ -24,6 +31,7 @@ const {
   publishBatchAttestations, DVM_KIND_NAMES
 } = require('../lib/receipts');
 const { CandidateStore, filePersistence } = require('../lib/candidates');
+const { AttestationStore, syncStore, watchStore, DEFAULT_STORE_DIR } = require('../lib/store');
 
 const VERSION = '0.7.0';
 const CANDIDATES_DIR = path.join(process.env.HOME || '', '.ai-wot');
@@ -67,11 +75,45 @@ function loadKeys() {
   return null;
 }
 
+// ─── Output Helpers ─────────────────────────────────────────────
+
+/**
+ * Print the outbox quorum status after a publish (nothing once delivered).
+ */
+function printDelivery(delivery) {
+  if (!delivery || delivery.status === 'delivered') return;
+  if (delivery.status === 'failed') {
+    console.log(`⚠ Only ${delivery.acks}/${delivery.minAcks} required relay acks; kept in the outbox (retry with \`ai-wot outbox --retry\`)`);
+  } else if (delivery.quorum) {
+    console.log(`⏳ Quorum reached; ${delivery.pending.length} relay(s) queued for retry (see \`ai-wot outbox\`)`);
+  } else {
+    console.log(`⏳ ${delivery.acks}/${delivery.minAcks} required relay acks; queued for retry (see \`ai-wot outbox\`)`);
+  }
+}
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * One-line chart of 0-100 values.
+ */
+function sparkline(values) {
+  return values.map(v => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor(v / 100 * SPARK_CHARS.length))]).join('');
+}
+
+/**
+ * Parse a unix timestamp or ISO date into unix seconds (null if invalid).
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
 // ─── Commands ───────────────────────────────────────────────────
 
 async function attestCommand(args) {
   if (args.length < 3) {
-    console.error('Usage: ai-wot attest <pubkey> <type> "<comment>" [--event <event-id>]');
+    console.error('Usage: ai-wot attest <pubkey> <type> "<comment>" [--event <event-id>] [--discover-relays]');
     console.error(`\nPositive types: ${POSITIVE_TYPES.join(', ')}`);
     console.error(`Negative types: ${NEGATIVE_TYPES.join(', ')} (use 'dispute' or 'warn' shorthand instead)`);
     process.exit(1);
@@ -88,9 +130,12 @@ async function attestCommand(args) {
   const comment = args[2];
 
   let eventRef = null;
+  let discoverRelays = false;
   for (let i = 3; i < args.length; i++) {
     if (args[i] === '--event' && args[i + 1]) {
       eventRef = args[++i];
+    } else if (args[i] === '--discover-relays') {
+      discoverRelays = true;
     }
   }
 
@@ -109,18 +154,20 @@ async function attestCommand(args) {
   if (eventRef) console.log(`   Event ref: ${eventRef}`);
   console.log('');
 
-  const { event, results } = await wot.publishAttestation(
-    keys.secretKey, targetPubkey, type, comment, { eventRef }
+  const { event, results, delivery } = await wot.publishAttestation(
+    keys.secretKey, targetPubkey, type, comment, { eventRef, discoverRelays }
   );
 
   console.log(`Event ID: ${event.id}\n`);
 
   for (const r of results) {
-    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}`);
+    const auth = r.auth ? ` [${r.auth}]` : '';
+    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}${auth}`);
   }
 
   const successCount = results.filter(r => r.success).length;
   console.log(`\nPublished to ${successCount}/${results.length} relays`);
+  printDelivery(delivery);
 
   if (successCount > 0) {
     console.log(`\n🔗 View: https://primal.net/e/${event.id}`);
@@ -129,7 +176,7 @@ async function attestCommand(args) {
 
 async function disputeCommand(args) {
   if (args.length < 2) {
-    console.error('Usage: ai-wot dispute <pubkey> "<reason>" [--event <event-id>]');
+    console.error('Usage: ai-wot dispute <pubkey> "<reason>" [--event <event-id>] [--discover-relays]');
     console.error('\nPublish a dispute (strong negative attestation, -1.5x weight).');
     console.error('Reason is REQUIRED — you must explain what went wrong.');
     process.exit(1);
@@ -141,7 +188,7 @@ async function disputeCommand(args) {
 
 async function warnCommand(args) {
   if (args.length < 2) {
-    console.error('Usage: ai-wot warn <pubkey> "<reason>" [--event <event-id>]');
+    console.error('Usage: ai-wot warn <pubkey> "<reason>" [--event <event-id>] [--discover-relays]');
     console.error('\nPublish a warning (mild negative attestation, -0.8x weight).');
     console.error('Reason is REQUIRED — you must explain the concern.');
     process.exit(1);
@@ -172,22 +219,63 @@ async function revokeCommand(args) {
   console.log(`   Reason: "${reason}"`);
   console.log('');
 
-  const { event, results } = await wot.publishRevocation(keys.secretKey, eventId, reason);
+  const { event, results, delivery } = await wot.publishRevocation(keys.secretKey, eventId, reason);
 
   console.log(`Revocation event ID: ${event.id}\n`);
 
   for (const r of results) {
-    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}`);
+    const auth = r.auth ? ` [${r.auth}]` : '';
+    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}${auth}`);
   }
 
   const successCount = results.filter(r => r.success).length;
   console.log(`\nPublished to ${successCount}/${results.length} relays`);
+  printDelivery(delivery);
 
   if (successCount > 0) {
     console.log('\n✅ Attestation revoked. It will be excluded from future trust calculations.');
   }
 }
 
+async function rebutCommand(args) {
+  if (args.length < 2) {
+    console.error('Usage: ai-wot rebut <dispute-event-id> "<text>"');
+    console.error('\nAnswer a dispute or warning published about you.');
+    process.exit(1);
+  }
+
+  const keys = loadKeys();
+  if (!keys) {
+    console.error('❌ No keys found. Set NOSTR_SECRET_KEY env var or place nostr-keys.json in cwd.');
+    process.exit(1);
+  }
+
+  const eventId = args[0];
+  const text = args[1];
+
+  console.log('↩️  Publishing rebuttal...');
+  console.log(`   Rebutting event: ${eventId.substring(0, 16)}...`);
+  console.log(`   Text: "${text}"`);
+  console.log('');
+
+  const { event, results, delivery } = await wot.publishRebuttal(keys.secretKey, eventId, text);
+
+  console.log(`Rebuttal event ID: ${event.id}\n`);
+
+  for (const r of results) {
+    const auth = r.auth ? ` [${r.auth}]` : '';
+    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}${auth}`);
+  }
+
+  const successCount = results.filter(r => r.success).length;
+  console.log(`\nPublished to ${successCount}/${results.length} relays`);
+  printDelivery(delivery);
+
+  if (successCount > 0) {
+    console.log('\n✅ Rebuttal published. It is shown alongside the dispute.');
+  }
+}
+
 async function lookupCommand(args) {
   const pubkey = args[0];
   if (!pubkey) {
@@ -203,18 +291,73 @@ async function lookupCommand(args) {
 async function scoreCommand(args) {
   const pubkey = args[0];
   if (!pubkey) {
-    console.error('Usage: ai-wot score <pubkey>');
+    console.error('Usage: ai-wot score <pubkey> [--perspective <pubkey>|me] [--policy <name|file.json>] [--at <date>] [--sybil] [--volume] [--calibrate]');
+    process.exit(1);
+  }
+
+  let perspective = null;
+  let policy;
+  let at = null;
+  let sybil = false;
+  let volume = false;
+  let calibrate = false;
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--sybil') sybil = true;
+    else if (args[i] === '--volume') volume = true;
+    else if (args[i] === '--calibrate') calibrate = true;
+    else if (args[i] === '--perspective' && args[i + 1]) perspective = args[++i];
+    else if (args[i] === '--policy' && args[i + 1]) policy = args[++i];
+    else if (args[i] === '--at' && args[i + 1]) {
+      at = parseTime(args[++i]);
+      if (!at) {
+        console.error('❌ Invalid --at. Use unix seconds or an ISO date (e.g. 2026-01-31).');
+        process.exit(1);
+      }
+    }
+  }
+  try {
+    policy = policy && policy.endsWith('.json') ? wot.loadPolicy(policy) : wot.getPolicy(policy);
+  } catch (e) {
+    console.error(`❌ ${e.message} (built-in policies: ${wot.listPolicies().join(', ')})`);
+    process.exit(1);
+  }
+  if (perspective === 'me') {
+    const keys = loadKeys();
+    if (!keys) {
+      console.error('❌ No keys found. Set NOSTR_SECRET_KEY env var or place nostr-keys.json in cwd.');
+      process.exit(1);
+    }
+    perspective = keys.pubkey;
+  }
+  if (perspective && !/^[0-9a-f]{64}$/i.test(perspective)) {
+    console.error('❌ Invalid perspective pubkey. Must be a 64-character hex string or "me".');
     process.exit(1);
   }
 
   console.log('📊 Calculating trust score...\n');
-  const score = await wot.calculateTrustScore(pubkey);
+  const opts = { policy };
+  if (perspective) opts.perspective = perspective.toLowerCase();
+  if (at) opts.at = at;
+  if (sybil) opts.sybil = true;
+  if (volume) opts.volume = true;
+  if (calibrate) opts.calibrate = true;
+  const score = await wot.calculateTrustScore(pubkey, opts);
 
   console.log(`  Pubkey:       ${pubkey.substring(0, 16)}...${pubkey.substring(56)}`);
+  if (perspective) {
+    console.log(`  Perspective:  ${perspective.substring(0, 16)}... (trust flows only from it and the pubkeys it vouches for)`);
+  }
+  if (at) console.log(`  As of:        ${new Date(at * 1000).toISOString()}`);
   console.log(`  Trust Score:  ${score.display} / 100`);
   console.log(`  Raw Score:    ${score.raw}`);
+  console.log(`  Confidence:   ${Math.round(score.confidence * 100)}% (likely ${score.interval[0]}-${score.interval[1]})`);
   console.log(`  Attestations: ${score.attestationCount} (${score.positiveCount}+ ${score.negativeCount}- ${score.gatedCount}⊘)`);
   console.log(`  Diversity:    ${score.diversity.diversity} (${score.diversity.uniqueAttesters} unique attesters)`);
+  console.log(`  Policy:       ${score.policy}`);
+  if (sybil) console.log(`  Sybil:        ${score.sybilCount} attestation(s) from suspected sybil clusters discounted`);
+  if (volume) console.log(`  Volume:       ${score.volumeDiscountedCount} attestation(s) from high-volume attesters thinned out`);
+  if (score.pendingQuorumCount > 0) console.log(`  Pending:      ${score.pendingQuorumCount} negative attestation(s) waiting for a quorum`);
+  if (score.reciprocalCount > 0) console.log(`  Reciprocal:   ${score.reciprocalCount} mutual or ring attestation(s) discounted`);
 
   if (score.diversity.maxAttesterShare > 0.5) {
     console.log(`  ⚠ Trust concentrated: top attester provides ${Math.round(score.diversity.maxAttesterShare * 100)}%`);
@@ -228,9 +371,165 @@ async function scoreCommand(args) {
       .slice(0, 5);
     for (const b of sorted) {
       const sign = b.contribution < 0 ? '⚠' : '✓';
-      console.log(`    ${sign} ${b.attester.substring(0, 12)}... → ${b.type} (weight: ${b.contribution}, decay: ${(b.decayFactor * 100).toFixed(0)}%)`);
+      const reciprocal = b.reciprocal ? `, ↔ ${b.reciprocalType}` : '';
+      const outDegree = b.attesterOutDegree !== null ? `, attests ${b.attesterOutDegree}` : '';
+      const calibration = b.calibration !== null && b.calibration < 1 ? `, calibration ${b.calibration}` : '';
+      console.log(`    ${sign} ${b.attester.substring(0, 12)}... → ${b.type} (weight: ${b.contribution}, decay: ${(b.decayFactor * 100).toFixed(0)}%${outDegree}${calibration}${reciprocal})`);
+    }
+  }
+}
+
+async function historyCommand(args) {
+  const pubkey = args[0];
+  if (!pubkey) {
+    console.error('Usage: ai-wot history <pubkey> [--days 90] [--step 7]');
+    process.exit(1);
+  }
+
+  let days = 90;
+  let step = 7;
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--days' && args[i + 1]) days = parseFloat(args[++i]);
+    else if (args[i] === '--step' && args[i + 1]) step = parseFloat(args[++i]);
+  }
+  if (!(days > 0) || !(step > 0)) {
+    console.error('❌ --days and --step must be positive numbers of days.');
+    process.exit(1);
+  }
+
+  console.log('📈 Replaying trust score history...\n');
+  const to = Math.floor(Date.now() / 1000);
+  let points;
+  try {
+    points = await wot.getScoreHistory(pubkey, { from: to - Math.round(days * 86400), to, step: Math.round(step * 86400) });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const date = t => new Date(t * 1000).toISOString().slice(0, 10);
+  console.log(`  Pubkey:  ${pubkey.substring(0, 16)}...${pubkey.substring(56)}`);
+  console.log(`  Range:   ${date(first.at)} → ${date(last.at)} (every ${step} day${step === 1 ? '' : 's'})`);
+  console.log(`  Score:   ${sparkline(points.map(p => p.display))}  ${first.display} → ${last.display}`);
+  const peak = points.reduce((max, p) => (p.display > max.display ? p : max), first);
+  console.log(`  Peak:    ${peak.display} on ${date(peak.at)}`);
+  console.log(`  Policy:  ${points._policy}`);
+}
+
+const DIFF_LABELS = {
+  added: '+ added',
+  revoked: '✗ revoked',
+  expired: '⌛ expired',
+  decayed: '↘ decayed',
+  reweighted: '⇅ reweighted',
+  regated: '⊘ re-gated'
+};
+
+async function scoreDiffCommand(args) {
+  const pubkey = args[0];
+  if (!pubkey) {
+    console.error('Usage: ai-wot score-diff <pubkey> [--from <date>] [--to <date>]');
+    process.exit(1);
+  }
+
+  const range = {};
+  for (let i = 1; i < args.length; i++) {
+    if ((args[i] === '--from' || args[i] === '--to') && args[i + 1]) {
+      const name = args[i].slice(2);
+      range[name] = parseTime(args[++i]);
+      if (!range[name]) {
+        console.error(`❌ Invalid --${name}. Use unix seconds or an ISO date (e.g. 2026-01-31).`);
+        process.exit(1);
+      }
     }
   }
+
+  console.log('🔎 Comparing trust scores...\n');
+  let diff;
+  try {
+    diff = await wot.getScoreDiff(pubkey, range);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const date = t => new Date(t * 1000).toISOString().slice(0, 10);
+  const signed = n => (n > 0 ? `+${n}` : String(n));
+  console.log(`  Pubkey:  ${pubkey.substring(0, 16)}...${pubkey.substring(56)}`);
+  console.log(`  Range:   ${date(diff.from)} → ${date(diff.to)}`);
+  console.log(`  Score:   ${diff.display.before} → ${diff.display.after} (${signed(diff.display.delta)})`);
+  console.log(`  Raw:     ${diff.raw.before} → ${diff.raw.after} (${signed(diff.raw.delta)})`);
+  console.log(`  Policy:  ${diff.policy}`);
+
+  if (diff.changes.length === 0) {
+    console.log('\n  No changes.');
+    return;
+  }
+  console.log('\n  Changes (largest first):');
+  for (const c of diff.changes.slice(0, 10)) {
+    console.log(`    ${DIFF_LABELS[c.kind].padEnd(13)} ${c.attester.substring(0, 12)}... ${c.type} (raw ${signed(c.rawDelta)}, score ${signed(c.displayDelta)})`);
+  }
+  if (diff.changes.length > 10) console.log(`    ... and ${diff.changes.length - 10} more`);
+}
+
+async function sybilCommand(args) {
+  const pubkey = args[0];
+  if (!pubkey) {
+    console.error('Usage: ai-wot sybil <pubkey>');
+    process.exit(1);
+  }
+
+  console.log('🕸️  Looking for sybil clusters around this agent...\n');
+  const report = await wot.getSybilReport(pubkey);
+
+  console.log(`  Pubkey:     ${pubkey.substring(0, 16)}...${pubkey.substring(56)}`);
+  console.log(`  Graph:      ${report.nodeCount} pubkeys, ${report.edgeCount} attestation edges`);
+  console.log(`  Attesters:  ${report.attesterCount} (${report.suspectedAttesters.length} in suspected clusters)`);
+  if (report.truncated) console.log('  ⚠ Relays held more attestations than were fetched; results may be incomplete');
+
+  const clusters = report.cluster ? [report.cluster, ...report.attesterClusters.filter(c => c !== report.cluster)] : report.attesterClusters;
+  if (clusters.length === 0) {
+    console.log('\n  ✓ No suspected sybil clusters found.');
+    return;
+  }
+  if (report.flagged) console.log('\n  ⚠ This agent belongs to a suspected sybil cluster.');
+  for (const c of clusters) {
+    console.log(`\n  Cluster ${c.id}: ${c.size} members (${c.reasons.join(', ')})`);
+    console.log(`    density ${c.density}, ${Math.round(c.internalShare * 100)}% of attestations internal, ${c.externalEdges} from established agents, ${Math.round(c.newKeyShare * 100)}% new keys`);
+    for (const pk of c.members.slice(0, 10)) console.log(`    • ${pk.substring(0, 16)}...${pk === pubkey ? ' (this agent)' : ''}`);
+    if (c.members.length > 10) console.log(`    ... and ${c.members.length - 10} more`);
+  }
+}
+
+async function calibrationCommand(args) {
+  const pubkey = args[0];
+  if (!pubkey) {
+    console.error('Usage: ai-wot calibration <pubkey>');
+    process.exit(1);
+  }
+
+  console.log('🎚️  Checking how this attester\'s vouches held up...\n');
+  const calibration = await wot.getAttesterCalibration(pubkey);
+
+  console.log(`  Attester:     ${pubkey.substring(0, 16)}...${pubkey.substring(56)}`);
+  console.log(`  Vouches:      ${calibration.vouches} (service-quality, work-completed)`);
+  console.log(`  Disputed:     ${calibration.disputed}`);
+  console.log(`  Calibration:  ${calibration.factor} (attester trust multiplier with --calibrate)`);
+
+  const disputed = calibration.records.filter(r => r.disputedAt !== null);
+  if (disputed.length === 0) {
+    console.log('\n  ✓ No vouched-for agent has drawn an effective dispute or warning since.');
+    return;
+  }
+  console.log('\n  Later disputed:');
+  for (const r of disputed.slice(0, 10)) {
+    const vouched = new Date(r.vouchedAt * 1000).toISOString().split('T')[0];
+    const flagged = new Date(r.disputedAt * 1000).toISOString().split('T')[0];
+    console.log(`    ⚠ ${r.subject.substring(0, 16)}...  ${r.type} ${vouched} → ${r.disputes[0].type} ${flagged} (${r.disputes.length} total)`);
+  }
+  if (disputed.length > 10) console.log(`    ... and ${disputed.length - 10} more`);
 }
 
 async function myScoreCommand() {
@@ -320,7 +619,7 @@ async function receiptCommand(args) {
 
   console.log('📝 Publishing receipt attestation...\n');
 
-  const { event, results, receipt } = await publishReceipt(
+  const { event, results, delivery, receipt } = await publishReceipt(
     keys.secretKey,
     parsed,
     { amountSats, rating, comment }
@@ -329,11 +628,13 @@ async function receiptCommand(args) {
   console.log(`Attestation ID: ${event.id}\n`);
 
   for (const r of results) {
-    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}`);
+    const auth = r.auth ? ` [${r.auth}]` : '';
+    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}${auth}`);
   }
 
   const successCount = results.filter(r => r.success).length;
   console.log(`\nPublished to ${successCount}/${results.length} relays`);
+  printDelivery(delivery);
 
   if (successCount > 0) {
     console.log(`\n✅ DVM receipt published. Trust loop closed.`);
@@ -694,9 +995,11 @@ async function candidatePublishCommand(args) {
 
   const successCount = result.results.filter(r => r.success).length;
   for (const r of result.results) {
-    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}`);
+    const auth = r.auth ? ` [${r.auth}]` : '';
+    console.log(`  ${r.relay}: ${r.success ? '✅' : '❌ ' + (r.reason || 'Failed')}${auth}`);
   }
   console.log(`\n✅ Published to ${successCount}/${result.results.length} relays`);
+  printDelivery(result.delivery);
   console.log(`🔗 View: https://primal.net/e/${result.event.id}`);
 }
 
@@ -715,6 +1018,125 @@ async function candidateStatsCommand() {
   console.log(`\n   File: ${CANDIDATES_FILE}`);
 }
 
+// ─── Sync Command ───────────────────────────────────────────────
+
+async function syncCommand(args) {
+  let once = false;
+  let dir = DEFAULT_STORE_DIR;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--once') {
+      once = true;
+    } else if (args[i] === '--dir' && args[i + 1]) {
+      dir = args[++i];
+    }
+  }
+
+  const store = new AttestationStore({ dir });
+  const before = store.stats();
+  console.log(`💾 Local store: ${dir}`);
+  console.log(`   ${before.attestations} attestations, ${before.revocations} revocations, ${before.zaps} zaps\n`);
+
+  if (once) {
+    console.log('🔄 Syncing from relays...');
+    const { added, rejected } = await syncStore(store);
+    console.log(`   +${added.attestations} attestations, +${added.revocations} revocations, +${added.zaps} zaps, ${added.zappers} zap providers resolved`);
+    const rejectedTotal = Object.values(rejected).reduce((a, b) => a + b, 0);
+    if (rejectedTotal > 0) console.log(`   ⚠ Rejected events (bad id/signature): ${rejectedTotal}`);
+    console.log(`\n✅ Store now holds ${store.size} events`);
+    return;
+  }
+
+  const kindNames = { 1985: 'attestation', 5: 'revocation', 9735: 'zap' };
+  const watcher = watchStore(store, {
+    onChange: (subjects, event) => {
+      const time = new Date(event.created_at * 1000).toISOString().replace('T', ' ').substring(0, 19);
+      console.log(`  📥 ${time}  ${kindNames[event.kind].padEnd(11)} ${event.id.substring(0, 12)}...  (${subjects.length} subject${subjects.length === 1 ? '' : 's'} affected)`);
+    },
+    onError: (err) => console.error(`  ❌ Sync error: ${err.message}`)
+  });
+
+  console.log('🔄 Catching up and watching relays for new events (Ctrl+C to stop)...\n');
+  watcher.ready.then((result) => {
+    if (result) {
+      const { added } = result;
+      console.log(`  ✅ Caught up: +${added.attestations} attestations, +${added.revocations} revocations, +${added.zaps} zaps, ${added.zappers} zap providers resolved\n`);
+    }
+  });
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      watcher.stop();
+      console.log(`\n👋 Stopped. Store holds ${store.size} events.`);
+      resolve();
+    });
+  });
+}
+
+// ─── Publish Outbox Command ─────────────────────────────────────
+
+async function outboxCommand(args) {
+  let retry = false;
+  let drop = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--retry') {
+      retry = true;
+    } else if (args[i] === '--drop' && args[i + 1]) {
+      drop = args[++i];
+    }
+  }
+
+  const outbox = wot.getOutbox();
+
+  if (drop) {
+    if (!outbox.remove(drop)) {
+      console.error(`❌ Event ${drop} is not in the outbox.`);
+      process.exit(1);
+    }
+    console.log(`🗑️  Dropped ${drop} from the outbox.`);
+    return;
+  }
+
+  if (retry && outbox.size > 0) {
+    // Keys are only needed for relays that require NIP-42 AUTH
+    const keys = loadKeys();
+    console.log(`🔄 Retrying ${outbox.size} event(s)...\n`);
+    const retried = await outbox.flush({ force: true, secretKey: keys ? keys.secretKey : undefined });
+    for (const r of retried) {
+      const d = r.delivery;
+      const icon = d.status === 'delivered' ? '✅' : d.status === 'failed' ? '❌' : '⏳';
+      console.log(`  ${icon} ${r.id.substring(0, 16)}...  ${d.acks}/${d.minAcks} acks  (${d.status})`);
+    }
+    console.log('');
+  }
+
+  const entries = outbox.list();
+  if (entries.length === 0) {
+    console.log('📭 Outbox is empty — every published event reached its relay quorum.');
+    return;
+  }
+
+  const kindNames = { 1985: 'attestation', 5: 'revocation' };
+  console.log(`📤 ${entries.length} event(s) awaiting delivery:\n`);
+  for (const e of entries) {
+    const d = e.delivery;
+    const created = new Date(e.createdAt).toISOString().replace('T', ' ').substring(0, 19);
+    console.log(`  ${e.id.substring(0, 16)}...  ${(kindNames[e.event.kind] || `kind ${e.event.kind}`).padEnd(11)}  ${created}`);
+    console.log(`    Status: ${d.status}  •  ${d.acks}/${d.minAcks} acks  •  ${d.attempts} attempt(s)`);
+    if (d.nextAttemptAt) {
+      console.log(`    Next retry: ${new Date(d.nextAttemptAt).toISOString().replace('T', ' ').substring(0, 19)}`);
+    }
+    for (const relay of [...d.pending, ...d.rejected]) {
+      const r = e.relays[relay];
+      console.log(`    ${r.status === 'rejected' ? '❌' : '⏳'} ${relay}${r.lastError ? ` — ${r.lastError}` : ''}`);
+    }
+    console.log('');
+  }
+  console.log(`   Dir: ${outbox.dir}`);
+  if (!retry) console.log('   Retry now with `ai-wot outbox --retry`.');
+}
+
 function helpCommand() {
   console.log(`
 ╔══════════════════════════════════════════════════════╗
@@ -729,6 +1151,7 @@ Commands:
       Publish an attestation about another agent.
       Types: service-quality, identity-continuity, general-trust
       Options: --event <event-id>  Reference a specific event
+               --discover-relays   Also publish to the subject's NIP-65 read relays
 
   Negative Attestations:
     dispute <pubkey> "<reason>"
@@ -743,6 +1166,11 @@ Commands:
     revoke <event-id> "<reason>"
       Revoke a previous attestation you published (NIP-09 deletion).
 
+  Rebuttals:
+    rebut <event-id> "<text>"
+      Answer a dispute or warning about you. Shown with the dispute;
+      policies may weigh disputes by whether they were answered.
+
   DVM Receipts (v0.4.0):
     receipt <dvm-result-event-id> [options]
       Publish a service-quality attestation referencing a DVM interaction.
@@ -764,9 +1192,40 @@ Commands:
 
   Queries:
     lookup <pubkey>     Full trust profile with diversity metrics
-    score <pubkey>      Trust score summary
+    score <pubkey> [--perspective <pubkey>|me] [--policy <name|file.json>] [--at <date>] [--sybil] [--volume] [--calibrate]
+                        Trust score summary; with --perspective, as seen by
+                        that pubkey (or your own key) and those it attested;
+                        --policy picks default, strict, lenient or a JSON file;
+                        --at scores as of a past date (unix seconds or ISO);
+                        --sybil discounts suspected sybil clusters;
+                        --volume thins out attesters that label many pubkeys;
+                        --calibrate discounts attesters whose vouches were
+                        later disputed
+    history <pubkey> [--days 90] [--step 7]
+                        Score over the last --days, one point every --step
+                        days, as a sparkline
+    score-diff <pubkey> [--from <date>] [--to <date>]
+                        Which attestations were added, revoked, expired,
+                        decayed or re-gated between two dates (default: the
+                        last 30 days) and how much each moved the score
+    sybil <pubkey>      Suspected sybil clusters the agent or its attesters
+                        belong to (dense mutual attestation, new keys)
+    calibration <pubkey>
+                        How the attester's vouches held up: which of its
+                        service-quality/work-completed subjects were later
+                        disputed, and its calibration factor
     my-score            Your own trust score
 
+  Local Store:
+    sync [--once] [--dir <path>]
+      Keep a local attestation store (default ~/.ai-wot/store) current.
+      Runs until Ctrl+C; --once syncs new events and exits.
+
+  Publish Outbox:
+    outbox [--retry] [--drop <event-id>]
+      Show signed events still waiting for enough relay acknowledgements.
+      --retry resends them now; --drop discards one.
+
   Candidates (v0.7.0):
     candidates [--status pending] [--source dvm] [--limit 10]
       List attestation candidates (default: pending).
@@ -797,6 +1256,7 @@ Negative Attestation Rules:
 Environment:
   NOSTR_SECRET_KEY    Hex-encoded 32-byte secret key
   AI_WOT_PORT         Server port (default: 3000)
+  AI_WOT_OUTBOX_DIR   Publish outbox location (default: ~/.ai-wot/outbox)
 
 Examples:
   ai-wot attest abc123...def service-quality "Great DVM output"
@@ -805,8 +1265,17 @@ Examples:
   ai-wot batch targets.json
   ai-wot dispute abc123...def "Sent garbage output after payment"
   ai-wot revoke evt123...def "Issue was resolved"
+  ai-wot rebut evt456...abc "Refund was sent on 2026-03-02, see zap receipt"
   ai-wot score abc123...def
+  ai-wot score abc123...def --perspective me
+  ai-wot score abc123...def --at 2026-01-01
+  ai-wot history abc123...def --days 180 --step 14
+  ai-wot score-diff abc123...def --from 2026-01-01
+  ai-wot sybil abc123...def
+  ai-wot calibration abc123...def
   ai-wot my-score
+  ai-wot sync --once
+  ai-wot outbox --retry
 `);
 }
 
@@ -817,13 +1286,20 @@ const COMMANDS = {
   dispute: disputeCommand,
   warn: warnCommand,
   revoke: revokeCommand,
+  rebut: rebutCommand,
   receipt: receiptCommand,
   batch: batchCommand,
   'dvm-history': dvmHistoryCommand,
   candidates: candidatesCommand,
   lookup: lookupCommand,
   score: scoreCommand,
+  history: historyCommand,
+  'score-diff': scoreDiffCommand,
+  sybil: sybilCommand,
+  calibration: calibrationCommand,
   'my-score': myScoreCommand,
+  sync: syncCommand,
+  outbox: outboxCommand,
   help: helpCommand
 };
 
@@ -841,6 +1317,9 @@ async function main() {
   } catch (err) {
     console.error(`\n❌ Error: ${err.message}`);
     process.exit(1);
+  } finally {
+    // Pooled relay connections would otherwise keep the process alive
+    wot.closeRelayPool();
   }
 }
 
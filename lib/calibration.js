@@ -0,0 +1,123 @@
+// ai-wot — Attester Calibration
+// How often did an attester's vouches hold up? An attester whose
+// service-quality or work-completed subjects later draw effective disputes
+// or warnings (ones that passed the negative-attestation gate, i.e. came
+// from trusted parties) has been wrong before, so its later positive
+// attestations count for less:
+//
+//   calibration = (vouches − disputed + prior) / (vouches + prior)
+//
+// counting only what had happened by the time of the attestation being
+// weighed. The prior keeps one bad call from sinking an attester with a
+// short history.
+
+const { NEGATIVE_TYPES, filterByCategory } = require('./scoring');
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const CALIBRATED_TYPES = ['service-quality', 'work-completed'];
+const CALIBRATION_PRIOR = 2; // pseudo-vouches that held up, added to every attester's record
+
+// ─── Calibration ────────────────────────────────────────────────
+
+/**
+ * Build an attester's calibration record from its vouches and the scores
+ * of their subjects.
+ *
+ * A vouch is the attester's earliest service-quality or work-completed
+ * attestation about a subject. It counts as disputed once the subject's
+ * score breakdown has an effective (ungated, negative) dispute or warning
+ * created after the vouch by someone other than the attester.
+ *
+ * @param {string} pubkey - Attester
+ * @param {Array} attestations - Attestations by the attester (e.g. from queryOutgoingAttestations)
+ * @param {Map<string, object>} subjectScores - subject → calculateTrustScore result;
+ *   subjects left out have no effective negatives
+ * @param {object} [opts] - { at, prior (2) }
+ * @returns {{pubkey, vouches: number, disputed: number, factor: number, prior: number, records: Array}}
+ *   `factor` is the calibration as of `at` (default: now); each record is
+ *   { subject, eventId, type, vouchedAt, disputedAt, disputes } oldest first,
+ *   `disputedAt` null while undisputed
+ */
+function calibrateAttester(pubkey, attestations, subjectScores, opts = {}) {
+  const prior = opts.prior !== undefined ? opts.prior : CALIBRATION_PRIOR;
+
+  const earliest = new Map();
+  for (const type of CALIBRATED_TYPES) {
+    for (const att of filterByCategory(attestations, type)) {
+      if (att.pubkey !== pubkey) continue;
+      const pTag = att.tags.find(t => t[0] === 'p');
+      if (!pTag || pTag[1] === pubkey) continue;
+      const prev = earliest.get(pTag[1]);
+      if (!prev || att.created_at < prev.att.created_at) earliest.set(pTag[1], { att, type });
+    }
+  }
+
+  const records = [];
+  for (const [subject, { att, type }] of earliest) {
+    const score = subjectScores.get(subject);
+    const disputes = (score ? score.breakdown : [])
+      .filter(b => NEGATIVE_TYPES.includes(b.type) && !b.gated && b.contribution < 0 &&
+        b.timestamp > att.created_at && b.attester !== pubkey)
+      .map(b => ({ attester: b.attester, type: b.type, eventId: b.eventId, timestamp: b.timestamp }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    records.push({
+      subject,
+      eventId: att.id,
+      type,
+      vouchedAt: att.created_at,
+      disputedAt: disputes.length > 0 ? disputes[0].timestamp : null,
+      disputes
+    });
+  }
+  records.sort((a, b) => a.vouchedAt - b.vouchedAt);
+
+  const calibration = { pubkey, prior, records };
+  const at = opts.at || Math.floor(Date.now() / 1000);
+  const { vouches, disputed } = countVouches(records, at);
+  return {
+    pubkey,
+    vouches,
+    disputed,
+    factor: Math.round(calibrationFactor(calibration, at) * 1000) / 1000,
+    prior,
+    records
+  };
+}
+
+// Vouches made by `at`, and how many of them had been disputed by then
+function countVouches(records, at) {
+  let vouches = 0;
+  let disputed = 0;
+  for (const r of records) {
+    if (r.vouchedAt > at) continue;
+    vouches++;
+    if (r.disputedAt !== null && r.disputedAt <= at) disputed++;
+  }
+  return { vouches, disputed };
+}
+
+/**
+ * Calibration factor of an attester at a moment: its vouches up to `at`,
+ * less those disputed by then, smoothed by the prior.
+ *
+ * @param {object} [calibration] - From calibrateAttester (missing: 1)
+ * @param {number} at - unix seconds, typically the created_at of the attestation being weighed
+ * @returns {number} Factor (0-1]
+ */
+function calibrationFactor(calibration, at) {
+  if (!calibration) return 1.0;
+  const { vouches, disputed } = countVouches(calibration.records, at);
+  const prior = calibration.prior !== undefined ? calibration.prior : CALIBRATION_PRIOR;
+  if (vouches + prior === 0) return 1.0;
+  return (vouches - disputed + prior) / (vouches + prior);
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  calibrateAttester,
+  calibrationFactor,
+  CALIBRATED_TYPES,
+  CALIBRATION_PRIOR
+};
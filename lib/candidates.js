@@ -180,8 +180,8 @@ class CandidateStore {
    * Confirm and immediately publish a candidate.
    * @param {string} id - Candidate ID
    * @param {Buffer|Uint8Array} secretKey - Nostr secret key
-   * @param {object} [opts] - { edits, relays }
-   * @returns {Promise<{candidate, event, results}|null>}
+   * @param {object} [opts] - { edits, relays, minAcks, publishOutbox }
+   * @returns {Promise<{candidate, event, results, delivery}|null>} delivery: outbox quorum status
    */
   async confirmAndPublish(id, secretKey, opts = {}) {
     const c = this._candidates.get(id);
@@ -198,7 +198,7 @@ class CandidateStore {
     }
 
     const { publishAttestation } = getWot();
-    const { event, results } = await publishAttestation(
+    const { event, results, delivery } = await publishAttestation(
       secretKey,
       confirmed.targetPubkey,
       confirmed.type,
@@ -206,11 +206,14 @@ class CandidateStore {
       {
         relays: opts.relays,
         eventRef: confirmed.eventRef,
+        minAcks: opts.minAcks,
+        publishOutbox: opts.publishOutbox,
       }
     );
 
+    // Queued in the outbox even if no relay has acknowledged it yet
     this.markPublished(id, event.id);
-    return { candidate: confirmed, event, results };
+    return { candidate: confirmed, event, results, delivery };
   }
 
   /**
@@ -0,0 +1,118 @@
+// ai-wot — Score Diffs
+// Explains why a score moved between two snapshots by matching their
+// breakdown entries (by attestation event id) and attributing the change
+// in raw and display score to each entry that appeared, disappeared or
+// changed weight.
+
+const { getPolicy, listPolicies } = require('./policy');
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const CHANGE_KINDS = ['added', 'revoked', 'expired', 'decayed', 'reweighted', 'regated'];
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+// Resolve the policy that produced a score from its `name@version` id.
+// A name that isn't registered here can't be assumed to share the default's
+// display scale, so it's an error unless the caller names the policy.
+function policyFor(score, policy) {
+  if (policy) return getPolicy(policy);
+  const name = score && score.policy ? score.policy.split('@')[0] : 'default';
+  if (!listPolicies().includes(name)) {
+    throw new Error(`Score was computed with unregistered policy ${score.policy}; pass opts.policy or registerPolicy it`);
+  }
+  return getPolicy(name);
+}
+
+function contributionOf(entry) {
+  return entry && !entry.gated ? entry.contribution : 0;
+}
+
+// Why an entry present in both snapshots changed, or null if it didn't
+function classifyChange(before, after) {
+  if (!!before.gated !== !!after.gated) return 'regated';
+  if (after.contribution === before.contribution) return null;
+  const reweighted = after.attesterTrust !== before.attesterTrust ||
+    after.zapWeight !== before.zapWeight ||
+    after.typeMult !== before.typeMult ||
+    after.volumeWeight !== before.volumeWeight ||
+    !!after.reciprocal !== !!before.reciprocal;
+  return reweighted ? 'reweighted' : 'decayed';
+}
+
+// ─── Diff ───────────────────────────────────────────────────────
+
+/**
+ * Compare two calculateTrustScore results for the same pubkey.
+ *
+ * Entries only in `after` were added; entries only in `before` expired (their
+ * expiration had passed by `opts.at`) or were revoked (or are otherwise gone
+ * from relays). Entries in both either crossed the negative-attestation gate
+ * (regated), lost weight to temporal decay alone (decayed) or changed attester
+ * trust, zap weight, type multiplier, volume weight or reciprocal discount (reweighted).
+ *
+ * Changes are applied largest first to the `before` raw score; each records
+ * how much it moved `raw` and, through the policy's display scale, `display`.
+ *
+ * @param {object} before - Earlier score
+ * @param {object} after - Later score
+ * @param {object} [opts]
+ * @param {number} [opts.at] - When `after` was scored (default: now), to tell expirations from revocations
+ * @param {ScoringPolicy|string|object} [opts.policy] - Display scale (default: the policy recorded on `after`)
+ * @throws {Error} If `after` records a policy that isn't registered and `opts.policy` is not given
+ * @returns {{raw: object, display: object, changes: Array, summary: object, policy: string}}
+ *   `raw` and `display` are { before, after, delta }; each change is
+ *   { kind, eventId, attester, type, before, after, rawDelta, displayDelta }
+ *   with the breakdown entries from either side (null where missing);
+ *   `summary` counts changes per kind.
+ */
+function diffScores(before, after, opts = {}) {
+  const policy = policyFor(after, opts.policy);
+  const at = opts.at || Math.floor(Date.now() / 1000);
+  const beforeEntries = new Map((before.breakdown || []).map(b => [b.eventId, b]));
+  const afterEntries = new Map((after.breakdown || []).map(b => [b.eventId, b]));
+
+  const changes = [];
+  for (const [eventId, entry] of afterEntries) {
+    const prev = beforeEntries.get(eventId);
+    const kind = prev ? classifyChange(prev, entry) : 'added';
+    if (!kind) continue;
+    changes.push({ kind, eventId, attester: entry.attester, type: entry.type, before: prev || null, after: entry });
+  }
+  for (const [eventId, entry] of beforeEntries) {
+    if (afterEntries.has(eventId)) continue;
+    const kind = entry.expiresAt && entry.expiresAt <= at ? 'expired' : 'revoked';
+    changes.push({ kind, eventId, attester: entry.attester, type: entry.type, before: entry, after: null });
+  }
+
+  for (const change of changes) {
+    change.rawDelta = Math.round((contributionOf(change.after) - contributionOf(change.before)) * 100) / 100;
+  }
+  changes.sort((a, b) => Math.abs(b.rawDelta) - Math.abs(a.rawDelta));
+
+  // Walk from the unfloored `before` sum so clamping at 0 and 100 is attributed correctly
+  let running = (before.breakdown || []).reduce((sum, b) => sum + contributionOf(b), 0);
+  for (const change of changes) {
+    const displayBefore = policy.display(running);
+    running += change.rawDelta;
+    change.displayDelta = policy.display(running) - displayBefore;
+  }
+
+  const summary = Object.fromEntries(CHANGE_KINDS.map(kind => [kind, 0]));
+  for (const change of changes) summary[change.kind]++;
+
+  return {
+    policy: after.policy || policy.id,
+    raw: { before: before.raw, after: after.raw, delta: Math.round((after.raw - before.raw) * 100) / 100 },
+    display: { before: before.display, after: after.display, delta: after.display - before.display },
+    changes,
+    summary
+  };
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  diffScores,
+  CHANGE_KINDS
+};
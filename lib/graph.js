@@ -0,0 +1,219 @@
+// ai-wot — Global Trust Graph (EigenTrust / personalized PageRank)
+// Scores every pubkey in the attestation graph at once by propagating trust
+// until it converges, instead of recursing two hops from each subject.
+//
+// Each attestation becomes a weighted edge attester → subject:
+//   weight = zap_weight × |type_multiplier| × temporal_decay
+// with the parameters of the scoring policy (see policy.js).
+// Positive edges carry trust; negative edges (dispute, warning) carry
+// distrust, applied once after convergence in proportion to the trust of
+// whoever issued them.
+
+const {
+  temporalDecay,
+  deduplicateAttestations,
+  splitSelfZaps,
+  VALID_TYPES,
+  NEGATIVE_TYPES,
+  NAMESPACE
+} = require('./scoring');
+const { getPolicy } = require('./policy');
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const DEFAULT_ALPHA = 0.15; // probability of restarting at a seed each step
+const DEFAULT_TOLERANCE = 1e-9; // L1 change between iterations that counts as converged
+const DEFAULT_MAX_ITERATIONS = 100;
+
+// ─── Graph Construction ─────────────────────────────────────────
+
+/**
+ * Build the weighted attestation graph.
+ *
+ * Attestations should already be verified, unrevoked and unexpired (see
+ * computeGlobalScores in wot.js). They are deduplicated per attester,
+ * subject and type like the recursive score; self-attestations, unknown
+ * types and negative attestations without content are skipped.
+ *
+ * @param {Array} attestations - attestation events
+ * @param {Map} [zapTotals] - eventId → validated sats (with `_details`, self-dealing zaps are split off)
+ * @param {object} [opts]
+ * @param {ScoringPolicy|string|object} [opts.policy='default'] - Multipliers, zap weight and half-lives
+ * @param {number} [opts.halfLifeDays] - Half-life for every type (default: the policy's, per type)
+ * @param {number} [opts.now] - Reference timestamp for decay
+ * @param {number} [opts.selfZapWeight] - See scoring.splitSelfZaps
+ * @param {Map} [opts.identityLinks] - See scoring.splitSelfZaps
+ * @returns {{nodes: Set<string>, edges: Map<string, Map<string, {positive: number, negative: number, count: number}>>, edgeCount: number}}
+ */
+function buildTrustGraph(attestations, zapTotals = new Map(), opts = {}) {
+  const policy = getPolicy(opts.policy);
+  const zapDetails = zapTotals._details || new Map();
+  const nodes = new Set();
+  const edges = new Map();
+  let edgeCount = 0;
+
+  for (const att of deduplicateAttestations(attestations)) {
+    let lTag = att.tags.find(t => t[0] === 'l' && t[2] === NAMESPACE);
+    if (!lTag) {
+      const hasNs = att.tags.some(t => t[0] === 'L' && t[1] === NAMESPACE);
+      if (hasNs) lTag = att.tags.find(t => t[0] === 'l' && VALID_TYPES.includes(t[1]) && (!t[2] || t[2] === NAMESPACE));
+    }
+    if (!lTag || !VALID_TYPES.includes(lTag[1])) continue;
+
+    const pTag = att.tags.find(t => t[0] === 'p');
+    if (!pTag || pTag[1] === att.pubkey) continue;
+    const subject = pTag[1];
+
+    const isNegative = NEGATIVE_TYPES.includes(lTag[1]);
+    if (isNegative && (!att.content || att.content.trim().length === 0)) continue;
+
+    const zapDetail = zapDetails.get(att.id);
+    let sats = zapTotals.get(att.id) || 0;
+    if (zapDetail && zapDetail.zaps) {
+      ({ sats } = splitSelfZaps(zapDetail.zaps, [att.pubkey, subject], opts));
+    }
+    const weight = policy.zapWeight(sats) * Math.abs(policy.typeMultipliers[lTag[1]]) *
+      temporalDecay(att.created_at, opts.halfLifeDays || policy.halfLifeFor(lTag[1]), opts.now);
+
+    nodes.add(att.pubkey);
+    nodes.add(subject);
+    if (!edges.has(att.pubkey)) edges.set(att.pubkey, new Map());
+    const out = edges.get(att.pubkey);
+    if (!out.has(subject)) {
+      out.set(subject, { positive: 0, negative: 0, count: 0 });
+      edgeCount++;
+    }
+    const edge = out.get(subject);
+    if (isNegative) edge.negative += weight;
+    else edge.positive += weight;
+    edge.count++;
+  }
+
+  return { nodes, edges, edgeCount };
+}
+
+// ─── EigenTrust ─────────────────────────────────────────────────
+
+/**
+ * Compute EigenTrust (personalized PageRank) scores for every node.
+ *
+ * Each step a node passes its trust along its positive edges in proportion
+ * to their weight; with probability `alpha` the walk restarts at a seed.
+ * Nodes without positive out-edges hand their trust back to the seeds.
+ * Without seeds every node is a seed, which gives plain PageRank.
+ *
+ * After convergence each node loses the distrust aimed at it:
+ *   final_j = max(0, t_j − Σ_i t_i × negative_ij / Σ_k (positive_ik + negative_ik))
+ *
+ * @param {object} graph - From buildTrustGraph
+ * @param {object} [opts]
+ * @param {Iterable<string>} [opts.seeds] - Pubkeys trust flows from (personalization)
+ * @param {number} [opts.alpha=0.15] - Restart probability
+ * @param {number} [opts.tolerance=1e-9] - Convergence threshold (L1)
+ * @param {number} [opts.maxIterations=100]
+ * @returns {Map<string, {score: number, trust: number, distrust: number, display: number, rank: number}>}
+ *   pubkey → `trust` (converged, sums to 1), `distrust` penalty, final `score`,
+ *   `display` (0-100 relative to the top score) and `rank` (1 = highest).
+ *   Attaches `_iterations`, `_converged`, `_nodeCount` and `_edgeCount`.
+ */
+function computeEigenTrust(graph, opts = {}) {
+  const alpha = opts.alpha !== undefined ? opts.alpha : DEFAULT_ALPHA;
+  const tolerance = opts.tolerance || DEFAULT_TOLERANCE;
+  const maxIterations = opts.maxIterations || DEFAULT_MAX_ITERATIONS;
+
+  const seeds = opts.seeds ? [...new Set(opts.seeds)] : null;
+  const nodes = [...graph.nodes];
+  if (seeds) {
+    for (const pk of seeds) if (!graph.nodes.has(pk)) nodes.push(pk);
+  }
+  const index = new Map(nodes.map((pk, i) => [pk, i]));
+  const n = nodes.length;
+
+  // Restart distribution
+  const restart = new Float64Array(n);
+  if (seeds && seeds.length > 0) {
+    for (const pk of seeds) restart[index.get(pk)] = 1 / seeds.length;
+  } else {
+    restart.fill(n > 0 ? 1 / n : 0);
+  }
+
+  // Row-normalized positive transitions; total out-weight for distrust shares
+  const transitions = new Array(n);
+  const outTotal = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const out = graph.edges.get(nodes[i]);
+    let positive = 0;
+    const row = [];
+    if (out) {
+      for (const [to, edge] of out) {
+        positive += edge.positive;
+        outTotal[i] += edge.positive + edge.negative;
+        if (edge.positive > 0) row.push([index.get(to), edge.positive]);
+      }
+    }
+    transitions[i] = positive > 0 ? row.map(([j, w]) => [j, w / positive]) : null;
+  }
+
+  let trust = Float64Array.from(restart);
+  let iterations = 0;
+  let converged = n === 0;
+  while (!converged && iterations < maxIterations) {
+    const next = new Float64Array(n);
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (!transitions[i]) {
+        dangling += trust[i];
+        continue;
+      }
+      for (const [j, share] of transitions[i]) next[j] += (1 - alpha) * trust[i] * share;
+    }
+    let delta = 0;
+    for (let j = 0; j < n; j++) {
+      next[j] += (alpha + (1 - alpha) * dangling) * restart[j];
+      delta += Math.abs(next[j] - trust[j]);
+    }
+    trust = next;
+    iterations++;
+    converged = delta < tolerance;
+  }
+
+  // Distrust from each node, weighted by that node's own trust
+  const distrust = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const out = graph.edges.get(nodes[i]);
+    if (!out || outTotal[i] === 0) continue;
+    for (const [to, edge] of out) {
+      if (edge.negative > 0) distrust[index.get(to)] += trust[i] * edge.negative / outTotal[i];
+    }
+  }
+
+  const final = nodes.map((pk, i) => ({ pubkey: pk, trust: trust[i], distrust: distrust[i], score: Math.max(0, trust[i] - distrust[i]) }));
+  const top = final.reduce((max, r) => Math.max(max, r.score), 0);
+  final.sort((a, b) => b.score - a.score);
+
+  const result = new Map();
+  final.forEach((r, i) => {
+    result.set(r.pubkey, {
+      score: r.score,
+      trust: r.trust,
+      distrust: r.distrust,
+      display: top > 0 ? Math.round(100 * r.score / top) : 0,
+      rank: i + 1
+    });
+  });
+  result._iterations = iterations;
+  result._converged = converged;
+  result._nodeCount = n;
+  result._edgeCount = graph.edgeCount;
+  return result;
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  buildTrustGraph,
+  computeEigenTrust,
+  DEFAULT_ALPHA,
+  DEFAULT_TOLERANCE,
+  DEFAULT_MAX_ITERATIONS
+};
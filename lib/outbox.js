@@ -0,0 +1,385 @@
+// ai-wot — Durable Publish Outbox
+// Signed events are written to disk before they are sent, and relays that
+// failed are retried with exponential backoff until enough of them have
+// acknowledged the event (the quorum, `minAcks`).
+//
+// publishAttestation, publishRevocation, publishReceipt and
+// CandidateStore.confirmAndPublish all publish through the shared outbox
+// (see getOutbox / setOutbox in wot.js), so an attestation signed while
+// every relay is down is delivered later instead of being lost.
+//
+// On disk (in `dir`), one file per queued event so that processes sharing
+// the directory (the server and the CLI both default to ~/.ai-wot/outbox)
+// never overwrite each other's entries:
+//   <event id>.json — { id, event, minAcks, status, attempts, nextAttemptAt, relays }
+//
+// Secret keys are never written to disk. A key passed to publish() is kept
+// in memory to answer NIP-42 AUTH challenges on in-process retries; pass it
+// again to flush() after a restart.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Lazy-require wot.js (wot.js is the public entry point and may load this module)
+let _wot = null;
+function getWot() {
+  if (!_wot) _wot = require('./wot');
+  return _wot;
+}
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const DEFAULT_OUTBOX_DIR = path.join(process.env.HOME || '', '.ai-wot', 'outbox');
+const DEFAULT_MIN_ACKS = 2;
+const MAX_ATTEMPTS = 8;
+const MIN_RETRY_MS = 5000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const LEGACY_FILE = 'outbox.json'; // single-file outbox of earlier versions, migrated on load
+
+// NIP-01 OK prefixes that will not change on retry
+const PERMANENT_REJECTIONS = ['invalid:', 'pow:', 'blocked:', 'restricted:'];
+
+// ─── Outbox ─────────────────────────────────────────────────────
+
+/**
+ * Persistent queue of signed events awaiting relay acknowledgement.
+ *
+ * Each entry tracks every target relay as 'pending', 'acked' or 'rejected'
+ * (a permanent refusal such as `invalid:` or `blocked:`). After each attempt
+ * the entry is either
+ *   - delivered: no relay left to retry and at least `minAcks` acks — removed
+ *   - pending:   retried later with exponential backoff
+ *   - failed:    retries exhausted (or nothing left to retry) below quorum —
+ *                kept until retried with `force` or removed
+ *
+ * `minAcks` is capped at the number of target relays. One delivery attempt
+ * runs per entry at a time; overlapping retries share it.
+ */
+class Outbox {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.dir] - Directory for the entry files (omit for in-memory)
+   * @param {number} [opts.minAcks=2] - Default quorum of relay acknowledgements
+   * @param {number} [opts.maxAttempts=8] - Attempts per entry before it is marked failed
+   * @param {number} [opts.minRetryMs=5000] - First retry delay
+   * @param {number} [opts.maxRetryMs=3600000] - Maximum retry delay
+   * @param {boolean} [opts.autoRetry=true] - Schedule retries in this process (timers don't keep it alive)
+   * @param {RelayPool} [opts.pool] - Relay pool (defaults to the shared pool)
+   */
+  constructor(opts = {}) {
+    this.dir = opts.dir || null;
+    this.minAcks = opts.minAcks || DEFAULT_MIN_ACKS;
+    this.maxAttempts = opts.maxAttempts || MAX_ATTEMPTS;
+    this.minRetryMs = opts.minRetryMs || MIN_RETRY_MS;
+    this.maxRetryMs = opts.maxRetryMs || MAX_RETRY_MS;
+    this.autoRetry = opts.autoRetry !== false;
+    this.pool = opts.pool || null;
+    this._entries = new Map(); // event id → entry
+    this._keys = new Map(); // event id → secret key (memory only, for NIP-42 AUTH)
+    this._timers = new Map();
+    this._inFlight = new Map(); // event id → promise of the running attempt
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this._load();
+    }
+  }
+
+  /** Number of queued (pending or failed) events. */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Queue a signed event and make the first delivery attempt.
+   *
+   * @param {object} event - Signed event
+   * @param {string[]} relays - Target relay URLs
+   * @param {object} [opts]
+   * @param {number} [opts.minAcks] - Quorum for this event (default: the outbox's)
+   * @param {Uint8Array} [opts.secretKey] - Key for NIP-42 AUTH (kept in memory only)
+   * @returns {Promise<{results: Array, delivery: object}>} Per-relay results of this
+   *   attempt and the delivery summary (see Outbox#delivery)
+   */
+  async publish(event, relays, opts = {}) {
+    let entry = this._entries.get(event.id);
+    if (!entry) {
+      entry = {
+        id: event.id,
+        event,
+        minAcks: Math.min(opts.minAcks || this.minAcks, relays.length),
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: null,
+        relays: {}
+      };
+      this._entries.set(event.id, entry);
+    }
+    for (const relay of relays) {
+      if (!entry.relays[relay]) entry.relays[relay] = { status: 'pending', lastError: null, ackedAt: null };
+    }
+    if (opts.secretKey) this._keys.set(event.id, opts.secretKey);
+    this._save(entry);
+
+    const results = await this._attempt(entry);
+    return { results, delivery: this.delivery(entry) };
+  }
+
+  /**
+   * Retry one queued event now.
+   *
+   * @param {string} id - Event id
+   * @param {object} [opts] - { secretKey }
+   * @returns {Promise<{results: Array, delivery: object}|null>} null if not queued
+   */
+  async retry(id, opts = {}) {
+    const entry = this._entries.get(id);
+    if (!entry) return null;
+    if (opts.secretKey) this._keys.set(id, opts.secretKey);
+    if (entry.status === 'failed') {
+      entry.status = 'pending';
+      entry.attempts = 0;
+      for (const r of Object.values(entry.relays)) {
+        if (r.status === 'rejected') r.status = 'pending';
+      }
+    }
+    const results = await this._attempt(entry);
+    return { results, delivery: this.delivery(entry) };
+  }
+
+  /**
+   * Retry every pending event whose backoff has elapsed, including events
+   * queued by other processes sharing the directory.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.force=false] - Ignore backoff and also retry failed events
+   * @param {Uint8Array} [opts.secretKey] - Key for NIP-42 AUTH
+   * @returns {Promise<Array<{id, results, delivery}>>}
+   */
+  async flush(opts = {}) {
+    if (this.dir) this._load();
+    const now = Date.now();
+    const due = [...this._entries.values()].filter(e => opts.force ||
+      (e.status === 'pending' && (!e.nextAttemptAt || e.nextAttemptAt <= now)));
+
+    const out = [];
+    for (const entry of due) {
+      const result = await this.retry(entry.id, opts);
+      if (result) out.push({ id: entry.id, ...result });
+    }
+    return out;
+  }
+
+  /**
+   * List queued events, oldest first.
+   * @param {object} [filter] - { status: 'pending' | 'failed' }
+   * @returns {object[]} Entries with their delivery summary
+   */
+  list(filter = {}) {
+    return [...this._entries.values()]
+      .filter(e => !filter.status || e.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(e => ({ ...e, delivery: this.delivery(e) }));
+  }
+
+  /**
+   * Get a queued event by id.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this._entries.get(id) || null;
+  }
+
+  /**
+   * Drop a queued event without delivering it.
+   * @param {string} id
+   * @returns {boolean} true if it was queued
+   */
+  remove(id) {
+    if (!this._entries.has(id)) return false;
+    this._forget(id);
+    return true;
+  }
+
+  /**
+   * Delivery summary of an entry.
+   *
+   * @param {object} entry
+   * @returns {{status: string, acks: number, minAcks: number, quorum: boolean,
+   *   acked: string[], pending: string[], rejected: string[], attempts: number, nextAttemptAt: number|null}}
+   *   status is 'delivered' once the entry has left the outbox
+   */
+  delivery(entry) {
+    const byStatus = { acked: [], pending: [], rejected: [] };
+    for (const [relay, r] of Object.entries(entry.relays)) byStatus[r.status].push(relay);
+    return {
+      status: this._entries.get(entry.id) === entry ? entry.status : 'delivered',
+      acks: byStatus.acked.length,
+      minAcks: entry.minAcks,
+      quorum: byStatus.acked.length >= entry.minAcks,
+      acked: byStatus.acked,
+      pending: byStatus.pending,
+      rejected: byStatus.rejected,
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt
+    };
+  }
+
+  /**
+   * Cancel scheduled retries (queued events stay on disk).
+   */
+  stop() {
+    for (const timer of this._timers.values()) clearTimeout(timer);
+    this._timers.clear();
+  }
+
+  // ── Internal ──────────────────────────────────────────────
+
+  _attempt(entry) {
+    // A retry that overlaps a running attempt waits for it instead of re-sending
+    const running = this._inFlight.get(entry.id);
+    if (running) return running;
+    const attempt = this._send(entry).finally(() => this._inFlight.delete(entry.id));
+    this._inFlight.set(entry.id, attempt);
+    return attempt;
+  }
+
+  async _send(entry) {
+    clearTimeout(this._timers.get(entry.id));
+    this._timers.delete(entry.id);
+
+    const targets = Object.keys(entry.relays).filter(relay => entry.relays[relay].status === 'pending');
+    const secretKey = this._keys.get(entry.id);
+    const results = await getWot().publishToRelays(entry.event, targets, { pool: this.pool, secretKey });
+
+    entry.attempts++;
+    for (const result of results) {
+      const r = entry.relays[result.relay];
+      if (result.success) {
+        r.status = 'acked';
+        r.ackedAt = Date.now();
+        r.lastError = null;
+      } else {
+        r.lastError = result.reason || 'Failed';
+        // Without a key, auth-required will not change on retry either
+        const permanent = PERMANENT_REJECTIONS.some(p => r.lastError.startsWith(p)) ||
+          (result.auth === 'auth-required' && !secretKey);
+        if (permanent) r.status = 'rejected';
+      }
+    }
+
+    // Another process may have delivered to other relays meanwhile
+    this._mergeFromDisk(entry);
+
+    const d = this.delivery(entry);
+    if (d.pending.length === 0 || entry.attempts >= this.maxAttempts) {
+      if (d.quorum) {
+        this._forget(entry.id);
+        return results;
+      }
+      entry.status = 'failed';
+      entry.nextAttemptAt = null;
+    } else {
+      const delay = Math.min(this.maxRetryMs, this.minRetryMs * Math.pow(2, entry.attempts - 1));
+      entry.status = 'pending';
+      entry.nextAttemptAt = Date.now() + delay;
+      this._schedule(entry, delay);
+    }
+
+    this._save(entry);
+    return results;
+  }
+
+  _schedule(entry, delay) {
+    if (!this.autoRetry) return;
+    const timer = setTimeout(() => {
+      this._timers.delete(entry.id);
+      if (this._entries.get(entry.id) === entry) this._attempt(entry).catch(() => {});
+    }, delay);
+    if (timer.unref) timer.unref();
+    this._timers.set(entry.id, timer);
+  }
+
+  _forget(id) {
+    clearTimeout(this._timers.get(id));
+    this._timers.delete(id);
+    this._entries.delete(id);
+    this._keys.delete(id);
+    if (this.dir) {
+      try { fs.unlinkSync(this._file(id)); } catch (_) {}
+    }
+  }
+
+  _file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _read(file) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return entry && entry.id && entry.event ? entry : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Pick up entries queued by other processes, drop those they delivered or
+  // removed (and migrate a legacy outbox.json)
+  _load() {
+    const legacy = path.join(this.dir, LEGACY_FILE);
+    if (fs.existsSync(legacy)) {
+      let entries = [];
+      try { entries = JSON.parse(fs.readFileSync(legacy, 'utf8')); } catch (_) {}
+      for (const entry of entries) {
+        if (entry && entry.id && entry.event && !fs.existsSync(this._file(entry.id))) this._save(entry);
+      }
+      fs.unlinkSync(legacy);
+    }
+
+    const onDisk = new Set();
+    for (const name of fs.readdirSync(this.dir)) {
+      if (!/^[0-9a-f]{64}\.json$/.test(name)) continue;
+      const id = name.slice(0, 64);
+      onDisk.add(id);
+      if (this._entries.has(id)) continue;
+      const entry = this._read(path.join(this.dir, name));
+      if (entry) this._entries.set(entry.id, entry);
+    }
+    for (const id of [...this._entries.keys()]) {
+      if (!onDisk.has(id) && !this._inFlight.has(id)) this._forget(id);
+    }
+  }
+
+  // Keep acks recorded on disk by another process
+  _mergeFromDisk(entry) {
+    if (!this.dir) return;
+    const stored = this._read(this._file(entry.id));
+    if (!stored) return;
+    for (const [relay, r] of Object.entries(stored.relays || {})) {
+      if (r.status === 'acked' && entry.relays[relay] && entry.relays[relay].status !== 'acked') {
+        entry.relays[relay] = r;
+      }
+    }
+  }
+
+  _save(entry) {
+    if (!this.dir) return;
+    // Write-then-rename (to a name unique to this write) so a crash or a
+    // concurrent writer never leaves a half-written entry
+    const file = this._file(entry.id);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry, null, 2));
+    fs.renameSync(tmp, file);
+  }
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  Outbox,
+  DEFAULT_OUTBOX_DIR,
+  DEFAULT_MIN_ACKS
+};
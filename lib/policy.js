@@ -0,0 +1,339 @@
+// ai-wot — Scoring Policies
+// Every tunable of the trust score in one object: type multipliers, zap
+// weight, attester dampening, negative-attestation gate and quorum, novelty
+// bonus, display scale, half-lives (global and per type), recursion depth,
+// the weights of reciprocal attestations and of suspected sybil clusters,
+// the attester volume curve, and how rebuttals weigh on disputes.
+//
+// Built-in policies are selected by name ('default', 'strict', 'lenient');
+// custom ones are loaded from JSON. Every score records the policy that
+// produced it as `policy: '<name>@<version>'`.
+
+const fs = require('fs');
+const {
+  TYPE_MULTIPLIERS,
+  VALID_TYPES,
+  POSITIVE_TYPES,
+  NEGATIVE_TYPES,
+  ZAP_MULTIPLIER,
+  DAMPENING_FACTOR,
+  DEFAULT_HALF_LIFE_DAYS,
+  NEGATIVE_ATTESTATION_TRUST_GATE,
+  VOLUME_CURVES,
+  VOLUME_PIVOT,
+  VOLUME_WINDOW_DAYS,
+  volumeWeight
+} = require('./scoring');
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const DEFAULT_NOVELTY_MULTIPLIER = 1.3;
+const DEFAULT_DISPLAY_SCALE = 10;
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_SYBIL_WEIGHT = 0.1;
+const DEFAULT_RECIPROCAL_WEIGHT = 0.5;
+const DEFAULT_VOLUME_CURVE = 'sqrt';
+const DEFAULT_NEGATIVE_QUORUM = 1; // a single effective negative counts
+const DEFAULT_NEGATIVE_QUORUM_WINDOW_DAYS = 30;
+const DEFAULT_REBUTTAL_GRACE_DAYS = 14; // time a disputed agent gets to answer before a dispute counts as unanswered
+
+const NUMERIC_FIELDS = [
+  'version', 'zapMultiplier', 'dampeningFactor', 'negativeTrustGate',
+  'noveltyMultiplier', 'displayScale', 'halfLifeDays', 'maxDepth', 'sybilWeight', 'reciprocalWeight',
+  'volumePivot', 'volumeWindowDays', 'negativeQuorum', 'negativeQuorumWindowDays',
+  'rebuttedRevokedWeight', 'unansweredWeight', 'rebuttalGraceDays'
+];
+const KNOWN_FIELDS = ['name', 'description', 'typeMultipliers', 'typeHalfLifeDays', 'volumeCurve', 'negativeWeight', ...NUMERIC_FIELDS];
+
+// ─── ScoringPolicy ──────────────────────────────────────────────
+
+/**
+ * A complete, validated set of scoring parameters. Fields left out fall
+ * back to the defaults (the module constants in scoring.js).
+ */
+class ScoringPolicy {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.name='custom']
+   * @param {number} [opts.version=1] - Bump whenever the parameters change
+   * @param {string} [opts.description]
+   * @param {object} [opts.typeMultipliers] - type → multiplier (negative types must stay negative)
+   * @param {number} [opts.zapMultiplier=0.5] - zap weight = 1 + log₂(1 + sats) × zapMultiplier
+   * @param {number} [opts.dampeningFactor=0.5] - attester trust = raw ^ dampeningFactor
+   * @param {number} [opts.negativeTrustGate=20] - Min attester display score for negative attestations
+   * @param {number} [opts.negativeQuorum=1] - Independent attesters whose negatives must agree before any count
+   * @param {number} [opts.negativeQuorumWindowDays=30] - How close in time those negatives must be
+   * @param {number} [opts.rebuttedRevokedWeight=1] - Weight (0-1) of negatives the subject rebutted and the attester later revoked
+   * @param {number} [opts.unansweredWeight=1] - Weight (0-1) of negatives with no rebuttal after rebuttalGraceDays
+   * @param {number} [opts.rebuttalGraceDays=14] - Time the subject has to rebut a negative
+   * @param {Function} [opts.negativeWeight] - Hook replacing the two weights above: (context) → weight
+   *   (see negativeWeightFor); not serialized by toJSON
+   * @param {number} [opts.noveltyMultiplier=1.3] - Bonus for the first attestation on an edge
+   * @param {number} [opts.displayScale=10] - display = min(100, raw × displayScale)
+   * @param {number} [opts.halfLifeDays=90] - Temporal decay half-life
+   * @param {object} [opts.typeHalfLifeDays] - type → half-life overriding halfLifeDays
+   * @param {number} [opts.maxDepth=2] - Attester recursion depth
+   * @param {number} [opts.sybilWeight=0.1] - Weight (0-1) of attestations from suspected sybil cluster members
+   * @param {number} [opts.reciprocalWeight=0.5] - Weight (0-1) of mutual and ring attestations
+   * @param {string} [opts.volumeCurve='sqrt'] - How attester volume thins attestations: 'log', 'sqrt', 'linear' or 'none'
+   * @param {number} [opts.volumePivot=10] - Out-degree up to which attesters keep full weight
+   * @param {number} [opts.volumeWindowDays=90] - Window for counting an attester's outgoing attestations
+   */
+  constructor(opts = {}) {
+    for (const key of Object.keys(opts)) {
+      if (!KNOWN_FIELDS.includes(key)) throw new Error(`Unknown scoring policy field: ${key}`);
+    }
+    for (const key of NUMERIC_FIELDS) {
+      if (opts[key] !== undefined && !(typeof opts[key] === 'number' && Number.isFinite(opts[key]))) {
+        throw new Error(`Scoring policy field ${key} must be a finite number`);
+      }
+    }
+
+    this.name = opts.name || 'custom';
+    this.version = opts.version !== undefined ? opts.version : 1;
+    this.description = opts.description || '';
+    this.typeMultipliers = { ...TYPE_MULTIPLIERS, ...opts.typeMultipliers };
+    this.zapMultiplier = opts.zapMultiplier !== undefined ? opts.zapMultiplier : ZAP_MULTIPLIER;
+    this.dampeningFactor = opts.dampeningFactor !== undefined ? opts.dampeningFactor : DAMPENING_FACTOR;
+    this.negativeTrustGate = opts.negativeTrustGate !== undefined ? opts.negativeTrustGate : NEGATIVE_ATTESTATION_TRUST_GATE;
+    this.negativeQuorum = opts.negativeQuorum !== undefined ? opts.negativeQuorum : DEFAULT_NEGATIVE_QUORUM;
+    this.negativeQuorumWindowDays = opts.negativeQuorumWindowDays !== undefined ? opts.negativeQuorumWindowDays : DEFAULT_NEGATIVE_QUORUM_WINDOW_DAYS;
+    this.rebuttedRevokedWeight = opts.rebuttedRevokedWeight !== undefined ? opts.rebuttedRevokedWeight : 1.0;
+    this.unansweredWeight = opts.unansweredWeight !== undefined ? opts.unansweredWeight : 1.0;
+    this.rebuttalGraceDays = opts.rebuttalGraceDays !== undefined ? opts.rebuttalGraceDays : DEFAULT_REBUTTAL_GRACE_DAYS;
+    this.negativeWeight = opts.negativeWeight || null;
+    this.noveltyMultiplier = opts.noveltyMultiplier !== undefined ? opts.noveltyMultiplier : DEFAULT_NOVELTY_MULTIPLIER;
+    this.displayScale = opts.displayScale !== undefined ? opts.displayScale : DEFAULT_DISPLAY_SCALE;
+    this.halfLifeDays = opts.halfLifeDays || DEFAULT_HALF_LIFE_DAYS;
+    this.typeHalfLifeDays = { ...opts.typeHalfLifeDays };
+    this.maxDepth = opts.maxDepth !== undefined ? opts.maxDepth : DEFAULT_MAX_DEPTH;
+    this.sybilWeight = opts.sybilWeight !== undefined ? opts.sybilWeight : DEFAULT_SYBIL_WEIGHT;
+    this.reciprocalWeight = opts.reciprocalWeight !== undefined ? opts.reciprocalWeight : DEFAULT_RECIPROCAL_WEIGHT;
+    this.volumeCurve = opts.volumeCurve || DEFAULT_VOLUME_CURVE;
+    this.volumePivot = opts.volumePivot !== undefined ? opts.volumePivot : VOLUME_PIVOT;
+    this.volumeWindowDays = opts.volumeWindowDays !== undefined ? opts.volumeWindowDays : VOLUME_WINDOW_DAYS;
+
+    for (const [type, mult] of Object.entries(this.typeMultipliers)) {
+      if (!VALID_TYPES.includes(type)) throw new Error(`Unknown attestation type in typeMultipliers: ${type}`);
+      if (typeof mult !== 'number' || !Number.isFinite(mult)) throw new Error(`Multiplier for ${type} must be a finite number`);
+      if (POSITIVE_TYPES.includes(type) && mult < 0) throw new Error(`Multiplier for positive type ${type} must be >= 0`);
+      if (NEGATIVE_TYPES.includes(type) && mult > 0) throw new Error(`Multiplier for negative type ${type} must be <= 0`);
+    }
+    for (const [type, days] of Object.entries(this.typeHalfLifeDays)) {
+      if (!VALID_TYPES.includes(type)) throw new Error(`Unknown attestation type in typeHalfLifeDays: ${type}`);
+      if (typeof days !== 'number' || !(days > 0)) throw new Error(`Half-life for ${type} must be a positive number`);
+    }
+    if (!(this.halfLifeDays > 0)) throw new Error('halfLifeDays must be positive');
+    if (!Number.isInteger(this.maxDepth) || this.maxDepth < 0) throw new Error('maxDepth must be a non-negative integer');
+    if (this.sybilWeight < 0 || this.sybilWeight > 1) throw new Error('sybilWeight must be between 0 and 1');
+    if (this.reciprocalWeight < 0 || this.reciprocalWeight > 1) throw new Error('reciprocalWeight must be between 0 and 1');
+    if (!Object.keys(VOLUME_CURVES).includes(this.volumeCurve)) {
+      throw new Error(`volumeCurve must be one of: ${Object.keys(VOLUME_CURVES).join(', ')}`);
+    }
+    if (!(this.volumePivot > 0)) throw new Error('volumePivot must be positive');
+    if (!Number.isInteger(this.negativeQuorum) || this.negativeQuorum < 1) throw new Error('negativeQuorum must be a positive integer');
+    if (!(this.negativeQuorumWindowDays > 0)) throw new Error('negativeQuorumWindowDays must be positive');
+    if (this.rebuttedRevokedWeight < 0 || this.rebuttedRevokedWeight > 1) throw new Error('rebuttedRevokedWeight must be between 0 and 1');
+    if (this.unansweredWeight < 0 || this.unansweredWeight > 1) throw new Error('unansweredWeight must be between 0 and 1');
+    if (!(this.rebuttalGraceDays >= 0)) throw new Error('rebuttalGraceDays must be non-negative');
+    if (this.negativeWeight !== null && typeof this.negativeWeight !== 'function') throw new Error('negativeWeight must be a function');
+    if (!(this.volumeWindowDays > 0)) throw new Error('volumeWindowDays must be positive');
+  }
+
+  /** `<name>@<version>`, recorded on every score. */
+  get id() {
+    return `${this.name}@${this.version}`;
+  }
+
+  /**
+   * Decay half-life for an attestation type.
+   * @param {string} type
+   * @returns {number} days
+   */
+  halfLifeFor(type) {
+    return this.typeHalfLifeDays[type] || this.halfLifeDays;
+  }
+
+  /**
+   * Zap weight multiplier: 1.0 + log₂(1 + sats) × zapMultiplier.
+   * @param {number} sats
+   * @returns {number}
+   */
+  zapWeight(sats) {
+    if (!sats || sats <= 0) return 1.0;
+    return 1.0 + Math.log2(1 + sats) * this.zapMultiplier;
+  }
+
+  /**
+   * Attester volume weight for an attester with `outDegree` subjects in
+   * the window (see scoring.volumeWeight).
+   * @param {number} outDegree
+   * @returns {number}
+   */
+  volumeWeight(outDegree) {
+    return volumeWeight(outDegree, { curve: this.volumeCurve, pivot: this.volumePivot });
+  }
+
+  /**
+   * Weight of a negative attestation given how the disputed agent answered
+   * it. Without a `negativeWeight` hook: rebuttedRevokedWeight if it was
+   * rebutted and its attester revoked it (visible when scoring a past
+   * moment, before the revocation), unansweredWeight if no rebuttal came
+   * within rebuttalGraceDays, else 1.
+   *
+   * @param {object} context - { type, attester, subject, createdAt, rebuttals, revocation, now };
+   *   rebuttals are { rebuttalId, author, content, rebuttedAt }, revocation as in queryAttestations
+   * @returns {number}
+   */
+  negativeWeightFor(context) {
+    if (this.negativeWeight) {
+      const weight = this.negativeWeight(context);
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error('negativeWeight hook must return a non-negative number');
+      }
+      return weight;
+    }
+    const rebutted = context.rebuttals.length > 0;
+    if (rebutted && context.revocation) return this.rebuttedRevokedWeight;
+    if (!rebutted && context.now - context.createdAt >= this.rebuttalGraceDays * 86400) return this.unansweredWeight;
+    return 1.0;
+  }
+
+  /**
+   * Map a raw score to the 0-100 display scale.
+   * @param {number} raw
+   * @returns {number}
+   */
+  display(raw) {
+    return Math.min(100, Math.round(Math.max(0, raw) * this.displayScale));
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      version: this.version,
+      description: this.description || undefined,
+      typeMultipliers: this.typeMultipliers,
+      zapMultiplier: this.zapMultiplier,
+      dampeningFactor: this.dampeningFactor,
+      negativeTrustGate: this.negativeTrustGate,
+      negativeQuorum: this.negativeQuorum,
+      negativeQuorumWindowDays: this.negativeQuorumWindowDays,
+      rebuttedRevokedWeight: this.rebuttedRevokedWeight,
+      unansweredWeight: this.unansweredWeight,
+      rebuttalGraceDays: this.rebuttalGraceDays,
+      noveltyMultiplier: this.noveltyMultiplier,
+      displayScale: this.displayScale,
+      halfLifeDays: this.halfLifeDays,
+      typeHalfLifeDays: this.typeHalfLifeDays,
+      maxDepth: this.maxDepth,
+      sybilWeight: this.sybilWeight,
+      reciprocalWeight: this.reciprocalWeight,
+      volumeCurve: this.volumeCurve,
+      volumePivot: this.volumePivot,
+      volumeWindowDays: this.volumeWindowDays
+    };
+  }
+
+  /**
+   * Create a policy from a JSON string or parsed object.
+   * @param {string|object} json
+   * @returns {ScoringPolicy}
+   */
+  static fromJSON(json) {
+    return new ScoringPolicy(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+}
+
+// ─── Built-in Policies ──────────────────────────────────────────
+
+// Version history of the built-ins (scores record `<name>@<version>`):
+//   1 — original parameters
+//   2 — reciprocal and ring attestations count at reciprocalWeight (0.5)
+const BUILTIN_VERSION = 2;
+
+// No prototype: names like 'constructor' or '__proto__' are just unknown policies
+const POLICIES = Object.assign(Object.create(null), {
+  default: new ScoringPolicy({
+    name: 'default',
+    version: BUILTIN_VERSION,
+    description: 'The standard ai.wot parameters'
+  }),
+  strict: new ScoringPolicy({
+    name: 'strict',
+    version: BUILTIN_VERSION,
+    description: 'Slower to trust: smaller zap and novelty bonuses, faster decay, easier warnings, deeper recursion',
+    zapMultiplier: 0.25,
+    negativeTrustGate: 10,
+    noveltyMultiplier: 1.0,
+    displayScale: 8,
+    halfLifeDays: 60,
+    typeHalfLifeDays: { 'general-trust': 30 },
+    maxDepth: 3
+  }),
+  lenient: new ScoringPolicy({
+    name: 'lenient',
+    version: BUILTIN_VERSION,
+    description: 'Quicker to trust: larger zap bonus, slower decay, warnings need well-trusted attesters',
+    zapMultiplier: 0.75,
+    negativeTrustGate: 40,
+    displayScale: 12,
+    halfLifeDays: 180
+  })
+});
+
+/**
+ * Resolve a policy: a ScoringPolicy, a built-in or registered name, or a
+ * plain options object. Omitted means 'default'.
+ *
+ * @param {ScoringPolicy|string|object} [policy]
+ * @returns {ScoringPolicy}
+ */
+function getPolicy(policy) {
+  if (!policy) return POLICIES.default;
+  if (policy instanceof ScoringPolicy) return policy;
+  if (typeof policy === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(POLICIES, policy)) throw new Error(`Unknown scoring policy: ${policy}`);
+    return POLICIES[policy];
+  }
+  return new ScoringPolicy(policy);
+}
+
+/**
+ * Make a policy selectable by name (e.g. on the server with ?policy=).
+ * @param {ScoringPolicy|object} policy
+ * @returns {ScoringPolicy}
+ */
+function registerPolicy(policy) {
+  const p = getPolicy(policy);
+  POLICIES[p.name] = p;
+  return p;
+}
+
+/**
+ * Load a policy from a JSON file.
+ * @param {string} file
+ * @returns {ScoringPolicy}
+ */
+function loadPolicy(file) {
+  return ScoringPolicy.fromJSON(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Names of the selectable policies.
+ * @returns {string[]}
+ */
+function listPolicies() {
+  return Object.keys(POLICIES);
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  ScoringPolicy,
+  getPolicy,
+  registerPolicy,
+  loadPolicy,
+  listPolicies,
+  POLICIES
+};
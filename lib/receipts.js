@@ -9,7 +9,7 @@
 //   Result:  6xxx (e.g. 6050 = text generation result)
 //   Feedback: 7000
 
-const WebSocket = require('ws');
+const { verifyEvent } = require('nostr-tools/pure');
 
 // Lazy-require wot.js to avoid circular dependency
 // (wot.js requires receipts.js at the bottom, receipts.js requires wot.js)
@@ -204,9 +204,10 @@ function generateReceiptCandidate(dvmResult, opts = {}) {
  *   - amountSats: Override amount paid (if not in the DVM result)
  *   - rating: Optional 1-5 quality rating
  *   - relays: Relay URLs to publish to
+ *   - minAcks: Relay acknowledgements required by the publish outbox
  *   - type: Attestation type (default: 'service-quality')
  *   - candidate: Pre-built candidate from generateReceiptCandidate() — if provided, uses this instead of building from dvmResult
- * @returns {Promise<{event, results, receipt}>}
+ * @returns {Promise<{event, results, delivery, receipt}>}
  */
 async function publishReceipt(secretKey, dvmResult, opts = {}) {
   // If a candidate is provided, use its data instead of building from dvmResult
@@ -255,14 +256,16 @@ async function publishReceipt(secretKey, dvmResult, opts = {}) {
     };
   }
 
-  const { event, results } = await getPublishAttestation()(
+  const { event, results, delivery } = await getPublishAttestation()(
     secretKey,
     targetPubkey,
     type,
     comment,
     {
       eventRef: eventRef,
-      relays: opts.relays
+      relays: opts.relays,
+      minAcks: opts.minAcks,
+      publishOutbox: opts.publishOutbox
     }
   );
 
@@ -280,7 +283,7 @@ async function publishReceipt(secretKey, dvmResult, opts = {}) {
     timestamp: event.created_at
   };
 
-  return { event, results, receipt };
+  return { event, results, delivery, receipt };
 }
 
 // ─── DVM History Query ──────────────────────────────────────────
@@ -354,8 +357,7 @@ async function queryDVMHistory(myPubkey, opts = {}) {
     const attFilter = {
       kinds: [1985],
       '#L': [getNAMESPACE()],
-      authors: [myPubkey],
-      limit: 200
+      authors: [myPubkey]
     };
 
     const atts = await _queryRelays(attFilter, relays);
@@ -447,14 +449,15 @@ async function queryDVMHistory(myPubkey, opts = {}) {
  *   - kinds: DVM result kinds to watch (default: all 6xxx)
  *   - secretKey: If provided + callback returns truthy, auto-publishes receipt
  *   - autoAttestOpts: Options passed to publishReceipt for auto-attestations
- * @returns {{stop: function, connections: Map}} - Call stop() to close all connections
+ *   - pool: RelayPool to subscribe through (default: shared pool)
+ * @returns {{stop: function, connections: Map}} - Call stop() to close all subscriptions
+ *   (connections maps relay URL → pool subscription)
  */
 function watchDVMResults(myPubkey, callback, opts = {}) {
   const relays = opts.relays || getRELAYS();
   const connections = new Map();
   let stopped = false;
 
-  const subId = 'wot_dvm_' + Math.random().toString(36).slice(2, 10);
   const seen = new Set();
 
   // Build filter for DVM results addressed to us
@@ -473,92 +476,57 @@ function watchDVMResults(myPubkey, callback, opts = {}) {
     filter.kinds.push(DVM_FEEDBACK_KIND);
   }
 
-  function connectRelay(relayUrl) {
-    if (stopped) return;
-
-    let ws;
+  async function handleEvent(event) {
     try {
-      ws = new WebSocket(relayUrl);
-    } catch (err) {
-      console.error(`[watcher] Failed to connect to ${relayUrl}: ${err.message}`);
-      scheduleReconnect(relayUrl);
-      return;
-    }
-
-    connections.set(relayUrl, ws);
+      if (stopped || seen.has(event.id)) return;
+      if (!verifyEvent(event)) return;
+      seen.add(event.id);
+
+      // Parse based on kind
+      let parsed;
+      if (event.kind === DVM_FEEDBACK_KIND) {
+        parsed = parseDVMFeedback(event);
+      } else {
+        parsed = parseDVMResult(event);
+      }
 
-    ws.on('open', () => {
-      ws.send(JSON.stringify(['REQ', subId, filter]));
-    });
+      if (!parsed) return;
 
-    ws.on('message', async (data) => {
-      try {
-        const msg = JSON.parse(data.toString());
-        if (msg[0] !== 'EVENT' || msg[1] !== subId) return;
-
-        const event = msg[2];
-        if (seen.has(event.id)) return;
-        seen.add(event.id);
-
-        // Parse based on kind
-        let parsed;
-        if (event.kind === DVM_FEEDBACK_KIND) {
-          parsed = parseDVMFeedback(event);
-        } else {
-          parsed = parseDVMResult(event);
-        }
+      // Call user callback
+      const shouldAttest = await callback(parsed, event);
 
-        if (!parsed) return;
-
-        // Call user callback
-        const shouldAttest = await callback(parsed, event);
-
-        // Auto-attest if requested
-        if (shouldAttest && opts.secretKey && parsed.dvmPubkey && parsed.resultEventId) {
-          try {
-            const { receipt } = await publishReceipt(
-              opts.secretKey,
-              parsed,
-              opts.autoAttestOpts || {}
-            );
-            console.log(`[watcher] Auto-attested DVM ${parsed.dvmPubkey.substring(0, 12)}... → ${receipt.attestationEventId}`);
-          } catch (err) {
-            console.error(`[watcher] Auto-attest failed: ${err.message}`);
-          }
+      // Auto-attest if requested
+      if (shouldAttest && opts.secretKey && parsed.dvmPubkey && parsed.resultEventId) {
+        try {
+          const { receipt } = await publishReceipt(
+            opts.secretKey,
+            parsed,
+            opts.autoAttestOpts || {}
+          );
+          console.log(`[watcher] Auto-attested DVM ${parsed.dvmPubkey.substring(0, 12)}... → ${receipt.attestationEventId}`);
+        } catch (err) {
+          console.error(`[watcher] Auto-attest failed: ${err.message}`);
         }
-      } catch (_) {}
-    });
-
-    ws.on('close', () => {
-      connections.delete(relayUrl);
-      if (!stopped) scheduleReconnect(relayUrl);
-    });
-
-    ws.on('error', (err) => {
-      try { ws.close(); } catch (_) {}
-    });
-  }
-
-  function scheduleReconnect(relayUrl) {
-    if (stopped) return;
-    setTimeout(() => connectRelay(relayUrl), 5000 + Math.random() * 5000);
+      }
+    } catch (_) {}
   }
 
-  // Connect to all relays
+  // Persistent subscriptions are re-sent by the pool after a reconnect
+  const pool = opts.pool || getWot().getRelayPool();
   for (const relay of relays) {
-    connectRelay(relay);
+    const sub = pool.subscribe(relay, filter, {
+      persistent: true,
+      onEvent: handleEvent,
+      onClose: () => connections.delete(relay)
+    });
+    connections.set(relay, sub);
   }
 
   return {
     connections,
     stop() {
       stopped = true;
-      for (const [url, ws] of connections) {
-        try {
-          ws.send(JSON.stringify(['CLOSE', subId]));
-          ws.close();
-        } catch (_) {}
-      }
+      for (const sub of connections.values()) sub.close();
       connections.clear();
     }
   };
@@ -8,6 +8,9 @@ const VALID_TYPES = ['service-quality', 'work-completed', 'identity-continuity',
 const POSITIVE_TYPES = ['service-quality', 'work-completed', 'identity-continuity', 'general-trust'];
 const NEGATIVE_TYPES = ['dispute', 'warning'];
 
+// Label for a disputed agent's answer to a dispute or warning (e-tags it; not an attestation)
+const REBUTTAL_TYPE = 'rebuttal';
+
 const TYPE_MULTIPLIERS = {
   'service-quality': 1.5,
   'work-completed': 1.2,
@@ -21,6 +24,25 @@ const ZAP_MULTIPLIER = 0.5;
 const DAMPENING_FACTOR = 0.5;
 const DEFAULT_HALF_LIFE_DAYS = 90;
 const NEGATIVE_ATTESTATION_TRUST_GATE = 20; // minimum display score to issue effective negative attestations
+const CONFIDENCE_SAMPLES = 500; // bootstrap resamples per score
+const CONFIDENCE_LEVEL = 0.9; // coverage of the reported interval
+const MAX_RING_LENGTH = 3; // longest attestation cycle among attesters counted as a ring
+const VOLUME_PIVOT = 10; // attesters with up to this many subjects in the window keep full weight
+const VOLUME_WINDOW_DAYS = 90; // window for counting an attester's outgoing attestations
+
+// Lazy-require policy.js (it reads the defaults above from this module)
+let _policy = null;
+function getPolicy(policy) {
+  if (!_policy) _policy = require('./policy');
+  return _policy.getPolicy(policy);
+}
+
+// Lazy-require calibration.js (it builds on this module too)
+let _calibration = null;
+function calibrationFactor(calibration, at) {
+  if (!_calibration) _calibration = require('./calibration');
+  return _calibration.calibrationFactor(calibration, at);
+}
 
 // ─── Temporal Decay ─────────────────────────────────────────────
 
@@ -42,6 +64,101 @@ function temporalDecay(createdAt, halfLifeDays = DEFAULT_HALF_LIFE_DAYS, now) {
   return Math.pow(0.5, ageDays / halfLifeDays);
 }
 
+// ─── Expiration (NIP-40) ────────────────────────────────────────
+
+/**
+ * Read the NIP-40 expiration timestamp of an event.
+ *
+ * @param {object} event - Nostr event
+ * @returns {number|null} Unix timestamp, or null if the event has no valid expiration tag
+ */
+function getExpiration(event) {
+  const tag = event && event.tags ? event.tags.find(t => t[0] === 'expiration') : null;
+  if (!tag) return null;
+  const ts = parseInt(tag[1], 10);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+/**
+ * Check whether an event has expired (NIP-40).
+ *
+ * @param {object} event - Nostr event
+ * @param {number} [now] - Reference timestamp (defaults to Date.now()/1000)
+ * @returns {boolean} True if the expiration timestamp is at or before `now`
+ */
+function isExpired(event, now) {
+  if (!now) now = Math.floor(Date.now() / 1000);
+  const expiresAt = getExpiration(event);
+  return expiresAt !== null && expiresAt <= now;
+}
+
+// ─── Revocations (NIP-09) ───────────────────────────────────────
+
+/**
+ * Build a revocation index from NIP-09 deletion events (kind 5).
+ *
+ * A deletion only applies to events by the same author, so `e` tags are
+ * keyed by (deletion author, event id). `a` tags are only accepted when the
+ * address belongs to the deletion author. If an event was deleted more than
+ * once, the earliest deletion is kept for `e` tags and the latest for `a`
+ * tags (an address deletion covers every version up to its created_at).
+ *
+ * @param {Array} deletionEvents - kind 5 events
+ * @returns {Map<string, {revocationId, author, reason, revokedAt}>} Revocation index
+ */
+function indexRevocations(deletionEvents) {
+  const index = new Map();
+  if (!deletionEvents) return index;
+
+  for (const del of deletionEvents) {
+    if (!del || del.kind !== 5 || !del.tags) continue;
+
+    const record = {
+      revocationId: del.id,
+      author: del.pubkey,
+      reason: del.content || '',
+      revokedAt: del.created_at
+    };
+
+    for (const tag of del.tags) {
+      if (tag[0] === 'e' && tag[1]) {
+        const key = `e:${del.pubkey}:${tag[1]}`;
+        const existing = index.get(key);
+        if (!existing || record.revokedAt < existing.revokedAt) index.set(key, record);
+      } else if (tag[0] === 'a' && tag[1]) {
+        const addressAuthor = tag[1].split(':')[1];
+        if (addressAuthor !== del.pubkey) continue;
+        const key = `a:${tag[1]}`;
+        const existing = index.get(key);
+        if (!existing || record.revokedAt > existing.revokedAt) index.set(key, record);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Find the revocation that applies to an event, if any.
+ *
+ * @param {Map} index - Revocation index from indexRevocations()
+ * @param {object} event - Attestation event
+ * @returns {{revocationId, author, reason, revokedAt}|null}
+ */
+function findRevocation(index, event) {
+  if (!index || index.size === 0 || !event) return null;
+
+  const byId = index.get(`e:${event.pubkey}:${event.id}`);
+  if (byId) return byId;
+
+  const dTag = event.tags ? event.tags.find(t => t[0] === 'd') : null;
+  const address = `${event.kind}:${event.pubkey}:${dTag ? dTag[1] : ''}`;
+  const byAddress = index.get(`a:${address}`);
+  if (byAddress && event.created_at <= byAddress.revokedAt) return byAddress;
+
+  return null;
+}
+
 // ─── Zap Weight ─────────────────────────────────────────────────
 
 /**
@@ -57,6 +174,221 @@ function zapWeight(sats) {
   return 1.0 + Math.log2(1 + sats) * ZAP_MULTIPLIER;
 }
 
+/**
+ * Link pubkeys that vouch for each other's identity: every
+ * identity-continuity attestation links its attester and its subject
+ * (both ways).
+ *
+ * @param {Array} attestations - attestation events
+ * @returns {Map<string, Set<string>>} pubkey → linked pubkeys
+ */
+function buildIdentityLinks(attestations) {
+  const links = new Map();
+  const link = (a, b) => {
+    if (!links.has(a)) links.set(a, new Set());
+    links.get(a).add(b);
+  };
+  for (const att of filterByCategory(attestations, 'identity-continuity')) {
+    const pTag = att.tags.find(t => t[0] === 'p');
+    if (!pTag || pTag[1] === att.pubkey) continue;
+    link(att.pubkey, pTag[1]);
+    link(pTag[1], att.pubkey);
+  }
+  return links;
+}
+
+/**
+ * Index who vouches for whom: every positive attestation is an edge
+ * attester → subject. With `at`, attestations created later or revoked by
+ * then are left out.
+ *
+ * @param {Array} attestations - attestation events
+ * @param {object} [opts] - { at }
+ * @returns {Map<string, Set<string>>} attester → subjects
+ */
+function buildAttestationEdges(attestations, opts = {}) {
+  const edges = new Map();
+  for (const type of POSITIVE_TYPES) {
+    for (const att of filterByCategory(attestations, type)) {
+      if (opts.at && att.created_at > opts.at) continue;
+      if (att.revocation && !(opts.at && att.revocation.revokedAt > opts.at)) continue;
+      const pTag = att.tags.find(t => t[0] === 'p');
+      if (!pTag || pTag[1] === att.pubkey) continue;
+      if (!edges.has(att.pubkey)) edges.set(att.pubkey, new Set());
+      edges.get(att.pubkey).add(pTag[1]);
+    }
+  }
+  return edges;
+}
+
+/**
+ * Find attesters trading trust with a subject: those the subject attests
+ * back ('mutual'), and those on a cycle of at most `maxRingLength`
+ * attestations through the subject's other attesters ('ring').
+ *
+ * @param {string} subject - pubkey being scored
+ * @param {Set<string>} attesters - its attesters
+ * @param {Map<string, Set<string>>} edges - From buildAttestationEdges
+ * @param {number} [maxRingLength=3]
+ * @returns {Map<string, 'mutual'|'ring'>}
+ */
+function findReciprocalAttesters(subject, attesters, edges, maxRingLength = MAX_RING_LENGTH) {
+  const result = new Map();
+  const vouchedBySubject = edges.get(subject) || new Set();
+  for (const attester of attesters) {
+    if (vouchedBySubject.has(attester)) result.set(attester, 'mutual');
+  }
+
+  // Depth-limited search for a path back to `start` through other attesters
+  const onCycle = (start, node, length) => {
+    for (const next of edges.get(node) || []) {
+      if (next === start) return true;
+      if (attesters.has(next) && length < maxRingLength && onCycle(start, next, length + 1)) return true;
+    }
+    return false;
+  };
+  for (const attester of attesters) {
+    if (!result.has(attester) && onCycle(attester, attester, 1)) result.set(attester, 'ring');
+  }
+  return result;
+}
+
+/**
+ * Split the validated zaps on an attestation into counted and self-dealing
+ * sats. Zaps sent by the attester or the subject — and, with
+ * `identityLinks`, by anyone linked to either of them — are self-dealing
+ * and count at `selfZapWeight` (default 0: ignored).
+ *
+ * @param {Array<{sender: string, sats: number}>} zaps - validated zaps
+ * @param {string[]} parties - attester and subject pubkeys
+ * @param {object} [opts] - { selfZapWeight, identityLinks }
+ * @returns {{sats: number, excludedSats: number}} sats to weigh, and self-dealing sats not counted
+ */
+function splitSelfZaps(zaps, parties, opts = {}) {
+  const selfZapWeight = opts.selfZapWeight !== undefined ? opts.selfZapWeight : 0;
+  const selfDealers = new Set(parties);
+  if (opts.identityLinks) {
+    for (const pk of parties) {
+      for (const linked of opts.identityLinks.get(pk) || []) selfDealers.add(linked);
+    }
+  }
+
+  let sats = 0;
+  let selfSats = 0;
+  for (const zap of zaps) {
+    if (selfDealers.has(zap.sender)) {
+      selfSats += zap.sats;
+    } else {
+      sats += zap.sats;
+    }
+  }
+
+  const counted = Math.floor(selfSats * selfZapWeight);
+  return { sats: sats + counted, excludedSats: selfSats - counted };
+}
+
+// ─── Attester Volume ────────────────────────────────────────────
+
+// Weight of an attester with `outDegree` subjects, for outDegree > pivot
+const VOLUME_CURVES = {
+  none: () => 1.0,
+  log: (outDegree, pivot) => 1 / (1 + Math.log2(outDegree / pivot)),
+  sqrt: (outDegree, pivot) => Math.sqrt(pivot / outDegree),
+  linear: (outDegree, pivot) => pivot / outDegree
+};
+
+/**
+ * Weight of an attester by how many pubkeys it attests. Up to `pivot`
+ * subjects count fully; beyond that the curve thins each attestation out:
+ *   log    1 / (1 + log₂(d / pivot))   — gentlest
+ *   sqrt   √(pivot / d)
+ *   linear pivot / d                   — total influence capped at pivot
+ *
+ * @param {number} outDegree - Distinct subjects attested in the window
+ * @param {object} [opts] - { curve ('sqrt'), pivot (10) }
+ * @returns {number} Weight (0-1]
+ */
+function volumeWeight(outDegree, opts = {}) {
+  const curve = VOLUME_CURVES[opts.curve || 'sqrt'];
+  if (!curve) throw new Error(`Unknown volume curve: ${opts.curve}`);
+  const pivot = opts.pivot || VOLUME_PIVOT;
+  if (!(outDegree > pivot)) return 1.0;
+  return curve(outDegree, pivot);
+}
+
+/**
+ * Count each attester's outgoing attestations: the distinct pubkeys it
+ * attested (any type, self-attestations aside) in the `windowDays` before
+ * `now`. Re-attesting the same pubkey does not add to the count.
+ *
+ * @param {Array} attestations - Attestation events (e.g. from queryOutgoingAttestations)
+ * @param {object} [opts] - { now, windowDays (90) }
+ * @returns {Map<string, number>} attester → out-degree
+ */
+function countOutDegrees(attestations, opts = {}) {
+  const now = opts.now || Math.floor(Date.now() / 1000);
+  const since = now - (opts.windowDays || VOLUME_WINDOW_DAYS) * 86400;
+  const subjects = new Map();
+  for (const att of attestations) {
+    if (att.created_at > now || att.created_at < since) continue;
+    const pTag = att.tags.find(t => t[0] === 'p');
+    if (!pTag || pTag[1] === att.pubkey) continue;
+    if (!subjects.has(att.pubkey)) subjects.set(att.pubkey, new Set());
+    subjects.get(att.pubkey).add(pTag[1]);
+  }
+  const outDegrees = new Map();
+  for (const [attester, set] of subjects) outDegrees.set(attester, set.size);
+  return outDegrees;
+}
+
+// ─── Negative Quorum ────────────────────────────────────────────
+
+/**
+ * Find the negative attestations on one subject still waiting for a quorum.
+ * Attesters linked by identity-continuity or by mutual positive attestation
+ * count as one; a negative counts once attestations from `quorum` such
+ * independent attesters fall within `windowDays` of it (before or after).
+ *
+ * @param {Array<{attester: string, timestamp: number}>} negatives - Effective negatives on the subject
+ * @param {object} opts - { quorum, windowDays, identityLinks, edges }
+ *   `identityLinks` from buildIdentityLinks, `edges` from buildAttestationEdges
+ * @returns {Map<object, number>} pending negative → independent attesters in its window
+ */
+function findPendingQuorum(negatives, opts) {
+  const pending = new Map();
+  if (opts.quorum <= 1 || negatives.length === 0) return pending;
+
+  // Union linked attesters so each group counts once
+  const parent = new Map();
+  const find = pk => {
+    while (parent.get(pk) !== pk) pk = parent.get(pk);
+    return pk;
+  };
+  const attesters = [...new Set(negatives.map(n => n.attester))];
+  for (const pk of attesters) parent.set(pk, pk);
+  const linked = (a, b) => {
+    const identity = opts.identityLinks && opts.identityLinks.get(a);
+    if (identity && identity.has(b)) return true;
+    const edges = opts.edges;
+    return !!(edges && edges.has(a) && edges.get(a).has(b) && edges.has(b) && edges.get(b).has(a));
+  };
+  for (let i = 0; i < attesters.length; i++) {
+    for (let j = i + 1; j < attesters.length; j++) {
+      if (linked(attesters[i], attesters[j])) parent.set(find(attesters[i]), find(attesters[j]));
+    }
+  }
+
+  const window = opts.windowDays * 86400;
+  for (const negative of negatives) {
+    const groups = new Set();
+    for (const other of negatives) {
+      if (Math.abs(other.timestamp - negative.timestamp) <= window) groups.add(find(other.attester));
+    }
+    if (groups.size < opts.quorum) pending.set(negative, groups.size);
+  }
+  return pending;
+}
+
 // ─── Diversity Score ────────────────────────────────────────────
 
 /**
@@ -111,6 +443,79 @@ function calculateDiversity(breakdown) {
   };
 }
 
+// ─── Uncertainty ────────────────────────────────────────────────
+
+// Deterministic PRNG (mulberry32) so the same breakdown always gets the same interval
+function seededRandom(seedText) {
+  let seed = 2166136261;
+  for (let i = 0; i < seedText.length; i++) seed = Math.imul(seed ^ seedText.charCodeAt(i), 16777619);
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Poisson(1) draw by inversion
+function poissonOne(random) {
+  const u = random();
+  let k = 0;
+  let p = Math.exp(-1);
+  let cumulative = p;
+  while (u > cumulative && k < 20) {
+    k++;
+    p /= k;
+    cumulative += p;
+  }
+  return k;
+}
+
+/**
+ * Estimate how far a score could move on different evidence.
+ *
+ * Poisson bootstrap over the breakdown: each resample counts every ungated
+ * entry k ~ Poisson(1) times, so an entry may drop out or count twice. A
+ * score resting on one attestation swings between 0 and double; one built
+ * from many similar attestations barely moves.
+ *
+ *   interval   = central `level` range of the resampled display scores
+ *   confidence = 1 − interval width / 100 (0 without any evidence)
+ *
+ * Resampling is seeded from the entries' event ids, so results are stable.
+ *
+ * @param {Array} breakdown - Score breakdown array from calculateTrustScore
+ * @param {object} [opts]
+ * @param {ScoringPolicy|string|object} [opts.policy='default'] - Display scale
+ * @param {number} [opts.samples=500] - Bootstrap resamples
+ * @param {number} [opts.level=0.9] - Interval coverage
+ * @returns {{confidence: number, interval: [number, number]}} interval in display points
+ */
+function calculateConfidence(breakdown, opts = {}) {
+  const policy = getPolicy(opts.policy);
+  const samples = opts.samples || CONFIDENCE_SAMPLES;
+  const level = opts.level || CONFIDENCE_LEVEL;
+  const entries = (breakdown || []).filter(b => !b.gated && b.contribution !== 0);
+  if (entries.length === 0) return { confidence: 0, interval: [0, 0] };
+
+  const random = seededRandom(entries.map(b => b.eventId || b.attester).join(''));
+  const displays = new Array(samples);
+  for (let i = 0; i < samples; i++) {
+    let raw = 0;
+    for (const b of entries) raw += poissonOne(random) * b.contribution;
+    displays[i] = policy.display(raw);
+  }
+  displays.sort((a, b) => a - b);
+
+  const tail = (1 - level) / 2;
+  const low = displays[Math.floor(tail * (samples - 1))];
+  const high = displays[Math.ceil((1 - tail) * (samples - 1))];
+  return {
+    confidence: Math.round((1 - (high - low) / 100) * 100) / 100,
+    interval: [low, high]
+  };
+}
+
 // ─── Deduplication ──────────────────────────────────────────────
 
 /**
@@ -161,26 +566,92 @@ function deduplicateAttestations(attestations) {
  * Raw score is floored at 0.
  *
  * @param {Array} attestations - Array of attestation events
- * @param {Map} zapTotals - Map of eventId → total sats
+ * @param {Map} zapTotals - Map of eventId → total sats (validated). If it carries
+ *   `_details` (see queryZapsForEvents), breakdown entries also report
+ *   `rejectedZapSats` — sats claimed by receipts that failed NIP-57 validation —
+ *   and self-dealing zaps are split off as `excludedZapSats` (see splitSelfZaps)
  * @param {object} opts - Options:
- *   - halfLifeDays: Temporal decay half-life (default: 90)
+ *   - policy: ScoringPolicy, built-in policy name or policy options (see policy.js;
+ *     default: 'default'). The options below override the policy's values
+ *   - halfLifeDays: Temporal decay half-life for every type (default: the policy's, per type)
  *   - depth: Current recursion depth
  *   - maxDepth: Max recursion depth (default: 2)
  *   - resolveAttesterScore: async function(pubkey) → score object
  *   - now: Current timestamp for decay calculation
+ *   - at: Score as of this past timestamp: sets `now`, drops attestations created
+ *     after it and zaps received after it, and keeps attestations whose
+ *     `revocation` (see queryAttestations' includeRevoked) only came later
  *   - negativeTrustGate: Min display score for negative attestations (default: 20)
  *   - deduplicate: Whether to deduplicate attestations (default: true)
  *   - noveltyMultiplier: Multiplier for first-time edges (default: 1.3)
- * @returns {Promise<{raw, display, attestationCount, breakdown, diversity}>}
+ *   - includeExpired: Keep attestations past their NIP-40 expiration (default: false)
+ *   - selfZapWeight: Weight of zaps from the attester or subject (default: 0, ignored)
+ *   - identityLinks: Map from buildIdentityLinks(); zaps from linked pubkeys are self-dealing too
+ *   - seeds: Pubkeys (Set or array) that trust flows from. When set, scores are
+ *     relative to that perspective: attestations by a seed carry full attester
+ *     trust, attesters without trust of their own (including those past
+ *     maxDepth) carry none, instead of the default of counting them fully
+ *   - sybilClusters: Map pubkey → cluster (or a sybil.detectSybilClusters result);
+ *     attestations by cluster members count at sybilWeight
+ *   - sybilWeight: Weight of those attestations (default: the policy's, 0.1)
+ *   - attestationEdges: Map from buildAttestationEdges() of who vouches for whom
+ *     beyond these attestations, to find mutual and ring attestations
+ *     (see findReciprocalAttesters); they count at reciprocalWeight, with no novelty bonus
+ *   - reciprocalWeight: Weight of those attestations (default: the policy's, 0.5)
+ *   - maxRingLength: Longest attestation cycle counted as a ring (default: 3)
+ *   - attesterOutDegrees: Map attester → outgoing attestations in the window (see
+ *     countOutDegrees); each attestation is weighted by the policy's volume curve
+ *     (see volumeWeight) and breakdown entries report `attesterOutDegree`
+ *   - attesterCalibration: Map attester → calibration.calibrateAttester() record;
+ *     attester trust on positive attestations is multiplied by the attester's
+ *     calibration as of the attestation (see calibration.calibrationFactor)
+ *   - negativeQuorum: Independent attesters needed before negatives count
+ *     (default: the policy's, 1 — no quorum); until then they are gated as
+ *     `pendingQuorum` (see findPendingQuorum)
+ *   - negativeQuorumWindowDays: Window for the quorum (default: the policy's, 30)
+ *   - linkedAttesters: Map from buildIdentityLinks() used to tell independent
+ *     negative attesters apart (default: built from these attestations)
+ *
+ * Negative attestations carrying `rebuttals` (see wot.queryRebuttals) are
+ * weighed by the policy's negativeWeightFor() hook: by default, rebutted
+ * disputes that were later revoked count at rebuttedRevokedWeight and
+ * disputes left unanswered past rebuttalGraceDays at unansweredWeight.
+ * @returns {Promise<{raw, display, attestationCount, expiredCount, pendingQuorumCount, sybilCount, reciprocalCount, volumeDiscountedCount, breakdown, diversity, confidence, interval, policy}>}
+ *   `policy` is the id (`name@version`) of the policy that produced the score
  */
 async function calculateTrustScore(attestations, zapTotals, opts = {}) {
-  const halfLifeDays = opts.halfLifeDays || DEFAULT_HALF_LIFE_DAYS;
+  const policy = getPolicy(opts.policy);
   const depth = opts.depth || 0;
-  const maxDepth = opts.maxDepth || 2;
-  const now = opts.now || Math.floor(Date.now() / 1000);
-  const negativeTrustGate = opts.negativeTrustGate !== undefined ? opts.negativeTrustGate : NEGATIVE_ATTESTATION_TRUST_GATE;
+  const maxDepth = opts.maxDepth !== undefined ? opts.maxDepth : policy.maxDepth;
+  const at = opts.at || null;
+  const now = at || opts.now || Math.floor(Date.now() / 1000);
+  const negativeTrustGate = opts.negativeTrustGate !== undefined ? opts.negativeTrustGate : policy.negativeTrustGate;
   const shouldDeduplicate = opts.deduplicate !== undefined ? opts.deduplicate : true;
-  const noveltyMultiplier = opts.noveltyMultiplier !== undefined ? opts.noveltyMultiplier : 1.3;
+  const noveltyMultiplier = opts.noveltyMultiplier !== undefined ? opts.noveltyMultiplier : policy.noveltyMultiplier;
+  const seeds = opts.seeds ? (opts.seeds instanceof Set ? opts.seeds : new Set(opts.seeds)) : null;
+  const sybilClusters = opts.sybilClusters ? (opts.sybilClusters.byPubkey || opts.sybilClusters) : null;
+  const sybilWeight = opts.sybilWeight !== undefined ? opts.sybilWeight : policy.sybilWeight;
+  const reciprocalWeight = opts.reciprocalWeight !== undefined ? opts.reciprocalWeight : policy.reciprocalWeight;
+  const attesterOutDegrees = opts.attesterOutDegrees || null;
+  const attesterCalibration = opts.attesterCalibration || null;
+  const negativeQuorum = opts.negativeQuorum !== undefined ? opts.negativeQuorum : policy.negativeQuorum;
+  const quorumWindowDays = opts.negativeQuorumWindowDays || policy.negativeQuorumWindowDays;
+
+  // Rebuttals (see wot.queryRebuttals) that existed at the time being scored
+  const rebuttalsOf = att => (att.rebuttals || []).filter(r => !(at && r.rebuttedAt > at));
+
+  // Rebuild the state at `at`: only what existed then, minus what was revoked by then
+  if (at) {
+    attestations = attestations.filter(att => att.created_at <= at && !(att.revocation && att.revocation.revokedAt <= at));
+  }
+
+  // Drop expired attestations (NIP-40) unless explicitly requested
+  let expiredCount = 0;
+  if (!opts.includeExpired) {
+    const unexpired = attestations.filter(att => !isExpired(att, now));
+    expiredCount = attestations.length - unexpired.length;
+    attestations = unexpired;
+  }
 
   // Deduplicate if enabled — keep original list for novelty detection
   const originalAttestations = attestations;
@@ -201,8 +672,25 @@ async function calculateTrustScore(attestations, zapTotals, opts = {}) {
     }
   }
 
+  // Attesters trading trust with each subject (mutual or ring attestations)
+  const attestationEdges = opts.attestationEdges || buildAttestationEdges(attestations, { at });
+  const attestersBySubject = new Map();
+  for (const att of attestations) {
+    const pTag = att.tags ? att.tags.find(t => t[0] === 'p') : null;
+    if (!pTag) continue;
+    if (!attestersBySubject.has(pTag[1])) attestersBySubject.set(pTag[1], new Set());
+    attestersBySubject.get(pTag[1]).add(att.pubkey);
+  }
+  const reciprocalBySubject = new Map();
+  for (const [subject, attesters] of attestersBySubject) {
+    reciprocalBySubject.set(subject, findReciprocalAttesters(subject, attesters, attestationEdges, opts.maxRingLength));
+  }
+
   let rawScore = 0;
   const breakdown = [];
+  const zapDetails = zapTotals._details || new Map();
+  // Effective negatives per subject, held back until the quorum check
+  const negativesBySubject = new Map();
 
   for (const att of attestations) {
     // Strict match: ["l", "type", "ai.wot"]
@@ -222,7 +710,7 @@ async function calculateTrustScore(attestations, zapTotals, opts = {}) {
     if (!VALID_TYPES.includes(attType)) continue;
 
     const isNegative = NEGATIVE_TYPES.includes(attType);
-    const typeMult = TYPE_MULTIPLIERS[attType];
+    const typeMult = policy.typeMultipliers[attType];
 
     // Negative attestations require non-empty content
     if (isNegative && (!att.content || att.content.trim().length === 0)) {
@@ -230,6 +718,8 @@ async function calculateTrustScore(attestations, zapTotals, opts = {}) {
         attester: att.pubkey,
         type: attType,
         zapSats: 0,
+        rejectedZapSats: 0,
+        excludedZapSats: 0,
         zapWeight: 0,
         decayFactor: 0,
         attesterTrust: 0,
@@ -238,80 +728,170 @@ async function calculateTrustScore(attestations, zapTotals, opts = {}) {
         comment: '[IGNORED: empty content on negative attestation]',
         eventId: att.id,
         timestamp: att.created_at,
+        expiresAt: getExpiration(att),
         gated: true
       });
       continue;
     }
 
-    // Zap weight
-    const sats = zapTotals.get(att.id) || 0;
-    const zWeight = zapWeight(sats);
+    const pTag = att.tags ? att.tags.find(t => t[0] === 'p') : null;
+    const subject = pTag ? pTag[1] : 'unknown';
+
+    // Attester volume: the more pubkeys an attester labels, the less each label counts
+    const attesterOutDegree = attesterOutDegrees ? attesterOutDegrees.get(att.pubkey) || 0 : null;
+    const vWeight = attesterOutDegrees ? policy.volumeWeight(attesterOutDegree) : 1.0;
+
+    // Zap weight (validated receipts only, self-dealing zaps split off)
+    const zapDetail = zapDetails.get(att.id);
+    let sats = zapTotals.get(att.id) || 0;
+    let excludedZapSats = 0;
+    let rejectedZapSats = zapDetail ? zapDetail.rejectedSats : 0;
+    if (zapDetail && zapDetail.zaps) {
+      const zaps = at ? zapDetail.zaps.filter(z => !(z.createdAt > at)) : zapDetail.zaps;
+      ({ sats, excludedSats: excludedZapSats } = splitSelfZaps(zaps, [att.pubkey, subject], opts));
+      if (at) rejectedZapSats = zapDetail.rejections.filter(r => !(r.createdAt > at)).reduce((sum, r) => sum + r.sats, 0);
+    }
+    const zWeight = policy.zapWeight(sats);
 
     // Temporal decay
-    const decayFactor = temporalDecay(att.created_at, halfLifeDays, now);
+    const decayFactor = temporalDecay(att.created_at, opts.halfLifeDays || policy.halfLifeFor(attType), now);
 
     // Attester trust (recursive, with depth limit)
     let attesterTrust = 1.0;
     let attesterDisplayScore = 100; // assumed max if we can't resolve
-    if (depth < maxDepth && opts.resolveAttesterScore) {
+    if (seeds && seeds.has(att.pubkey)) {
+      // Seeds are trusted outright from this perspective
+    } else if (depth < maxDepth && opts.resolveAttesterScore) {
       const attesterScore = await opts.resolveAttesterScore(att.pubkey);
       attesterDisplayScore = attesterScore.display || 0;
       if (attesterScore.raw > 0) {
-        attesterTrust = Math.pow(attesterScore.raw, DAMPENING_FACTOR);
+        attesterTrust = Math.pow(attesterScore.raw, policy.dampeningFactor);
+      } else if (seeds) {
+        attesterTrust = 0;
       }
+    } else if (seeds) {
+      // No path back to a seed within maxDepth
+      attesterTrust = 0;
+      attesterDisplayScore = 0;
     }
 
+    // Attesters whose earlier vouches were later disputed carry less trust
+    const calibration = attesterCalibration && !isNegative ? calibrationFactor(attesterCalibration.get(att.pubkey), att.created_at) : null;
+    if (calibration !== null) attesterTrust *= calibration;
+
     // Gate negative attestations: only effective if attester has trust >= gate
     if (isNegative && attesterDisplayScore < negativeTrustGate) {
       breakdown.push({
         attester: att.pubkey,
         type: attType,
         zapSats: sats,
+        rejectedZapSats,
+        excludedZapSats,
         zapWeight: Math.round(zWeight * 100) / 100,
         decayFactor: Math.round(decayFactor * 1000) / 1000,
         attesterTrust: Math.round(attesterTrust * 100) / 100,
         attesterDisplayScore,
+        attesterOutDegree,
+        volumeWeight: Math.round(vWeight * 1000) / 1000,
         typeMult,
+        rebuttalCount: rebuttalsOf(att).length,
         contribution: 0,
         comment: att.content ? att.content.substring(0, 80) : '',
         eventId: att.id,
         timestamp: att.created_at,
+        expiresAt: getExpiration(att),
         gated: true,
         gateReason: `Attester trust ${attesterDisplayScore} < gate ${negativeTrustGate}`
       });
       continue;
     }
 
-    let contribution = zWeight * attesterTrust * typeMult * decayFactor;
+    let contribution = zWeight * attesterTrust * typeMult * decayFactor * vWeight;
+
+    // The policy's hook weighs negatives by how the disputed agent answered them
+    let negativeWeight = null;
+    if (isNegative) {
+      negativeWeight = policy.negativeWeightFor({
+        type: attType,
+        attester: att.pubkey,
+        subject,
+        createdAt: att.created_at,
+        rebuttals: rebuttalsOf(att),
+        revocation: att.revocation || null,
+        now
+      });
+      contribution *= negativeWeight;
+    }
+
+    // Suspected sybil cluster members count at sybilWeight
+    const sybilCluster = sybilClusters ? sybilClusters.get(att.pubkey) : null;
+    if (sybilCluster) contribution *= sybilWeight;
+
+    // Positive attestations traded back and forth count at reciprocalWeight, without novelty bonus
+    const reciprocal = isNegative ? null : (reciprocalBySubject.get(subject) || new Map()).get(att.pubkey) || null;
+    if (reciprocal) contribution *= reciprocalWeight;
 
     // Novelty bonus: check if this is the first attestation from this attester to this subject
-    const pTag = att.tags ? att.tags.find(t => t[0] === 'p') : null;
-    const subject = pTag ? pTag[1] : 'unknown';
     const edgeKey = `${att.pubkey}:${subject}`;
     const earliestForEdge = earliestByEdge.get(edgeKey);
-    const isNovel = earliestForEdge !== undefined && att.created_at === earliestForEdge;
+    const isNovel = !reciprocal && earliestForEdge !== undefined && att.created_at === earliestForEdge;
 
     if (isNovel && noveltyMultiplier !== 1.0) {
       contribution *= noveltyMultiplier;
     }
 
-    rawScore += contribution;
-
-    breakdown.push({
+    const entry = {
       attester: att.pubkey,
       type: attType,
       zapSats: sats,
+      rejectedZapSats,
+      excludedZapSats,
       zapWeight: Math.round(zWeight * 100) / 100,
       decayFactor: Math.round(decayFactor * 1000) / 1000,
       attesterTrust: Math.round(attesterTrust * 100) / 100,
+      calibration: calibration !== null ? Math.round(calibration * 1000) / 1000 : null,
+      attesterOutDegree,
+      volumeWeight: Math.round(vWeight * 1000) / 1000,
       typeMult,
+      rebuttalCount: isNegative ? rebuttalsOf(att).length : null,
+      negativeWeight: negativeWeight !== null ? Math.round(negativeWeight * 1000) / 1000 : null,
       contribution: Math.round(contribution * 100) / 100,
       comment: att.content ? att.content.substring(0, 80) : '',
       eventId: att.id,
       timestamp: att.created_at,
+      expiresAt: getExpiration(att),
       gated: false,
-      noveltyBonus: isNovel
-    });
+      noveltyBonus: isNovel,
+      reciprocal: !!reciprocal,
+      reciprocalType: reciprocal,
+      sybilCluster: sybilCluster ? sybilCluster.id : null
+    };
+    breakdown.push(entry);
+
+    if (isNegative && negativeQuorum > 1) {
+      if (!negativesBySubject.has(subject)) negativesBySubject.set(subject, []);
+      negativesBySubject.get(subject).push({ attester: att.pubkey, timestamp: att.created_at, entry, contribution });
+    } else {
+      rawScore += contribution;
+    }
+  }
+
+  // Negatives count only with a quorum of independent attesters in the window
+  const identityLinks = negativesBySubject.size > 0 ? (opts.linkedAttesters || buildIdentityLinks(attestations)) : null;
+  for (const negatives of negativesBySubject.values()) {
+    const pending = findPendingQuorum(negatives, { quorum: negativeQuorum, windowDays: quorumWindowDays, identityLinks, edges: attestationEdges });
+    for (const negative of negatives) {
+      if (!pending.has(negative)) {
+        rawScore += negative.contribution;
+        continue;
+      }
+      Object.assign(negative.entry, {
+        contribution: 0,
+        gated: true,
+        pendingQuorum: true,
+        gateReason: `pending-quorum: ${pending.get(negative)} of ${negativeQuorum} independent attesters within ${quorumWindowDays} days`
+      });
+    }
   }
 
   // Floor raw score at 0
@@ -319,13 +899,20 @@ async function calculateTrustScore(attestations, zapTotals, opts = {}) {
 
   const result = {
     raw: flooredRaw,
-    display: Math.min(100, Math.round(Math.max(0, rawScore) * 10)),
+    display: policy.display(rawScore),
     attestationCount: attestations.length,
+    expiredCount,
     positiveCount: breakdown.filter(b => !b.gated && b.contribution > 0).length,
     negativeCount: breakdown.filter(b => !b.gated && b.contribution < 0).length,
     gatedCount: breakdown.filter(b => b.gated).length,
+    pendingQuorumCount: breakdown.filter(b => b.pendingQuorum).length,
+    sybilCount: breakdown.filter(b => b.sybilCluster).length,
+    reciprocalCount: breakdown.filter(b => b.reciprocal).length,
+    volumeDiscountedCount: breakdown.filter(b => !b.gated && b.volumeWeight < 1).length,
     breakdown,
-    diversity: calculateDiversity(breakdown.filter(b => !b.gated))
+    diversity: calculateDiversity(breakdown.filter(b => !b.gated)),
+    ...calculateConfidence(breakdown, { policy }),
+    policy: policy.id
   };
 
   return result;
@@ -428,9 +1015,21 @@ async function calculateAllCategoryScores(attestations, zapTotals, opts = {}) {
 module.exports = {
   calculateTrustScore,
   calculateDiversity,
+  calculateConfidence,
   deduplicateAttestations,
   temporalDecay,
+  getExpiration,
+  isExpired,
+  indexRevocations,
+  findRevocation,
   zapWeight,
+  volumeWeight,
+  countOutDegrees,
+  buildIdentityLinks,
+  buildAttestationEdges,
+  findReciprocalAttesters,
+  findPendingQuorum,
+  splitSelfZaps,
   filterByCategory,
   calculateCategoryScore,
   calculateAllCategoryScores,
@@ -438,11 +1037,18 @@ module.exports = {
   VALID_TYPES,
   POSITIVE_TYPES,
   NEGATIVE_TYPES,
+  REBUTTAL_TYPE,
   CATEGORIES,
   ALL_CATEGORY_NAMES,
   ZAP_MULTIPLIER,
   DAMPENING_FACTOR,
   DEFAULT_HALF_LIFE_DAYS,
   NEGATIVE_ATTESTATION_TRUST_GATE,
+  CONFIDENCE_SAMPLES,
+  CONFIDENCE_LEVEL,
+  MAX_RING_LENGTH,
+  VOLUME_CURVES,
+  VOLUME_PIVOT,
+  VOLUME_WINDOW_DAYS,
   NAMESPACE
 };
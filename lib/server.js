@@ -3,11 +3,12 @@
 
 const http = require('http');
 const wot = require('./wot');
-const { temporalDecay, NEGATIVE_TYPES } = require('./scoring');
+const { temporalDecay, getExpiration, findRevocation, NEGATIVE_TYPES } = require('./scoring');
 const { parseDVMResult, DVM_KIND_NAMES } = require('./receipts');
 
 const VERSION = '0.8.0';
 const { CandidateStore } = require('./candidates');
+const { AttestationStore, DEFAULT_STORE_DIR } = require('./store');
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -31,6 +32,9 @@ function parseBody(req) {
 const cache = new Map();
 const CACHE_TTL_MS = 60 * 1000; // 60 seconds
 
+// Attestations expiring within this window are listed separately
+const EXPIRING_SOON_DAYS = 14;
+
 function getCached(key) {
   const entry = cache.get(key);
   if (!entry) return null;
@@ -45,9 +49,30 @@ function setCache(key, data) {
   cache.set(key, { data, ts: Date.now() });
 }
 
+// Cache key suffix separating personalized (?perspective=), non-default
+// policy (?policy=), sybil-discounted (?sybil=1), volume-normalized
+// (?volume=1) and calibrated (?calibrate=1) scores from the plain ones
+function variantKey(source) {
+  return (source.perspective ? `@${source.perspective}` : '') + (source.policy ? `~${source.policy}` : '') +
+    (source.sybil ? '!sybil' : '') + (source.volume ? '!volume' : '') + (source.calibrate ? '!calibrate' : '');
+}
+
+// Drop cached entries that mention any of the given pubkeys (plus network-wide results)
+function invalidateCached(pubkeys) {
+  if (pubkeys.length === 0) return;
+  cache.delete('stats');
+  for (const key of cache.keys()) {
+    if (key.startsWith('graph') || pubkeys.some(pk => key.includes(pk))) cache.delete(key);
+  }
+  markGlobalScoresStale();
+}
+
 // ─── Badge SVG ──────────────────────────────────────────────────
 
-function generateBadgeSvg(score, label = 'ai.wot trust') {
+// Badges for scores below this confidence are faded and marked approximate
+const LOW_CONFIDENCE = 0.5;
+
+function generateBadgeSvg(score, label = 'ai.wot trust', uncertainty = null) {
   let color, textColor;
   if (score === null || score === undefined) {
     color = '#9e9e9e'; // gray
@@ -67,10 +92,14 @@ function generateBadgeSvg(score, label = 'ai.wot trust') {
   const labelWidth = 80;
   const valueWidth = 46;
   const totalWidth = labelWidth + valueWidth;
-  const scoreText = typeof score === 'number' ? `${score}/100` : score;
-
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20" role="img" aria-label="${label}: ${scoreText}">
-  <title>${label}: ${scoreText}</title>
+  const uncertain = typeof score === 'number' && uncertainty && uncertainty.confidence < LOW_CONFIDENCE;
+  const scoreText = typeof score === 'number' ? `${uncertain ? '~' : ''}${score}/100` : score;
+  const title = uncertain
+    ? `${label}: ${scoreText} (low confidence, likely ${uncertainty.interval[0]}-${uncertainty.interval[1]})`
+    : `${label}: ${scoreText}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
   <linearGradient id="s" x2="0" y2="100%">
     <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
     <stop offset="1" stop-opacity=".1"/>
@@ -80,7 +109,7 @@ function generateBadgeSvg(score, label = 'ai.wot trust') {
   </clipPath>
   <g clip-path="url(#r)">
     <rect width="${labelWidth}" height="20" fill="#555"/>
-    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"${uncertain ? ' fill-opacity=".5"' : ''}/>
     <rect width="${totalWidth}" height="20" fill="url(#s)"/>
   </g>
   <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" text-rendering="geometricPrecision" font-size="11">
@@ -148,10 +177,33 @@ function matchRoute(url) {
   m = url.match(/^\/v1\/score\/([0-9a-fA-F]{64})\/categories$/);
   if (m) return { handler: 'allCategoryScores', pubkey: m[1].toLowerCase() };
 
+  // GET /v1/score/:pubkey/history
+  m = url.match(/^\/v1\/score\/([0-9a-fA-F]{64})\/history$/);
+  if (m) return { handler: 'scoreHistory', pubkey: m[1].toLowerCase() };
+
+  // GET /v1/score/:pubkey/diff
+  m = url.match(/^\/v1\/score\/([0-9a-fA-F]{64})\/diff$/);
+  if (m) return { handler: 'scoreDiff', pubkey: m[1].toLowerCase() };
+
+  // GET /v1/sybil/:pubkey
+  m = url.match(/^\/v1\/sybil\/([0-9a-fA-F]{64})$/);
+  if (m) return { handler: 'sybil', pubkey: m[1].toLowerCase() };
+
+  // GET /v1/calibration/:pubkey
+  m = url.match(/^\/v1\/calibration\/([0-9a-fA-F]{64})$/);
+  if (m) return { handler: 'calibration', pubkey: m[1].toLowerCase() };
+
   // GET /v1/path/:from/:to
   m = url.match(/^\/v1\/path\/([0-9a-fA-F]{64})\/([0-9a-fA-F]{64})$/);
   if (m) return { handler: 'trustPath', fromPubkey: m[1].toLowerCase(), toPubkey: m[2].toLowerCase() };
 
+  // GET /v1/graph/score/:pubkey
+  m = url.match(/^\/v1\/graph\/score\/([0-9a-fA-F]{64})$/);
+  if (m) return { handler: 'graphScore', pubkey: m[1].toLowerCase() };
+
+  // GET /v1/graph/scores
+  if (url === '/v1/graph/scores') return { handler: 'graphScores' };
+
   // GET /v1/score/:pubkey
   m = url.match(/^\/v1\/score\/([0-9a-fA-F]{64})$/);
   if (m) return { handler: 'score', pubkey: m[1].toLowerCase() };
@@ -200,29 +252,52 @@ function matchRoute(url) {
 
 // ─── Handlers ───────────────────────────────────────────────────
 
-async function handleScore(pubkey) {
-  const cacheKey = `score:${pubkey}`;
+async function handleScore(pubkey, source = {}) {
+  const cacheKey = `score:${pubkey}${variantKey(source)}${source.at ? `#${source.at}` : ''}`;
   let data = getCached(cacheKey);
   if (!data) {
-    const score = await wot.calculateTrustScore(pubkey);
+    const score = await wot.calculateTrustScore(pubkey, source);
     data = {
       pubkey,
+      perspective: source.perspective,
+      policy: score.policy,
+      at: source.at,
       score: score.display,
       raw: score.raw,
+      confidence: score.confidence,
+      interval: score.interval,
       attestationCount: score.attestationCount,
       positiveCount: score.positiveCount,
       negativeCount: score.negativeCount,
       gatedCount: score.gatedCount,
+      pendingQuorumCount: score.pendingQuorumCount,
+      sybilCount: score.sybilCount,
+      reciprocalCount: score.reciprocalCount,
+      volumeDiscountedCount: score.volumeDiscountedCount,
       diversity: score.diversity,
+      rejectedEvents: score.rejectedEvents,
+      truncated: score.truncated,
       breakdown: score.breakdown.map(b => ({
         attester: b.attester,
         type: b.type,
         contribution: b.contribution,
         decayFactor: b.decayFactor,
         zapSats: b.zapSats,
+        rejectedZapSats: b.rejectedZapSats,
+        excludedZapSats: b.excludedZapSats,
         timestamp: b.timestamp,
+        expiresAt: b.expiresAt,
         gated: b.gated || false,
-        gateReason: b.gateReason || undefined
+        gateReason: b.gateReason || undefined,
+        pendingQuorum: b.pendingQuorum || undefined,
+        reciprocal: b.reciprocal || false,
+        reciprocalType: b.reciprocalType || undefined,
+        rebuttalCount: b.rebuttalCount !== null ? b.rebuttalCount : undefined,
+        negativeWeight: b.negativeWeight !== null ? b.negativeWeight : undefined,
+        calibration: b.calibration !== null ? b.calibration : undefined,
+        attesterOutDegree: b.attesterOutDegree !== null ? b.attesterOutDegree : undefined,
+        volumeWeight: b.attesterOutDegree !== null ? b.volumeWeight : undefined,
+        sybilCluster: b.sybilCluster || undefined
       }))
     };
     setCache(cacheKey, data);
@@ -230,42 +305,45 @@ async function handleScore(pubkey) {
   return { status: 200, body: data };
 }
 
-async function handleBulkScores(pubkeys) {
+async function handleBulkScores(pubkeys, source = {}) {
   const results = {};
   const errors = [];
-  
-  // Process in parallel with concurrency limit
-  const CONCURRENCY = 5;
-  const chunks = [];
-  for (let i = 0; i < pubkeys.length; i += CONCURRENCY) {
-    chunks.push(pubkeys.slice(i, i + CONCURRENCY));
+
+  // Serve what we can from cache, score the rest in one batched pass;
+  // a pubkey that fails to score is reported on its own
+  const missing = [];
+  for (const pubkey of pubkeys) {
+    const data = getCached(`score:${pubkey}${variantKey(source)}`);
+    if (data) {
+      results[pubkey] = data;
+    } else {
+      missing.push(pubkey);
+    }
   }
-  
-  for (const chunk of chunks) {
-    const promises = chunk.map(async (pubkey) => {
-      try {
-        // Check cache first
-        const cacheKey = `score:${pubkey}`;
-        let data = getCached(cacheKey);
-        
-        if (!data) {
-          const score = await wot.calculateTrustScore(pubkey);
-          data = {
-            pubkey,
-            score: score.display,
-            attestationCount: score.attestationCount,
-            diversity: score.diversity
-          };
-          setCache(cacheKey, data);
-        }
+
+  if (missing.length > 0) {
+    try {
+      const scores = await wot.calculateTrustScores(missing, source);
+      for (const [pubkey, score] of scores) {
+        const data = {
+          pubkey,
+          perspective: source.perspective,
+          policy: score.policy,
+          score: score.display,
+          confidence: score.confidence,
+          interval: score.interval,
+          attestationCount: score.attestationCount,
+          diversity: score.diversity
+        };
+        setCache(`score:${pubkey}${variantKey(source)}`, data);
         results[pubkey] = data;
-      } catch (e) {
-        errors.push({ pubkey, error: e.message });
       }
-    });
-    await Promise.all(promises);
+      for (const [pubkey, err] of scores._errors) errors.push({ pubkey, error: err.message });
+    } catch (e) {
+      for (const pubkey of missing) errors.push({ pubkey, error: e.message });
+    }
   }
-  
+
   return {
     status: 200,
     body: {
@@ -278,42 +356,70 @@ async function handleBulkScores(pubkeys) {
   };
 }
 
-async function handleAttestations(pubkey) {
-  const cacheKey = `att:${pubkey}`;
+async function handleAttestations(pubkey, source = {}) {
+  const cacheKey = `att:${pubkey}${variantKey(source)}`;
   let data = getCached(cacheKey);
   if (!data) {
-    const attestations = await wot.queryAttestations(pubkey);
+    const attestations = await wot.queryAttestations(pubkey, source);
+    // Under a policy with a negative quorum, mark the negatives still waiting for one
+    let pending = new Set();
+    if (wot.getPolicy(source.policy).negativeQuorum > 1) {
+      const score = await wot.calculateTrustScore(pubkey, source);
+      pending = new Set(score.breakdown.filter(b => b.pendingQuorum).map(b => b.eventId));
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const soonCutoff = now + EXPIRING_SOON_DAYS * 86400;
+    const items = attestations.map(a => {
+      const lTag = a.tags.find(t => t[0] === 'l' && t[2] === wot.NAMESPACE);
+      const type = lTag ? lTag[1] : 'unknown';
+      return {
+        id: a.id,
+        attester: a.pubkey,
+        type,
+        isNegative: NEGATIVE_TYPES.includes(type),
+        status: pending.has(a.id) ? 'pending-quorum' : undefined,
+        comment: a.content || '',
+        rebuttals: a.rebuttals,
+        created_at: a.created_at,
+        expiresAt: getExpiration(a),
+        age_days: Math.round((now - a.created_at) / 86400 * 10) / 10,
+        decay: Math.round(temporalDecay(a.created_at) * 1000) / 1000
+      };
+    }).sort((a, b) => b.created_at - a.created_at);
+    const isExpiringSoon = (item) => item.expiresAt !== null && item.expiresAt <= soonCutoff;
+
     data = {
       pubkey,
-      count: attestations.length,
-      revokedCount: attestations._revokedCount || 0,
-      attestations: attestations.map(a => {
-        const lTag = a.tags.find(t => t[0] === 'l' && t[2] === wot.NAMESPACE);
-        const type = lTag ? lTag[1] : 'unknown';
-        return {
-          id: a.id,
-          attester: a.pubkey,
-          type,
-          isNegative: NEGATIVE_TYPES.includes(type),
-          comment: a.content || '',
-          created_at: a.created_at,
-          age_days: Math.round((Date.now() / 1000 - a.created_at) / 86400 * 10) / 10,
-          decay: Math.round(temporalDecay(a.created_at) * 1000) / 1000
-        };
-      }).sort((a, b) => b.created_at - a.created_at)
+      count: items.length,
+      revokedCount: attestations._revocations.length,
+      expiredCount: attestations._expiredCount || 0,
+      pendingQuorumCount: pending.size,
+      rebuttedCount: items.filter(item => item.rebuttals && item.rebuttals.length > 0).length,
+      truncated: !!attestations._truncated,
+      revoked: attestations._revocations.map(r => ({
+        id: r.eventId,
+        attester: r.attester,
+        revocationId: r.revocationId,
+        reason: r.reason,
+        revokedAt: r.revokedAt
+      })),
+      attestations: items.filter(item => !isExpiringSoon(item)),
+      expiringSoon: items
+        .filter(isExpiringSoon)
+        .sort((a, b) => a.expiresAt - b.expiresAt)
     };
     setCache(cacheKey, data);
   }
   return { status: 200, body: data };
 }
 
-async function handleBadge(pubkey) {
-  const cacheKey = `badge:${pubkey}`;
+async function handleBadge(pubkey, source = {}) {
+  const cacheKey = `badge:${pubkey}${variantKey(source)}`;
   let svg = getCached(cacheKey);
   if (!svg) {
     try {
-      const score = await wot.calculateTrustScore(pubkey);
-      svg = generateBadgeSvg(score.display);
+      const score = await wot.calculateTrustScore(pubkey, source);
+      svg = generateBadgeSvg(score.display, undefined, { confidence: score.confidence, interval: score.interval });
     } catch (e) {
       svg = generateBadgeSvg(null);
     }
@@ -322,12 +428,12 @@ async function handleBadge(pubkey) {
   return { status: 200, body: svg, contentType: 'image/svg+xml' };
 }
 
-async function handleDiversityBadge(pubkey) {
+async function handleDiversityBadge(pubkey, source = {}) {
   const cacheKey = `divbadge:${pubkey}`;
   let svg = getCached(cacheKey);
   if (!svg) {
     try {
-      const score = await wot.calculateTrustScore(pubkey);
+      const score = await wot.calculateTrustScore(pubkey, source);
       svg = generateDiversityBadgeSvg(score.diversity.diversity);
     } catch (e) {
       svg = generateDiversityBadgeSvg(null);
@@ -419,16 +525,15 @@ async function handleDVMReceipts(pubkey) {
   return { status: 200, body: data };
 }
 
-async function handleStats() {
+async function handleStats(source = {}) {
   const cacheKey = 'stats';
   let data = getCached(cacheKey);
   if (!data) {
     const filter = {
       kinds: [1985],
-      '#L': ['ai.wot'],
-      limit: 200
+      '#L': ['ai.wot']
     };
-    const events = await wot.queryRelays(filter);
+    const events = await wot.queryRelays(filter, wot.RELAYS, source);
 
     const uniqueAttesters = new Set();
     const uniqueTargets = new Set();
@@ -456,18 +561,20 @@ async function handleStats() {
     }
 
     // Check for revocations
-    const revoked = await wot.queryRevocations([...uniqueAttesters]);
+    const revocationIndex = await wot.queryRevocations([...uniqueAttesters], wot.RELAYS, source);
+    const revokedCount = events.filter(e => findRevocation(revocationIndex, e)).length;
 
     data = {
       totalAttestations: events.length,
       positiveAttestations: positiveCount,
       negativeAttestations: negativeCount,
-      revokedAttestations: revoked.size,
+      revokedAttestations: revokedCount,
       uniqueAttesters: uniqueAttesters.size,
       uniqueTargets: uniqueTargets.size,
       typeCounts,
       oldestAttestation: oldest === Infinity ? null : new Date(oldest * 1000).toISOString(),
       newestAttestation: newest === 0 ? null : new Date(newest * 1000).toISOString(),
+      truncated: !!(events._truncated || revocationIndex._truncated),
       relays: wot.RELAYS,
       protocol: 'ai.wot',
       version: VERSION
@@ -479,20 +586,28 @@ async function handleStats() {
 
 // ─── Category Score Handlers (v0.8.0) ───────────────────────────
 
-async function handleCategoryScore(pubkey, category) {
-  const cacheKey = `catscore:${pubkey}:${category}`;
+async function handleCategoryScore(pubkey, category, source = {}) {
+  const cacheKey = `catscore:${pubkey}:${category}${variantKey(source)}`;
   let data = getCached(cacheKey);
   if (!data) {
-    const score = await wot.calculateCategoryScore(pubkey, category);
+    const score = await wot.calculateCategoryScore(pubkey, category, source);
     data = {
       pubkey,
+      perspective: source.perspective,
+      policy: score.policy,
       category: score.category,
       score: score.display,
       raw: score.raw,
+      confidence: score.confidence,
+      interval: score.interval,
       attestationCount: score.attestationCount,
       positiveCount: score.positiveCount,
       negativeCount: score.negativeCount,
       gatedCount: score.gatedCount,
+      pendingQuorumCount: score.pendingQuorumCount,
+      sybilCount: score.sybilCount,
+      reciprocalCount: score.reciprocalCount,
+      volumeDiscountedCount: score.volumeDiscountedCount,
       diversity: score.diversity,
       breakdown: score.breakdown.map(b => ({
         attester: b.attester,
@@ -500,8 +615,11 @@ async function handleCategoryScore(pubkey, category) {
         contribution: b.contribution,
         decayFactor: b.decayFactor,
         zapSats: b.zapSats,
+        rejectedZapSats: b.rejectedZapSats,
+        excludedZapSats: b.excludedZapSats,
         timestamp: b.timestamp,
         gated: b.gated || false,
+        pendingQuorum: b.pendingQuorum || undefined,
       }))
     };
     setCache(cacheKey, data);
@@ -509,17 +627,20 @@ async function handleCategoryScore(pubkey, category) {
   return { status: 200, body: data };
 }
 
-async function handleAllCategoryScores(pubkey) {
-  const cacheKey = `catscores:${pubkey}`;
+async function handleAllCategoryScores(pubkey, source = {}) {
+  const cacheKey = `catscores:${pubkey}${variantKey(source)}`;
   let data = getCached(cacheKey);
   if (!data) {
-    const scores = await wot.getAllCategoryScores(pubkey);
-    data = { pubkey, categories: {} };
+    const scores = await wot.getAllCategoryScores(pubkey, source);
+    data = { pubkey, perspective: source.perspective, categories: {} };
     for (const [cat, score] of Object.entries(scores)) {
       data.categories[cat] = {
         category: score.category,
+        policy: score.policy,
         score: score.display,
         raw: score.raw,
+        confidence: score.confidence,
+        interval: score.interval,
         attestationCount: score.attestationCount,
         positiveCount: score.positiveCount,
         negativeCount: score.negativeCount,
@@ -530,11 +651,11 @@ async function handleAllCategoryScores(pubkey) {
   return { status: 200, body: data };
 }
 
-async function handleTrustPath(fromPubkey, toPubkey) {
+async function handleTrustPath(fromPubkey, toPubkey, source = {}) {
   const cacheKey = `path:${fromPubkey}:${toPubkey}`;
   let data = getCached(cacheKey);
   if (!data) {
-    const result = await wot.findTrustPath(fromPubkey, toPubkey);
+    const result = await wot.findTrustPath(fromPubkey, toPubkey, source);
     data = {
       from: fromPubkey,
       to: toPubkey,
@@ -547,6 +668,234 @@ async function handleTrustPath(fromPubkey, toPubkey) {
   return { status: 200, body: data };
 }
 
+// ─── Global Score Handlers (EigenTrust) ─────────────────────────
+
+const GRAPH_SCORES_LIMIT = 50;
+const GRAPH_SCORES_MAX_LIMIT = 500;
+
+const GLOBAL_SCORES_TTL_MS = 10 * 60 * 1000; // recompute in the background after this
+
+// One EigenTrust run over the whole graph serves every graph endpoint. A run
+// crawls the graph (or reads the store), so it is kept apart from the
+// response cache: concurrent requests share one in-flight run, and once a
+// result exists it is served while a stale one is recomputed in the background.
+const globalScores = new Map(); // variant key → { scores, stale, refreshing }
+
+function getGlobalScores(source) {
+  const key = variantKey(source);
+  const entry = globalScores.get(key);
+  if (entry && entry.scores) {
+    if (entry.stale || Date.now() - entry.scores._computedAt > GLOBAL_SCORES_TTL_MS) refreshGlobalScores(source).catch(() => {});
+    return Promise.resolve(entry.scores);
+  }
+  return refreshGlobalScores(source);
+}
+
+function refreshGlobalScores(source) {
+  const key = variantKey(source);
+  let entry = globalScores.get(key);
+  if (!entry) {
+    entry = { scores: null, stale: false, refreshing: null };
+    globalScores.set(key, entry);
+  }
+  if (entry.refreshing) return entry.refreshing;
+
+  // Changes seen during the run may not be in its result; they mark it stale again
+  entry.stale = false;
+  entry.refreshing = wot.computeGlobalScores(source)
+    .then((scores) => {
+      scores._computedAt = Date.now();
+      entry.scores = scores;
+      return scores;
+    })
+    .catch((err) => {
+      entry.stale = true;
+      if (entry.scores) console.error(`[graph] Background refresh failed: ${err.message}`);
+      throw err;
+    })
+    .finally(() => {
+      entry.refreshing = null;
+    });
+  return entry.refreshing;
+}
+
+// Serve the current global scores until a refresh replaces them
+function markGlobalScoresStale() {
+  for (const entry of globalScores.values()) entry.stale = true;
+}
+
+async function handleGraphScores(source, req) {
+  const url = new URL(req.url, 'http://localhost');
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || String(GRAPH_SCORES_LIMIT), 10) || GRAPH_SCORES_LIMIT, GRAPH_SCORES_MAX_LIMIT);
+  const scores = await getGlobalScores(source);
+
+  const top = [];
+  for (const [pubkey, s] of scores) {
+    if (top.length >= limit) break;
+    top.push({ pubkey, score: s.display, rank: s.rank, eigentrust: s.score, distrust: s.distrust });
+  }
+
+  return {
+    status: 200,
+    body: {
+      perspective: source.perspective,
+      policy: scores._policy,
+      algorithm: 'eigentrust',
+      nodeCount: scores._nodeCount,
+      edgeCount: scores._edgeCount,
+      iterations: scores._iterations,
+      converged: scores._converged,
+      truncated: scores._truncated,
+      computedAt: Math.floor(scores._computedAt / 1000),
+      scores: top
+    }
+  };
+}
+
+async function handleGraphScore(pubkey, source = {}) {
+  const cacheKey = `graphscore:${pubkey}${variantKey(source)}`;
+  let data = getCached(cacheKey);
+  if (!data) {
+    const globalScores = await getGlobalScores(source);
+    const [comparison] = await wot.compareGlobalScores([pubkey], { ...source, globalScores });
+    const s = globalScores.get(pubkey);
+    data = {
+      pubkey,
+      perspective: source.perspective,
+      policy: globalScores._policy,
+      global: {
+        score: comparison.global,
+        rank: comparison.rank,
+        eigentrust: s ? s.score : 0,
+        distrust: s ? s.distrust : 0,
+        nodeCount: globalScores._nodeCount
+      },
+      recursive: { score: comparison.recursive },
+      delta: comparison.delta,
+      converged: globalScores._converged,
+      truncated: globalScores._truncated
+    };
+    setCache(cacheKey, data);
+  }
+  return { status: 200, body: data };
+}
+
+async function handleScoreHistory(pubkey, source = {}, range = {}) {
+  const cacheKey = `history:${pubkey}${variantKey(source)}#${range.from || ''}-${range.to || ''}/${range.step || ''}`;
+  let data = getCached(cacheKey);
+  if (!data) {
+    // Only a bad range is the caller's fault; fetch and scoring errors are 500s
+    try {
+      wot.historyRange(range);
+    } catch (err) {
+      return { status: 400, body: { error: err.message } };
+    }
+    const points = await wot.getScoreHistory(pubkey, { ...source, ...range });
+    data = {
+      pubkey,
+      perspective: source.perspective,
+      policy: points._policy,
+      from: points[0].at,
+      to: points[points.length - 1].at,
+      step: points.length > 1 ? points[1].at - points[0].at : range.step,
+      truncated: points._truncated,
+      points
+    };
+    setCache(cacheKey, data);
+  }
+  return { status: 200, body: data };
+}
+
+async function handleSybil(pubkey, source = {}) {
+  const cacheKey = `sybil:${pubkey}`;
+  let data = getCached(cacheKey);
+  if (!data) {
+    const report = await wot.getSybilReport(pubkey, source);
+    data = {
+      pubkey,
+      flagged: report.flagged,
+      cluster: report.cluster,
+      attesterClusters: report.attesterClusters,
+      suspectedAttesters: report.suspectedAttesters,
+      attesterCount: report.attesterCount,
+      nodeCount: report.nodeCount,
+      edgeCount: report.edgeCount,
+      truncated: report.truncated
+    };
+    setCache(cacheKey, data);
+  }
+  return { status: 200, body: data };
+}
+
+async function handleCalibration(pubkey, source = {}) {
+  const cacheKey = `calibration:${pubkey}${variantKey(source)}`;
+  let data = getCached(cacheKey);
+  if (!data) {
+    const calibration = await wot.getAttesterCalibration(pubkey, source);
+    data = {
+      pubkey,
+      factor: calibration.factor,
+      vouches: calibration.vouches,
+      disputed: calibration.disputed,
+      prior: calibration.prior,
+      records: calibration.records
+    };
+    setCache(cacheKey, data);
+  }
+  return { status: 200, body: data };
+}
+
+// The parts of a breakdown entry that explain a score change
+function diffEntry(entry) {
+  if (!entry) return null;
+  return {
+    contribution: entry.contribution,
+    decayFactor: entry.decayFactor,
+    attesterTrust: entry.attesterTrust,
+    zapWeight: entry.zapWeight,
+    typeMult: entry.typeMult,
+    gated: entry.gated || false,
+    expiresAt: entry.expiresAt
+  };
+}
+
+async function handleScoreDiff(pubkey, source = {}, range = {}) {
+  const cacheKey = `diff:${pubkey}${variantKey(source)}#${range.from || ''}-${range.to || ''}`;
+  let data = getCached(cacheKey);
+  if (!data) {
+    // Only a bad range is the caller's fault; fetch and scoring errors are 500s
+    try {
+      wot.diffRange(range);
+    } catch (err) {
+      return { status: 400, body: { error: err.message } };
+    }
+    const diff = await wot.getScoreDiff(pubkey, { ...source, ...range });
+    data = {
+      pubkey,
+      perspective: source.perspective,
+      policy: diff.policy,
+      from: diff.from,
+      to: diff.to,
+      raw: diff.raw,
+      score: diff.display,
+      summary: diff.summary,
+      truncated: diff.truncated,
+      changes: diff.changes.map(c => ({
+        kind: c.kind,
+        eventId: c.eventId,
+        attester: c.attester,
+        type: c.type,
+        rawDelta: c.rawDelta,
+        scoreDelta: c.displayDelta,
+        before: diffEntry(c.before),
+        after: diffEntry(c.after)
+      }))
+    };
+    setCache(cacheKey, data);
+  }
+  return { status: 200, body: data };
+}
+
 // ─── Server ─────────────────────────────────────────────────────
 
 function createServer(opts = {}) {
@@ -554,9 +903,23 @@ function createServer(opts = {}) {
   const candidateStore = opts.candidateStore || null;
   const nostrKeys = opts.nostrKeys || null;
 
+  // Extra scoring policies selectable with ?policy=<name> (ScoringPolicy, options or JSON file path)
+  for (const policy of opts.policies || []) {
+    wot.registerPolicy(typeof policy === 'string' ? wot.loadPolicy(policy) : policy);
+  }
+
   const apiKey = opts.apiKey || process.env.WOT_API_KEY || null;
   const allowedOrigins = opts.corsOrigins || process.env.WOT_CORS_ORIGINS || null;
 
+  // Live sync: keep a local attestation store current and score from it
+  // (relays are used until the initial catch-up sync completes)
+  const syncEnabled = opts.sync !== undefined ? !!opts.sync : process.env.AI_WOT_SYNC === '1';
+  const attestationStore = syncEnabled
+    ? (opts.attestationStore || new AttestationStore({ dir: opts.storeDir || process.env.AI_WOT_STORE_DIR || DEFAULT_STORE_DIR }))
+    : null;
+  const source = {};
+  let liveSync = null;
+
   const server = http.createServer(async (req, res) => {
     // CORS headers — restrict POST origins when configured
     const origin = req.headers.origin || '*';
@@ -611,8 +974,14 @@ function createServer(opts = {}) {
           'GET /v1/score/:pubkey',
           'GET /v1/score/:pubkey/category/:category',
           'GET /v1/score/:pubkey/categories',
+          'GET /v1/score/:pubkey/history',
+          'GET /v1/score/:pubkey/diff',
           'POST /v1/scores/bulk',
           'GET /v1/path/:from/:to',
+          'GET /v1/graph/scores',
+          'GET /v1/graph/score/:pubkey',
+          'GET /v1/sybil/:pubkey',
+          'GET /v1/calibration/:pubkey',
           'GET /v1/attestations/:pubkey',
           'GET /v1/badge/:pubkey.svg',
           'GET /v1/diversity/:pubkey.svg',
@@ -625,30 +994,82 @@ function createServer(opts = {}) {
       return;
     }
 
+    // Personalized scores (?perspective=<observer pubkey>) and scoring policy (?policy=<name>)
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const perspective = params.get('perspective');
+    const policy = params.get('policy');
+    if (perspective && !/^[0-9a-fA-F]{64}$/.test(perspective)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'perspective must be a 64-character hex pubkey' }));
+      return;
+    }
+    if (policy && !wot.listPolicies().includes(policy)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Unknown policy — one of: ${wot.listPolicies().join(', ')}` }));
+      return;
+    }
+    const scoreSource = { ...source };
+    if (perspective) scoreSource.perspective = perspective.toLowerCase();
+    if (policy && policy !== 'default') scoreSource.policy = policy;
+    if (params.get('sybil') === '1' || params.get('sybil') === 'true') scoreSource.sybil = true;
+    if (params.get('volume') === '1' || params.get('volume') === 'true') scoreSource.volume = true;
+    if (params.get('calibrate') === '1' || params.get('calibrate') === 'true') scoreSource.calibrate = true;
+
+    // Historical scores: ?at= on /v1/score, ?from=&to=&step= on /history and /diff (unix seconds)
+    const times = {};
+    for (const name of ['at', 'from', 'to', 'step']) {
+      const value = params.get(name);
+      if (value === null) continue;
+      if (!/^\d+$/.test(value) || parseInt(value, 10) <= 0) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `${name} must be a positive integer (unix seconds)` }));
+        return;
+      }
+      times[name] = parseInt(value, 10);
+    }
+
     try {
       let result;
 
       switch (route.handler) {
         case 'categoryScore':
-          result = await handleCategoryScore(route.pubkey, route.category);
+          result = await handleCategoryScore(route.pubkey, route.category, scoreSource);
           break;
         case 'allCategoryScores':
-          result = await handleAllCategoryScores(route.pubkey);
+          result = await handleAllCategoryScores(route.pubkey, scoreSource);
+          break;
+        case 'graphScores':
+          result = await handleGraphScores(scoreSource, req);
+          break;
+        case 'graphScore':
+          result = await handleGraphScore(route.pubkey, scoreSource);
+          break;
+        case 'sybil':
+          result = await handleSybil(route.pubkey, source);
+          break;
+        case 'calibration':
+          result = await handleCalibration(route.pubkey, scoreSource);
           break;
         case 'trustPath':
-          result = await handleTrustPath(route.fromPubkey, route.toPubkey);
+          result = await handleTrustPath(route.fromPubkey, route.toPubkey, source);
           break;
         case 'score':
-          result = await handleScore(route.pubkey);
+          result = await handleScore(route.pubkey, times.at ? { ...scoreSource, at: times.at } : scoreSource);
+          break;
+        case 'scoreDiff':
+          result = await handleScoreDiff(route.pubkey, scoreSource, { from: times.from, to: times.to });
+          break;
+        case 'scoreHistory':
+          result = await handleScoreHistory(route.pubkey, scoreSource, { from: times.from, to: times.to, step: times.step });
           break;
         case 'attestations':
-          result = await handleAttestations(route.pubkey);
+          result = await handleAttestations(route.pubkey, scoreSource);
           break;
         case 'badge':
-          result = await handleBadge(route.pubkey);
+          result = await handleBadge(route.pubkey, scoreSource);
           break;
         case 'diversityBadge':
-          result = await handleDiversityBadge(route.pubkey);
+          result = await handleDiversityBadge(route.pubkey, source);
           break;
         case 'dvmEvent':
           result = await handleDVMEvent(route.eventId);
@@ -657,10 +1078,10 @@ function createServer(opts = {}) {
           result = await handleDVMReceipts(route.pubkey);
           break;
         case 'stats':
-          result = await handleStats();
+          result = await handleStats(source);
           break;
         case 'health':
-          result = { status: 200, body: { status: 'ok', version: VERSION, protocol: 'ai.wot' } };
+          result = { status: 200, body: { status: 'ok', version: VERSION, protocol: 'ai.wot', sync: syncStatus() } };
           break;
         case 'bulkScores':
           if (req.method !== 'POST') {
@@ -676,7 +1097,7 @@ function createServer(opts = {}) {
               if (validPubkeys.length === 0) {
                 result = { status: 400, body: { error: 'No valid pubkeys provided' } };
               } else {
-                result = await handleBulkScores(validPubkeys);
+                result = await handleBulkScores(validPubkeys, scoreSource);
               }
             }
           }
@@ -710,18 +1131,47 @@ function createServer(opts = {}) {
     }
   });
 
+  function syncStatus() {
+    if (!attestationStore) return undefined;
+    return { ready: !!source.store, ...attestationStore.stats() };
+  }
+
+  function startSync() {
+    liveSync = wot.watchStore(attestationStore, {
+      relays: opts.relays,
+      onChange: (subjects) => invalidateCached(subjects),
+      onError: (err) => console.error(`[sync] ${err.message}`)
+    });
+    liveSync.ready.then((result) => {
+      if (!liveSync || !result) return;
+      source.store = attestationStore;
+      cache.clear();
+      markGlobalScoresStale();
+      refreshGlobalScores(source).catch(() => {});
+      console.log(`[sync] Store ready: ${attestationStore.size} events (+${result.added.attestations} attestations)`);
+    });
+  }
+
   return {
     server,
+    attestationStore,
     start() {
+      if (attestationStore) startSync();
       return new Promise((resolve) => {
         server.listen(port, () => {
           console.log(`🌐 ai.wot REST API server v${VERSION} running on http://localhost:${port}`);
           console.log('');
           console.log('  Endpoints:');
-          console.log(`    GET /v1/score/:pubkey              — Trust score + diversity`);
+          console.log(`    GET /v1/score/:pubkey              — Trust score + diversity (?perspective=<pubkey>, ?policy=<name>, ?at=<unix>, ?sybil=1, ?volume=1, ?calibrate=1)`);
           console.log(`    GET /v1/score/:pubkey/category/:c  — Category-specific score`);
           console.log(`    GET /v1/score/:pubkey/categories   — All category scores`);
+          console.log(`    GET /v1/score/:pubkey/history      — Score over time (?from, ?to, ?step)`);
+          console.log(`    GET /v1/score/:pubkey/diff         — What changed between ?from and ?to`);
           console.log(`    GET /v1/path/:from/:to             — Trust path between agents`);
+          console.log(`    GET /v1/graph/scores               — EigenTrust ranking of all agents`);
+          console.log(`    GET /v1/graph/score/:pubkey        — EigenTrust vs recursive score`);
+          console.log(`    GET /v1/sybil/:pubkey              — Suspected sybil clusters around an agent`);
+          console.log(`    GET /v1/calibration/:pubkey        — How an attester's vouches held up`);
           console.log(`    GET /v1/attestations/:pubkey       — Attestation list`);
           console.log(`    GET /v1/badge/:pubkey.svg          — Trust badge (SVG)`);
           console.log(`    GET /v1/diversity/:pubkey.svg      — Diversity badge (SVG)`);
@@ -735,11 +1185,19 @@ function createServer(opts = {}) {
           console.log(`    POST /v1/candidates/:id/reject  — Reject candidate`);
           console.log(`    GET /health                    — Health check`);
           console.log('');
+          if (attestationStore) {
+            console.log(`  Live sync: on (store: ${attestationStore.dir || 'in-memory'})`);
+            console.log('');
+          }
           resolve(server);
         });
       });
     },
     stop() {
+      if (liveSync) {
+        liveSync.stop();
+        liveSync = null;
+      }
       return new Promise((resolve) => server.close(resolve));
     }
   };
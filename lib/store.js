@@ -0,0 +1,628 @@
+// ai-wot — Local Attestation Store
+// File-backed cache of ai.wot attestations (kind 1985), revocations (kind 5)
+// and zap receipts (kind 9735).
+//
+// Pass a store as `opts.store` to calculateTrustScore, findTrustPath and the
+// category functions to score entirely from local data. syncStore() fills
+// it from relays incrementally using `since` cursors, so repeat lookups
+// never touch the network. Zap receipts are validated against each
+// recipient's LNURL provider, which syncStore() resolves while online and
+// keeps in zappers.json.
+//
+// watchStore() keeps a store current with live subscriptions and reports
+// which subjects' scores changed.
+//
+// On disk (in `dir`):
+//   events.jsonl  — one event per line, append-only
+//   cursors.json  — { stream: unix timestamp of the last completed sync }
+//   zappers.json  — { recipient: { zapper, resolvedAt } } (zapper null if none)
+
+const fs = require('fs');
+const path = require('path');
+const { matchFilters } = require('nostr-tools/filter');
+const { verifyEvent } = require('nostr-tools/pure');
+
+// Lazy-require wot.js (wot.js is the public entry point and may load this module)
+let _wot = null;
+function getWot() {
+  if (!_wot) _wot = require('./wot');
+  return _wot;
+}
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const STORE_KINDS = [1985, 5, 9735];
+const DEFAULT_STORE_DIR = path.join(process.env.HOME || '', '.ai-wot', 'store');
+const SYNC_OVERLAP_SECS = 300; // re-read this much history to catch late-arriving events
+const ZAP_CHUNK_SIZE = 100;
+const MAX_FILTERS_PER_REQ = 10; // relays CLOSE subscriptions with more filters than their limit
+const ZAP_RESUBSCRIBE_MS = 2000; // debounce zap re-subscription after a new attestation author
+const DEPENDENT_HOPS = 2; // matches the recursion depth of calculateTrustScore
+const ZAPPER_REFRESH_SECS = 24 * 60 * 60; // re-resolve stored zap providers after this
+const ZAPPER_RETRY_SECS = 60 * 60; // ... or this, for recipients without one (may be a failed fetch)
+
+// ─── Attestation Store ──────────────────────────────────────────
+
+/**
+ * Local store of ai.wot events, answering NIP-01 filters from memory.
+ *
+ * With `dir` set, events are appended to `events.jsonl` and loaded on
+ * construction; without it the store is in-memory only.
+ */
+class AttestationStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.dir] - Directory for events.jsonl / cursors.json / zappers.json (omit for in-memory)
+   */
+  constructor(opts = {}) {
+    this.dir = opts.dir || null;
+    this._events = new Map(); // id → event
+    this._cursors = {};
+    this._zappers = {};
+
+    if (this.dir) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this._load();
+    }
+  }
+
+  /** Number of stored events. */
+  get size() {
+    return this._events.size;
+  }
+
+  /**
+   * Add an event. Only kinds 1985 (ai.wot namespace), 5 and 9735 are kept;
+   * duplicates are ignored. Events are assumed to be verified already
+   * (queryRelays only returns verified events).
+   *
+   * @param {object} event
+   * @returns {boolean} true if the event was new and stored
+   */
+  add(event) {
+    if (!this._accepts(event) || this._events.has(event.id)) return false;
+    this._events.set(event.id, event);
+    if (this.dir) {
+      fs.appendFileSync(this._eventsFile(), JSON.stringify(event) + '\n');
+    }
+    return true;
+  }
+
+  /**
+   * Add several events, writing new ones in a single append.
+   * @param {Array} events
+   * @returns {number} Number of events that were new
+   */
+  addMany(events) {
+    const added = [];
+    for (const event of events) {
+      if (!this._accepts(event) || this._events.has(event.id)) continue;
+      this._events.set(event.id, event);
+      added.push(event);
+    }
+    if (this.dir && added.length > 0) {
+      fs.appendFileSync(this._eventsFile(), added.map(e => JSON.stringify(e)).join('\n') + '\n');
+    }
+    return added.length;
+  }
+
+  /**
+   * Get a stored event by id.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    return this._events.get(id) || null;
+  }
+
+  /**
+   * Answer a NIP-01 filter (or array of filters) like a relay would:
+   * newest first, truncated to the filter's `limit`.
+   *
+   * @param {object|object[]} filter
+   * @returns {Array} Matching events
+   */
+  query(filter) {
+    const filters = Array.isArray(filter) ? filter : [filter];
+    const results = new Map();
+
+    for (const f of filters) {
+      let matched = [...this._events.values()]
+        .filter(e => matchFilters([f], e))
+        .sort((a, b) => b.created_at - a.created_at);
+      if (f.limit !== undefined) matched = matched.slice(0, f.limit);
+      for (const e of matched) results.set(e.id, e);
+    }
+
+    return [...results.values()].sort((a, b) => b.created_at - a.created_at);
+  }
+
+  /**
+   * Get the sync cursor for a stream.
+   * @param {string} stream
+   * @returns {number|null} Unix timestamp, or null if never synced
+   */
+  getCursor(stream) {
+    return this._cursors[stream] !== undefined ? this._cursors[stream] : null;
+  }
+
+  /**
+   * Set the sync cursor for a stream (persisted immediately).
+   * @param {string} stream
+   * @param {number} timestamp - Unix timestamp
+   */
+  setCursor(stream, timestamp) {
+    this._cursors[stream] = timestamp;
+    if (this.dir) {
+      fs.writeFileSync(this._cursorsFile(), JSON.stringify(this._cursors, null, 2));
+    }
+  }
+
+  /**
+   * Get the stored zap provider of a recipient.
+   * @param {string} pubkey - zap recipient
+   * @returns {{zapper: string|null, resolvedAt: number}|null} null if never resolved;
+   *   `zapper` is null if the recipient has no nostr zap endpoint
+   */
+  getZapper(pubkey) {
+    return this._zappers[pubkey] || null;
+  }
+
+  /**
+   * Record resolved zap providers (persisted immediately).
+   * @param {Map<string, string|null>} zappers - recipient → zapper pubkey (see resolveZapperPubkeys)
+   * @param {number} [resolvedAt] - Unix timestamp (default: now)
+   */
+  setZappers(zappers, resolvedAt = Math.floor(Date.now() / 1000)) {
+    for (const [pubkey, zapper] of zappers) {
+      this._zappers[pubkey] = { zapper, resolvedAt };
+    }
+    if (this.dir) {
+      fs.writeFileSync(this._zappersFile(), JSON.stringify(this._zappers, null, 2));
+    }
+  }
+
+  /**
+   * Store statistics.
+   * @returns {{total, attestations, revocations, zaps, zappers, cursors}}
+   */
+  stats() {
+    let attestations = 0, revocations = 0, zaps = 0;
+    for (const e of this._events.values()) {
+      if (e.kind === 1985) attestations++;
+      else if (e.kind === 5) revocations++;
+      else if (e.kind === 9735) zaps++;
+    }
+    const zappers = Object.keys(this._zappers).length;
+    return { total: this._events.size, attestations, revocations, zaps, zappers, cursors: { ...this._cursors } };
+  }
+
+  // ── Internal ──────────────────────────────────────────────
+
+  _accepts(event) {
+    if (!event || typeof event.id !== 'string' || !Array.isArray(event.tags)) return false;
+    if (!STORE_KINDS.includes(event.kind)) return false;
+    if (event.kind === 1985) {
+      return event.tags.some(t => t[0] === 'L' && t[1] === getWot().NAMESPACE);
+    }
+    return true;
+  }
+
+  _eventsFile() {
+    return path.join(this.dir, 'events.jsonl');
+  }
+
+  _cursorsFile() {
+    return path.join(this.dir, 'cursors.json');
+  }
+
+  _zappersFile() {
+    return path.join(this.dir, 'zappers.json');
+  }
+
+  _load() {
+    let lines = [];
+    try {
+      lines = fs.readFileSync(this._eventsFile(), 'utf8').split('\n');
+    } catch (_) {}
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const event = JSON.parse(line);
+        if (this._accepts(event)) this._events.set(event.id, event);
+      } catch (_) {
+        // Skip a partially written trailing line
+      }
+    }
+
+    try {
+      this._cursors = JSON.parse(fs.readFileSync(this._cursorsFile(), 'utf8'));
+    } catch (_) {
+      this._cursors = {};
+    }
+
+    try {
+      this._zappers = JSON.parse(fs.readFileSync(this._zappersFile(), 'utf8'));
+    } catch (_) {
+      this._zappers = {};
+    }
+  }
+}
+
+// ─── Sync ───────────────────────────────────────────────────────
+
+/**
+ * Fetch every event matching `filter`. queryRelays stops at a per-relay cap
+ * (`_truncated`), so each relay is paged further back with `until` from the
+ * oldest event it returned until it has nothing more. `_complete` is false
+ * if a relay stayed truncated without returning anything older (e.g. more
+ * events in one second than the cap), or did not answer in full (no EOSE,
+ * see queryRelay's `_incomplete`); the caller keeps its cursor then.
+ */
+async function fetchAll(filter, relays, opts = {}) {
+  const wot = getWot();
+  const events = [];
+  let rejected = {};
+  let complete = true;
+
+  await Promise.all(relays.map(async (relay) => {
+    let until = filter.until;
+    while (true) {
+      const page = await wot.queryRelays(until !== undefined ? { ...filter, until } : filter, [relay], opts);
+      rejected = mergeCounts(rejected, page._rejected);
+      events.push(...page);
+      if (page._incomplete) {
+        complete = false;
+        return;
+      }
+      if (!page._truncated) return;
+      const oldest = Math.min(...page.map(e => e.created_at));
+      if (page.length === 0 || (until !== undefined && oldest >= until)) {
+        complete = false;
+        return;
+      }
+      until = oldest;
+    }
+  }));
+
+  events._rejected = rejected;
+  events._complete = complete;
+  return events;
+}
+
+function zapRecipient(receipt) {
+  const tag = receipt.tags.find(t => t[0] === 'p');
+  return tag ? tag[1] : null;
+}
+
+/**
+ * Resolve the LNURL zap providers of `recipients` that the store has no
+ * current entry for, and record them (see resolveZapperPubkeys). Store-mode
+ * zap validation only reads these entries.
+ *
+ * @returns {Promise<number>} Number of recipients resolved
+ */
+async function resolveStoreZappers(store, recipients, opts = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const stale = [...new Set(recipients)].filter((pk) => {
+    const entry = store.getZapper(pk);
+    if (!entry) return true;
+    return now - entry.resolvedAt >= (entry.zapper ? ZAPPER_REFRESH_SECS : ZAPPER_RETRY_SECS);
+  });
+  if (stale.length === 0) return 0;
+
+  const resolved = await getWot().resolveZapperPubkeys(stale, { relays: opts.relays, fetch: opts.fetch, lookup: opts.lookup });
+  // A failed lookup is no answer: keep the previous entry and retry next time
+  const answered = new Map([...resolved].filter(([pk]) => !resolved._failed.has(pk)));
+  store.setZappers(answered, now);
+  return answered.size;
+}
+
+/**
+ * Fill a store from relays.
+ *
+ * Three streams are synced, each from its own `since` cursor:
+ *   - attestations: kind 1985 events in the ai.wot namespace
+ *   - revocations:  kind 5 events deleting kind 1985 events
+ *   - zaps:         kind 9735 receipts for stored attestations (full history
+ *                   for attestations first seen in this sync)
+ *
+ * The zap providers of all stored receipts' recipients are then resolved
+ * (kind 0 profile + LNURL endpoint) and kept in the store, refreshed after
+ * ZAPPER_REFRESH_SECS, so scoring from the store validates zaps offline.
+ *
+ * Cursors advance to the sync start time (minus a small overlap) only after
+ * a stream completes, so an interrupted sync is simply repeated. Results cut
+ * short by a relay's cap are paged further back (see fetchAll); a stream
+ * that still could not be fetched in full keeps its old cursor.
+ *
+ * @param {AttestationStore} store
+ * @param {object} [opts] - { relays, maxEvents (per relay and page run, default: queryRelays'),
+ *   fetch (for LNURL endpoints, default globalThis.fetch), lookup (DNS for LNURL hosts) }
+ * @returns {Promise<{added: {attestations, revocations, zaps, zappers}, rejected: object}>}
+ *   `added.zappers` counts recipients whose zap provider was (re-)resolved
+ */
+async function syncStore(store, opts = {}) {
+  const wot = getWot();
+  const relays = opts.relays || wot.RELAYS;
+  const startedAt = Math.floor(Date.now() / 1000);
+  const nextCursor = startedAt - SYNC_OVERLAP_SECS;
+  const added = { attestations: 0, revocations: 0, zaps: 0, zappers: 0 };
+  let rejected = {};
+
+  const withSince = (filter, stream) => {
+    const since = store.getCursor(stream);
+    return since !== null ? { ...filter, since } : filter;
+  };
+
+  // Attestations
+  const source = { maxEvents: opts.maxEvents };
+  const knownIds = new Set(store.query({ kinds: [1985] }).map(e => e.id));
+  const attestations = await fetchAll(
+    withSince({ kinds: [1985], '#L': [wot.NAMESPACE] }, 'attestations'),
+    relays, source
+  );
+  rejected = mergeCounts(rejected, attestations._rejected);
+  added.attestations = store.addMany(attestations);
+  if (attestations._complete) store.setCursor('attestations', nextCursor);
+
+  // Revocations
+  const revocations = await fetchAll(
+    withSince({ kinds: [5], '#k': ['1985'] }, 'revocations'),
+    relays, source
+  );
+  rejected = mergeCounts(rejected, revocations._rejected);
+  added.revocations = store.addMany(revocations);
+  if (revocations._complete) store.setCursor('revocations', nextCursor);
+
+  // Zaps: new attestations need their full zap history, known ones only new receipts
+  const allIds = store.query({ kinds: [1985] }).map(e => e.id);
+  const newIds = allIds.filter(id => !knownIds.has(id));
+  const oldIds = allIds.filter(id => knownIds.has(id));
+  const zapSince = store.getCursor('zaps');
+
+  const zapBatches = [
+    { ids: newIds, since: null },
+    { ids: oldIds, since: zapSince }
+  ];
+  let zapsComplete = true;
+  for (const { ids, since } of zapBatches) {
+    for (let i = 0; i < ids.length; i += ZAP_CHUNK_SIZE) {
+      const filter = { kinds: [9735], '#e': ids.slice(i, i + ZAP_CHUNK_SIZE) };
+      if (since !== null) filter.since = since;
+      const zaps = await fetchAll(filter, relays, source);
+      rejected = mergeCounts(rejected, zaps._rejected);
+      added.zaps += store.addMany(zaps);
+      if (!zaps._complete) zapsComplete = false;
+    }
+  }
+  if (zapsComplete) store.setCursor('zaps', nextCursor);
+
+  // Zap providers, so receipts can be validated without the network
+  const recipients = store.query({ kinds: [9735] }).map(zapRecipient).filter(Boolean);
+  added.zappers = await resolveStoreZappers(store, recipients, { relays, fetch: opts.fetch, lookup: opts.lookup });
+
+  return { added, rejected };
+}
+
+// ─── Live Sync ──────────────────────────────────────────────────
+
+/**
+ * Pubkeys whose scores depend on an event: the attestation subjects it
+ * touches, plus everyone those subjects attested (up to DEPENDENT_HOPS),
+ * since attester trust feeds into their scores.
+ *
+ * @param {AttestationStore} store
+ * @param {object} event - kind 1985, 5 or 9735 event
+ * @returns {string[]}
+ */
+function affectedSubjects(store, event) {
+  const attestations = [];
+
+  if (event.kind === 1985) {
+    attestations.push(event);
+  } else if (event.kind === 5) {
+    for (const tag of event.tags) {
+      if (tag[0] === 'e') {
+        const att = store.get(tag[1]);
+        if (att && att.kind === 1985 && att.pubkey === event.pubkey) attestations.push(att);
+      } else if (tag[0] === 'a') {
+        const [kind, author, d] = (tag[1] || '').split(':');
+        if (kind === '1985' && author === event.pubkey) {
+          attestations.push(...store.query({ kinds: [1985], authors: [author], '#d': [d || ''] }));
+        }
+      }
+    }
+  } else if (event.kind === 9735) {
+    for (const tag of event.tags) {
+      if (tag[0] !== 'e') continue;
+      const att = store.get(tag[1]);
+      if (att && att.kind === 1985) attestations.push(att);
+    }
+  }
+
+  const subjects = new Set();
+  for (const att of attestations) {
+    for (const tag of att.tags) {
+      if (tag[0] === 'p' && tag[1] !== att.pubkey) subjects.add(tag[1]);
+    }
+  }
+
+  let frontier = [...subjects];
+  for (let hop = 0; hop < DEPENDENT_HOPS && frontier.length > 0; hop++) {
+    const next = [];
+    for (const att of store.query({ kinds: [1985], authors: frontier })) {
+      for (const tag of att.tags) {
+        if (tag[0] === 'p' && tag[1] !== att.pubkey && !subjects.has(tag[1])) {
+          subjects.add(tag[1]);
+          next.push(tag[1]);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return [...subjects];
+}
+
+/**
+ * Keep a store current with live relay subscriptions.
+ *
+ * Holds persistent subscriptions (through the relay pool, so they survive
+ * reconnects) for new ai.wot labels, kind 5 deletions of labels, and zap
+ * receipts to the authors of stored attestations (`#p`, MAX_FILTERS_PER_REQ
+ * filters of ZAP_CHUNK_SIZE pubkeys per subscription; receipts for events
+ * other than stored attestations are dropped). The zap subscriptions are
+ * only rebuilt when a new author appears. A catch-up syncStore() runs in
+ * parallel so nothing published while offline is missed. A zap receipt for
+ * a recipient whose zap provider the store doesn't know yet is reported
+ * once the provider is resolved.
+ *
+ * @param {AttestationStore} store
+ * @param {object} [opts]
+ * @param {string[]} [opts.relays] - Relay URLs
+ * @param {RelayPool} [opts.pool] - Pool to subscribe through (default: shared pool)
+ * @param {boolean} [opts.catchUp=true] - Run syncStore() on start
+ * @param {Function} [opts.fetch] - fetch for LNURL endpoints (default globalThis.fetch)
+ * @param {Function} [opts.lookup] - DNS lookup for LNURL hosts (default dns.promises.lookup)
+ * @param {Function} [opts.onChange] - Called with (subjects, event) for each new event;
+ *   subjects are the pubkeys whose scores may have changed
+ * @param {Function} [opts.onError] - Called if the catch-up sync or resolving a zap
+ *   provider fails, or a relay closes a subscription
+ * @returns {{stop: Function, ready: Promise, subscriptions: Map}} - `ready` resolves
+ *   after the catch-up sync; subscriptions maps relay URL → [subscription]
+ */
+function watchStore(store, opts = {}) {
+  const wot = getWot();
+  const relays = opts.relays || wot.RELAYS;
+  const pool = opts.pool || wot.getRelayPool();
+  const since = Math.floor(Date.now() / 1000) - SYNC_OVERLAP_SECS;
+  const subscriptions = new Map();
+  let zapSubs = [];
+  let zapAuthors = new Set();
+  let zapTimer = null;
+  let stopped = false;
+
+  function handleEvent(event) {
+    if (stopped || store.get(event.id)) return;
+    if (event.kind === 9735 && !zapsStoredAttestation(event)) return;
+    if (!verifyEvent(event)) return;
+    if (!store.add(event)) return;
+
+    if (event.kind === 1985 && !zapAuthors.has(event.pubkey)) scheduleZapResubscribe();
+
+    const recipient = event.kind === 9735 ? zapRecipient(event) : null;
+    if (recipient && !store.getZapper(recipient)) {
+      resolveStoreZappers(store, [recipient], { relays, fetch: opts.fetch, lookup: opts.lookup })
+        .catch((err) => { if (!stopped && opts.onError) opts.onError(err); })
+        .then(() => notify(event));
+      return;
+    }
+    notify(event);
+  }
+
+  function notify(event) {
+    if (stopped || !opts.onChange) return;
+    try { opts.onChange(affectedSubjects(store, event), event); } catch (_) {}
+  }
+
+  // The #p subscription also sees the authors' other zaps
+  function zapsStoredAttestation(receipt) {
+    const tag = receipt.tags.find(t => t[0] === 'e');
+    const att = tag ? store.get(tag[1]) : null;
+    return !!att && att.kind === 1985;
+  }
+
+  function subscribeZaps() {
+    const authors = new Set(store.query({ kinds: [1985] }).map(e => e.pubkey));
+    if (stopped || (authors.size === zapAuthors.size && [...authors].every(pk => zapAuthors.has(pk)))) return;
+
+    for (const sub of zapSubs) sub.close();
+    zapSubs = [];
+    zapAuthors = authors;
+
+    const pubkeys = [...authors];
+    const filters = [];
+    for (let i = 0; i < pubkeys.length; i += ZAP_CHUNK_SIZE) {
+      filters.push({ kinds: [9735], '#p': pubkeys.slice(i, i + ZAP_CHUNK_SIZE), since });
+    }
+    for (const relay of relays) {
+      for (let i = 0; i < filters.length; i += MAX_FILTERS_PER_REQ) {
+        zapSubs.push(pool.subscribe(relay, filters.slice(i, i + MAX_FILTERS_PER_REQ), {
+          persistent: true, onEvent: handleEvent, onClose: reason => reportClosed(relay, reason)
+        }));
+      }
+    }
+  }
+
+  function reportClosed(relay, reason) {
+    if (stopped || !opts.onError) return;
+    opts.onError(new Error(`${relay} closed a subscription: ${reason}`));
+  }
+
+  function scheduleZapResubscribe() {
+    if (zapTimer) return;
+    zapTimer = setTimeout(() => {
+      zapTimer = null;
+      subscribeZaps();
+    }, ZAP_RESUBSCRIBE_MS);
+  }
+
+  const filters = [
+    { kinds: [1985], '#L': [wot.NAMESPACE], since },
+    { kinds: [5], '#k': ['1985'], since }
+  ];
+  for (const relay of relays) {
+    subscriptions.set(relay, [pool.subscribe(relay, filters, {
+      persistent: true, onEvent: handleEvent, onClose: reason => reportClosed(relay, reason)
+    })]);
+  }
+  subscribeZaps();
+
+  const ready = (opts.catchUp === false ? Promise.resolve() : syncStore(store, { relays, fetch: opts.fetch, lookup: opts.lookup }))
+    .then((result) => {
+      // Catch-up may have added attestations the zap subscription doesn't cover yet
+      if (!stopped && result && result.added.attestations > 0) subscribeZaps();
+      return result || null;
+    })
+    .catch((err) => {
+      if (opts.onError) opts.onError(err);
+      return null;
+    });
+
+  return {
+    subscriptions,
+    ready,
+    stop() {
+      stopped = true;
+      clearTimeout(zapTimer);
+      for (const subs of subscriptions.values()) {
+        for (const sub of subs) sub.close();
+      }
+      for (const sub of zapSubs) sub.close();
+      subscriptions.clear();
+      zapSubs = [];
+      zapAuthors = new Set();
+    }
+  };
+}
+
+function mergeCounts(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [key, count] of Object.entries(b)) {
+    merged[key] = (merged[key] || 0) + count;
+  }
+  return merged;
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  AttestationStore,
+  syncStore,
+  watchStore,
+  affectedSubjects,
+  STORE_KINDS,
+  DEFAULT_STORE_DIR
+};
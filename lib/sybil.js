@@ -0,0 +1,185 @@
+// ai-wot — Sybil Cluster Detection
+// calculateDiversity only sees one subject's direct attesters. This looks at
+// the attestation graph around it for groups of pubkeys that vouch for each
+// other far more than anyone outside vouches for them:
+//
+//   - dense clusters of mutual attestations (a → b and b → a)
+//   - new keys (first attestation within `newKeyDays`) attesting each other
+//
+// A group is flagged when its members attest each other densely, spend most
+// of their attestations inside the group, and receive few attestations from
+// established pubkeys outside it. Scoring can then discount attestations
+// from flagged members (policy `sybilWeight`).
+
+const { VALID_TYPES, POSITIVE_TYPES, NAMESPACE } = require('./scoring');
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const DEFAULT_NEW_KEY_DAYS = 30; // keys whose first attestation is this recent count as new
+const DEFAULT_MIN_CLUSTER_SIZE = 3;
+const DEFAULT_MIN_DENSITY = 0.5; // internal edges / possible directed edges
+const DEFAULT_MIN_INTERNAL_SHARE = 0.7; // share of members' attestations that stay inside
+const DEFAULT_MAX_EXTERNAL_RATIO = 0.25; // established inbound edges / internal edges
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+function attestationType(att) {
+  let lTag = att.tags.find(t => t[0] === 'l' && t[2] === NAMESPACE);
+  if (!lTag) {
+    const hasNs = att.tags.some(t => t[0] === 'L' && t[1] === NAMESPACE);
+    if (hasNs) lTag = att.tags.find(t => t[0] === 'l' && VALID_TYPES.includes(t[1]) && (!t[2] || t[2] === NAMESPACE));
+  }
+  return lTag ? lTag[1] : null;
+}
+
+function addToSetMap(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+// ─── Detection ──────────────────────────────────────────────────
+
+/**
+ * Find suspected sybil clusters among attestations.
+ *
+ * Positive attestations become directed edges attester → subject. Pubkeys
+ * are linked when they attest each other, or when both are new keys and
+ * one attests the other; each connected group of linked pubkeys is a
+ * candidate, flagged when
+ *   density        = internal edges / (n × (n − 1))          ≥ minDensity
+ *   internal share = internal edges / members' out-edges      ≥ minInternalShare
+ *   external ratio = inbound edges from established outsiders
+ *                    / internal edges                          ≤ maxExternalRatio
+ * Outsiders are established unless they are new keys themselves.
+ *
+ * Pass every attestation the members made (not only those about one
+ * subject), or internal share is overestimated.
+ *
+ * @param {Array} attestations - Verified, unrevoked attestation events
+ * @param {object} [opts]
+ * @param {number} [opts.now] - Reference timestamp for key age
+ * @param {number} [opts.newKeyDays=30]
+ * @param {number} [opts.minClusterSize=3]
+ * @param {number} [opts.minDensity=0.5]
+ * @param {number} [opts.minInternalShare=0.7]
+ * @param {number} [opts.maxExternalRatio=0.25]
+ * @returns {{clusters: Array, byPubkey: Map<string, object>, nodeCount: number, edgeCount: number}}
+ *   flagged clusters, largest first: { id, members, size, density, internalShare,
+ *   externalEdges, newKeyShare, reasons }; `byPubkey` maps each member to its cluster.
+ */
+function detectSybilClusters(attestations, opts = {}) {
+  const now = opts.now || Math.floor(Date.now() / 1000);
+  const newKeyDays = opts.newKeyDays !== undefined ? opts.newKeyDays : DEFAULT_NEW_KEY_DAYS;
+  const minClusterSize = opts.minClusterSize || DEFAULT_MIN_CLUSTER_SIZE;
+  const minDensity = opts.minDensity !== undefined ? opts.minDensity : DEFAULT_MIN_DENSITY;
+  const minInternalShare = opts.minInternalShare !== undefined ? opts.minInternalShare : DEFAULT_MIN_INTERNAL_SHARE;
+  const maxExternalRatio = opts.maxExternalRatio !== undefined ? opts.maxExternalRatio : DEFAULT_MAX_EXTERNAL_RATIO;
+
+  // Directed positive edges, one per attester → subject
+  const outgoing = new Map();
+  const incoming = new Map();
+  const firstSeen = new Map();
+  let edgeCount = 0;
+  for (const att of attestations) {
+    if (!POSITIVE_TYPES.includes(attestationType(att))) continue;
+    const pTag = att.tags.find(t => t[0] === 'p');
+    if (!pTag || pTag[1] === att.pubkey) continue;
+    const subject = pTag[1];
+
+    if (!firstSeen.has(att.pubkey) || att.created_at < firstSeen.get(att.pubkey)) firstSeen.set(att.pubkey, att.created_at);
+    if (outgoing.has(att.pubkey) && outgoing.get(att.pubkey).has(subject)) continue;
+    addToSetMap(outgoing, att.pubkey, subject);
+    addToSetMap(incoming, subject, att.pubkey);
+    edgeCount++;
+  }
+
+  const newSince = now - newKeyDays * 86400;
+  const isNew = pk => firstSeen.has(pk) && firstSeen.get(pk) >= newSince;
+  const hasEdge = (from, to) => outgoing.has(from) && outgoing.get(from).has(to);
+
+  // Suspicious links: mutual attestation, or new keys attesting each other
+  const links = new Map();
+  for (const [from, subjects] of outgoing) {
+    for (const to of subjects) {
+      if (hasEdge(to, from) || (isNew(from) && isNew(to))) {
+        addToSetMap(links, from, to);
+        addToSetMap(links, to, from);
+      }
+    }
+  }
+
+  const clusters = [];
+  const visited = new Set();
+  for (const start of links.keys()) {
+    if (visited.has(start)) continue;
+    const members = new Set([start]);
+    const queue = [start];
+    visited.add(start);
+    while (queue.length > 0) {
+      for (const next of links.get(queue.shift())) {
+        if (visited.has(next)) continue;
+        visited.add(next);
+        members.add(next);
+        queue.push(next);
+      }
+    }
+    if (members.size < minClusterSize) continue;
+
+    let internal = 0;
+    let outTotal = 0;
+    let mutual = 0;
+    let externalEdges = 0;
+    for (const m of members) {
+      for (const to of outgoing.get(m) || []) {
+        outTotal++;
+        if (members.has(to)) {
+          internal++;
+          if (hasEdge(to, m)) mutual++;
+        }
+      }
+      for (const from of incoming.get(m) || []) {
+        if (!members.has(from) && !isNew(from)) externalEdges++;
+      }
+    }
+
+    const n = members.size;
+    const density = internal / (n * (n - 1));
+    const internalShare = outTotal > 0 ? internal / outTotal : 0;
+    if (density < minDensity || internalShare < minInternalShare || externalEdges > maxExternalRatio * internal) continue;
+
+    const newKeyShare = [...members].filter(isNew).length / n;
+    const reasons = [];
+    if (mutual > 0) reasons.push('mutual-attestation');
+    if (newKeyShare >= 0.5) reasons.push('new-keys');
+    const sorted = [...members].sort();
+    clusters.push({
+      id: sorted[0].substring(0, 16),
+      members: sorted,
+      size: n,
+      density: Math.round(density * 100) / 100,
+      internalShare: Math.round(internalShare * 100) / 100,
+      externalEdges,
+      newKeyShare: Math.round(newKeyShare * 100) / 100,
+      reasons
+    });
+  }
+
+  clusters.sort((a, b) => b.size - a.size);
+  const byPubkey = new Map();
+  for (const cluster of clusters) {
+    for (const pk of cluster.members) byPubkey.set(pk, cluster);
+  }
+
+  return { clusters, byPubkey, nodeCount: new Set([...outgoing.keys(), ...incoming.keys()]).size, edgeCount };
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  detectSybilClusters,
+  DEFAULT_NEW_KEY_DAYS,
+  DEFAULT_MIN_CLUSTER_SIZE,
+  DEFAULT_MIN_DENSITY,
+  DEFAULT_MIN_INTERNAL_SHARE,
+  DEFAULT_MAX_EXTERNAL_RATIO
+};
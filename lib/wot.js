@@ -2,7 +2,7 @@
 // Nostr Web of Trust protocol for AI agents (NIP-32 labels, kind 1985)
 // v0.3.0: Negative attestations, revocations (NIP-09), sybil metrics
 
-const { finalizeEvent, verifyEvent } = require('nostr-tools/pure');
+const { finalizeEvent, verifyEvent, getPublicKey } = require('nostr-tools/pure');
 const WebSocket = require('ws');
 const candidates = require('./candidates');
 const {
@@ -10,16 +10,29 @@ const {
   calculateDiversity,
   deduplicateAttestations,
   filterByCategory,
+  isExpired,
+  getExpiration,
+  indexRevocations,
+  findRevocation,
   calculateCategoryScore: computeCategoryScore,
   calculateAllCategoryScores: computeAllCategoryScores,
   TYPE_MULTIPLIERS,
   VALID_TYPES,
   POSITIVE_TYPES,
   NEGATIVE_TYPES,
+  REBUTTAL_TYPE,
   CATEGORIES,
   ALL_CATEGORY_NAMES,
-  NEGATIVE_ATTESTATION_TRUST_GATE
+  NEGATIVE_ATTESTATION_TRUST_GATE,
+  buildIdentityLinks,
+  buildAttestationEdges,
+  countOutDegrees
 } = require('./scoring');
+const { buildTrustGraph, computeEigenTrust } = require('./graph');
+const policies = require('./policy');
+const { diffScores } = require('./diff');
+const { detectSybilClusters } = require('./sybil');
+const { calibrateAttester, CALIBRATED_TYPES } = require('./calibration');
 
 // ─── Constants ──────────────────────────────────────────────────
 
@@ -32,142 +45,883 @@ const RELAYS = [
 
 const NAMESPACE = 'ai.wot';
 const RELAY_TIMEOUT_MS = 12000;
+const POOL_IDLE_TIMEOUT_MS = 10000;
+const PAGE_SIZE = 500; // REQ limit per page when paginating
+const MAX_EVENTS = 10000; // default cap per relay for paginated queries
+const MIN_RELAY_LIMIT = 100; // relays don't cap pages below this; a shorter page is the end
+const BATCH_CHUNK_SIZE = 100; // pubkeys / event ids per batched filter
+const SCORE_MAX_DEPTH = 2;
+const RELAY_LIST_TTL_MS = 60 * 60 * 1000; // NIP-65 relay list cache lifetime
+const MAX_DISCOVERED_RELAYS = 4; // relays used per pubkey from its relay list
+const HISTORY_DAYS = 90; // default score history window
+const HISTORY_STEP_SECONDS = 7 * 86400; // default score history resolution
+const MAX_HISTORY_POINTS = 500;
+const DIFF_DAYS = 30; // default score diff window
 const VERSION = '0.8.0';
 
-// ─── Relay Communication ────────────────────────────────────────
+// ─── Relay Pool ─────────────────────────────────────────────────
 
 /**
- * Publish an event to a single relay.
+ * Persistent relay connection pool.
+ *
+ * Keeps one WebSocket per relay and multiplexes REQ subscriptions (by
+ * subscription id) and EVENT publishes (by event id) over it. When a
+ * connection drops while persistent subscriptions are open, it is
+ * re-established with exponential backoff and the subscriptions are re-sent.
+ * Connections with nothing in flight are closed after `idleTimeoutMs`.
+ *
+ * NIP-42: the relay's latest AUTH challenge is kept per connection. When a
+ * REQ is CLOSED or an EVENT rejected with an `auth-required:` prefix and the
+ * caller passed a `secretKey`, the pool answers the challenge with a signed
+ * kind 22242 event and retries once. Outcomes are reported as `auth`:
+ * 'auth-required' (no key given), 'auth-failed' (AUTH rejected, or still
+ * refused after it) or 'authenticated'.
  */
-function publishToRelay(relay, event) {
-  return new Promise((resolve) => {
-    let ws;
+class RelayPool {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs=12000] - Timeout for one-shot queries and publishes
+   * @param {number} [opts.idleTimeoutMs=10000] - Close connections idle for this long
+   * @param {number} [opts.minBackoffMs=1000] - First reconnect delay
+   * @param {number} [opts.maxBackoffMs=60000] - Maximum reconnect delay
+   * @param {Function} [opts.WebSocket] - WebSocket implementation (defaults to `ws`)
+   */
+  constructor(opts = {}) {
+    this.timeoutMs = opts.timeoutMs || RELAY_TIMEOUT_MS;
+    this.idleTimeoutMs = opts.idleTimeoutMs !== undefined ? opts.idleTimeoutMs : POOL_IDLE_TIMEOUT_MS;
+    this.minBackoffMs = opts.minBackoffMs || 1000;
+    this.maxBackoffMs = opts.maxBackoffMs || 60_000;
+    this.WebSocket = opts.WebSocket || WebSocket;
+    this._relays = new Map(); // url → connection state
+    this._subCounter = 0;
+  }
+
+  /**
+   * Open a subscription on a relay.
+   *
+   * @param {string} url - Relay URL
+   * @param {object|object[]} filter - NIP-01 filter(s)
+   * @param {object} [handlers]
+   * @param {Function} [handlers.onEvent] - Called with each event
+   * @param {Function} [handlers.onEose] - Called on EOSE
+   * @param {Function} [handlers.onClose] - Called with a reason when the subscription ends
+   * @param {Function} [handlers.onAuth] - Called with the NIP-42 auth outcome
+   * @param {boolean} [handlers.persistent=false] - Survive disconnects (re-sent after reconnect)
+   * @param {Uint8Array} [handlers.secretKey] - Key to authenticate with if the relay requires AUTH
+   * @returns {{id: string, relay: string, close: Function}}
+   */
+  subscribe(url, filter, handlers = {}) {
+    const conn = this._conn(url);
+    const id = `wot_${(++this._subCounter).toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const sub = {
+      id,
+      filters: Array.isArray(filter) ? filter : [filter],
+      persistent: !!handlers.persistent,
+      onEvent: handlers.onEvent || null,
+      onEose: handlers.onEose || null,
+      onClose: handlers.onClose || null,
+      onAuth: handlers.onAuth || null,
+      secretKey: handlers.secretKey || null,
+      authTried: false
+    };
+
+    conn.subs.set(id, sub);
+    clearTimeout(conn.idleTimer);
+
+    if (conn.status === 'open') {
+      this._send(conn, ['REQ', id, ...sub.filters]);
+    } else {
+      this._connect(conn);
+    }
+
+    return { id, relay: url, close: () => this._unsubscribe(conn, id) };
+  }
+
+  /**
+   * Fetch stored events from a relay: subscribe, collect until EOSE or
+   * timeout, then close the subscription (the connection stays open).
+   *
+   * @param {string} url - Relay URL
+   * @param {object} filter - NIP-01 filter
+   * @param {object} [opts] - { secretKey } to answer AUTH challenges
+   * @returns {Promise<Array>} Events (unverified); `_eose` is true if the relay
+   *   signalled end of stored events (false after a timeout or disconnect);
+   *   `_auth` holds the NIP-42 outcome if the relay asked for AUTH
+   */
+  query(url, filter, opts = {}) {
+    return new Promise((resolve) => {
+      const events = [];
+      let done = false;
+      let sub = null;
+
+      const finish = (eose) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timeout);
+        if (sub) sub.close();
+        events._eose = eose;
+        resolve(events);
+      };
+
+      const timeout = setTimeout(() => finish(false), this.timeoutMs);
+
+      sub = this.subscribe(url, filter, {
+        secretKey: opts.secretKey,
+        onEvent: (event) => events.push(event),
+        onEose: () => finish(true),
+        onClose: () => finish(false),
+        onAuth: (status) => { events._auth = status; }
+      });
+      if (done) sub.close();
+    });
+  }
+
+  /**
+   * Publish an event to a relay.
+   *
+   * @param {string} url - Relay URL
+   * @param {object} event - Signed event
+   * @param {object} [opts] - { secretKey } to answer AUTH challenges
+   * @returns {Promise<{relay, success, eventId?, reason?, auth?}>}
+   */
+  publish(url, event, opts = {}) {
+    const conn = this._conn(url);
+    const pending = conn.publishes.get(event.id);
+    if (pending) return pending.promise;
+
+    let resolvePromise;
+    const entry = {
+      event,
+      secretKey: opts.secretKey || null,
+      auth: null,
+      promise: new Promise(resolve => { resolvePromise = resolve; })
+    };
+    let done = false;
+
     const timeout = setTimeout(() => {
-      try { ws.close(); } catch (_) {}
-      resolve({ relay, success: false, reason: 'Timeout' });
-    }, RELAY_TIMEOUT_MS);
+      entry.resolve({ relay: url, success: false, reason: 'Timeout' });
+    }, this.timeoutMs);
+
+    entry.resolve = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timeout);
+      if (conn.publishes.get(event.id) === entry) conn.publishes.delete(event.id);
+      this._touch(conn);
+      resolvePromise(result);
+    };
+
+    conn.publishes.set(event.id, entry);
+    clearTimeout(conn.idleTimer);
+
+    if (conn.status === 'open') {
+      this._send(conn, ['EVENT', event]);
+    } else {
+      this._connect(conn);
+    }
 
+    return entry.promise;
+  }
+
+  /**
+   * Relay URLs that currently have an open connection.
+   * @returns {string[]}
+   */
+  connectedRelays() {
+    return [...this._relays.values()].filter(c => c.status === 'open').map(c => c.url);
+  }
+
+  /**
+   * Close every connection and end all subscriptions (including persistent ones).
+   * The pool can still be used afterwards; connections are reopened on demand.
+   */
+  close() {
+    for (const conn of this._relays.values()) {
+      clearTimeout(conn.idleTimer);
+      clearTimeout(conn.reconnectTimer);
+
+      const subs = [...conn.subs.values()];
+      conn.subs.clear();
+      for (const sub of subs) this._notifyClose(sub, 'Pool closed');
+
+      const publishes = [...conn.publishes.values()];
+      for (const p of publishes) p.resolve({ relay: conn.url, success: false, reason: 'Pool closed' });
+
+      const ws = conn.ws;
+      conn.ws = null;
+      conn.status = 'closed';
+      if (ws) {
+        try { ws.close(); } catch (_) {}
+      }
+    }
+    this._relays.clear();
+  }
+
+  // ── Internal ──────────────────────────────────────────────
+
+  _conn(url) {
+    let conn = this._relays.get(url);
+    if (!conn) {
+      conn = {
+        url,
+        ws: null,
+        status: 'closed', // closed → connecting → open
+        subs: new Map(),
+        publishes: new Map(),
+        attempts: 0,
+        lastError: null,
+        idleTimer: null,
+        reconnectTimer: null,
+        challenge: null, // latest NIP-42 AUTH challenge
+        authed: new Set(), // pubkeys the relay accepted AUTH for
+        authing: new Map(), // pubkey → in-flight authentication promise
+        authOks: new Map(), // AUTH event id → finish callback
+        authWaiters: [] // authentications waiting for a challenge
+      };
+      this._relays.set(url, conn);
+    }
+    return conn;
+  }
+
+  _connect(conn) {
+    if (conn.status !== 'closed') return;
+    clearTimeout(conn.reconnectTimer);
+    conn.reconnectTimer = null;
+    conn.status = 'connecting';
+
+    let ws;
     try {
-      ws = new WebSocket(relay);
+      ws = new this.WebSocket(conn.url);
     } catch (err) {
-      clearTimeout(timeout);
-      resolve({ relay, success: false, reason: err.message });
+      conn.lastError = err.message;
+      this._handleClose(conn);
       return;
     }
+    conn.ws = ws;
 
     ws.on('open', () => {
-      ws.send(JSON.stringify(['EVENT', event]));
+      if (conn.ws !== ws) return;
+      conn.status = 'open';
+      conn.attempts = 0;
+      for (const sub of conn.subs.values()) {
+        sub.authTried = false;
+        this._send(conn, ['REQ', sub.id, ...sub.filters]);
+      }
+      for (const p of conn.publishes.values()) {
+        this._send(conn, ['EVENT', p.event]);
+      }
+      this._touch(conn);
     });
 
     ws.on('message', (data) => {
+      if (conn.ws !== ws) return;
+      let msg;
       try {
-        const msg = JSON.parse(data.toString());
-        if (msg[0] === 'OK') {
-          clearTimeout(timeout);
-          ws.close();
-          resolve(msg[2]
-            ? { relay, success: true, eventId: msg[1] }
-            : { relay, success: false, reason: msg[3] || 'Rejected' }
-          );
-        }
-      } catch (_) {}
+        msg = JSON.parse(data.toString());
+      } catch (_) {
+        return;
+      }
+      if (Array.isArray(msg)) this._handleMessage(conn, msg);
     });
 
     ws.on('error', (err) => {
-      clearTimeout(timeout);
-      try { ws.close(); } catch (_) {}
-      resolve({ relay, success: false, reason: err.message });
+      conn.lastError = err.message;
     });
-  });
+
+    ws.on('close', () => {
+      if (conn.ws === ws) this._handleClose(conn);
+    });
+  }
+
+  _handleMessage(conn, msg) {
+    const [type, key] = msg;
+
+    if (type === 'EVENT') {
+      const sub = conn.subs.get(key);
+      if (sub && sub.onEvent && msg[2]) {
+        try { sub.onEvent(msg[2]); } catch (_) {}
+      }
+    } else if (type === 'EOSE') {
+      const sub = conn.subs.get(key);
+      if (sub && sub.onEose) {
+        try { sub.onEose(); } catch (_) {}
+      }
+    } else if (type === 'CLOSED') {
+      const sub = conn.subs.get(key);
+      if (sub) this._handleClosed(conn, sub, msg[2] || 'Closed by relay');
+    } else if (type === 'OK') {
+      const finishAuth = conn.authOks.get(key);
+      if (finishAuth) {
+        finishAuth(msg[2] ? { ok: true } : { ok: false, reason: msg[3] || 'AUTH rejected' });
+        return;
+      }
+      const pending = conn.publishes.get(key);
+      if (pending) this._handleOk(conn, pending, !!msg[2], msg[3] || 'Rejected');
+    } else if (type === 'AUTH') {
+      if (typeof key !== 'string') return;
+      conn.challenge = key;
+      const waiters = conn.authWaiters;
+      conn.authWaiters = [];
+      for (const waiter of waiters) waiter.send();
+    }
+  }
+
+  _handleClosed(conn, sub, reason) {
+    if (isAuthRequired(reason)) {
+      if (sub.secretKey && !sub.authTried) {
+        sub.authTried = true;
+        this._authenticate(conn, sub.secretKey).then((auth) => {
+          if (conn.subs.get(sub.id) !== sub) return;
+          if (auth.ok) {
+            this._setAuth(sub, 'authenticated');
+            if (conn.status === 'open') this._send(conn, ['REQ', sub.id, ...sub.filters]);
+            return;
+          }
+          // Dropped mid-AUTH: persistent subscriptions retry after reconnecting
+          if (sub.persistent && conn.status !== 'open') return;
+          this._setAuth(sub, 'auth-failed');
+          conn.subs.delete(sub.id);
+          this._notifyClose(sub, auth.reason);
+          this._touch(conn);
+        });
+        return;
+      }
+      this._setAuth(sub, sub.authTried ? 'auth-failed' : 'auth-required');
+    } else if (isRestricted(reason) && sub.authTried) {
+      this._setAuth(sub, 'auth-failed');
+    }
+
+    conn.subs.delete(sub.id);
+    this._notifyClose(sub, reason);
+    this._touch(conn);
+  }
+
+  _handleOk(conn, pending, accepted, reason) {
+    if (accepted) {
+      const result = { relay: conn.url, success: true, eventId: pending.event.id };
+      if (pending.auth) result.auth = pending.auth;
+      pending.resolve(result);
+      return;
+    }
+
+    if (isAuthRequired(reason)) {
+      if (pending.secretKey && !pending.auth) {
+        pending.auth = 'pending';
+        this._authenticate(conn, pending.secretKey).then((auth) => {
+          if (!auth.ok) {
+            pending.resolve({ relay: conn.url, success: false, reason: auth.reason, auth: 'auth-failed' });
+            return;
+          }
+          pending.auth = 'authenticated';
+          if (conn.status === 'open') this._send(conn, ['EVENT', pending.event]);
+        });
+        return;
+      }
+      pending.resolve({ relay: conn.url, success: false, reason, auth: pending.auth ? 'auth-failed' : 'auth-required' });
+      return;
+    }
+
+    const result = { relay: conn.url, success: false, reason };
+    if (pending.auth) result.auth = isRestricted(reason) ? 'auth-failed' : pending.auth;
+    pending.resolve(result);
+  }
+
+  /**
+   * Answer the relay's AUTH challenge with a kind 22242 event signed by
+   * `secretKey`, waiting for a challenge if none has arrived yet. Concurrent
+   * calls for the same key share one attempt.
+   *
+   * @returns {Promise<{ok: boolean, reason?: string}>}
+   */
+  _authenticate(conn, secretKey) {
+    const pubkey = getPublicKey(secretKey);
+    if (conn.authed.has(pubkey)) return Promise.resolve({ ok: true });
+    if (conn.authing.has(pubkey)) return conn.authing.get(pubkey);
+
+    const promise = new Promise((resolve) => {
+      let done = false;
+      let eventId = null;
+
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timeout);
+        conn.authing.delete(pubkey);
+        if (eventId) conn.authOks.delete(eventId);
+        conn.authWaiters = conn.authWaiters.filter(w => w !== waiter);
+        if (result.ok) conn.authed.add(pubkey);
+        resolve(result);
+      };
+
+      const waiter = {
+        finish,
+        send: () => {
+          const event = finalizeEvent({
+            kind: 22242,
+            created_at: Math.floor(Date.now() / 1000),
+            content: '',
+            tags: [['relay', conn.url], ['challenge', conn.challenge]]
+          }, secretKey);
+          eventId = event.id;
+          conn.authOks.set(event.id, finish);
+          this._send(conn, ['AUTH', event]);
+        }
+      };
+
+      const timeout = setTimeout(() => {
+        finish({ ok: false, reason: eventId ? 'AUTH timeout' : 'No AUTH challenge from relay' });
+      }, this.timeoutMs);
+
+      if (conn.challenge) {
+        waiter.send();
+      } else {
+        conn.authWaiters.push(waiter);
+      }
+    });
+
+    conn.authing.set(pubkey, promise);
+    return promise;
+  }
+
+  _setAuth(sub, status) {
+    sub.auth = status;
+    if (sub.onAuth) {
+      try { sub.onAuth(status); } catch (_) {}
+    }
+  }
+
+  _handleClose(conn) {
+    const reason = conn.lastError || 'Connection closed';
+    conn.ws = null;
+    conn.status = 'closed';
+    conn.lastError = null;
+    clearTimeout(conn.idleTimer);
+
+    // A new connection gets a new challenge and must authenticate again
+    conn.challenge = null;
+    conn.authed.clear();
+    const authFinishers = [...conn.authOks.values(), ...conn.authWaiters.map(w => w.finish)];
+    for (const finish of authFinishers) finish({ ok: false, reason });
+
+    for (const p of [...conn.publishes.values()]) {
+      p.resolve({ relay: conn.url, success: false, reason });
+    }
+
+    let hasPersistent = false;
+    for (const [id, sub] of [...conn.subs]) {
+      if (sub.persistent) {
+        hasPersistent = true;
+      } else {
+        conn.subs.delete(id);
+        this._notifyClose(sub, reason);
+      }
+    }
+
+    if (hasPersistent) this._scheduleReconnect(conn);
+  }
+
+  _scheduleReconnect(conn) {
+    if (conn.reconnectTimer) return;
+    const base = Math.min(this.maxBackoffMs, this.minBackoffMs * Math.pow(2, conn.attempts));
+    const delay = base / 2 + Math.random() * base / 2;
+    conn.attempts++;
+    conn.reconnectTimer = setTimeout(() => {
+      conn.reconnectTimer = null;
+      if (conn.subs.size > 0) this._connect(conn);
+    }, delay);
+  }
+
+  _unsubscribe(conn, id) {
+    if (!conn.subs.has(id)) return;
+    conn.subs.delete(id);
+    if (conn.status === 'open') this._send(conn, ['CLOSE', id]);
+    this._touch(conn);
+  }
+
+  _notifyClose(sub, reason) {
+    if (sub.onClose) {
+      try { sub.onClose(reason); } catch (_) {}
+    }
+  }
+
+  _send(conn, msg) {
+    try {
+      conn.ws.send(JSON.stringify(msg));
+    } catch (_) {}
+  }
+
+  // Start the idle timer once nothing is in flight on a connection
+  _touch(conn) {
+    clearTimeout(conn.idleTimer);
+    if (conn.status !== 'open' || conn.subs.size > 0 || conn.publishes.size > 0) return;
+    conn.idleTimer = setTimeout(() => {
+      if (conn.subs.size === 0 && conn.publishes.size === 0 && conn.ws) {
+        try { conn.ws.close(); } catch (_) {}
+      }
+    }, this.idleTimeoutMs);
+    if (conn.idleTimer.unref) conn.idleTimer.unref();
+  }
+}
+
+// NIP-01 machine-readable prefixes on OK / CLOSED messages
+function isAuthRequired(reason) {
+  return typeof reason === 'string' && reason.startsWith('auth-required:');
+}
+
+function isRestricted(reason) {
+  return typeof reason === 'string' && reason.startsWith('restricted:');
+}
+
+let defaultPool = null;
+
+/**
+ * Get the shared relay pool used by all query and publish helpers.
+ * @returns {RelayPool}
+ */
+function getRelayPool() {
+  if (!defaultPool) defaultPool = new RelayPool();
+  return defaultPool;
+}
+
+/**
+ * Replace the shared relay pool (e.g. one with custom timeouts).
+ * The previous pool is closed.
+ * @param {RelayPool} pool
+ */
+function setRelayPool(pool) {
+  if (defaultPool && defaultPool !== pool) defaultPool.close();
+  defaultPool = pool;
+}
+
+/**
+ * Close all connections of the shared relay pool (e.g. before a CLI exits).
+ */
+function closeRelayPool() {
+  if (defaultPool) defaultPool.close();
+}
+
+// ─── Relay Communication ────────────────────────────────────────
+
+/**
+ * Publish an event to a single relay.
+ *
+ * @param {string} relay - relay URL
+ * @param {object} event - signed event
+ * @param {object} [opts] - { pool, secretKey } — secretKey answers NIP-42 AUTH challenges
+ * @returns {Promise<{relay, success, eventId?, reason?, auth?}>} `auth` is set when
+ *   the relay asked for AUTH: 'auth-required', 'auth-failed' or 'authenticated'
+ */
+function publishToRelay(relay, event, opts = {}) {
+  const pool = opts.pool || getRelayPool();
+  return pool.publish(relay, event, { secretKey: opts.secretKey });
 }
 
 /**
  * Publish an event to multiple relays.
  */
-function publishToRelays(event, relays = RELAYS) {
-  return Promise.all(relays.map(relay => publishToRelay(relay, event)));
+function publishToRelays(event, relays = RELAYS, opts = {}) {
+  return Promise.all(relays.map(relay => publishToRelay(relay, event, opts)));
 }
 
+// ─── Durable Publishing ─────────────────────────────────────────
+
+let defaultOutbox = null;
+
 /**
- * Query a single relay with a filter.
+ * Get the shared publish outbox (stored in AI_WOT_OUTBOX_DIR, default
+ * ~/.ai-wot/outbox). See lib/outbox.js.
+ * @returns {Outbox}
  */
-function queryRelay(relay, filter) {
-  return new Promise((resolve, reject) => {
-    const events = [];
-    let ws;
-    const subId = 'wot_' + Math.random().toString(36).slice(2, 10);
+function getOutbox() {
+  if (!defaultOutbox) {
+    defaultOutbox = new outbox.Outbox({ dir: process.env.AI_WOT_OUTBOX_DIR || outbox.DEFAULT_OUTBOX_DIR });
+  }
+  return defaultOutbox;
+}
 
-    const timeout = setTimeout(() => {
-      try { ws.close(); } catch (_) {}
-      resolve(events);
-    }, RELAY_TIMEOUT_MS);
+/**
+ * Replace the shared publish outbox (e.g. one with a different quorum).
+ * Scheduled retries of the previous outbox are cancelled.
+ * @param {Outbox} box
+ */
+function setOutbox(box) {
+  if (defaultOutbox && defaultOutbox !== box) defaultOutbox.stop();
+  defaultOutbox = box;
+}
+
+/**
+ * Publish a signed event through the outbox: it is stored before sending,
+ * and relays that fail are retried until `minAcks` of them acknowledge it.
+ * With `opts.publishOutbox === false` the event is sent once, untracked.
+ *
+ * @param {object} event - signed event
+ * @param {string[]} relays - relay URLs
+ * @param {object} [opts] - { publishOutbox, minAcks, secretKey }
+ * @returns {Promise<{results: Array, delivery: object|null}>}
+ */
+async function sendEvent(event, relays, opts = {}) {
+  if (opts.publishOutbox === false) {
+    const results = await publishToRelays(event, relays, { secretKey: opts.secretKey });
+    return { results, delivery: null };
+  }
+  const box = opts.publishOutbox || getOutbox();
+  return box.publish(event, relays, { minAcks: opts.minAcks, secretKey: opts.secretKey });
+}
 
+/**
+ * Check the id and signature of every event.
+ * Events that fail verification are dropped and counted.
+ *
+ * @param {Array} events - raw events as received from a relay
+ * @returns {{valid: Array, rejected: number}}
+ */
+function verifyEvents(events) {
+  const valid = [];
+  let rejected = 0;
+
+  for (const e of events) {
+    let ok = false;
     try {
-      ws = new WebSocket(relay);
-    } catch (err) {
-      clearTimeout(timeout);
-      reject(err);
-      return;
+      ok = verifyEvent(e);
+    } catch (_) {}
+    if (ok) {
+      valid.push(e);
+    } else {
+      rejected++;
     }
+  }
 
-    ws.on('open', () => {
-      ws.send(JSON.stringify(['REQ', subId, filter]));
-    });
+  return { valid, rejected };
+}
 
-    ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data.toString());
-        if (msg[0] === 'EVENT' && msg[1] === subId) {
-          events.push(msg[2]);
-        } else if (msg[0] === 'EOSE' && msg[1] === subId) {
-          clearTimeout(timeout);
-          ws.send(JSON.stringify(['CLOSE', subId]));
-          ws.close();
-          resolve(events);
-        }
-      } catch (_) {}
-    });
+/**
+ * Merge per-relay rejection counts ({ relay: count }) into one object.
+ */
+function mergeRejected(...sources) {
+  const merged = {};
+  for (const src of sources) {
+    if (!src) continue;
+    for (const [relay, count] of Object.entries(src)) {
+      merged[relay] = (merged[relay] || 0) + count;
+    }
+  }
+  return merged;
+}
 
-    ws.on('error', (err) => {
-      clearTimeout(timeout);
-      try { ws.close(); } catch (_) {}
-      resolve(events);
-    });
-  });
+/**
+ * Summarize per-relay rejection counts for inclusion in score results.
+ *
+ * @param {object} byRelay - { relay: count }
+ * @returns {{total: number, byRelay: object}}
+ */
+function summarizeRejected(byRelay = {}) {
+  const total = Object.values(byRelay).reduce((sum, n) => sum + n, 0);
+  return { total, byRelay };
+}
+
+/**
+ * Query a single relay with a filter.
+ * Events with an invalid id or signature are dropped; the number dropped
+ * is attached to the returned array as `_rejected`.
+ *
+ * Unless `opts.paginate` is false, pages backwards with `until` (pageSize
+ * events per REQ) until a page with nothing new, or the cap: `filter.limit`
+ * if set, otherwise `opts.maxEvents`. A page shorter than both the request
+ * and MIN_RELAY_LIMIT also ends paging; longer short pages may be a relay's
+ * own cap, so paging continues. `_truncated` is set when paging stopped at
+ * the cap (or on a timeout) while the relay still had more; a result that
+ * exactly reaches the cap is checked with one more page before being flagged.
+ * With `paginate: false` no extra REQ is sent, so `_truncated` there means
+ * the single page filled `filter.limit` and may have been cut. `_incomplete` is
+ * set when a page ended without EOSE (timeout, disconnect or CLOSED), so the
+ * relay may hold events that were never seen — even if none came back.
+ *
+ * With `opts.secretKey`, NIP-42 AUTH challenges are answered with that key.
+ * `_auth` is the auth outcome if the relay asked for AUTH, otherwise null.
+ *
+ * @param {string} relay - relay URL
+ * @param {object} filter - NIP-01 filter
+ * @param {object} [opts] - { pool, secretKey, paginate (default true), pageSize (default 500), maxEvents (default 10000) }
+ */
+async function queryRelay(relay, filter, opts = {}) {
+  const pool = opts.pool || getRelayPool();
+  const queryOpts = { secretKey: opts.secretKey };
+
+  if (opts.paginate === false) {
+    const events = await pool.query(relay, filter, queryOpts);
+    const { valid, rejected } = verifyEvents(events);
+    valid._rejected = rejected;
+    valid._truncated = filter.limit !== undefined && events.length >= filter.limit;
+    valid._incomplete = !events._eose;
+    valid._auth = events._auth || null;
+    return valid;
+  }
+
+  const pageSize = opts.pageSize || PAGE_SIZE;
+  const maxEvents = filter.limit !== undefined ? filter.limit : (opts.maxEvents || MAX_EVENTS);
+  const collected = new Map();
+  let rejected = 0;
+  let truncated = false;
+  let incomplete = false;
+  let auth = null;
+  let until = filter.until;
+
+  const limit = Math.min(pageSize, maxEvents);
+
+  while (true) {
+    const page = { ...filter, limit };
+    if (until !== undefined) page.until = until;
+
+    const events = await pool.query(relay, page, queryOpts);
+    const { valid, rejected: bad } = verifyEvents(events);
+    rejected += bad;
+    if (events._auth) auth = events._auth;
+
+    let added = 0;
+    let oldest = Infinity;
+    for (const e of valid) {
+      if (e.created_at < oldest) oldest = e.created_at;
+      if (!collected.has(e.id)) {
+        collected.set(e.id, e);
+        added++;
+      }
+    }
+
+    // Timed out or dropped mid-stream: keep what we have, flag it if anything came back
+    if (!events._eose) {
+      truncated = events.length > 0;
+      incomplete = true;
+      break;
+    }
+    // Nothing new, or a page too short to be a relay cap, means we've reached the end
+    if (added === 0 || (events.length < limit && events.length < MIN_RELAY_LIMIT)) break;
+
+    if (collected.size >= maxEvents) {
+      // A page that exactly fills the cap may be the whole set: only call it
+      // truncated if the relay has something older we haven't seen
+      truncated = await hasOlderEvents(pool, relay, filter, oldest, collected, queryOpts);
+      break;
+    }
+    until = oldest;
+  }
+
+  let result = [...collected.values()];
+  if (result.length > maxEvents) {
+    result = result.sort((a, b) => b.created_at - a.created_at).slice(0, maxEvents);
+    truncated = true;
+  }
+  result._rejected = rejected;
+  result._truncated = truncated;
+  result._incomplete = incomplete;
+  result._auth = auth;
+  return result;
+}
+
+/**
+ * Ask a relay for events at or before `until` that are not in `seen`.
+ * The page size covers the events already seen at `until` plus one, so any
+ * unseen event makes it into the page. A page without EOSE counts as having
+ * more.
+ */
+async function hasOlderEvents(pool, relay, filter, until, seen, queryOpts) {
+  let atUntil = 0;
+  for (const e of seen.values()) {
+    if (e.created_at === until) atUntil++;
+  }
+  const events = await pool.query(relay, { ...filter, until, limit: atUntil + 1 }, queryOpts);
+  if (!events._eose) return true;
+  return verifyEvents(events).valid.some(e => !seen.has(e.id));
 }
 
 /**
  * Query multiple relays with a filter. Deduplicates by event ID.
+ * Only events with a valid id and signature are returned. Rejection counts
+ * per relay are attached to the returned array as `_rejected`
+ * ({ relay: count }, only relays that sent bad events are listed).
+ *
+ * Each relay is paged past its result limit (see queryRelay). With
+ * `filter.limit` set, at most that many events (newest first) are returned.
+ * `_truncated` is true if any relay had more events than were fetched.
+ * `_incomplete` is true if any relay failed to answer in full (no EOSE, an
+ * error, or the overall timeout), so its events may be missing.
+ * `_auth` lists the NIP-42 outcome of each relay that asked for AUTH
+ * ({ relay: 'auth-required' | 'auth-failed' | 'authenticated' }).
+ *
+ * With `opts.store` (an AttestationStore) the filter is answered from the
+ * local store instead and no relay is contacted.
+ *
+ * @param {object} filter - NIP-01 filter
+ * @param {string[]} [relays] - relay URLs
+ * @param {object} [opts] - { pool, store, secretKey, paginate, pageSize, maxEvents }
  */
-function queryRelays(filter, relays = RELAYS) {
+function queryRelays(filter, relays = RELAYS, opts = {}) {
+  if (opts.store) {
+    // Ask the store for one extra event to tell a full result from a cut one
+    let events = opts.store.query(filter.limit !== undefined ? { ...filter, limit: filter.limit + 1 } : filter);
+    const truncated = filter.limit !== undefined && events.length > filter.limit;
+    if (truncated) events = events.slice(0, filter.limit);
+    events._rejected = {};
+    events._truncated = truncated;
+    events._incomplete = false;
+    events._auth = {};
+    return Promise.resolve(events);
+  }
+
   return new Promise((resolve) => {
     const events = new Map();
+    const rejected = {};
+    const auth = {};
+    let truncated = false;
+    let incomplete = false;
     let completed = 0;
     const total = relays.length;
 
+    const done = () => {
+      let result = Array.from(events.values());
+      if (filter.limit !== undefined && result.length > filter.limit) {
+        result = result.sort((a, b) => b.created_at - a.created_at).slice(0, filter.limit);
+        truncated = true;
+      }
+      result._rejected = { ...rejected };
+      result._truncated = truncated;
+      result._incomplete = incomplete;
+      result._auth = { ...auth };
+      resolve(result);
+    };
+
+    // Safety net; each page has its own timeout in the pool
+    const maxPages = opts.paginate === false ? 1 : MAX_EVENTS / PAGE_SIZE;
     const masterTimeout = setTimeout(() => {
-      resolve(Array.from(events.values()));
-    }, RELAY_TIMEOUT_MS + 2000);
+      truncated = true;
+      incomplete = true;
+      done();
+    }, (RELAY_TIMEOUT_MS + 2000) * maxPages);
 
     if (total === 0) {
       clearTimeout(masterTimeout);
-      resolve([]);
+      done();
       return;
     }
 
     relays.forEach(relay => {
-      queryRelay(relay, filter)
+      queryRelay(relay, filter, opts)
         .then(evts => {
+          if (evts._rejected > 0) {
+            rejected[relay] = (rejected[relay] || 0) + evts._rejected;
+          }
+          if (evts._truncated) truncated = true;
+          if (evts._incomplete) incomplete = true;
+          if (evts._auth) auth[relay] = evts._auth;
           for (const e of evts) {
             if (!events.has(e.id)) events.set(e.id, e);
           }
         })
-        .catch(() => {})
+        .catch(() => { incomplete = true; })
         .finally(() => {
           completed++;
           if (completed >= total) {
             clearTimeout(masterTimeout);
-            resolve(Array.from(events.values()));
+            done();
           }
         });
     });
@@ -178,34 +932,51 @@ function queryRelays(filter, relays = RELAYS) {
 
 /**
  * Query revocations (kind 5 events that delete kind 1985 events).
- * Returns a Set of revoked event IDs.
+ *
+ * Authors are queried BATCH_CHUNK_SIZE at a time; queryRelays pages past
+ * relay limits. Returns a revocation index (see scoring.indexRevocations) —
+ * use findRevocation(index, event) to check an attestation. A deletion only
+ * counts against events by the same author. Per-relay rejection counts are
+ * attached as `_rejected`, `_truncated` if any page was cut short, and
+ * per-relay NIP-42 outcomes as `_auth`.
  *
  * @param {string[]} authors - pubkeys whose revocations to query
  * @param {string[]} relays - relay URLs
- * @returns {Promise<Set<string>>} - Set of revoked event IDs
+ * @param {object} [opts] - { store, secretKey }
+ * @returns {Promise<Map<string, {revocationId, author, reason, revokedAt}>>} - revocation index
  */
-async function queryRevocations(authors, relays = RELAYS) {
-  if (authors.length === 0) return new Set();
-
-  const filter = {
-    kinds: [5],
-    '#k': ['1985'],
-    authors,
-    limit: 500
-  };
+async function queryRevocations(authors, relays = RELAYS, opts = {}) {
+  if (authors.length === 0) {
+    const empty = new Map();
+    empty._rejected = {};
+    empty._truncated = false;
+    empty._auth = {};
+    return empty;
+  }
 
-  const deletionEvents = await queryRelays(filter, relays);
-  const revokedIds = new Set();
+  const deletions = [];
+  let rejected = {};
+  let truncated = false;
+  const auth = {};
 
-  for (const del of deletionEvents) {
-    for (const tag of del.tags) {
-      if (tag[0] === 'e') {
-        revokedIds.add(tag[1]);
-      }
-    }
+  for (let i = 0; i < authors.length; i += BATCH_CHUNK_SIZE) {
+    const filter = {
+      kinds: [5],
+      '#k': ['1985'],
+      authors: authors.slice(i, i + BATCH_CHUNK_SIZE)
+    };
+    const events = await queryRelays(filter, relays, opts);
+    rejected = mergeRejected(rejected, events._rejected);
+    if (events._truncated) truncated = true;
+    Object.assign(auth, events._auth);
+    deletions.push(...events);
   }
 
-  return revokedIds;
+  const index = indexRevocations(deletions);
+  index._rejected = rejected;
+  index._truncated = truncated;
+  index._auth = auth;
+  return index;
 }
 
 /**
@@ -214,8 +985,8 @@ async function queryRevocations(authors, relays = RELAYS) {
  * @param {Buffer|Uint8Array} secretKey - 32-byte secret key
  * @param {string} attestationEventId - event ID of the attestation to revoke
  * @param {string} reason - explanation for the revocation
- * @param {object} [opts] - { relays }
- * @returns {Promise<{event, results}>}
+ * @param {object} [opts] - { relays, minAcks, publishOutbox } — sent through the outbox like attestations
+ * @returns {Promise<{event, results, delivery}>}
  */
 async function publishRevocation(secretKey, attestationEventId, reason, opts = {}) {
   if (!attestationEventId || attestationEventId.length !== 64) {
@@ -237,9 +1008,307 @@ async function publishRevocation(secretKey, attestationEventId, reason, opts = {
   }, secretKey);
 
   const relays = opts.relays || RELAYS;
-  const results = await publishToRelays(event, relays);
+  const { results, delivery } = await sendEvent(event, relays, { ...opts, secretKey });
+
+  return { event, results, delivery };
+}
+
+// ─── Rebuttals ──────────────────────────────────────────────────
 
-  return { event, results };
+function isNegativeAttestation(event) {
+  return NEGATIVE_TYPES.some(type => filterByCategory([event], type).length > 0);
+}
+
+/**
+ * Publish a rebuttal: the disputed agent's answer to a dispute or warning
+ * about it. A kind 1985 label (`rebuttal` in the ai.wot namespace) that
+ * `e`-tags the dispute and carries no `p` tag, so it is not an attestation
+ * about anyone. Only the dispute's subject can rebut it.
+ *
+ * @param {Buffer|Uint8Array} secretKey - 32-byte secret key of the disputed agent
+ * @param {string} disputeEventId - event ID of the dispute or warning
+ * @param {string} text - the rebuttal
+ * @param {object} [opts] - { relays, store, dispute, minAcks, publishOutbox }; `dispute`
+ *   is the dispute event, skipping the lookup
+ * @returns {Promise<{event, results, delivery}>}
+ */
+async function publishRebuttal(secretKey, disputeEventId, text, opts = {}) {
+  if (!disputeEventId || !/^[0-9a-f]{64}$/.test(disputeEventId)) {
+    throw new Error('disputeEventId must be a 64-character hex string');
+  }
+
+  if (!text || text.trim().length === 0) {
+    throw new Error('Rebuttal text must not be empty');
+  }
+
+  const relays = opts.relays || RELAYS;
+  let dispute = opts.dispute;
+  if (!dispute) {
+    const found = await queryRelays({ ids: [disputeEventId] }, relays, { store: opts.store, secretKey });
+    dispute = found.find(e => e.id === disputeEventId);
+  }
+  if (!dispute || dispute.id !== disputeEventId) throw new Error(`Dispute ${disputeEventId} not found`);
+  if (dispute.kind !== 1985 || !isNegativeAttestation(dispute)) {
+    throw new Error('Only dispute and warning attestations can be rebutted');
+  }
+  const pTag = dispute.tags.find(t => t[0] === 'p');
+  if (!pTag || pTag[1] !== getPublicKey(secretKey)) {
+    throw new Error('Only the subject of a dispute can rebut it');
+  }
+
+  const event = finalizeEvent({
+    kind: 1985,
+    created_at: Math.floor(Date.now() / 1000),
+    content: text,
+    tags: [
+      ['L', NAMESPACE],
+      ['l', REBUTTAL_TYPE, NAMESPACE],
+      ['e', disputeEventId, opts.relayHint || '']
+    ]
+  }, secretKey);
+
+  const { results, delivery } = await sendEvent(event, relays, { ...opts, secretKey });
+
+  return { event, results, delivery };
+}
+
+/**
+ * Query rebuttals of disputes, BATCH_CHUNK_SIZE dispute ids per filter.
+ * Rebuttals are not checked against the disputes' subjects here — see
+ * attachRebuttals. Per-relay rejection counts are attached as `_rejected`,
+ * `_truncated` if any page was cut short, and NIP-42 outcomes as `_auth`.
+ *
+ * @param {string[]} disputeIds - event IDs of disputes and warnings
+ * @param {string[]} relays - relay URLs
+ * @param {object} [opts] - { store, secretKey }
+ * @returns {Promise<Map<string, Array<{rebuttalId, author, content, rebuttedAt}>>>}
+ *   dispute id → its rebuttals, oldest first
+ */
+async function queryRebuttals(disputeIds, relays = RELAYS, opts = {}) {
+  const index = new Map();
+  let rejected = {};
+  let truncated = false;
+  const auth = {};
+
+  for (let i = 0; i < disputeIds.length; i += BATCH_CHUNK_SIZE) {
+    const filter = {
+      kinds: [1985],
+      '#L': [NAMESPACE],
+      '#l': [REBUTTAL_TYPE],
+      '#e': disputeIds.slice(i, i + BATCH_CHUNK_SIZE)
+    };
+    const events = await queryRelays(filter, relays, opts);
+    rejected = mergeRejected(rejected, events._rejected);
+    if (events._truncated) truncated = true;
+    Object.assign(auth, events._auth);
+
+    for (const e of events) {
+      const eTag = e.tags.find(t => t[0] === 'e');
+      if (!eTag) continue;
+      if (!index.has(eTag[1])) index.set(eTag[1], []);
+      index.get(eTag[1]).push({ rebuttalId: e.id, author: e.pubkey, content: e.content, rebuttedAt: e.created_at });
+    }
+  }
+
+  for (const list of index.values()) list.sort((a, b) => a.rebuttedAt - b.rebuttedAt);
+  index._rejected = rejected;
+  index._truncated = truncated;
+  index._auth = auth;
+  return index;
+}
+
+/**
+ * Give every dispute and warning in `attestations` a `rebuttals` array
+ * (those by its subject only; others are ignored). Attestations are
+ * replaced by copies, so events shared with a store are never modified.
+ * Merges the lookup's `_rejected` / `_truncated` into the array's.
+ */
+async function attachRebuttals(attestations, relays, source) {
+  const disputeIds = attestations.filter(isNegativeAttestation).map(att => att.id);
+  if (disputeIds.length === 0) return attestations;
+
+  const index = await queryRebuttals(disputeIds, relays, source);
+  for (let i = 0; i < attestations.length; i++) {
+    const att = attestations[i];
+    if (!isNegativeAttestation(att)) continue;
+    const pTag = att.tags.find(t => t[0] === 'p');
+    const rebuttals = (index.get(att.id) || []).filter(r => pTag && r.author === pTag[1]);
+    attestations[i] = { ...att, rebuttals };
+  }
+  attestations._rejected = mergeRejected(attestations._rejected, index._rejected);
+  attestations._truncated = !!(attestations._truncated || index._truncated);
+  return attestations;
+}
+
+// ─── Relay Discovery (NIP-65) ───────────────────────────────────
+
+const relayListCache = new Map(); // pubkey → { read, write, fetchedAt }
+
+/**
+ * Normalize a relay URL (lowercase scheme/host, no trailing slash).
+ * Returns null for anything that isn't ws:// or wss://.
+ */
+function normalizeRelayUrl(url) {
+  try {
+    const u = new URL(url.trim());
+    if (u.protocol !== 'wss:' && u.protocol !== 'ws:') return null;
+    return u.toString().replace(/\/$/, '');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Merge relay URL lists, normalized and deduplicated, keeping order.
+ */
+function mergeRelayUrls(...lists) {
+  const merged = new Set();
+  for (const list of lists) {
+    for (const url of list || []) {
+      const normalized = normalizeRelayUrl(url);
+      if (normalized) merged.add(normalized);
+    }
+  }
+  return [...merged];
+}
+
+/**
+ * Parse a kind 10002 relay list event. `r` tags without a marker count as
+ * both read and write.
+ *
+ * @param {object} event - kind 10002 event
+ * @returns {{read: string[], write: string[]}}
+ */
+function parseRelayList(event) {
+  const read = [];
+  const write = [];
+  for (const tag of event.tags || []) {
+    if (tag[0] !== 'r' || !tag[1]) continue;
+    const url = normalizeRelayUrl(tag[1]);
+    if (!url) continue;
+    if (tag[2] !== 'write' && !read.includes(url)) read.push(url);
+    if (tag[2] !== 'read' && !write.includes(url)) write.push(url);
+  }
+  return { read, write };
+}
+
+/**
+ * Fetch NIP-65 relay lists for several pubkeys. Results (including "no list
+ * found") are cached for RELAY_LIST_TTL_MS; only stale or missing entries
+ * are fetched, from the discovery relays in `opts.relays`.
+ *
+ * @param {string[]} pubkeys - hex pubkeys
+ * @param {object} [opts] - { relays, ttlMs }
+ * @returns {Promise<Map<string, {read: string[], write: string[]}>>}
+ */
+async function fetchRelayLists(pubkeys, opts = {}) {
+  const relays = opts.relays || RELAYS;
+  const ttlMs = opts.ttlMs !== undefined ? opts.ttlMs : RELAY_LIST_TTL_MS;
+  const now = Date.now();
+  const unique = [...new Set(pubkeys)];
+
+  const missing = unique.filter(pk => {
+    const cached = relayListCache.get(pk);
+    return !cached || now - cached.fetchedAt > ttlMs;
+  });
+
+  for (let i = 0; i < missing.length; i += BATCH_CHUNK_SIZE) {
+    const chunk = missing.slice(i, i + BATCH_CHUNK_SIZE);
+    const events = await queryRelays({ kinds: [10002], authors: chunk }, relays);
+
+    // Replaceable event: newest list per author wins
+    const newest = new Map();
+    for (const e of events) {
+      const current = newest.get(e.pubkey);
+      if (!current || e.created_at > current.created_at) newest.set(e.pubkey, e);
+    }
+
+    for (const pk of chunk) {
+      const list = newest.has(pk) ? parseRelayList(newest.get(pk)) : { read: [], write: [] };
+      relayListCache.set(pk, { ...list, fetchedAt: now });
+    }
+  }
+
+  const lists = new Map();
+  for (const pk of unique) {
+    const { read, write } = relayListCache.get(pk);
+    lists.set(pk, { read, write });
+  }
+  return lists;
+}
+
+/**
+ * Fetch the NIP-65 relay list for one pubkey (cached, see fetchRelayLists).
+ *
+ * @param {string} pubkey - hex pubkey
+ * @param {object} [opts] - { relays, ttlMs }
+ * @returns {Promise<{read: string[], write: string[]}>}
+ */
+async function fetchRelayList(pubkey, opts = {}) {
+  const lists = await fetchRelayLists([pubkey], opts);
+  return lists.get(pubkey);
+}
+
+/**
+ * Forget cached relay lists.
+ */
+function clearRelayListCache() {
+  relayListCache.clear();
+}
+
+/**
+ * Query attestations about a pubkey on relays discovered via NIP-65 (the
+ * "outbox model", not to be confused with the publish outbox): the base relays
+ * plus the subject's own relays first, then the write relays of every
+ * attester found, for further attestations by those attesters.
+ *
+ * @param {object} [opts] - { secretKey } passed on to queryRelays
+ * @returns {Promise<{events: Array, relays: string[]}>} events plus every relay consulted
+ */
+async function queryAttestationsDiscovered(pubkey, filter, relays, opts = {}) {
+  const subjectList = await fetchRelayList(pubkey, { relays });
+  const firstRelays = mergeRelayUrls(
+    relays,
+    subjectList.read.slice(0, MAX_DISCOVERED_RELAYS),
+    subjectList.write.slice(0, MAX_DISCOVERED_RELAYS)
+  );
+
+  const first = await queryRelays(filter, firstRelays, opts);
+  const events = new Map(first.map(e => [e.id, e]));
+  let rejected = first._rejected;
+  let truncated = !!first._truncated;
+  const auth = { ...first._auth };
+
+  const attesters = [...new Set(first.map(e => e.pubkey))].filter(pk => pk !== pubkey);
+  const lists = await fetchRelayLists(attesters, { relays });
+
+  // Ask each outbox relay only about the attesters that write there
+  const authorsByRelay = new Map();
+  for (const attester of attesters) {
+    for (const url of lists.get(attester).write.slice(0, MAX_DISCOVERED_RELAYS)) {
+      if (firstRelays.includes(url)) continue;
+      if (!authorsByRelay.has(url)) authorsByRelay.set(url, []);
+      authorsByRelay.get(url).push(attester);
+    }
+  }
+
+  for (const [url, authors] of authorsByRelay) {
+    for (let i = 0; i < authors.length; i += BATCH_CHUNK_SIZE) {
+      const more = await queryRelays({ ...filter, authors: authors.slice(i, i + BATCH_CHUNK_SIZE) }, [url], opts);
+      rejected = mergeRejected(rejected, more._rejected);
+      if (more._truncated) truncated = true;
+      Object.assign(auth, more._auth);
+      for (const e of more) {
+        if (!events.has(e.id)) events.set(e.id, e);
+      }
+    }
+  }
+
+  const result = [...events.values()];
+  result._rejected = rejected;
+  result._truncated = truncated;
+  result._auth = auth;
+  return { events: result, relays: mergeRelayUrls(firstRelays, [...authorsByRelay.keys()]) };
 }
 
 // ─── Core Functions ─────────────────────────────────────────────
@@ -247,12 +1316,23 @@ async function publishRevocation(secretKey, attestationEventId, reason, opts = {
 /**
  * Create and publish an attestation event.
  *
+ * With `opts.discoverRelays`, the event also goes to the subject's NIP-65 read
+ * relays (where they look for mentions) and the author's write relays.
+ *
+ * Relays that require NIP-42 AUTH are authenticated with the same key;
+ * each entry of `results` carries `auth` when the relay asked for it
+ * ('auth-required', 'auth-failed' or 'authenticated').
+ *
+ * The event goes through the durable publish outbox (see sendEvent):
+ * `delivery` reports the acks so far against the `minAcks` quorum, and
+ * relays that failed are retried in the background.
+ *
  * @param {Buffer|Uint8Array} secretKey - 32-byte secret key
  * @param {string} targetPubkey - hex pubkey of the agent being attested
  * @param {string} type - one of: service-quality, identity-continuity, general-trust, dispute, warning
  * @param {string} comment - human-readable explanation
- * @param {object} [opts] - optional: { eventRef, relayHint, relays, expiration }
- * @returns {Promise<{event, results}>}
+ * @param {object} [opts] - optional: { eventRef, relayHint, relays, expiration, discoverRelays, minAcks, publishOutbox }
+ * @returns {Promise<{event, results, delivery}>}
  */
 async function publishAttestation(secretKey, targetPubkey, type, comment, opts = {}) {
   if (!VALID_TYPES.includes(type)) {
@@ -291,149 +1371,740 @@ async function publishAttestation(secretKey, targetPubkey, type, comment, opts =
     tags
   }, secretKey);
 
+  let relays = opts.relays || RELAYS;
+  if (opts.discoverRelays) {
+    const lists = await fetchRelayLists([targetPubkey, event.pubkey], { relays });
+    relays = mergeRelayUrls(
+      relays,
+      lists.get(targetPubkey).read.slice(0, MAX_DISCOVERED_RELAYS),
+      lists.get(event.pubkey).write.slice(0, MAX_DISCOVERED_RELAYS)
+    );
+  }
+  // The author's key also answers NIP-42 AUTH challenges
+  const { results, delivery } = await sendEvent(event, relays, { ...opts, secretKey });
+
+  return { event, results, delivery };
+}
+
+/**
+ * Query all attestations about a given pubkey.
+ * Automatically filters out revoked and expired (NIP-40) attestations.
+ *
+ * Metadata attached to the returned array:
+ *   - _revocations: [{ eventId, attester, revocationId, reason, revokedAt }] for each revoked attestation
+ *   - _expiredCount: number of expired attestations dropped
+ *   - _rejected: per-relay counts of events that failed signature verification
+ *   - _truncated: true if a relay had more events than were fetched
+ *   - _auth: NIP-42 outcome per relay that asked for AUTH (see queryRelays)
+ *
+ * With includeRevoked, revoked attestations are kept and carry a
+ * `revocation` field ({ revocationId, author, reason, revokedAt }).
+ * Disputes and warnings carry `rebuttals` by their subject
+ * ([{ rebuttalId, author, content, rebuttedAt }], see queryRebuttals).
+ *
+ * With discoverRelays, relays are discovered via NIP-65 (see queryAttestationsDiscovered);
+ * `relays` then only seeds the search and the relay-list lookups.
+ *
+ * @param {string} pubkey - hex pubkey to look up
+ * @param {object} [opts] - optional: { relays, store, secretKey, type, limit, includeRevoked, includeExpired, discoverRelays }
+ *   secretKey authenticates to relays that require NIP-42 AUTH for reads
+ * @returns {Promise<Array>} - array of attestation events
+ */
+async function queryAttestations(pubkey, opts = {}) {
+  const filter = {
+    kinds: [1985],
+    '#L': [NAMESPACE],
+    '#p': [pubkey]
+  };
+
+  if (opts.type && VALID_TYPES.includes(opts.type)) {
+    filter['#l'] = [opts.type];
+  }
+
+  if (opts.limit) {
+    filter.limit = opts.limit;
+  }
+
+  let relays = opts.relays || RELAYS;
+  const source = { store: opts.store, secretKey: opts.secretKey };
+  let events;
+  if (opts.discoverRelays && !opts.store) {
+    // Revocations are looked up on the same (discovered) relays
+    ({ events, relays } = await queryAttestationsDiscovered(pubkey, filter, relays, source));
+  } else {
+    events = await queryRelays(filter, relays, source);
+  }
+
+  const authors = [...new Set(events.filter(e => e.pubkey !== pubkey).map(e => e.pubkey))];
+  const revocationIndex = authors.length > 0 ? await queryRevocations(authors, relays, source) : new Map();
+
+  const result = prepareAttestations(events, pubkey, revocationIndex, opts);
+  result._rejected = mergeRejected(events._rejected, revocationIndex._rejected);
+  result._truncated = !!(events._truncated || revocationIndex._truncated);
+  result._auth = { ...events._auth, ...revocationIndex._auth };
+  return attachRebuttals(result, relays, source);
+}
+
+/**
+ * Apply the filters shared by single and batched attestation queries:
+ * drop self-attestations, expired attestations (unless includeExpired) and
+ * attestations revoked by their own author (kept with a `revocation` field
+ * when includeRevoked is set). Attaches `_revocations` and `_expiredCount`.
+ */
+function prepareAttestations(events, pubkey, revocationIndex, opts = {}) {
+  // Filter out self-attestations
+  events = events.filter(e => e.pubkey !== pubkey);
+
+  // Filter out expired attestations (unless explicitly requested)
+  let expiredCount = 0;
+  if (!opts.includeExpired) {
+    const now = Math.floor(Date.now() / 1000);
+    const beforeCount = events.length;
+    events = events.filter(e => !isExpired(e, now));
+    expiredCount = beforeCount - events.length;
+  }
+
+  // Match revocations by the attestation's own author
+  const revocations = [];
+  if (revocationIndex.size > 0) {
+    const kept = [];
+    for (const e of events) {
+      const revocation = findRevocation(revocationIndex, e);
+      if (!revocation) {
+        kept.push(e);
+        continue;
+      }
+      revocations.push({ eventId: e.id, attester: e.pubkey, ...revocation });
+      // Keep revoked attestations only when explicitly requested
+      if (opts.includeRevoked) kept.push({ ...e, revocation });
+    }
+    events = kept;
+  }
+
+  events._revocations = revocations;
+  events._expiredCount = expiredCount;
+  return events;
+}
+
+/**
+ * Query attestations about many pubkeys at once: one `#p` filter per
+ * BATCH_CHUNK_SIZE pubkeys and a single revocation lookup for all attesters.
+ * Each list is filtered exactly like queryAttestations(), and its disputes
+ * get their rebuttals from one lookup for the whole batch.
+ *
+ * @param {string[]} pubkeys - hex pubkeys to look up
+ * @param {object} [opts] - { relays, store, includeRevoked, includeExpired }
+ * @returns {Promise<Map>} pubkey → attestation array. Rejection counts and the
+ *   truncation flag for the whole batch are attached to the Map and to every
+ *   array as `_rejected` / `_truncated`.
+ */
+async function queryAttestationsBatch(pubkeys, opts = {}) {
+  const relays = opts.relays || RELAYS;
+  const source = { store: opts.store };
+  const targets = [...new Set(pubkeys)];
+  const byTarget = new Map(targets.map(pk => [pk, []]));
+  let rejected = {};
+  let truncated = false;
+
+  for (let i = 0; i < targets.length; i += BATCH_CHUNK_SIZE) {
+    const filter = {
+      kinds: [1985],
+      '#L': [NAMESPACE],
+      '#p': targets.slice(i, i + BATCH_CHUNK_SIZE)
+    };
+    const events = await queryRelays(filter, relays, source);
+    rejected = mergeRejected(rejected, events._rejected);
+    if (events._truncated) truncated = true;
+
+    // An attestation may name several subjects; file it under each requested one
+    for (const e of events) {
+      const subjects = new Set(e.tags.filter(t => t[0] === 'p' && byTarget.has(t[1])).map(t => t[1]));
+      for (const subject of subjects) byTarget.get(subject).push(e);
+    }
+  }
+
+  const authors = new Set();
+  for (const [pk, events] of byTarget) {
+    for (const e of events) {
+      if (e.pubkey !== pk) authors.add(e.pubkey);
+    }
+  }
+  const revocationIndex = authors.size > 0 ? await queryRevocations([...authors], relays, source) : new Map();
+  rejected = mergeRejected(rejected, revocationIndex._rejected);
+  if (revocationIndex._truncated) truncated = true;
+
+  const prepared = new Map();
+  for (const [pk, events] of byTarget) prepared.set(pk, prepareAttestations(events, pk, revocationIndex, opts));
+
+  // One rebuttal lookup for every dispute in the batch
+  const all = [...prepared.values()].flat();
+  const withRebuttals = await attachRebuttals(all, relays, source);
+  rejected = mergeRejected(rejected, withRebuttals._rejected);
+  if (withRebuttals._truncated) truncated = true;
+  const replaced = new Map(withRebuttals.map(att => [att.id, att]));
+
+  const results = new Map();
+  for (const [pk, events] of prepared) {
+    for (let i = 0; i < events.length; i++) events[i] = replaced.get(events[i].id) || events[i];
+    events._rejected = rejected;
+    events._truncated = truncated;
+    results.set(pk, events);
+  }
+  results._rejected = rejected;
+  results._truncated = truncated;
+  return results;
+}
+
+/**
+ * Query zap receipts for a set of event IDs (BATCH_CHUNK_SIZE ids per filter).
+ * Returns a Map of eventId → total sats of receipts that pass NIP-57
+ * validation (see lib/zaps.js): signed by the recipient's LNURL provider,
+ * with a bolt11 amount and description hash matching the zap request.
+ *
+ * Attached to the Map:
+ *   - _details: Map eventId → { validSats, rejectedSats, validCount, rejectedCount, zaps, rejections }
+ *     (zaps: [{ receiptId, sender, sats, createdAt }] — sender is the zap request's author,
+ *     used to discount self-dealing zaps; rejections: [{ receiptId, reason, sats, createdAt }])
+ *   - _rejected / _truncated: as for queryRelays
+ *
+ * Zap providers are resolved from the recipients' profiles and LNURL
+ * endpoints over the network. With `opts.store` they are read from the
+ * store instead (recorded by syncStore), so nothing touches the network;
+ * receipts for recipients the store has no provider for are rejected as
+ * unverifiable. Pass `opts.zappers` (Map recipient → zapper pubkey) to
+ * skip the lookup.
+ *
+ * @param {string[]} eventIds
+ * @param {string[]} [relays]
+ * @param {object} [opts] - { store, zappers, fetch, lookup (DNS, see resolveZapperPubkeys) }
+ */
+async function queryZapsForEvents(eventIds, relays = RELAYS, opts = {}) {
+  const zapTotals = new Map();
+  zapTotals._details = new Map();
+  zapTotals._rejected = {};
+  zapTotals._truncated = false;
+  if (eventIds.length === 0) return zapTotals;
+
+  const zapReceipts = [];
+  for (let i = 0; i < eventIds.length; i += BATCH_CHUNK_SIZE) {
+    const filter = {
+      kinds: [9735],
+      '#e': eventIds.slice(i, i + BATCH_CHUNK_SIZE)
+    };
+    const events = await queryRelays(filter, relays, opts);
+    zapTotals._rejected = mergeRejected(zapTotals._rejected, events._rejected);
+    if (events._truncated) zapTotals._truncated = true;
+    zapReceipts.push(...events);
+  }
+  if (zapReceipts.length === 0) return zapTotals;
+
+  const recipients = [...new Set(zapReceipts.map(r => (r.tags.find(t => t[0] === 'p') || [])[1]).filter(Boolean))];
+  const zappers = new Map(opts.zappers || []);
+  const unresolved = recipients.filter(pk => !zappers.has(pk));
+  if (opts.store) {
+    for (const pk of unresolved) {
+      const entry = opts.store.getZapper(pk);
+      if (entry) zappers.set(pk, entry.zapper);
+    }
+  } else if (unresolved.length > 0) {
+    const resolved = await zaps.resolveZapperPubkeys(unresolved, { relays, fetch: opts.fetch, lookup: opts.lookup });
+    for (const [pk, zapper] of resolved) zappers.set(pk, zapper);
+  }
+
+  for (const receipt of zapReceipts) {
+    const check = zaps.validateZapReceipt(receipt, zappers.get((receipt.tags.find(t => t[0] === 'p') || [])[1]));
+    if (!check.eventId) continue;
+
+    let detail = zapTotals._details.get(check.eventId);
+    if (!detail) {
+      detail = { validSats: 0, rejectedSats: 0, validCount: 0, rejectedCount: 0, zaps: [], rejections: [] };
+      zapTotals._details.set(check.eventId, detail);
+    }
+
+    if (check.valid) {
+      detail.validSats += check.sats;
+      detail.validCount++;
+      detail.zaps.push({ receiptId: receipt.id, sender: check.sender, sats: check.sats, createdAt: receipt.created_at });
+      zapTotals.set(check.eventId, (zapTotals.get(check.eventId) || 0) + check.sats);
+    } else {
+      detail.rejectedSats += check.claimedSats;
+      detail.rejectedCount++;
+      detail.rejections.push({ receiptId: receipt.id, reason: check.reason, sats: check.claimedSats, createdAt: receipt.created_at });
+    }
+  }
+
+  return zapTotals;
+}
+
+/**
+ * Prefetch the attestation graph around a set of pubkeys, level by level.
+ *
+ * Each level costs one batched attestation query (queryAttestationsBatch)
+ * and one batched zap query; the attesters found become the next level,
+ * down to `maxDepth` hops — the same depth recursive scoring resolves.
+ *
+ * @param {string[]} pubkeys - root pubkeys
+ * @param {object} [opts] - { relays, store, includeExpired, includeRevoked, maxDepth (default 2), _graph }
+ * @returns {Promise<Map>} pubkey → { attestations, zapTotals }
+ */
+async function prefetchTrustGraph(pubkeys, opts = {}) {
   const relays = opts.relays || RELAYS;
-  const results = await publishToRelays(event, relays);
+  const includeExpired = !!opts.includeExpired;
+  const includeRevoked = !!opts.includeRevoked;
+  const maxDepth = opts.maxDepth !== undefined ? opts.maxDepth : SCORE_MAX_DEPTH;
+  const graph = opts._graph || new Map();
+  const store = opts.store;
+
+  let level = [...new Set(pubkeys)].filter(pk => !graph.has(pk));
+
+  for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+    const attestationsByPubkey = await queryAttestationsBatch(level, { relays, store, includeExpired, includeRevoked });
+
+    const eventIds = [];
+    for (const attestations of attestationsByPubkey.values()) {
+      for (const att of attestations) eventIds.push(att.id);
+    }
+    const zapTotals = await queryZapsForEvents(eventIds, relays, { store });
+
+    for (const [pk, attestations] of attestationsByPubkey) {
+      graph.set(pk, { attestations, zapTotals });
+    }
+
+    const next = new Set();
+    for (const attestations of attestationsByPubkey.values()) {
+      for (const att of attestations) {
+        if (!graph.has(att.pubkey)) next.add(att.pubkey);
+      }
+    }
+    level = [...next];
+  }
+
+  return graph;
+}
 
-  return { event, results };
+/**
+ * Look up a pubkey in a prefetched graph, fetching it on a miss.
+ */
+async function getGraphNode(graph, pubkey, opts) {
+  if (!graph.has(pubkey)) {
+    await prefetchTrustGraph([pubkey], { ...opts, maxDepth: 0, _graph: graph });
+  }
+  return graph.get(pubkey);
 }
 
 /**
- * Query all attestations about a given pubkey.
- * Automatically filters out revoked attestations.
- *
- * @param {string} pubkey - hex pubkey to look up
- * @param {object} [opts] - optional: { relays, type, limit, includeRevoked }
- * @returns {Promise<Array>} - array of attestation events
+ * Graph prefetch options for a score. Scoring at a past moment (`at`) needs
+ * the attestations that have been revoked or have expired since, so those are
+ * fetched too and sorted out by the scoring module.
  */
-async function queryAttestations(pubkey, opts = {}) {
-  const filter = {
-    kinds: [1985],
-    '#L': [NAMESPACE],
-    '#p': [pubkey]
+function graphFetchOptions(opts) {
+  return {
+    relays: opts.relays || RELAYS,
+    store: opts.store,
+    includeExpired: !!(opts.includeExpired || opts.at),
+    includeRevoked: !!opts.at,
+    maxDepth: policies.getPolicy(opts.policy).maxDepth
   };
+}
 
-  if (opts.type && VALID_TYPES.includes(opts.type)) {
-    filter['#l'] = [opts.type];
-  }
-
-  if (opts.limit) {
-    filter.limit = opts.limit;
+/**
+ * Identity-continuity links across the prefetched graph (see
+ * scoring.buildIdentityLinks). The graph only grows, so the links are
+ * rebuilt only when it does.
+ */
+function identityLinksFor(graph) {
+  if (!graph._identityLinks || graph._identityLinksSize !== graph.size) {
+    const all = [];
+    for (const node of graph.values()) all.push(...node.attestations);
+    graph._identityLinks = buildIdentityLinks(all);
+    graph._identityLinksSize = graph.size;
   }
+  return graph._identityLinks;
+}
 
-  const relays = opts.relays || RELAYS;
-  let events = await queryRelays(filter, relays);
-
-  // Filter out self-attestations
-  events = events.filter(e => e.pubkey !== pubkey);
+/**
+ * Self-dealing zap options for the scoring module. Zaps from an
+ * attestation's attester or subject count at `opts.selfZapWeight` (default
+ * 0); with `opts.excludeLinkedZaps`, so do zaps from pubkeys linked to either
+ * by identity-continuity attestations anywhere in the prefetched graph.
+ */
+function selfZapOptions(opts, graph) {
+  const result = { selfZapWeight: opts.selfZapWeight };
+  if (opts.excludeLinkedZaps) result.identityLinks = identityLinksFor(graph);
+  return result;
+}
 
-  // Filter out revoked attestations (unless explicitly requested)
-  if (!opts.includeRevoked) {
-    const authors = [...new Set(events.map(e => e.pubkey))];
-    if (authors.length > 0) {
-      const revokedIds = await queryRevocations(authors, relays);
-      if (revokedIds.size > 0) {
-        const beforeCount = events.length;
-        events = events.filter(e => !revokedIds.has(e.id));
-        if (events.length < beforeCount) {
-          // Attach revocation metadata
-          events._revokedCount = beforeCount - events.length;
-        }
-      }
-    }
+/**
+ * Who-vouches-for-whom index over the prefetched graph, so the scoring
+ * module can spot mutual and ring attestations among a subject's attesters
+ * (see scoring.findReciprocalAttesters). Rebuilt only when the graph grows
+ * or `at` changes.
+ */
+function attestationEdgesFor(graph, at) {
+  const key = `${graph.size}@${at || ''}`;
+  if (graph._attestationEdgesKey !== key) {
+    const all = [];
+    for (const node of graph.values()) all.push(...node.attestations);
+    graph._attestationEdges = buildAttestationEdges(all, { at });
+    graph._attestationEdgesKey = key;
   }
+  return graph._attestationEdges;
+}
 
-  return events;
+/**
+ * Resolve the seed set for perspective scoring (see scoring.calculateTrustScore).
+ *
+ * `opts.seeds` is used as given. `opts.perspective` (an observer pubkey)
+ * expands to the observer plus every pubkey it currently vouches for: the
+ * subjects of its positive attestations that are neither revoked nor expired,
+ * minus any it has also disputed or warned about. Without either, scores are
+ * global and this returns null.
+ *
+ * @param {object} opts - { seeds, perspective, relays, store, includeExpired, at }
+ * @returns {Promise<Set<string>|null>}
+ */
+async function resolveSeeds(opts) {
+  return (await seedResolver(opts))(opts.at);
 }
 
 /**
- * Query zap receipts for a set of event IDs.
+ * Fetch what resolveSeeds needs once, for scoring several moments: returns
+ * `at → seed set` (see resolveSeeds), evaluated without further queries.
+ *
+ * @param {object} opts - as for resolveSeeds (`at` is passed per call instead)
+ * @returns {Promise<Function>}
  */
-async function queryZapsForEvents(eventIds, relays = RELAYS) {
-  if (eventIds.length === 0) return new Map();
+async function seedResolver(opts) {
+  if (opts.seeds) {
+    const seeds = opts.seeds instanceof Set ? opts.seeds : new Set(opts.seeds);
+    return () => seeds;
+  }
+  if (!opts.perspective) return () => null;
 
-  const filter = {
-    kinds: [9735],
-    '#e': eventIds,
-    limit: 500
-  };
+  const relays = opts.relays || RELAYS;
+  const outgoing = await queryOutgoingAttestations(opts.perspective, { relays, store: opts.store });
+  const revocations = await queryRevocations([opts.perspective], relays, { store: opts.store });
+  return at => seedsFrom(opts.perspective, outgoing, revocations, { ...opts, at });
+}
 
-  const zapReceipts = await queryRelays(filter, relays);
-  const zapTotals = new Map();
+function seedsFrom(observer, outgoing, revocations, opts) {
+  const vouched = new Set();
+  const distrusted = new Set();
+  for (const att of outgoing) {
+    if (opts.at && att.created_at > opts.at) continue;
+    const revocation = findRevocation(revocations, att);
+    if (revocation && !(opts.at && revocation.revokedAt > opts.at)) continue;
+    if (!opts.includeExpired && isExpired(att, opts.at)) continue;
+
+    let lTag = att.tags.find(t => t[0] === 'l' && t[2] === NAMESPACE);
+    if (!lTag) {
+      const hasNs = att.tags.some(t => t[0] === 'L' && t[1] === NAMESPACE);
+      if (hasNs) lTag = att.tags.find(t => t[0] === 'l' && VALID_TYPES.includes(t[1]) && (!t[2] || t[2] === NAMESPACE));
+    }
+    if (!lTag) continue;
 
-  for (const receipt of zapReceipts) {
-    const eTag = receipt.tags.find(t => t[0] === 'e');
-    if (!eTag) continue;
-    const targetEventId = eTag[1];
+    const subject = att.tags.find(t => t[0] === 'p')[1];
+    if (POSITIVE_TYPES.includes(lTag[1])) vouched.add(subject);
+    else if (NEGATIVE_TYPES.includes(lTag[1])) distrusted.add(subject);
+  }
 
-    const descTag = receipt.tags.find(t => t[0] === 'description');
-    if (!descTag) continue;
+  const seeds = new Set([observer]);
+  for (const pk of vouched) {
+    if (!distrusted.has(pk)) seeds.add(pk);
+  }
+  return seeds;
+}
 
-    try {
-      const zapRequest = JSON.parse(descTag[1]);
-      const amountTag = zapRequest.tags?.find(t => t[0] === 'amount');
-      if (amountTag) {
-        const msats = parseInt(amountTag[1], 10);
-        const sats = Math.floor(msats / 1000);
-        zapTotals.set(targetEventId, (zapTotals.get(targetEventId) || 0) + sats);
-      }
-    } catch (_) {}
+/**
+ * Suspected sybil clusters for scoring: `opts.sybilClusters` as given (a Map
+ * pubkey → cluster or a detectSybilClusters result), or with `opts.sybil`,
+ * detected around the prefetched graph (see analyzeSybilNeighborhood).
+ *
+ * @returns {Promise<Map<string, object>|null>}
+ */
+async function resolveSybilClusters(opts, graph) {
+  if (opts.sybilClusters) return opts.sybilClusters.byPubkey || opts.sybilClusters;
+  if (!opts.sybil) return null;
+  return (await analyzeSybilNeighborhood(graph, opts)).byPubkey;
+}
+
+/**
+ * Attester out-degrees for volume normalization: `opts.attesterOutDegrees`
+ * as given, or with `opts.volume`, counted from the outgoing attestations of
+ * every attester in the prefetched graph over the policy's
+ * `volumeWindowDays` (see scoring.countOutDegrees). Cached on the graph
+ * until it grows.
+ *
+ * @returns {Promise<Map<string, number>|null>}
+ */
+async function resolveAttesterOutDegrees(opts, graph) {
+  if (opts.attesterOutDegrees) return opts.attesterOutDegrees;
+  if (!opts.volume) return null;
+
+  const windowDays = policies.getPolicy(opts.policy).volumeWindowDays;
+  const key = `${graph.size}@${opts.at || ''}/${windowDays}`;
+  if (graph._outDegreesKey !== key) {
+    const attesters = new Set();
+    for (const node of graph.values()) {
+      for (const att of node.attestations) attesters.add(att.pubkey);
+    }
+    const outgoing = await queryOutgoingAttestations([...attesters], { relays: opts.relays || RELAYS, store: opts.store });
+    graph._outDegrees = countOutDegrees(outgoing, { now: opts.at, windowDays });
+    graph._outDegreesKey = key;
   }
+  return graph._outDegrees;
+}
 
-  return zapTotals;
+/**
+ * Options for the scoring module shared by calculateTrustScore and the
+ * category scorers. Attester scores recurse through calculateTrustScore over
+ * the same cache and graph, carrying every caller option along.
+ */
+function scoringOptions(opts, { depth, cache, graph, seeds, sybilClusters, attesterOutDegrees, attesterCalibration }) {
+  const policy = policies.getPolicy(opts.policy);
+  return {
+    policy,
+    halfLifeDays: opts.halfLifeDays,
+    at: opts.at,
+    depth,
+    includeExpired: !!opts.includeExpired,
+    ...selfZapOptions(opts, graph),
+    attestationEdges: attestationEdgesFor(graph, opts.at),
+    linkedAttesters: policy.negativeQuorum > 1 ? identityLinksFor(graph) : undefined,
+    seeds,
+    sybilClusters,
+    attesterOutDegrees,
+    attesterCalibration,
+    cache,
+    relays: opts.relays || RELAYS,
+    resolveAttesterScore: async (attesterPubkey) => {
+      return calculateTrustScore(attesterPubkey, {
+        ...opts,
+        policy,
+        seeds,
+        sybilClusters,
+        attesterOutDegrees,
+        attesterCalibration,
+        depth: depth + 1,
+        _cache: cache,
+        _graph: graph
+      });
+    }
+  };
 }
 
 /**
  * Calculate the trust score for a pubkey.
  *
+ * The attestation graph is prefetched in batched queries (prefetchTrustGraph)
+ * and attester scores are then resolved recursively from memory.
+ *
+ * `at` (unix seconds) scores the state at that moment: attestations and zaps
+ * that existed then, minus revocations and expirations that had happened by
+ * then, with decay measured from `at`.
+ *
+ * `policy` selects the scoring parameters (a ScoringPolicy, a built-in name
+ * such as 'strict', or policy options — see lib/policy.js); the result
+ * records it as `policy: '<name>@<version>'`.
+ *
+ * With `perspective` (an observer pubkey) or `seeds`, the score is personal:
+ * trust flows only from the seed set (see resolveSeeds), and attesters with
+ * no path back to it within the recursion depth count for nothing.
+ *
+ * With `sybil: true`, attestations from members of suspected sybil clusters
+ * around the graph (see analyzeSybilNeighborhood) count at the policy's
+ * `sybilWeight`; `sybilClusters` passes clusters detected beforehand.
+ *
+ * With `volume: true`, each attestation is weighted by how many pubkeys its
+ * attester labelled in the policy's volume window (see
+ * resolveAttesterOutDegrees); `attesterOutDegrees` passes counts made
+ * beforehand.
+ *
+ * With `calibrate: true`, attesters whose service-quality and work-completed
+ * subjects later drew effective disputes or warnings carry less trust (see
+ * getAttesterCalibration); `attesterCalibration` passes records made
+ * beforehand.
+ *
+ * `truncated` is true if relays held more attestations or zap receipts than
+ * were fetched (see queryRelays), i.e. the score may be incomplete.
+ *
  * @param {string} pubkey - hex pubkey
- * @param {object} [opts] - { relays, depth, halfLifeDays, _cache }
- * @returns {Promise<{raw, display, attestationCount, positiveCount, negativeCount, gatedCount, breakdown, diversity}>}
+ * @param {object} [opts] - { relays, store, depth, at, policy, halfLifeDays, includeExpired, selfZapWeight, excludeLinkedZaps, perspective, seeds, sybil, sybilClusters, volume, attesterOutDegrees, calibrate, attesterCalibration, _cache, _graph }
+ * @returns {Promise<{raw, display, attestationCount, positiveCount, negativeCount, gatedCount, breakdown, diversity, rejectedEvents, truncated}>}
  */
 async function calculateTrustScore(pubkey, opts = {}) {
   const depth = opts.depth || 0;
   const cache = opts._cache || new Map();
-  const relays = opts.relays || RELAYS;
-  const halfLifeDays = opts.halfLifeDays || 90;
 
   // Check cache
   if (cache.has(pubkey)) return cache.get(pubkey);
 
   // Placeholder to prevent infinite recursion
-  const placeholder = { raw: 0, display: 0, attestationCount: 0, positiveCount: 0, negativeCount: 0, gatedCount: 0, breakdown: [], diversity: { diversity: 0, uniqueAttesters: 0, maxAttesterShare: 0, topAttester: null } };
+  const placeholder = { raw: 0, display: 0, attestationCount: 0, positiveCount: 0, negativeCount: 0, gatedCount: 0, breakdown: [], diversity: { diversity: 0, uniqueAttesters: 0, maxAttesterShare: 0, topAttester: null }, confidence: 0, interval: [0, 0] };
   cache.set(pubkey, placeholder);
 
-  const attestations = await queryAttestations(pubkey, { relays });
+  const seeds = await resolveSeeds(opts);
+
+  const fetchOpts = graphFetchOptions(opts);
+  const graph = opts._graph || await prefetchTrustGraph([pubkey], fetchOpts);
+  const { attestations, zapTotals } = await getGraphNode(graph, pubkey, fetchOpts);
+  const sybilClusters = await resolveSybilClusters(opts, graph);
+  const attesterOutDegrees = await resolveAttesterOutDegrees(opts, graph);
+  const attesterCalibration = await resolveAttesterCalibration(opts, graph);
 
   if (attestations.length === 0) {
-    cache.set(pubkey, placeholder);
-    return placeholder;
+    const empty = {
+      ...placeholder,
+      policy: policies.getPolicy(opts.policy).id,
+      rejectedEvents: summarizeRejected(attestations._rejected),
+      truncated: !!attestations._truncated
+    };
+    cache.set(pubkey, empty);
+    return empty;
   }
 
-  // Fetch zaps for all attestation events
-  const eventIds = attestations.map(a => a.id);
-  const zapTotals = await queryZapsForEvents(eventIds, relays);
-
   // Use scoring module
-  const result = await computeScore(attestations, zapTotals, {
-    halfLifeDays,
-    depth,
-    maxDepth: 2,
-    cache,
-    relays,
-    resolveAttesterScore: async (attesterPubkey) => {
-      return calculateTrustScore(attesterPubkey, {
-        relays,
-        depth: depth + 1,
-        halfLifeDays,
-        _cache: cache
-      });
-    }
-  });
+  const scored = await computeScore(attestations, zapTotals, scoringOptions(opts, { depth, cache, graph, seeds, sybilClusters, attesterOutDegrees, attesterCalibration }));
+
+  const result = {
+    ...scored,
+    rejectedEvents: summarizeRejected(mergeRejected(attestations._rejected, zapTotals._rejected)),
+    truncated: !!(attestations._truncated || zapTotals._truncated)
+  };
 
   cache.set(pubkey, result);
   return result;
 }
 
+/**
+ * Calculate trust scores for many pubkeys with one shared graph prefetch,
+ * so N pubkeys cost a few batched queries per level instead of N full
+ * recursive lookups. A pubkey whose score fails is left out of the result
+ * and its error recorded in `_errors`, so one bad subject does not fail the
+ * rest; a failed prefetch still throws.
+ *
+ * @param {string[]} pubkeys - hex pubkeys
+ * @param {object} [opts] - { relays, store, at, policy, halfLifeDays, includeExpired, perspective, seeds, sybil, sybilClusters, volume, attesterOutDegrees, calibrate, attesterCalibration }
+ * @returns {Promise<Map>} pubkey → score (same shape as calculateTrustScore);
+ *   `_errors` maps each failed pubkey to its Error
+ */
+async function calculateTrustScores(pubkeys, opts = {}) {
+  const graph = await prefetchTrustGraph(pubkeys, graphFetchOptions(opts));
+  const cache = new Map();
+  const seeds = await resolveSeeds(opts);
+  const sybilClusters = await resolveSybilClusters(opts, graph);
+  const attesterOutDegrees = await resolveAttesterOutDegrees(opts, graph);
+  const attesterCalibration = await resolveAttesterCalibration(opts, graph);
+
+  const scores = new Map();
+  const errors = new Map();
+  for (const pubkey of new Set(pubkeys)) {
+    try {
+      scores.set(pubkey, await calculateTrustScore(pubkey, { ...opts, seeds, sybilClusters, attesterOutDegrees, attesterCalibration, _cache: cache, _graph: graph }));
+    } catch (e) {
+      errors.set(pubkey, e);
+    }
+  }
+  scores._errors = errors;
+  return scores;
+}
+
+/**
+ * Resolve and check a score history range (see getScoreHistory). Throws on
+ * an invalid range, before anything is fetched.
+ *
+ * @param {object} [opts] - { from, to, step }
+ * @returns {{from: number, to: number, step: number, count: number}}
+ */
+function historyRange(opts = {}) {
+  const to = opts.to || Math.floor(Date.now() / 1000);
+  const step = opts.step || HISTORY_STEP_SECONDS;
+  const from = opts.from !== undefined ? opts.from : to - HISTORY_DAYS * 86400;
+  if (!(step > 0)) throw new Error('History step must be positive');
+  if (from > to) throw new Error('History from must not be after to');
+  const count = Math.floor((to - from) / step) + 1;
+  if (count > MAX_HISTORY_POINTS) {
+    throw new Error(`History would have ${count} points (max ${MAX_HISTORY_POINTS}); use a larger step`);
+  }
+  return { from, to, step, count };
+}
+
+/**
+ * Resolve and check a score diff range (see getScoreDiff). Throws on an
+ * invalid range, before anything is fetched.
+ *
+ * @param {object} [opts] - { from, to }
+ * @returns {{from: number, to: number}}
+ */
+function diffRange(opts = {}) {
+  const to = opts.to || Math.floor(Date.now() / 1000);
+  const from = opts.from !== undefined ? opts.from : to - DIFF_DAYS * 86400;
+  if (from > to) throw new Error('Diff from must not be after to');
+  return { from, to };
+}
+
+/**
+ * Trust score over time: the score as it stood at each of a series of past
+ * moments (see calculateTrustScore's `at`), replayed from one graph fetch.
+ *
+ * @param {string} pubkey - hex pubkey
+ * @param {object} [opts] - calculateTrustScore options, plus
+ *   from (unix seconds, default: 90 days before `to`), to (default: now) and
+ *   step (seconds, default: 7 days)
+ * @returns {Promise<Array<{at, display, raw, attestationCount, positiveCount, negativeCount}>>}
+ *   oldest first, ending at `to`; `_policy` and `_truncated` are attached
+ */
+async function getScoreHistory(pubkey, opts = {}) {
+  const { to, step, count } = historyRange(opts);
+
+  const graph = await prefetchTrustGraph([pubkey], graphFetchOptions({ ...opts, at: to }));
+  const seedsAt = await seedResolver(opts);
+
+  const points = [];
+  let last = null;
+  for (let i = count - 1; i >= 0; i--) {
+    const at = to - i * step;
+    last = await calculateTrustScore(pubkey, { ...opts, at, seeds: seedsAt(at), _cache: new Map(), _graph: graph });
+    points.push({
+      at,
+      display: last.display,
+      raw: last.raw,
+      attestationCount: last.attestationCount,
+      positiveCount: last.positiveCount,
+      negativeCount: last.negativeCount
+    });
+  }
+
+  points._policy = last.policy;
+  points._truncated = last.truncated;
+  return points;
+}
+
+/**
+ * Explain how a score changed between two moments (see diffScores).
+ * Both scores are replayed from one graph fetch.
+ *
+ * @param {string} pubkey - hex pubkey
+ * @param {object} [opts] - calculateTrustScore options, plus
+ *   from (unix seconds, default: 30 days before `to`) and to (default: now)
+ * @returns {Promise<object>} diffScores result plus `from`, `to` and `truncated`
+ */
+async function getScoreDiff(pubkey, opts = {}) {
+  const { from, to } = diffRange(opts);
+
+  const graph = await prefetchTrustGraph([pubkey], graphFetchOptions({ ...opts, at: to }));
+  const seedsAt = await seedResolver(opts);
+  const before = await calculateTrustScore(pubkey, { ...opts, at: from, seeds: seedsAt(from), _cache: new Map(), _graph: graph });
+  const after = await calculateTrustScore(pubkey, { ...opts, at: to, seeds: seedsAt(to), _cache: new Map(), _graph: graph });
+
+  return {
+    from,
+    to,
+    ...diffScores(before, after, { at: to, policy: opts.policy }),
+    truncated: after.truncated
+  };
+}
+
 /**
  * Get a human-readable summary of an agent's trust profile.
  */
@@ -447,6 +2118,7 @@ async function getAttestationSummary(pubkey, opts = {}) {
   lines.push('╠══════════════════════════════════════════════════╣');
   lines.push(`║  Pubkey: ${pubkey.substring(0, 16)}...${pubkey.substring(56)}      ║`);
   lines.push(`║  Trust Score: ${String(score.display).padStart(3)} / 100                          ║`);
+  lines.push(`║  Confidence: ${String(Math.round(score.confidence * 100)).padStart(3)}% (likely ${score.interval[0]}-${score.interval[1]})`.padEnd(51) + '║');
   lines.push(`║  Attestations: ${String(score.attestationCount).padStart(3)} (${score.positiveCount}+ ${score.negativeCount}- ${score.gatedCount}⊘)          ║`);
   lines.push(`║  Diversity: ${String(score.diversity.diversity).padStart(4)}                              ║`);
   lines.push('╚══════════════════════════════════════════════════╝');
@@ -480,6 +2152,15 @@ async function getAttestationSummary(pubkey, opts = {}) {
   if (score.diversity.maxAttesterShare > 0.5) {
     lines.push(`    ⚠ Top attester provides ${Math.round(score.diversity.maxAttesterShare * 100)}% of trust`);
   }
+  if (score.confidence < 0.5) {
+    lines.push('    ⚠ Low confidence: too little independent evidence to pin the score down');
+  }
+  if (score.reciprocalCount > 0) {
+    lines.push(`    ↔ ${score.reciprocalCount} reciprocal attestation(s) discounted (mutual or ring)`);
+  }
+
+  // Rebuttals come with the disputes they answer
+  const rebuttalsById = new Map(attestations.filter(att => att.rebuttals).map(att => [att.id, att.rebuttals]));
 
   // Recent attestations
   lines.push('\n  Recent Attestations:');
@@ -492,13 +2173,23 @@ async function getAttestationSummary(pubkey, opts = {}) {
     const date = new Date(b.timestamp * 1000).toISOString().split('T')[0];
     const shortAttester = b.attester.substring(0, 12) + '...';
     const sign = b.contribution < 0 ? '⚠' : '✓';
-    lines.push(`    ${sign} ${date}  ${shortAttester}  ${b.type}`);
+    const reciprocal = b.reciprocal ? `  ↔ ${b.reciprocalType}` : '';
+    lines.push(`    ${sign} ${date}  ${shortAttester}  ${b.type}${reciprocal}`);
     if (b.comment) {
       lines.push(`               "${b.comment}"`);
     }
+    for (const r of rebuttalsById.get(b.eventId) || []) {
+      lines.push(`               ↩ rebutted: "${r.content.substring(0, 80)}"`);
+    }
     if (b.zapSats > 0) {
       lines.push(`               ⚡ ${b.zapSats} sats (weight: ${b.zapWeight}x)`);
     }
+    if (b.rejectedZapSats > 0) {
+      lines.push(`               ⚠ ${b.rejectedZapSats} sats in invalid zap receipts (ignored)`);
+    }
+    if (b.excludedZapSats > 0) {
+      lines.push(`               ⚠ ${b.excludedZapSats} sats in self-dealing zaps (excluded)`);
+    }
     if (b.decayFactor < 1.0) {
       lines.push(`               📉 decay: ${(b.decayFactor * 100).toFixed(0)}%`);
     }
@@ -510,7 +2201,7 @@ async function getAttestationSummary(pubkey, opts = {}) {
     lines.push(`\n  Gated Attestations (ignored): ${gated.length}`);
     for (const b of gated.slice(0, 3)) {
       const reason = b.gateReason || 'empty content';
-      lines.push(`    ⊘ ${b.attester.substring(0, 12)}... ${b.type} — ${reason}`);
+      lines.push(`    ${b.pendingQuorum ? '⏳' : '⊘'} ${b.attester.substring(0, 12)}... ${b.type} — ${reason}`);
     }
   }
 
@@ -520,6 +2211,13 @@ async function getAttestationSummary(pubkey, opts = {}) {
   lines.push(`    Display score: ${score.display}/100`);
   lines.push(`    Positive contributions: ${score.positiveCount}`);
   lines.push(`    Negative contributions: ${score.negativeCount}`);
+  const rebutted = [...rebuttalsById.values()].filter(list => list.length > 0).length;
+  if (rebutted > 0) {
+    lines.push(`    Rebutted disputes/warnings: ${rebutted}`);
+  }
+  if (score.rejectedEvents && score.rejectedEvents.total > 0) {
+    lines.push(`    ⚠ Rejected events (bad id/signature): ${score.rejectedEvents.total}`);
+  }
 
   return lines.join('\n');
 }
@@ -536,8 +2234,8 @@ async function getAttestationSummary(pubkey, opts = {}) {
  * @param {string} targetPubkey - hex pubkey of the agent being attested
  * @param {string} type - attestation type
  * @param {string} comment - human-readable explanation (auto-prefixed with "Reaffirmed: ")
- * @param {object} [opts] - optional: { originalEventId, relays, expiration, eventRef, relayHint }
- * @returns {Promise<{event, results}>}
+ * @param {object} [opts] - optional: { originalEventId, relays, expiration, eventRef, relayHint, minAcks }
+ * @returns {Promise<{event, results, delivery}>}
  */
 async function reaffirmAttestation(secretKey, targetPubkey, type, comment, opts = {}) {
   // Prefix comment with "Reaffirmed: " unless it already starts with it
@@ -588,7 +2286,8 @@ async function queryLatestAttestations(targetPubkey, opts = {}) {
  *   - relayHint: Relay hint for the e-tag
  *   - relays: Relay URLs to publish to
  *   - expiration: Custom expiration timestamp (false to disable)
- * @returns {Promise<{event, results}>}
+ *   - minAcks: Relay acknowledgements required by the publish outbox
+ * @returns {Promise<{event, results, delivery}>}
  */
 async function publishWorkCompleted(secretKey, providerPubkey, description, opts = {}) {
   const parts = ['Work completed'];
@@ -602,6 +2301,8 @@ async function publishWorkCompleted(secretKey, providerPubkey, description, opts
     relayHint: opts.relayHint,
     relays: opts.relays,
     expiration: opts.expiration,
+    minAcks: opts.minAcks,
+    publishOutbox: opts.publishOutbox,
   });
 }
 
@@ -612,16 +2313,17 @@ async function publishWorkCompleted(secretKey, providerPubkey, description, opts
  *
  * @param {string} pubkey - hex pubkey
  * @param {string} category - category name (commerce, identity, code, general, or attestation type)
- * @param {object} [opts] - { relays, depth, halfLifeDays, _cache }
+ * @param {object} [opts] - { relays, store, depth, at, policy, halfLifeDays, includeExpired, selfZapWeight, excludeLinkedZaps, perspective, seeds, sybil, sybilClusters, volume, attesterOutDegrees, calibrate, attesterCalibration, _cache, _graph }
  * @returns {Promise<object>} Score result with category field
  */
 async function calculateCategoryScore(pubkey, category, opts = {}) {
   const depth = opts.depth || 0;
   const cache = opts._cache || new Map();
-  const relays = opts.relays || RELAYS;
-  const halfLifeDays = opts.halfLifeDays || 90;
 
-  const attestations = await queryAttestations(pubkey, { relays });
+  const seeds = await resolveSeeds(opts);
+  const fetchOpts = graphFetchOptions(opts);
+  const graph = opts._graph || await prefetchTrustGraph([pubkey], fetchOpts);
+  const { attestations, zapTotals } = await getGraphNode(graph, pubkey, fetchOpts);
 
   if (attestations.length === 0) {
     return {
@@ -629,51 +2331,52 @@ async function calculateCategoryScore(pubkey, category, opts = {}) {
       positiveCount: 0, negativeCount: 0, gatedCount: 0,
       breakdown: [],
       diversity: { diversity: 0, uniqueAttesters: 0, maxAttesterShare: 0, topAttester: null },
-      category
+      confidence: 0,
+      interval: [0, 0],
+      policy: policies.getPolicy(opts.policy).id,
+      category,
+      rejectedEvents: summarizeRejected(attestations._rejected),
+      truncated: !!attestations._truncated
     };
   }
 
-  const eventIds = attestations.map(a => a.id);
-  const zapTotals = await queryZapsForEvents(eventIds, relays);
+  const sybilClusters = await resolveSybilClusters(opts, graph);
+  const attesterOutDegrees = await resolveAttesterOutDegrees(opts, graph);
+  const attesterCalibration = await resolveAttesterCalibration(opts, graph);
+  const result = await computeCategoryScore(attestations, zapTotals, category, scoringOptions(opts, { depth, cache, graph, seeds, sybilClusters, attesterOutDegrees, attesterCalibration }));
 
-  return computeCategoryScore(attestations, zapTotals, category, {
-    halfLifeDays,
-    depth,
-    maxDepth: 2,
-    cache,
-    relays,
-    resolveAttesterScore: async (attesterPubkey) => {
-      return calculateTrustScore(attesterPubkey, {
-        relays,
-        depth: depth + 1,
-        halfLifeDays,
-        _cache: cache
-      });
-    }
-  });
+  return {
+    ...result,
+    rejectedEvents: summarizeRejected(mergeRejected(attestations._rejected, zapTotals._rejected)),
+    truncated: !!(attestations._truncated || zapTotals._truncated)
+  };
 }
 
 /**
  * Calculate trust scores for all named categories.
  *
  * @param {string} pubkey - hex pubkey
- * @param {object} [opts] - { relays, depth, halfLifeDays, _cache }
+ * @param {object} [opts] - { relays, store, depth, at, policy, halfLifeDays, includeExpired, selfZapWeight, excludeLinkedZaps, perspective, seeds, sybil, sybilClusters, volume, attesterOutDegrees, calibrate, attesterCalibration, _cache, _graph }
  * @returns {Promise<object>} Object with category names as keys
  */
 async function getAllCategoryScores(pubkey, opts = {}) {
   const depth = opts.depth || 0;
   const cache = opts._cache || new Map();
-  const relays = opts.relays || RELAYS;
-  const halfLifeDays = opts.halfLifeDays || 90;
 
-  const attestations = await queryAttestations(pubkey, { relays });
+  const seeds = await resolveSeeds(opts);
+  const fetchOpts = graphFetchOptions(opts);
+  const graph = opts._graph || await prefetchTrustGraph([pubkey], fetchOpts);
+  const { attestations, zapTotals } = await getGraphNode(graph, pubkey, fetchOpts);
 
   if (attestations.length === 0) {
     const empty = {
       raw: 0, display: 0, attestationCount: 0,
       positiveCount: 0, negativeCount: 0, gatedCount: 0,
       breakdown: [],
-      diversity: { diversity: 0, uniqueAttesters: 0, maxAttesterShare: 0, topAttester: null }
+      diversity: { diversity: 0, uniqueAttesters: 0, maxAttesterShare: 0, topAttester: null },
+      confidence: 0,
+      interval: [0, 0],
+      policy: policies.getPolicy(opts.policy).id
     };
     const results = {};
     for (const cat of ALL_CATEGORY_NAMES) {
@@ -682,26 +2385,274 @@ async function getAllCategoryScores(pubkey, opts = {}) {
     return results;
   }
 
-  const eventIds = attestations.map(a => a.id);
-  const zapTotals = await queryZapsForEvents(eventIds, relays);
+  const sybilClusters = await resolveSybilClusters(opts, graph);
+  const attesterOutDegrees = await resolveAttesterOutDegrees(opts, graph);
+  const attesterCalibration = await resolveAttesterCalibration(opts, graph);
+  return computeAllCategoryScores(attestations, zapTotals, scoringOptions(opts, { depth, cache, graph, seeds, sybilClusters, attesterOutDegrees, attesterCalibration }));
+}
 
-  return computeAllCategoryScores(attestations, zapTotals, {
-    halfLifeDays,
-    depth,
-    maxDepth: 2,
-    cache,
-    relays,
-    resolveAttesterScore: async (attesterPubkey) => {
-      return calculateTrustScore(attesterPubkey, {
-        relays,
-        depth: depth + 1,
-        halfLifeDays,
-        _cache: cache
-      });
-    }
+// ─── Global Scores (EigenTrust) ─────────────────────────────────
+
+/**
+ * Score every pubkey in the attestation graph at once with EigenTrust
+ * (personalized PageRank) — see lib/graph.js.
+ *
+ * Fetches all ai.wot attestations from the relays (or the local store),
+ * drops revoked and expired ones, weighs them with validated zaps and
+ * iterates to convergence. With `perspective` or `seeds` (see resolveSeeds)
+ * trust restarts only at the seed set; otherwise at every node.
+ *
+ * @param {object} [opts] - { relays, store, perspective, seeds, policy, halfLifeDays, includeExpired,
+ *   selfZapWeight, zaps (default true; false skips the zap receipt lookup),
+ *   alpha, tolerance, maxIterations }
+ * @returns {Promise<Map>} pubkey → { score, trust, distrust, display, rank } (see computeEigenTrust),
+ *   with `_iterations`, `_converged`, `_nodeCount`, `_edgeCount`, `_policy`, `_rejected` and `_truncated`
+ */
+async function computeGlobalScores(opts = {}) {
+  const relays = opts.relays || RELAYS;
+  const source = { store: opts.store };
+
+  const events = await queryRelays({ kinds: [1985], '#L': [NAMESPACE] }, relays, source);
+  const authors = [...new Set(events.map(e => e.pubkey))];
+  const revocationIndex = await queryRevocations(authors, relays, source);
+  const attestations = prepareAttestations(events, null, revocationIndex, opts);
+
+  const zapTotals = opts.zaps === false
+    ? new Map()
+    : await queryZapsForEvents(attestations.map(e => e.id), relays, source);
+
+  const policy = policies.getPolicy(opts.policy);
+  const graph = buildTrustGraph(attestations, zapTotals, {
+    policy,
+    halfLifeDays: opts.halfLifeDays,
+    selfZapWeight: opts.selfZapWeight
+  });
+  const scores = computeEigenTrust(graph, {
+    seeds: await resolveSeeds(opts),
+    alpha: opts.alpha,
+    tolerance: opts.tolerance,
+    maxIterations: opts.maxIterations
+  });
+
+  scores._policy = policy.id;
+  scores._rejected = mergeRejected(events._rejected, revocationIndex._rejected, zapTotals._rejected);
+  scores._truncated = !!(events._truncated || revocationIndex._truncated || zapTotals._truncated);
+  return scores;
+}
+
+/**
+ * Compare EigenTrust scores with the recursive scores of calculateTrustScore.
+ *
+ * @param {string[]} pubkeys - hex pubkeys
+ * @param {object} [opts] - computeGlobalScores / calculateTrustScores options, plus
+ *   `globalScores` to reuse a computeGlobalScores() result
+ * @returns {Promise<Array<{pubkey, global: number, rank: number|null, recursive: number, delta: number}>>}
+ *   display scores (0-100); delta = global − recursive
+ */
+async function compareGlobalScores(pubkeys, opts = {}) {
+  const globalScores = opts.globalScores || await computeGlobalScores(opts);
+  const recursiveScores = await calculateTrustScores(pubkeys, opts);
+
+  return [...new Set(pubkeys)].map(pubkey => {
+    if (recursiveScores._errors.has(pubkey)) throw recursiveScores._errors.get(pubkey);
+    const g = globalScores.get(pubkey);
+    const global = g ? g.display : 0;
+    const recursive = recursiveScores.get(pubkey).display;
+    return { pubkey, global, rank: g ? g.rank : null, recursive, delta: global - recursive };
   });
 }
 
+// ─── Sybil Detection ────────────────────────────────────────────
+
+/**
+ * Detect sybil clusters around a prefetched trust graph (see
+ * prefetchTrustGraph). Sybil detection needs each pubkey's outgoing
+ * attestations too, so every pubkey in the graph has its attestations
+ * fetched in batched `authors` queries. The fetched attestations are cached
+ * on the graph until it grows, and the clusters per `at`, so history and
+ * diffs replayed from one graph see the clusters of each moment.
+ *
+ * @param {Map} graph - From prefetchTrustGraph
+ * @param {object} [opts] - { relays, store, includeExpired, at, sybilOptions (see detectSybilClusters) }
+ * @returns {Promise<object>} detectSybilClusters result with `_rejected` and `_truncated`
+ */
+async function analyzeSybilNeighborhood(graph, opts = {}) {
+  if (graph._sybilSize !== graph.size) {
+    graph._sybilSource = await fetchSybilNeighborhood(graph, opts);
+    graph._sybil = new Map(); // at → result
+    graph._sybilSize = graph.size;
+  }
+
+  const at = opts.at || '';
+  if (!graph._sybil.has(at)) {
+    const { attestations, rejected, truncated } = graph._sybilSource;
+    const result = detectSybilClusters(attestations.filter(att => !opts.at || att.created_at <= opts.at), { ...opts.sybilOptions, now: opts.at });
+    result._rejected = rejected;
+    result._truncated = truncated;
+    graph._sybil.set(at, result);
+  }
+  return graph._sybil.get(at);
+}
+
+async function fetchSybilNeighborhood(graph, opts) {
+  const relays = opts.relays || RELAYS;
+  const source = { store: opts.store };
+  const byId = new Map();
+  const pubkeys = new Set(graph.keys());
+  for (const node of graph.values()) {
+    for (const att of node.attestations) {
+      pubkeys.add(att.pubkey);
+      if (!att.revocation) byId.set(att.id, att);
+    }
+  }
+
+  const authors = [...pubkeys];
+  const events = [];
+  let rejected = {};
+  let truncated = false;
+  for (let i = 0; i < authors.length; i += BATCH_CHUNK_SIZE) {
+    const chunk = await queryRelays({ kinds: [1985], '#L': [NAMESPACE], authors: authors.slice(i, i + BATCH_CHUNK_SIZE) }, relays, source);
+    events.push(...chunk);
+    rejected = mergeRejected(rejected, chunk._rejected);
+    if (chunk._truncated) truncated = true;
+  }
+  const revocationIndex = authors.length > 0 ? await queryRevocations(authors, relays, source) : new Map();
+  for (const att of prepareAttestations(events, null, revocationIndex, { includeExpired: opts.includeExpired })) {
+    byId.set(att.id, att);
+  }
+
+  return {
+    attestations: [...byId.values()],
+    rejected: mergeRejected(rejected, revocationIndex._rejected),
+    truncated: truncated || !!revocationIndex._truncated
+  };
+}
+
+/**
+ * Sybil report for one pubkey: whether it belongs to a suspected sybil
+ * cluster, and which of its attesters do.
+ *
+ * @param {string} pubkey - hex pubkey
+ * @param {object} [opts] - { relays, store, policy, includeExpired, at, sybilOptions, _graph }
+ * @returns {Promise<{pubkey, flagged: boolean, cluster: object|null, attesterClusters: Array,
+ *   suspectedAttesters: string[], attesterCount: number, nodeCount: number, edgeCount: number, truncated: boolean}>}
+ */
+async function getSybilReport(pubkey, opts = {}) {
+  const fetchOpts = graphFetchOptions(opts);
+  const graph = opts._graph || await prefetchTrustGraph([pubkey], fetchOpts);
+  const { attestations } = await getGraphNode(graph, pubkey, fetchOpts);
+  const analysis = await analyzeSybilNeighborhood(graph, opts);
+
+  const cluster = analysis.byPubkey.get(pubkey) || null;
+  const attesters = new Set(attestations.map(att => att.pubkey));
+  const suspectedAttesters = [...attesters].filter(pk => analysis.byPubkey.has(pk));
+  const attesterClusters = [...new Set(suspectedAttesters.map(pk => analysis.byPubkey.get(pk)))];
+
+  return {
+    pubkey,
+    flagged: !!cluster,
+    cluster,
+    attesterClusters,
+    suspectedAttesters,
+    attesterCount: attesters.size,
+    nodeCount: analysis.nodeCount,
+    edgeCount: analysis.edgeCount,
+    truncated: analysis._truncated || !!attestations._truncated
+  };
+}
+
+// ─── Attester Calibration ───────────────────────────────────────
+
+/**
+ * Calibration records for many attesters (see calibration.calibrateAttester).
+ * Their outgoing service-quality and work-completed attestations (minus
+ * revoked ones) are fetched in batched queries; subjects with disputes or
+ * warnings are then scored, without calibration, over one shared graph to
+ * see which of those negatives were effective.
+ *
+ * @param {string[]} pubkeys - Attesters
+ * @param {object} [opts] - calculateTrustScore options used to score the subjects, plus prior; `_graph` is extended
+ * @returns {Promise<Map<string, object>>} attester → calibration record
+ */
+async function calibrateAttesters(pubkeys, opts = {}) {
+  const relays = opts.relays || RELAYS;
+  const attesters = [...new Set(pubkeys)];
+  const outgoing = await queryOutgoingAttestations(attesters, { relays, store: opts.store });
+  const revocations = attesters.length > 0 ? await queryRevocations(attesters, relays, { store: opts.store }) : new Map();
+
+  const vouches = new Map();
+  for (const type of CALIBRATED_TYPES) {
+    for (const att of filterByCategory(outgoing, type)) {
+      if (opts.at && att.created_at > opts.at) continue;
+      const revocation = findRevocation(revocations, att);
+      if (revocation && !(opts.at && revocation.revokedAt > opts.at)) continue;
+      if (!vouches.has(att.pubkey)) vouches.set(att.pubkey, []);
+      vouches.get(att.pubkey).push(att);
+    }
+  }
+
+  const subjects = new Set();
+  for (const atts of vouches.values()) {
+    for (const att of atts) subjects.add(att.tags.find(t => t[0] === 'p')[1]);
+  }
+  const fetchOpts = graphFetchOptions(opts);
+  const graph = opts._graph || new Map();
+  await prefetchTrustGraph([...subjects], { ...fetchOpts, _graph: graph });
+
+  // Only subjects with negatives can have disputed a vouch
+  const scoreOpts = { ...opts, calibrate: false, attesterCalibration: null, seeds: await resolveSeeds(opts), _cache: new Map(), _graph: graph };
+  const subjectScores = new Map();
+  for (const subject of subjects) {
+    const node = graph.get(subject);
+    if (!node || !NEGATIVE_TYPES.some(type => filterByCategory(node.attestations, type).length > 0)) continue;
+    subjectScores.set(subject, await calculateTrustScore(subject, scoreOpts));
+  }
+
+  const result = new Map();
+  for (const pk of attesters) {
+    result.set(pk, calibrateAttester(pk, vouches.get(pk) || [], subjectScores, { at: opts.at, prior: opts.prior }));
+  }
+  return result;
+}
+
+/**
+ * How well an attester's vouches have held up: its service-quality and
+ * work-completed subjects, which of them later drew effective disputes or
+ * warnings, and the resulting calibration factor (see calibration.js).
+ *
+ * @param {string} pubkey - hex pubkey of the attester
+ * @param {object} [opts] - { relays, store, at, policy, perspective, seeds, prior }
+ * @returns {Promise<{pubkey, vouches, disputed, factor, prior, records}>}
+ */
+async function getAttesterCalibration(pubkey, opts = {}) {
+  return (await calibrateAttesters([pubkey], opts)).get(pubkey);
+}
+
+/**
+ * Attester calibration for scoring: `opts.attesterCalibration` as given
+ * (a Map attester → calibration record), or with `opts.calibrate`, computed
+ * for every attester in the prefetched graph (see calibrateAttesters).
+ * Cached on the graph until it grows.
+ *
+ * @returns {Promise<Map<string, object>|null>}
+ */
+async function resolveAttesterCalibration(opts, graph) {
+  if (opts.attesterCalibration) return opts.attesterCalibration;
+  if (!opts.calibrate) return null;
+
+  const key = `${graph.size}@${opts.at || ''}`;
+  if (graph._calibrationKey !== key) {
+    const attesters = new Set();
+    for (const node of graph.values()) {
+      for (const att of node.attestations) attesters.add(att.pubkey);
+    }
+    graph._calibration = await calibrateAttesters([...attesters], { ...opts, _graph: graph });
+    // Scoring the attesters' subjects grew the graph
+    graph._calibrationKey = `${graph.size}@${opts.at || ''}`;
+  }
+  return graph._calibration;
+}
+
 // ─── Trust Path Discovery (v0.8.0) ─────────────────────────────
 
 /**
@@ -709,7 +2660,7 @@ async function getAllCategoryScores(pubkey, opts = {}) {
  *
  * @param {string} fromPubkey - starting pubkey
  * @param {string} toPubkey - target pubkey
- * @param {object} [opts] - { relays, maxDepth (default 3) }
+ * @param {object} [opts] - { relays, store, maxDepth (default 3) }
  * @returns {Promise<{found: boolean, path: Array, hops: number}>}
  */
 async function findTrustPath(fromPubkey, toPubkey, opts = {}) {
@@ -731,7 +2682,7 @@ async function findTrustPath(fromPubkey, toPubkey, opts = {}) {
     if (current.depth >= maxDepth) continue;
 
     // Find all agents that `current.pubkey` has attested (outgoing attestations)
-    const outgoing = await queryOutgoingAttestations(current.pubkey, { relays });
+    const outgoing = await queryOutgoingAttestations(current.pubkey, { relays, store: opts.store });
 
     for (const att of outgoing) {
       const pTag = att.tags ? att.tags.find(t => t[0] === 'p') : null;
@@ -752,7 +2703,7 @@ async function findTrustPath(fromPubkey, toPubkey, opts = {}) {
       // Get a quick score for this hop node (no recursion, just use cache)
       let hopScore = null;
       try {
-        const s = await calculateTrustScore(targetPk, { relays, _cache: new Map() });
+        const s = await calculateTrustScore(targetPk, { relays, store: opts.store, _cache: new Map() });
         hopScore = s.display;
       } catch (_) {}
 
@@ -771,28 +2722,40 @@ async function findTrustPath(fromPubkey, toPubkey, opts = {}) {
 
 /**
  * Query outgoing attestations FROM a given pubkey (attestations they've made).
+ * Pass an array to query many attesters in batched `authors` queries.
  *
- * @param {string} pubkey - hex pubkey of the attester
- * @param {object} [opts] - { relays, limit }
+ * @param {string|string[]} pubkey - hex pubkey of the attester, or pubkeys
+ * @param {object} [opts] - { relays, store, limit }
  * @returns {Promise<Array>} - attestation events
  */
 async function queryOutgoingAttestations(pubkey, opts = {}) {
-  const filter = {
-    kinds: [1985],
-    '#L': [NAMESPACE],
-    authors: [pubkey],
-    limit: opts.limit || 200
-  };
-
+  const authors = Array.isArray(pubkey) ? [...new Set(pubkey)] : [pubkey];
   const relays = opts.relays || RELAYS;
-  let events = await queryRelays(filter, relays);
+  let events = [];
+  let rejected = {};
+  let truncated = false;
+  for (let i = 0; i < authors.length; i += BATCH_CHUNK_SIZE) {
+    const filter = {
+      kinds: [1985],
+      '#L': [NAMESPACE],
+      authors: authors.slice(i, i + BATCH_CHUNK_SIZE)
+    };
+    if (opts.limit) filter.limit = opts.limit;
+
+    const chunk = await queryRelays(filter, relays, { store: opts.store });
+    events.push(...chunk);
+    rejected = mergeRejected(rejected, chunk._rejected);
+    if (chunk._truncated) truncated = true;
+  }
 
   // Filter out self-attestations
   events = events.filter(e => {
     const pTag = e.tags ? e.tags.find(t => t[0] === 'p') : null;
-    return pTag && pTag[1] !== pubkey;
+    return pTag && pTag[1] !== e.pubkey;
   });
 
+  events._rejected = rejected;
+  events._truncated = truncated;
   return events;
 }
 
@@ -800,6 +2763,18 @@ async function queryOutgoingAttestations(pubkey, opts = {}) {
 
 const receipts = require('./receipts');
 
+// ─── Local Store ────────────────────────────────────────────────
+
+const store = require('./store');
+
+// ─── Publish Outbox ─────────────────────────────────────────────
+
+const outbox = require('./outbox');
+
+// ─── Zap Validation (NIP-57) ────────────────────────────────────
+
+const zaps = require('./zaps');
+
 module.exports = {
   // Core operations
   publishAttestation,
@@ -808,6 +2783,47 @@ module.exports = {
   getAttestationSummary,
   queryZapsForEvents,
 
+  // Batched scoring
+  queryAttestationsBatch,
+  prefetchTrustGraph,
+  calculateTrustScores,
+
+  // Perspective scoring
+  resolveSeeds,
+
+  // Score history
+  getScoreHistory,
+  historyRange,
+  getScoreDiff,
+  diffRange,
+  diffScores,
+
+  // Global scores (EigenTrust)
+  computeGlobalScores,
+  compareGlobalScores,
+  buildTrustGraph,
+  computeEigenTrust,
+
+  // Sybil detection
+  detectSybilClusters,
+  analyzeSybilNeighborhood,
+  getSybilReport,
+
+  // Attester volume
+  countOutDegrees,
+
+  // Attester calibration
+  getAttesterCalibration,
+  calibrateAttesters,
+  calibrateAttester,
+
+  // Scoring policies
+  ScoringPolicy: policies.ScoringPolicy,
+  getPolicy: policies.getPolicy,
+  registerPolicy: policies.registerPolicy,
+  loadPolicy: policies.loadPolicy,
+  listPolicies: policies.listPolicies,
+
   // Category Scoring (v0.8.0)
   calculateCategoryScore,
   getAllCategoryScores,
@@ -824,6 +2840,14 @@ module.exports = {
   // Revocations
   publishRevocation,
   queryRevocations,
+  publishRebuttal,
+  queryRebuttals,
+
+  // Relay Discovery (NIP-65)
+  fetchRelayList,
+  fetchRelayLists,
+  parseRelayList,
+  clearRelayListCache,
 
   // Work-Completed (v0.5.0)
   publishWorkCompleted,
@@ -838,11 +2862,34 @@ module.exports = {
   generateReceiptCandidate: receipts.generateReceiptCandidate,
   DVM_KIND_NAMES: receipts.DVM_KIND_NAMES,
 
+  // Local Store
+  AttestationStore: store.AttestationStore,
+  syncStore: store.syncStore,
+  watchStore: store.watchStore,
+
   // Relay helpers
   publishToRelays,
   publishToRelay,
   queryRelays,
   queryRelay,
+  verifyEvents,
+
+  // Zap Validation (NIP-57)
+  decodeBolt11: zaps.decodeBolt11,
+  validateZapReceipt: zaps.validateZapReceipt,
+  resolveZapperPubkeys: zaps.resolveZapperPubkeys,
+  clearZapperCache: zaps.clearZapperCache,
+
+  // Publish Outbox
+  Outbox: outbox.Outbox,
+  getOutbox,
+  setOutbox,
+
+  // Relay Pool
+  RelayPool,
+  getRelayPool,
+  setRelayPool,
+  closeRelayPool,
 
   // Candidate-Confirm (v0.7.0)
   CandidateStore: candidates.CandidateStore,
@@ -857,6 +2904,7 @@ module.exports = {
   VALID_TYPES,
   POSITIVE_TYPES,
   NEGATIVE_TYPES,
+  REBUTTAL_TYPE,
   TYPE_MULTIPLIERS,
   CATEGORIES,
   ALL_CATEGORY_NAMES,
@@ -0,0 +1,450 @@
+// ai-wot — Zap Receipt Validation (NIP-57)
+// A kind 9735 zap receipt only counts towards an attestation's zap weight
+// if it passes the checks of NIP-57 Appendix F:
+//
+//   - the receipt is signed by the recipient's LNURL provider (the
+//     `nostrPubkey` served by the lud16 / lud06 endpoint in their profile)
+//   - the embedded zap request (kind 9734) is validly signed, zaps the
+//     same recipient and event as the receipt
+//   - the bolt11 invoice's description hash is SHA-256 of that zap request
+//   - the bolt11 amount equals the zap request's `amount` tag (if any)
+//
+// The sats counted are the invoice amount, never the requested amount.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { validateZapRequest } = require('nostr-tools/nip57');
+
+// Lazy-require wot.js (wot.js is the public entry point and may load this module)
+let _wot = null;
+function getWot() {
+  if (!_wot) _wot = require('./wot');
+  return _wot;
+}
+
+// ─── Constants ──────────────────────────────────────────────────
+
+const ZAPPER_TTL_MS = 60 * 60 * 1000; // LNURL nostrPubkey cache lifetime
+const ZAPPER_RETRY_MS = 2 * 60 * 1000; // ... after a fetch or relay failure instead
+const LNURL_TIMEOUT_MS = 8000;
+const LNURL_CONCURRENCY = 8; // endpoints fetched at once
+const LNURL_MAX_BYTES = 64 * 1024; // LNURL-pay responses are a few hundred bytes
+const PROFILE_CHUNK_SIZE = 100;
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BOLT11_SIGNATURE_WORDS = 104; // 65-byte recoverable signature
+const MSATS_PER_UNIT = { '': 1e11, m: 1e8, u: 1e5, n: 100 }; // 'p' is 0.1 msat
+
+// ─── Bolt11 Decoding ────────────────────────────────────────────
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GEN[i];
+    }
+  }
+  return chk;
+}
+
+/**
+ * Decode a bech32 string without the 90-character limit (invoices and
+ * LNURLs are longer). Returns the HRP and the 5-bit data words without
+ * the checksum.
+ */
+function bech32Decode(str) {
+  const lower = str.toLowerCase();
+  if (lower !== str && str.toUpperCase() !== str) throw new Error('Mixed-case bech32 string');
+
+  const pos = lower.lastIndexOf('1');
+  if (pos < 1 || pos + 7 > lower.length) throw new Error('Missing bech32 separator');
+
+  const hrp = lower.slice(0, pos);
+  const words = [];
+  for (const c of lower.slice(pos + 1)) {
+    const v = BECH32_CHARSET.indexOf(c);
+    if (v === -1) throw new Error(`Invalid bech32 character "${c}"`);
+    words.push(v);
+  }
+
+  const expanded = [];
+  for (const c of hrp) expanded.push(c.charCodeAt(0) >> 5);
+  expanded.push(0);
+  for (const c of hrp) expanded.push(c.charCodeAt(0) & 31);
+  if (bech32Polymod([...expanded, ...words]) !== 1) throw new Error('Invalid bech32 checksum');
+
+  return { hrp, words: words.slice(0, -6) };
+}
+
+// 5-bit words → bytes, dropping trailing padding bits
+function wordsToBytes(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode the parts of a BOLT-11 invoice that zap validation needs.
+ * The node signature is not checked (NIP-57 relies on the description hash).
+ *
+ * @param {string} invoice - bolt11 string (optionally `lightning:` prefixed)
+ * @returns {{network: string, amountMsats: number|null, timestamp: number,
+ *   paymentHash: string|null, descriptionHash: string|null, description: string|null}}
+ * @throws {Error} if the invoice is malformed
+ */
+function decodeBolt11(invoice) {
+  if (typeof invoice !== 'string') throw new Error('Invoice must be a string');
+  const { hrp, words } = bech32Decode(invoice.trim().replace(/^lightning:/i, ''));
+
+  const m = /^ln(bcrt|bc|tbs|tb|sb)(\d*)([munp]?)$/.exec(hrp);
+  if (!m) throw new Error(`Not a lightning invoice: "${hrp}"`);
+
+  let amountMsats = null;
+  if (m[2]) {
+    const digits = parseInt(m[2], 10);
+    if (m[3] === 'p' && digits % 10 !== 0) throw new Error('Sub-millisatoshi invoice amount');
+    amountMsats = m[3] === 'p' ? digits / 10 : digits * MSATS_PER_UNIT[m[3]];
+  } else if (m[3]) {
+    throw new Error('Invoice multiplier without an amount');
+  }
+
+  if (words.length < 7 + BOLT11_SIGNATURE_WORDS) throw new Error('Invoice too short');
+
+  const result = {
+    network: m[1],
+    amountMsats,
+    timestamp: words.slice(0, 7).reduce((n, w) => n * 32 + w, 0),
+    paymentHash: null,
+    descriptionHash: null,
+    description: null
+  };
+
+  const tagged = words.slice(7, -BOLT11_SIGNATURE_WORDS);
+  for (let i = 0; i + 3 <= tagged.length;) {
+    const type = tagged[i];
+    const len = tagged[i + 1] * 32 + tagged[i + 2];
+    const data = tagged.slice(i + 3, i + 3 + len);
+    i += 3 + len;
+
+    if (type === 1 && len === 52) result.paymentHash = wordsToBytes(data).toString('hex');
+    else if (type === 23 && len === 52) result.descriptionHash = wordsToBytes(data).toString('hex');
+    else if (type === 13) result.description = wordsToBytes(data).toString('utf8');
+  }
+
+  return result;
+}
+
+// ─── Receipt Validation ─────────────────────────────────────────
+
+/**
+ * Validate a zap receipt (kind 9735) per NIP-57 Appendix F.
+ *
+ * `zapperPubkey` is the recipient's LNURL `nostrPubkey` (see
+ * resolveZapperPubkeys); null means the recipient has no nostr-enabled
+ * zap endpoint, so no receipt for them can be genuine. undefined means the
+ * provider is not known (e.g. never resolved into a local store), so the
+ * receipt cannot be verified.
+ *
+ * @param {object} receipt - kind 9735 event (signature already verified)
+ * @param {string|null|undefined} zapperPubkey - expected receipt signer
+ * @returns {{valid: boolean, reason: string|null, sats: number, claimedSats: number,
+ *   eventId: string|null, recipient: string|null, sender: string|null}}
+ *   `sats` is the invoice amount when valid (0 otherwise); `claimedSats` is
+ *   what the receipt claims, for reporting rejected totals
+ */
+function validateZapReceipt(receipt, zapperPubkey) {
+  const tag = (event, name) => {
+    const t = event && Array.isArray(event.tags) && event.tags.find(t => Array.isArray(t) && t[0] === name);
+    return t ? t[1] : null;
+  };
+
+  const result = {
+    valid: false,
+    reason: null,
+    sats: 0,
+    claimedSats: 0,
+    eventId: tag(receipt, 'e'),
+    recipient: tag(receipt, 'p'),
+    sender: null
+  };
+  const reject = (reason) => {
+    result.reason = reason;
+    return result;
+  };
+
+  const description = tag(receipt, 'description');
+  const bolt11 = tag(receipt, 'bolt11');
+  if (!description) return reject('Missing description tag');
+  if (!bolt11) return reject('Missing bolt11 tag');
+
+  let zapRequest = null;
+  try {
+    zapRequest = JSON.parse(description);
+  } catch (_) {}
+  const requestedMsats = zapRequest ? parseInt(tag(zapRequest, 'amount'), 10) : NaN;
+
+  let invoice;
+  try {
+    invoice = decodeBolt11(bolt11);
+  } catch (err) {
+    if (requestedMsats > 0) result.claimedSats = Math.floor(requestedMsats / 1000);
+    return reject(`Invalid bolt11: ${err.message}`);
+  }
+  result.claimedSats = Math.floor((invoice.amountMsats || requestedMsats || 0) / 1000);
+
+  const requestError = validateZapRequest(description);
+  if (requestError) return reject(requestError);
+  if (zapRequest.kind !== 9734) return reject('Zap request is not kind 9734');
+  result.sender = zapRequest.pubkey;
+
+  if (!result.recipient || tag(zapRequest, 'p') !== result.recipient) {
+    return reject('Zap request recipient does not match receipt');
+  }
+  if (tag(zapRequest, 'e') !== result.eventId) {
+    return reject('Zap request event does not match receipt');
+  }
+
+  if (!invoice.amountMsats) return reject('Invoice has no amount');
+  if (requestedMsats > 0 && requestedMsats !== invoice.amountMsats) {
+    return reject(`Invoice amount ${invoice.amountMsats} msat does not match requested ${requestedMsats} msat`);
+  }
+
+  const hash = crypto.createHash('sha256').update(description, 'utf8').digest('hex');
+  if (invoice.descriptionHash !== hash) return reject('Invoice description hash does not match zap request');
+
+  if (zapperPubkey === undefined) return reject('Recipient\'s zap provider is unknown');
+  if (!zapperPubkey) return reject('Recipient has no nostr zap endpoint');
+  if (receipt.pubkey !== zapperPubkey) return reject('Receipt not signed by the recipient\'s zap provider');
+
+  result.valid = true;
+  result.sats = Math.floor(invoice.amountMsats / 1000);
+  return result;
+}
+
+// ─── Zapper Resolution (LNURL) ──────────────────────────────────
+
+const zapperCache = new Map(); // pubkey → { zapper, fetchedAt, failed }
+
+// Profiles name arbitrary hosts; never let them point the fetch inward
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'); // IPv4-mapped addresses match the IPv4 rules
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check that an LNURL endpoint may be fetched: https only, and a host that
+ * is (or resolves to) public addresses only — no loopback, private,
+ * link-local or other reserved ranges.
+ *
+ * @param {string} url
+ * @param {Function} [lookup] - dns.promises.lookup-compatible resolver
+ * @returns {Promise<boolean>}
+ */
+async function isAllowedEndpoint(url, lookup = dns.promises.lookup) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' || parsed.username || parsed.password) return false;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host)) return isPublicAddress(host);
+  if (host === 'localhost' || host.endsWith('.localhost') || !host.includes('.')) return false;
+
+  const addresses = await lookup(host, { all: true });
+  return addresses.length > 0 && addresses.every(a => isPublicAddress(a.address));
+}
+
+/**
+ * LNURL-pay endpoint URL from a kind 0 profile (lud16 preferred, then lud06).
+ * Only https URLs are returned.
+ * @returns {string|null}
+ */
+function getLnurlEndpoint(profile) {
+  let meta;
+  try {
+    meta = JSON.parse(profile.content);
+  } catch (_) {
+    return null;
+  }
+
+  if (typeof meta.lud16 === 'string' && meta.lud16.includes('@')) {
+    const [name, domain] = meta.lud16.trim().toLowerCase().split('@');
+    if (/^[a-z0-9._+-]+$/.test(name || '') && /^[a-z0-9.-]+$/.test(domain || '')) {
+      return `https://${domain}/.well-known/lnurlp/${name}`;
+    }
+  }
+  if (typeof meta.lud06 === 'string' && meta.lud06.trim()) {
+    try {
+      const { hrp, words } = bech32Decode(meta.lud06.trim());
+      if (hrp !== 'lnurl') return null;
+      const url = wordsToBytes(words).toString('utf8');
+      if (new URL(url).protocol === 'https:') return url;
+    } catch (_) {}
+  }
+  return null;
+}
+
+async function readLimited(res, maxBytes) {
+  if (parseInt(res.headers && res.headers.get('content-length'), 10) > maxBytes) return null;
+  if (!res.body || !res.body.getReader) {
+    const text = await res.text();
+    return Buffer.byteLength(text) > maxBytes ? null : text;
+  }
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// → { zapper, failed }: `failed` means the answer may change on retry
+// (network error, timeout, server error), as opposed to a definitive "none"
+async function fetchZapper(url, fetchImpl, lookup) {
+  try {
+    if (!await isAllowedEndpoint(url, lookup)) return { zapper: null, failed: false };
+    const res = await fetchImpl(url, { signal: AbortSignal.timeout(LNURL_TIMEOUT_MS), redirect: 'error' });
+    if (!res.ok) return { zapper: null, failed: res.status >= 500 || res.status === 408 || res.status === 429 };
+
+    const text = await readLimited(res, LNURL_MAX_BYTES);
+    let body = null;
+    try {
+      body = text === null ? null : JSON.parse(text);
+    } catch (_) {}
+    const zapper = body && body.allowsNostr && /^[0-9a-f]{64}$/.test(body.nostrPubkey) ? body.nostrPubkey : null;
+    return { zapper, failed: false };
+  } catch (_) {
+    return { zapper: null, failed: true };
+  }
+}
+
+/**
+ * Resolve the pubkey that signs zap receipts for each recipient: read their
+ * kind 0 profile, then the `nostrPubkey` of the LNURL-pay endpoint it names
+ * (https only, public hosts only, responses up to 64 KiB).
+ *
+ * Answers (including "none") are cached for `ttlMs`. Recipients whose
+ * lookup failed (fetch error or timeout, server error, relays not answering
+ * in full) resolve to null, are listed in `_failed` and are retried after
+ * ZAPPER_RETRY_MS.
+ *
+ * @param {string[]} pubkeys - zap recipients
+ * @param {object} [opts] - { relays, ttlMs (default 1h), fetch (default globalThis.fetch),
+ *   lookup (DNS, default dns.promises.lookup), concurrency (LNURL endpoints fetched at once, default 8) }
+ * @returns {Promise<Map<string, string|null>>} recipient → zapper pubkey (null if none);
+ *   `_failed` is the Set of recipients that could not be resolved
+ */
+async function resolveZapperPubkeys(pubkeys, opts = {}) {
+  const ttlMs = opts.ttlMs !== undefined ? opts.ttlMs : ZAPPER_TTL_MS;
+  const fetchImpl = opts.fetch || globalThis.fetch;
+  const now = Date.now();
+  const result = new Map();
+  result._failed = new Set();
+  const missing = [];
+
+  for (const pk of new Set(pubkeys)) {
+    const cached = zapperCache.get(pk);
+    if (cached && now - cached.fetchedAt < (cached.failed ? Math.min(ttlMs, ZAPPER_RETRY_MS) : ttlMs)) {
+      result.set(pk, cached.zapper);
+      if (cached.failed) result._failed.add(pk);
+    } else {
+      missing.push(pk);
+    }
+  }
+  if (missing.length === 0) return result;
+
+  const { queryRelays, RELAYS } = getWot();
+  const profiles = new Map();
+  const unanswered = new Set(); // no profile, but a relay may have had one
+  for (let i = 0; i < missing.length; i += PROFILE_CHUNK_SIZE) {
+    const chunk = missing.slice(i, i + PROFILE_CHUNK_SIZE);
+    const events = await queryRelays({ kinds: [0], authors: chunk }, opts.relays || RELAYS);
+    for (const e of events) {
+      const current = profiles.get(e.pubkey);
+      if (!current || e.created_at > current.created_at) profiles.set(e.pubkey, e);
+    }
+    if (events._incomplete) chunk.forEach(pk => unanswered.add(pk));
+  }
+
+  const endpoints = new Map(); // pk → url
+  for (const pk of missing) {
+    const profile = profiles.get(pk);
+    endpoints.set(pk, profile ? getLnurlEndpoint(profile) : null);
+  }
+
+  // Many recipients share a provider; fetch each endpoint once, a few at a time
+  const urls = [...new Set(endpoints.values())].filter(Boolean);
+  const byUrl = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+      byUrl.set(url, fetchImpl ? await fetchZapper(url, fetchImpl, opts.lookup) : { zapper: null, failed: true });
+    }
+  };
+  const concurrency = opts.concurrency || LNURL_CONCURRENCY;
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+  for (const [pk, url] of endpoints) {
+    const { zapper, failed } = url ? byUrl.get(url) : { zapper: null, failed: unanswered.has(pk) && !profiles.has(pk) };
+    zapperCache.set(pk, { zapper, fetchedAt: now, failed });
+    result.set(pk, zapper);
+    if (failed) result._failed.add(pk);
+  }
+
+  return result;
+}
+
+/**
+ * Forget cached LNURL zapper pubkeys.
+ */
+function clearZapperCache() {
+  zapperCache.clear();
+}
+
+// ─── Exports ────────────────────────────────────────────────────
+
+module.exports = {
+  decodeBolt11,
+  validateZapReceipt,
+  resolveZapperPubkeys,
+  getLnurlEndpoint,
+  isAllowedEndpoint,
+  clearZapperCache
+};
@@ -19,6 +19,9 @@ const {
   DVM_KIND_NAMES, DVM_RESULT_KIND_MIN, DVM_RESULT_KIND_MAX, DVM_FEEDBACK_KIND
 } = require('./lib/receipts');
 
+// Keep the durable publish outbox out of the real home directory
+process.env.AI_WOT_OUTBOX_DIR = require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'ai-wot-outbox-'));
+
 let passed = 0;
 let failed = 0;
 
@@ -1054,6 +1057,1662 @@ function mockAttestation(pubkey, type, createdAt, id, content) {
   assert(typeof wotModule.queryLatestAttestations === 'function', 'queryLatestAttestations is exported');
   assert(typeof wotModule.generateReceiptCandidate === 'function', 'generateReceiptCandidate is exported from wot');
 
+  // ─── Event Verification ───────────────────────────────────────
+
+  console.log('\n🔏 Event Verification');
+
+  const { generateSecretKey, finalizeEvent } = require('nostr-tools/pure');
+  const testSk = generateSecretKey();
+  const signedAtt = finalizeEvent({
+    kind: 1985, created_at: now, content: 'signed',
+    tags: [['L', 'ai.wot'], ['l', 'general-trust', 'ai.wot'], ['p', 'b'.padEnd(64, '0')]]
+  }, testSk);
+  // Round-trip through JSON like a relay message (drops nostr-tools' cached verification flag)
+  const fromWire = (e) => JSON.parse(JSON.stringify(e));
+  const forgedContent = { ...fromWire(signedAtt), content: 'tampered' };
+  const forgedId = { ...fromWire(signedAtt), id: 'f'.repeat(64) };
+  const forgedPubkey = { ...fromWire(signedAtt), pubkey: 'c'.padEnd(64, '0') };
+
+  const verified = wotModule.verifyEvents([fromWire(signedAtt), forgedContent, forgedId, forgedPubkey, {}]);
+  assert(verified.valid.length === 1, 'verifyEvents: only the correctly signed event is kept');
+  assert(verified.valid[0] && verified.valid[0].id === signedAtt.id, 'verifyEvents: kept event is the original');
+  assert(verified.rejected === 4, 'verifyEvents: tampered content, id, pubkey and malformed events rejected');
+  assert(wotModule.verifyEvents([]).rejected === 0, 'verifyEvents: empty input → 0 rejected');
+
+  // ─── Expiration (NIP-40) ──────────────────────────────────────
+
+  console.log('\n⏳ Expiration (NIP-40)');
+
+  const { getExpiration, isExpired } = require('./lib/scoring');
+
+  function withExpiration(att, expiresAt) {
+    return { ...att, tags: [...att.tags, ['expiration', String(expiresAt)]] };
+  }
+
+  const expiredAtt = withExpiration(mockAttestation('a'.padEnd(64, '0'), 'service-quality', now - 100 * 86400, 'exp1'), now - 10 * 86400);
+  const liveAtt = withExpiration(mockAttestation('b'.padEnd(64, '0'), 'service-quality', now, 'exp2'), now + 80 * 86400);
+  const noExpiryAtt = mockAttestation('c'.padEnd(64, '0'), 'general-trust', now, 'exp3');
+
+  assert(getExpiration(liveAtt) === now + 80 * 86400, 'getExpiration reads expiration tag');
+  assert(getExpiration(noExpiryAtt) === null, 'getExpiration → null without tag');
+  assert(getExpiration({ tags: [['expiration', 'soon']] }) === null, 'getExpiration → null for malformed tag');
+  assert(isExpired(expiredAtt, now) === true, 'isExpired: past expiration → true');
+  assert(isExpired(liveAtt, now) === false, 'isExpired: future expiration → false');
+  assert(isExpired(noExpiryAtt, now) === false, 'isExpired: no expiration → false');
+
+  const rExp = await calculateTrustScore([expiredAtt, liveAtt, noExpiryAtt], zapEmpty, { now });
+  assert(rExp.attestationCount === 2, 'Expired attestation dropped by default');
+  assert(rExp.expiredCount === 1, 'expiredCount = 1');
+  assert(!rExp.breakdown.some(b => b.eventId === 'exp1'), 'Expired attestation not in breakdown');
+  assert(rExp.breakdown.find(b => b.eventId === 'exp2').expiresAt === now + 80 * 86400, 'Breakdown entry has expiresAt');
+  assert(rExp.breakdown.find(b => b.eventId === 'exp3').expiresAt === null, 'Breakdown expiresAt = null without tag');
+
+  const rExpIncl = await calculateTrustScore([expiredAtt, liveAtt, noExpiryAtt], zapEmpty, { now, includeExpired: true });
+  assert(rExpIncl.attestationCount === 3, 'includeExpired keeps expired attestation');
+  assert(rExpIncl.expiredCount === 0, 'includeExpired → expiredCount = 0');
+  assert(rExpIncl.raw > rExp.raw, 'Expired attestation contributes when included');
+
+  // ─── Revocations (NIP-09) ─────────────────────────────────────
+
+  console.log('\n🗑️  Revocations (NIP-09)');
+
+  const { indexRevocations, findRevocation } = require('./lib/scoring');
+
+  const attesterA = 'a'.padEnd(64, '0');
+  const attesterB = 'b'.padEnd(64, '0');
+  const attByA = { ...mockAttestation(attesterA, 'service-quality', now - 1000, 'rev_att_a'), kind: 1985 };
+  const attByB = { ...mockAttestation(attesterB, 'service-quality', now - 1000, 'rev_att_b'), kind: 1985 };
+
+  function mockDeletion(author, tags, createdAt, id, reason) {
+    return { id, kind: 5, pubkey: author, created_at: createdAt, content: reason || '', tags: [...tags, ['k', '1985']] };
+  }
+
+  const revIndex = indexRevocations([
+    mockDeletion(attesterA, [['e', 'rev_att_a']], now - 500, 'del1', 'Issue resolved'),
+    mockDeletion(attesterA, [['e', 'rev_att_a']], now - 100, 'del2', 'Again'),
+    mockDeletion(attesterA, [['e', 'rev_att_b']], now - 500, 'del3', 'Hostile deletion')
+  ]);
+
+  const revA = findRevocation(revIndex, attByA);
+  assert(revA !== null, 'Author can revoke own attestation');
+  assert(revA && revA.reason === 'Issue resolved', 'Revocation record carries reason');
+  assert(revA && revA.revokedAt === now - 500, 'Earliest revocation is kept');
+  assert(revA && revA.revocationId === 'del1', 'Revocation record carries deletion event id');
+  assert(findRevocation(revIndex, attByB) === null, 'Attester A cannot revoke attester B\'s attestation');
+
+  // Address (a-tag) deletions
+  const addrAtt = { ...attByA, id: 'rev_att_addr', tags: [...attByA.tags, ['d', 'slot1']] };
+  const addrIndex = indexRevocations([
+    mockDeletion(attesterA, [['a', `1985:${attesterA}:slot1`]], now - 500, 'del4', 'Address revoked'),
+    mockDeletion(attesterB, [['a', `1985:${attesterA}:slot1`]], now, 'del5', 'Not my address')
+  ]);
+  assert(findRevocation(addrIndex, addrAtt) !== null, 'a-tag deletion revokes matching address');
+  assert(findRevocation(addrIndex, addrAtt).revocationId === 'del4', 'a-tag deletion by other author ignored');
+  assert(findRevocation(addrIndex, { ...addrAtt, created_at: now }) === null, 'a-tag deletion does not cover later versions');
+  assert(findRevocation(new Map(), attByA) === null, 'Empty index → no revocation');
+  assert(indexRevocations([{ kind: 1, pubkey: attesterA, tags: [['e', 'x']] }]).size === 0, 'Non-kind-5 events ignored');
+
+  console.log('\n🔌 Relay Pool');
+
+  // Minimal in-memory stand-in for a ws WebSocket
+  const EventEmitter = require('events');
+  const sockets = [];
+  class FakeSocket extends EventEmitter {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.sent = [];
+      sockets.push(this);
+      setImmediate(() => this.emit('open'));
+    }
+    send(data) { this.sent.push(JSON.parse(data)); }
+    close() { setImmediate(() => this.emit('close')); }
+    reply(msg) { this.emit('message', Buffer.from(JSON.stringify(msg))); }
+  }
+  const tick = () => new Promise(r => setImmediate(r));
+
+  const pool = new wotModule.RelayPool({ WebSocket: FakeSocket, timeoutMs: 500, minBackoffMs: 5, maxBackoffMs: 10 });
+
+  // Two concurrent queries share one socket
+  const q1 = pool.query('wss://fake.relay', { kinds: [1985], limit: 1 });
+  const q2 = pool.query('wss://fake.relay', { kinds: [5], limit: 1 });
+  await tick();
+  assert(sockets.length === 1, 'Concurrent queries share one connection');
+  const reqs = sockets[0].sent.filter(m => m[0] === 'REQ');
+  assert(reqs.length === 2 && reqs[0][1] !== reqs[1][1], 'Each query gets its own subscription id');
+  sockets[0].reply(['EVENT', reqs[0][1], { id: 'ev1' }]);
+  sockets[0].reply(['EVENT', reqs[1][1], { id: 'ev2' }]);
+  sockets[0].reply(['EOSE', reqs[0][1]]);
+  sockets[0].reply(['EOSE', reqs[1][1]]);
+  const [res1, res2] = await Promise.all([q1, q2]);
+  assert(res1.length === 1 && res1[0].id === 'ev1', 'Events routed to the matching subscription (1)');
+  assert(res2.length === 1 && res2[0].id === 'ev2', 'Events routed to the matching subscription (2)');
+  assert(sockets[0].sent.filter(m => m[0] === 'CLOSE').length === 2, 'Finished queries send CLOSE');
+
+  // Publish reuses the open connection and resolves on OK
+  const pubP = pool.publish('wss://fake.relay', { id: 'pub1' });
+  assert(sockets.length === 1, 'Publish reuses the open connection');
+  sockets[0].reply(['OK', 'pub1', false, 'blocked: spam']);
+  const pubResult = await pubP;
+  assert(pubResult.success === false && pubResult.reason === 'blocked: spam', 'Rejected publish carries relay reason');
+
+  // Persistent subscriptions survive a dropped connection
+  const received = [];
+  const live = pool.subscribe('wss://fake.relay', { kinds: [6050] }, { persistent: true, onEvent: e => received.push(e.id) });
+  await tick();
+  sockets[0].emit('close');
+  await new Promise(r => setTimeout(r, 30));
+  assert(sockets.length === 2, 'Persistent subscription reconnects after drop');
+  await tick();
+  const resent = sockets[1].sent.find(m => m[0] === 'REQ');
+  assert(resent && resent[1] === live.id, 'Subscription re-sent after reconnect');
+  sockets[1].reply(['EVENT', live.id, { id: 'ev3' }]);
+  assert(received.length === 1 && received[0] === 'ev3', 'Events delivered after reconnect');
+
+  // One-shot queries fail fast when the connection drops
+  const q3 = pool.query('wss://fake.relay', { kinds: [1] });
+  await tick();
+  sockets[1].emit('close');
+  assert(Array.isArray(await q3), 'Query resolves when connection drops');
+
+  pool.close();
+  assert(pool.connectedRelays().length === 0, 'close() drops all connections');
+
+  console.log('\n🧺 Batched Scoring');
+
+  // In-memory relay: answers REQs from its event set, accepts EVENTs and
+  // pushes broadcast() events to open subscriptions
+  const { matchFilters } = require('nostr-tools/filter');
+  function createFakeRelay(stored = [], maxLimit = Infinity) {
+    const relay = { events: [...stored], reqs: [], subs: new Set() };
+    relay.broadcast = (event) => {
+      relay.events.push(event);
+      for (const sub of relay.subs) {
+        if (matchFilters(sub.filters, event)) sub.socket.emit('message', Buffer.from(JSON.stringify(['EVENT', sub.id, event])));
+      }
+    };
+    relay.WebSocket = class extends EventEmitter {
+      constructor(url) {
+        super();
+        this.url = url;
+        setImmediate(() => this.emit('open'));
+      }
+      send(data) {
+        const [type, ...rest] = JSON.parse(data);
+        const reply = (msg) => setImmediate(() => this.emit('message', Buffer.from(JSON.stringify(msg))));
+        if (type === 'REQ') {
+          const [subId, ...filters] = rest;
+          relay.reqs.push(filters);
+          const limit = Math.min(maxLimit, ...filters.map(f => f.limit || Infinity));
+          const matched = relay.events
+            .filter(e => matchFilters(filters, e))
+            .sort((a, b) => b.created_at - a.created_at)
+            .slice(0, limit);
+          for (const e of matched) reply(['EVENT', subId, e]);
+          reply(['EOSE', subId]);
+          relay.subs.add({ socket: this, id: subId, filters });
+        } else if (type === 'CLOSE') {
+          for (const sub of relay.subs) {
+            if (sub.socket === this && sub.id === rest[0]) relay.subs.delete(sub);
+          }
+        } else if (type === 'EVENT') {
+          relay.events.push(rest[0]);
+          reply(['OK', rest[0].id, true, '']);
+        }
+      }
+      close() { setImmediate(() => this.emit('close')); }
+    };
+    return relay;
+  }
+
+  const batchKeys = Array.from({ length: 6 }, () => generateSecretKey());
+  const { getPublicKey } = require('nostr-tools/pure');
+  const batchPks = batchKeys.map(sk => getPublicKey(sk));
+  const wallClock = Math.floor(Date.now() / 1000);
+  const attest = (fromIdx, toIdx, type, ago) => finalizeEvent({
+    kind: 1985, created_at: wallClock - ago, content: `${fromIdx}→${toIdx}`,
+    tags: [['L', 'ai.wot'], ['l', type, 'ai.wot'], ['p', batchPks[toIdx]]]
+  }, batchKeys[fromIdx]);
+
+  // 0,1,2 are scored; 3,4 attest them; 5 attests 3 and 4
+  const batchRelay = createFakeRelay([
+    attest(3, 0, 'service-quality', 100),
+    attest(4, 0, 'general-trust', 200),
+    attest(3, 1, 'identity-continuity', 300),
+    attest(4, 2, 'service-quality', 400),
+    attest(5, 3, 'general-trust', 500),
+    attest(5, 4, 'general-trust', 600)
+  ].map(fromWire));
+
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: batchRelay.WebSocket, timeoutMs: 1000 }));
+  const fakeRelays = ['wss://fake.relay'];
+
+  const batchAtts = await wotModule.queryAttestationsBatch(batchPks.slice(0, 3), { relays: fakeRelays });
+  assert(batchAtts.get(batchPks[0]).length === 2, 'queryAttestationsBatch: attestations grouped by subject (0)');
+  assert(batchAtts.get(batchPks[1]).length === 1 && batchAtts.get(batchPks[2]).length === 1, 'queryAttestationsBatch: attestations grouped by subject (1, 2)');
+  assert(Array.isArray(batchAtts.get(batchPks[0])._revocations), 'queryAttestationsBatch: lists carry revocation metadata');
+
+  batchRelay.reqs.length = 0;
+  const bulk = await wotModule.calculateTrustScores(batchPks.slice(0, 3), { relays: fakeRelays });
+  const attReqs = batchRelay.reqs.filter(f => f[0].kinds[0] === 1985);
+  assert(attReqs.length === 3, `One attestation REQ per graph level (got ${attReqs.length})`);
+  assert(attReqs[0][0]['#p'].length === 3, 'First level requests all pubkeys in one #p filter');
+  assert(batchRelay.reqs.length <= 9, `Bulk scoring uses a handful of REQs (got ${batchRelay.reqs.length})`);
+
+  const single = await wotModule.calculateTrustScore(batchPks[0], { relays: fakeRelays });
+  assert(bulk.get(batchPks[0]).raw === single.raw, 'Batched score matches single-pubkey score');
+  assert(bulk.get(batchPks[0]).attestationCount === 2, 'Batched score counts attestations');
+  assert(bulk.get(batchPks[1]).display > 0 && bulk.get(batchPks[2]).display > 0, 'Every requested pubkey is scored');
+
+  const graph = await wotModule.prefetchTrustGraph([batchPks[0]], { relays: fakeRelays, maxDepth: 0 });
+  assert(graph.size === 1 && graph.has(batchPks[0]), 'prefetchTrustGraph respects maxDepth');
+  wotModule.closeRelayPool();
+
+  // One pubkey that fails to score (its policy hook throws) must not fail the batch
+  const bulkRelay = createFakeRelay([...batchRelay.events, fromWire(attest(3, 2, 'dispute', 50))]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: bulkRelay.WebSocket, timeoutMs: 1000 }));
+  const failingPolicy = { name: 'bulk-failing', negativeTrustGate: 0, negativeWeight: () => { throw new Error('hook failed'); } };
+  const partial = await wotModule.calculateTrustScores(batchPks.slice(0, 3), { relays: fakeRelays, policy: failingPolicy });
+  assert(partial.size === 2 && partial._errors.get(batchPks[2]).message === 'hook failed', 'calculateTrustScores records per-pubkey failures in _errors');
+
+  const { createServer } = require('./lib/server');
+  const bulkApi = createServer({ apiKey: 'bulk-key', policies: [failingPolicy] });
+  await new Promise(resolve => bulkApi.server.listen(0, resolve));
+  const bulkBody = await new Promise((resolve, reject) => {
+    const req = require('http').request({
+      port: bulkApi.server.address().port, method: 'POST', path: '/v1/scores/bulk?policy=bulk-failing',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer bulk-key' }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, ...JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ pubkeys: batchPks.slice(0, 3) }));
+  });
+  await bulkApi.stop();
+  assert(bulkBody.status === 200 && bulkBody.success === 2 && bulkBody.errors === 1, `Bulk endpoint scores the other pubkeys (got ${bulkBody.success} ok, ${bulkBody.errors} failed)`);
+  assert(bulkBody.errorDetails[0].pubkey === batchPks[2] && bulkBody.scores[batchPks[0]].score > 0, 'Bulk endpoint reports the failing pubkey on its own');
+  wotModule.closeRelayPool();
+
+  console.log('\n💾 Local Attestation Store');
+
+  const os = require('os');
+  const path = require('path');
+  const fs = require('fs');
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-wot-store-'));
+  const { AttestationStore, syncStore } = require('./lib/store');
+
+  const revokedByFive = attest(5, 4, 'service-quality', 50);
+  const storeRelay = createFakeRelay([
+    ...batchRelay.events,
+    fromWire(revokedByFive),
+    fromWire(finalizeEvent({ kind: 5, created_at: wallClock - 10, content: 'oops', tags: [['e', revokedByFive.id], ['k', '1985']] }, batchKeys[5])),
+    fromWire(finalizeEvent({ kind: 1, created_at: wallClock, content: 'not ai.wot', tags: [] }, batchKeys[0]))
+  ]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: storeRelay.WebSocket, timeoutMs: 1000 }));
+
+  const localStore = new AttestationStore({ dir: storeDir });
+  const firstSync = await syncStore(localStore, { relays: fakeRelays });
+  assert(firstSync.added.attestations === 7, `Sync stores ai.wot attestations (got ${firstSync.added.attestations})`);
+  assert(firstSync.added.revocations === 1, 'Sync stores revocations');
+  assert(localStore.getCursor('attestations') !== null, 'Sync records a cursor per stream');
+
+  storeRelay.reqs.length = 0;
+  const secondSync = await syncStore(localStore, { relays: fakeRelays });
+  assert(secondSync.added.attestations === 0, 'Repeat sync adds nothing new');
+  assert(storeRelay.reqs.every(f => f.every(x => x.since !== undefined)), 'Repeat sync queries with since cursors');
+
+  storeRelay.reqs.length = 0;
+  const offline = await wotModule.calculateTrustScore(batchPks[0], { relays: fakeRelays, store: localStore });
+  assert(storeRelay.reqs.length === 0, 'Scoring from the store sends no REQs');
+  const online = await wotModule.calculateTrustScore(batchPks[0], { relays: fakeRelays });
+  assert(offline.raw === online.raw && offline.raw > 0, 'Score from store matches score from relays');
+  const offlineAtts = await wotModule.queryAttestations(batchPks[4], { store: localStore });
+  assert(offlineAtts.length === 1 && offlineAtts._revocations.length === 1, 'Store answers revocation lookups');
+  const offlinePath = await wotModule.findTrustPath(batchPks[5], batchPks[0], { store: localStore });
+  assert(offlinePath.found && offlinePath.hops === 2, 'findTrustPath runs against the store');
+  const offlineCat = await wotModule.calculateCategoryScore(batchPks[0], 'commerce', { store: localStore });
+  assert(offlineCat.attestationCount === 1, 'Category scoring runs against the store');
+
+  const reloaded = new AttestationStore({ dir: storeDir });
+  assert(reloaded.size === localStore.size, 'Store reloads events from disk');
+  assert(reloaded.getCursor('zaps') === localStore.getCursor('zaps'), 'Store reloads cursors from disk');
+  assert(reloaded.query({ kinds: [1985], limit: 2 }).length === 2, 'Store query honours limit');
+  assert(!reloaded.add({ id: 'x', kind: 1, tags: [] }), 'Store ignores unrelated kinds');
+
+  wotModule.closeRelayPool();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+
+  // More events than the per-relay cap: sync pages further back instead of skipping them
+  const cappedEvents = Array.from({ length: 12 }, (_, i) => fromWire(attest(i % 5, (i % 5) + 1, 'general-trust', 1000 + i * 10)));
+  const cappedRelay = createFakeRelay(cappedEvents);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: cappedRelay.WebSocket, timeoutMs: 1000 }));
+  const cappedStore = new AttestationStore();
+  const cappedSync = await syncStore(cappedStore, { relays: fakeRelays, maxEvents: 5 });
+  assert(cappedSync.added.attestations === 12, `Sync pages past a truncated result (got ${cappedSync.added.attestations})`);
+  assert(cappedStore.getCursor('attestations') !== null, 'Sync advances the cursor once every page is fetched');
+  wotModule.closeRelayPool();
+
+  const sameSecond = Array.from({ length: 7 }, (_, i) => fromWire(finalizeEvent({
+    kind: 1985, created_at: wallClock - 500, content: `same second ${i}`,
+    tags: [['L', 'ai.wot'], ['l', 'general-trust', 'ai.wot'], ['p', batchPks[1]]]
+  }, batchKeys[0])));
+  const stuckRelay = createFakeRelay(sameSecond);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: stuckRelay.WebSocket, timeoutMs: 1000 }));
+  const stuckStore = new AttestationStore();
+  await syncStore(stuckStore, { relays: fakeRelays, maxEvents: 5 });
+  assert(stuckStore.getCursor('attestations') === null && stuckStore.getCursor('revocations') !== null,
+    'A stream that stays truncated keeps its old cursor');
+  wotModule.closeRelayPool();
+
+  // A relay that never sends EOSE may hold events nobody else has
+  class SilentWebSocket extends EventEmitter {
+    constructor() { super(); setImmediate(() => this.emit('open')); }
+    send() {}
+    close() { setImmediate(() => this.emit('close')); }
+  }
+  const answeringRelay = createFakeRelay(batchRelay.events);
+  wotModule.setRelayPool(new wotModule.RelayPool({
+    WebSocket: createFakeNetwork({ 'wss://answering.relay': answeringRelay, 'wss://silent.relay': { WebSocket: SilentWebSocket } }),
+    timeoutMs: 200
+  }));
+  const partialStore = new AttestationStore();
+  const partialSync = await syncStore(partialStore, { relays: ['wss://answering.relay', 'wss://silent.relay'] });
+  assert(partialSync.added.attestations === 6 && partialStore.getCursor('attestations') === null && partialStore.getCursor('revocations') === null,
+    'Streams a relay did not answer in full keep their old cursor');
+  const silentQuery = await wotModule.queryRelays({ kinds: [1985] }, ['wss://answering.relay', 'wss://silent.relay']);
+  assert(silentQuery._incomplete && !silentQuery._truncated, 'queryRelays flags a relay that timed out without events as _incomplete');
+  wotModule.closeRelayPool();
+
+  console.log('\n📡 Live Store Sync');
+
+  const liveRelay = createFakeRelay(batchRelay.events);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: liveRelay.WebSocket, timeoutMs: 1000 }));
+  const liveStore = new AttestationStore();
+  const changes = [];
+  const watcher = wotModule.watchStore(liveStore, {
+    relays: fakeRelays,
+    onChange: (subjects, event) => changes.push({ subjects, event })
+  });
+  const caughtUp = await watcher.ready;
+  assert(caughtUp && liveStore.stats().attestations === 6, 'watchStore catches up on existing attestations');
+  changes.length = 0;
+
+  const streamedAtt = attest(5, 3, 'service-quality', 0);
+  liveRelay.broadcast(fromWire(streamedAtt));
+  await tick();
+  assert(liveStore.get(streamedAtt.id) !== null, 'Live attestation written to the store');
+  const liveSubjects = changes.length === 1 ? new Set(changes[0].subjects) : new Set();
+  assert(liveSubjects.has(batchPks[3]), 'onChange reports the attestation subject');
+  assert(liveSubjects.has(batchPks[0]) && liveSubjects.has(batchPks[1]), 'onChange reports pubkeys scored via the subject');
+
+  const liveDeletion = finalizeEvent({ kind: 5, created_at: wallClock, content: 'revoke', tags: [['e', streamedAtt.id], ['k', '1985']] }, batchKeys[5]);
+  liveRelay.broadcast(fromWire(liveDeletion));
+  await tick();
+  assert(changes.length === 2 && changes[1].subjects.includes(batchPks[3]), 'Live revocation invalidates the revoked subject');
+
+  liveRelay.broadcast({ ...fromWire(attest(5, 2, 'general-trust', 0)), content: 'tampered' });
+  await tick();
+  assert(changes.length === 2, 'Events with bad signatures are ignored');
+
+  watcher.stop();
+  assert(watcher.subscriptions.size === 0, 'stop() closes live subscriptions');
+  wotModule.closeRelayPool();
+
+  // Relays CLOSE subscriptions with too many filters; zap subscriptions stay under the limit
+  const strictRelay = createFakeRelay();
+  const StrictWebSocket = class extends strictRelay.WebSocket {
+    send(data) {
+      const [type, subId, ...reqFilters] = JSON.parse(data);
+      if (type === 'REQ' && reqFilters.length > 10) {
+        setImmediate(() => this.emit('message', Buffer.from(JSON.stringify(['CLOSED', subId, 'error: too many filters']))));
+        return;
+      }
+      return super.send(data);
+    }
+  };
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: StrictWebSocket, timeoutMs: 1000 }));
+  let oversizedClosed = null;
+  wotModule.getRelayPool().subscribe(fakeRelays[0], Array.from({ length: 11 }, () => ({ kinds: [9735] })), { onClose: reason => { oversizedClosed = reason; } });
+  await tick(); await tick(); await tick();
+  assert(oversizedClosed === 'error: too many filters', 'Test relay closes an oversized REQ');
+
+  // Zaps are subscribed by recipient (#p): 1001 attestation authors need 11 filters
+  const fakeHex = (i) => i.toString(16).padStart(64, '0');
+  const bigStore = new AttestationStore();
+  bigStore.addMany([fromWire(attest(0, 1, 'general-trust', 100)), ...Array.from({ length: 1000 }, (_, i) => ({
+    id: fakeHex(i), kind: 1985, pubkey: fakeHex(i + 1), created_at: wallClock - 100, content: '', sig: '',
+    tags: [['L', 'ai.wot'], ['l', 'general-trust', 'ai.wot'], ['p', batchPks[1]]]
+  }))]);
+  const strictErrors = [];
+  const strictWatcher = wotModule.watchStore(bigStore, { relays: fakeRelays, catchUp: false, onError: err => strictErrors.push(err.message) });
+  await tick(); await tick(); await tick();
+  const zapReqs = () => strictRelay.reqs.filter(f => f[0].kinds[0] === 9735);
+  assert(zapReqs().length === 2 && zapReqs().every(f => f.length <= 10 && f.every(filter => filter['#p'] && !filter['#e'])),
+    `Zap subscriptions filter by recipient, split under the filter limit (got ${zapReqs().map(f => f.length)})`);
+  const lastId = fakeHex(999);
+  const lateZap = finalizeEvent({ kind: 9735, created_at: wallClock, content: '', tags: [['e', lastId], ['p', fakeHex(1000)]] }, batchKeys[2]);
+  strictRelay.broadcast(fromWire(lateZap));
+  const strayZap = finalizeEvent({ kind: 9735, created_at: wallClock, content: '', tags: [['e', 'ab'.repeat(32)], ['p', fakeHex(1000)]] }, batchKeys[2]);
+  strictRelay.broadcast(fromWire(strayZap));
+  await tick();
+  assert(strictErrors.length === 0, `Zap subscriptions for 1001 authors are not closed (got ${strictErrors.join('; ')})`);
+  assert(bigStore.get(lateZap.id) !== null, 'Zaps for attestations beyond the first REQ still arrive');
+  assert(bigStore.get(strayZap.id) === null, 'Zaps to an author for other events are not stored');
+
+  strictRelay.broadcast(fromWire(attest(0, 2, 'general-trust', 0)));
+  await new Promise(r => setTimeout(r, 2100));
+  assert(zapReqs().length === 2, 'A label from a known author does not rebuild the zap subscriptions');
+  strictRelay.broadcast(fromWire(attest(3, 2, 'general-trust', 0)));
+  await new Promise(r => setTimeout(r, 2100));
+  assert(zapReqs().length === 4 && zapReqs().slice(2).some(f => f.some(filter => filter['#p'].includes(batchPks[3]))),
+    'A label from a new author rebuilds them to include it');
+  strictWatcher.stop();
+  wotModule.closeRelayPool();
+
+  console.log('\n📄 Pagination');
+
+  const pagedEvents = Array.from({ length: 25 }, (_, i) => fromWire(finalizeEvent({
+    kind: 1985, created_at: wallClock - i * 60, content: `paged ${i}`,
+    tags: [['L', 'ai.wot'], ['l', 'general-trust', 'ai.wot'], ['p', batchPks[1]]]
+  }, batchKeys[0])));
+  const pagedRelay = createFakeRelay(pagedEvents, 10); // relay caps every REQ at 10 events
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: pagedRelay.WebSocket, timeoutMs: 1000 }));
+  const pagedFilter = { kinds: [1985], authors: [batchPks[0]] };
+
+  const allPages = await wotModule.queryRelays(pagedFilter, fakeRelays, { pageSize: 10 });
+  assert(allPages.length === 25, `Paging collects events past the relay limit (got ${allPages.length})`);
+  assert(allPages._truncated === false, 'Complete result is not marked truncated');
+  assert(pagedRelay.reqs.length === 3 && pagedRelay.reqs[1][0].until !== undefined, 'Later pages are requested with until');
+
+  const pagedCap = await wotModule.queryRelays(pagedFilter, fakeRelays, { pageSize: 10, maxEvents: 15 });
+  assert(pagedCap.length === 15 && pagedCap._truncated === true, 'maxEvents caps the result and marks it truncated');
+
+  const pagedLimit = await wotModule.queryRelays({ ...pagedFilter, limit: 12 }, fakeRelays, { pageSize: 10 });
+  assert(pagedLimit.length === 12 && pagedLimit._truncated === true, 'filter.limit is the total cap when paging');
+  assert(pagedLimit.every((e, i) => i === 0 || pagedLimit[i - 1].created_at >= e.created_at), 'Capped results keep the newest events');
+
+  const pagedShort = await wotModule.queryRelays({ ...pagedFilter, limit: 20 }, fakeRelays, { pageSize: 10 });
+  assert(pagedShort.length === 20 && pagedShort._truncated === true, 'A limit reached on a short last page is marked truncated');
+
+  // Pages overlap by the event at `until`, so two pages of 10 hold 19: a cap the relay's events exactly fill
+  const pagedProbe = await wotModule.queryRelays({ ...pagedFilter, limit: 19 }, fakeRelays, { pageSize: 10 });
+  assert(pagedProbe.length === 19 && pagedProbe._truncated === true, 'A cap with older events left is marked truncated');
+  wotModule.closeRelayPool();
+  const exactRelay = createFakeRelay(pagedEvents.slice(0, 19), 10);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: exactRelay.WebSocket, timeoutMs: 1000 }));
+  const pagedExact = await wotModule.queryRelays({ ...pagedFilter, limit: 19 }, fakeRelays, { pageSize: 10 });
+  assert(pagedExact.length === 19 && pagedExact._truncated === false, 'A result that exactly fills filter.limit is not marked truncated');
+  assert(exactRelay.reqs.length === 3 && exactRelay.reqs[2][0].limit === 2, 'The cap is confirmed with a small follow-up page');
+  wotModule.closeRelayPool();
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: pagedRelay.WebSocket, timeoutMs: 1000 }));
+
+  const exactStore = new AttestationStore();
+  exactStore.addMany(pagedEvents);
+  const storeExact = await wotModule.queryRelays({ ...pagedFilter, limit: 25 }, fakeRelays, { store: exactStore });
+  const storeShort = await wotModule.queryRelays({ ...pagedFilter, limit: 24 }, fakeRelays, { store: exactStore });
+  assert(storeExact.length === 25 && !storeExact._truncated && storeShort.length === 24 && storeShort._truncated,
+    'Store queries flag truncation only when events were left out');
+
+  pagedRelay.reqs.length = 0;
+  const pagedSingle = await wotModule.queryRelays(pagedFilter, fakeRelays, { paginate: false });
+  assert(pagedSingle.length === 10 && pagedRelay.reqs.length === 1, 'paginate: false sends a single REQ');
+
+  wotModule.closeRelayPool();
+
+  // Relay cap below the page size: pages of 120 keep paging, the final short page ends it
+  const bigRelay = createFakeRelay(Array.from({ length: 300 }, (_, i) => fromWire(finalizeEvent({
+    kind: 1985, created_at: wallClock - i, content: '',
+    tags: [['L', 'ai.wot'], ['l', 'general-trust', 'ai.wot'], ['p', batchPks[2]]]
+  }, batchKeys[1]))), 120);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: bigRelay.WebSocket, timeoutMs: 1000 }));
+  const outgoingPaged = await wotModule.queryOutgoingAttestations(batchPks[1], { relays: fakeRelays });
+  assert(outgoingPaged.length === 300 && outgoingPaged._truncated === false, 'queryOutgoingAttestations pages past a relay cap below the page size');
+  wotModule.closeRelayPool();
+
+  console.log('\n📮 Relay Discovery (NIP-65)');
+
+  // Several fake relays behind one WebSocket class, selected by URL
+  function createFakeNetwork(relaysByUrl) {
+    const empty = createFakeRelay();
+    return class {
+      constructor(url) {
+        return new (relaysByUrl[url] || empty).WebSocket(url);
+      }
+    };
+  }
+
+  const [subjectSk, outboxSk, baseSk] = [generateSecretKey(), generateSecretKey(), generateSecretKey()];
+  const [subjectPk, outboxPk] = [getPublicKey(subjectSk), getPublicKey(outboxSk)];
+  const relayListEvent = (sk, tags) => fromWire(finalizeEvent({ kind: 10002, created_at: wallClock, content: '', tags }, sk));
+  const attestSubject = (sk, content) => fromWire(finalizeEvent({
+    kind: 1985, created_at: wallClock - 60, content,
+    tags: [['L', 'ai.wot'], ['l', 'general-trust', 'ai.wot'], ['p', subjectPk]]
+  }, sk));
+
+  const baseRelay = createFakeRelay([
+    relayListEvent(subjectSk, [['r', 'wss://inbox.relay', 'read'], ['r', 'wss://subject-out.relay', 'write']]),
+    relayListEvent(outboxSk, [['r', 'wss://outbox.relay/', 'write']]),
+    attestSubject(baseSk, 'on base relay')
+  ]);
+  const inboxRelay = createFakeRelay([attestSubject(outboxSk, 'sent to subject inbox')]);
+  const outboxRelay = createFakeRelay([attestSubject(outboxSk, 'only on attester outbox')]);
+  wotModule.setRelayPool(new wotModule.RelayPool({
+    WebSocket: createFakeNetwork({ 'wss://base.relay': baseRelay, 'wss://inbox.relay': inboxRelay, 'wss://outbox.relay': outboxRelay }),
+    timeoutMs: 1000
+  }));
+  wotModule.clearRelayListCache();
+  const baseRelays = ['wss://base.relay'];
+
+  const subjectList = await wotModule.fetchRelayList(subjectPk, { relays: baseRelays });
+  assert(subjectList.read[0] === 'wss://inbox.relay' && subjectList.write[0] === 'wss://subject-out.relay', 'fetchRelayList splits read and write relays');
+
+  const plainAtts = await wotModule.queryAttestations(subjectPk, { relays: baseRelays });
+  const outboxAtts = await wotModule.queryAttestations(subjectPk, { relays: baseRelays, discoverRelays: true });
+  assert(plainAtts.length === 1, 'Without discoverRelays only the base relays are read');
+  assert(outboxAtts.length === 3, `discoverRelays reads subject inbox and attester write relays (got ${outboxAtts.length})`);
+  assert(outboxAtts.some(e => e.content === 'only on attester outbox'), 'Attestation found on attester outbox relay');
+
+  const listReqs = baseRelay.reqs.filter(f => f[0].kinds[0] === 10002).length;
+  await wotModule.fetchRelayList(subjectPk, { relays: baseRelays });
+  assert(baseRelay.reqs.filter(f => f[0].kinds[0] === 10002).length === listReqs, 'Relay lists are served from cache within the TTL');
+  await wotModule.fetchRelayList(subjectPk, { relays: baseRelays, ttlMs: 0 });
+  assert(baseRelay.reqs.filter(f => f[0].kinds[0] === 10002).length === listReqs + 1, 'Expired relay list entries are refetched');
+
+  const { results: outboxResults } = await wotModule.publishAttestation(baseSk, subjectPk, 'general-trust', 'outbox publish', { relays: baseRelays, discoverRelays: true });
+  const publishedTo = outboxResults.filter(r => r.success).map(r => r.relay);
+  assert(publishedTo.includes('wss://inbox.relay') && publishedTo.includes('wss://base.relay'), 'publishAttestation reaches the subject read relays');
+  assert(!publishedTo.includes('wss://subject-out.relay'), 'publishAttestation skips the subject write relays');
+
+  wotModule.closeRelayPool();
+
+  console.log('\n🔐 Relay Authentication (NIP-42)');
+
+  // Relay that sends a challenge on connect and refuses REQ/EVENT until AUTH
+  function createAuthRelay(stored = [], allowed = null) {
+    const relay = { events: [...stored], auths: [] };
+    relay.WebSocket = class extends EventEmitter {
+      constructor(url) {
+        super();
+        this.url = url;
+        this.challenge = Math.random().toString(36).slice(2);
+        this.authed = false;
+        setImmediate(() => {
+          this.emit('open');
+          this.reply(['AUTH', this.challenge]);
+        });
+      }
+      reply(msg) { setImmediate(() => this.emit('message', Buffer.from(JSON.stringify(msg)))); }
+      send(data) {
+        const [type, ...rest] = JSON.parse(data);
+        if (type === 'AUTH') {
+          const ev = rest[0];
+          relay.auths.push(ev);
+          const challenge = (ev.tags.find(t => t[0] === 'challenge') || [])[1];
+          const ok = ev.kind === 22242 && challenge === this.challenge && verifyEvent(ev);
+          if (ok && allowed && !allowed.includes(ev.pubkey)) {
+            this.reply(['OK', ev.id, false, 'restricted: not a member']);
+          } else {
+            this.authed = ok;
+            this.reply(['OK', ev.id, ok, ok ? '' : 'invalid: bad auth event']);
+          }
+        } else if (type === 'REQ') {
+          const [subId, ...filters] = rest;
+          if (!this.authed) return this.reply(['CLOSED', subId, 'auth-required: members only']);
+          for (const e of relay.events.filter(e => matchFilters(filters, e))) this.reply(['EVENT', subId, e]);
+          this.reply(['EOSE', subId]);
+        } else if (type === 'EVENT') {
+          if (!this.authed) return this.reply(['OK', rest[0].id, false, 'auth-required: members only']);
+          relay.events.push(rest[0]);
+          this.reply(['OK', rest[0].id, true, '']);
+        }
+      }
+      close() { setImmediate(() => this.emit('close')); }
+    };
+    return relay;
+  }
+
+  const { verifyEvent } = require('nostr-tools/pure');
+  const authRelays = ['wss://members.relay'];
+  const memberSk = batchKeys[0];
+  const authRelay = createAuthRelay([attest(3, 1, 'general-trust', 50)].map(fromWire), [batchPks[0]]);
+  // AUTH is per connection, so each scenario starts from a fresh pool
+  const freshAuthPool = () => wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: authRelay.WebSocket, timeoutMs: 1000 }));
+
+  freshAuthPool();
+  const { results: authResults } = await wotModule.publishAttestation(memberSk, batchPks[1], 'general-trust', 'members only', { relays: authRelays });
+  assert(authResults[0].success && authResults[0].auth === 'authenticated', 'Publish authenticates with the author key and retries');
+  const authEvent = authRelay.auths[0];
+  assert(authEvent && authEvent.kind === 22242 && authEvent.pubkey === batchPks[0], 'AUTH event is kind 22242 signed by the caller');
+  assert(authEvent.tags.some(t => t[0] === 'relay' && t[1] === authRelays[0]), 'AUTH event names the relay');
+
+  freshAuthPool();
+  const unsigned = await wotModule.publishToRelays(attest(2, 1, 'general-trust', 10), authRelays);
+  assert(!unsigned[0].success && unsigned[0].auth === 'auth-required', 'Publishing without a key reports auth-required');
+  assert(unsigned[0].reason.startsWith('auth-required:'), 'auth-required result keeps the relay reason');
+
+  freshAuthPool();
+  const { results: outsiderResults } = await wotModule.publishAttestation(batchKeys[2], batchPks[1], 'general-trust', 'not a member', { relays: authRelays });
+  assert(!outsiderResults[0].success && outsiderResults[0].auth === 'auth-failed', 'Rejected AUTH reports auth-failed');
+  assert(/restricted/.test(outsiderResults[0].reason), 'auth-failed result carries the AUTH rejection reason');
+
+  freshAuthPool();
+  const openQuery = await wotModule.queryAttestations(batchPks[1], { relays: authRelays });
+  assert(openQuery.length === 0 && openQuery._auth[authRelays[0]] === 'auth-required', 'Query without a key reports auth-required');
+  const authQuery = await wotModule.queryAttestations(batchPks[1], { relays: authRelays, secretKey: memberSk });
+  assert(authQuery.length === 2 && authQuery._auth[authRelays[0]] === 'authenticated', `Query with a key authenticates and reads (got ${authQuery.length})`);
+
+  wotModule.closeRelayPool();
+
+  console.log('\n📤 Durable Publish Outbox');
+
+  const { Outbox } = require('./lib/outbox');
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-wot-outbox-test-'));
+  const upRelay = createFakeRelay();
+  const flakyRelay = createFakeRelay();
+  let flakyUp = false;
+  // Fake network where 'wss://flaky.relay' refuses connections until flakyUp
+  const flakyNetwork = createFakeNetwork({ 'wss://up.relay': upRelay, 'wss://flaky.relay': flakyRelay });
+  const FlakyWebSocket = class {
+    constructor(url) {
+      if (url !== 'wss://flaky.relay' || flakyUp) return new flakyNetwork(url);
+      const down = Object.assign(new EventEmitter(), { send() {}, close() {} });
+      setImmediate(() => { down.emit('error', new Error('ECONNREFUSED')); down.emit('close'); });
+      return down;
+    }
+  };
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: FlakyWebSocket, timeoutMs: 1000 }));
+
+  const quorumRelays = ['wss://up.relay', 'wss://flaky.relay'];
+  const box = new Outbox({ dir: outboxDir, minAcks: 2, autoRetry: false });
+  const firstTry = await wotModule.publishAttestation(batchKeys[0], batchPks[1], 'general-trust', 'durable', { relays: quorumRelays, publishOutbox: box });
+  assert(firstTry.delivery.acks === 1 && !firstTry.delivery.quorum, 'One ack is below a quorum of two');
+  assert(firstTry.delivery.status === 'pending' && firstTry.delivery.pending[0] === 'wss://flaky.relay', 'Failed relay stays pending for retry');
+  assert(firstTry.delivery.nextAttemptAt > Date.now(), 'Retry is scheduled with backoff');
+
+  const reopened = new Outbox({ dir: outboxDir, autoRetry: false });
+  assert(reopened.size === 1 && reopened.get(firstTry.event.id).event.sig === firstTry.event.sig, 'Signed event survives a restart on disk');
+  const notDue = await reopened.flush();
+  assert(notDue.length === 0, 'flush() waits for the backoff to elapse');
+
+  flakyUp = true;
+  const retried = await reopened.flush({ force: true });
+  assert(retried.length === 1 && retried[0].delivery.status === 'delivered', 'Retry reaches quorum and delivers');
+  assert(reopened.size === 0 && new Outbox({ dir: outboxDir }).size === 0, 'Delivered events leave the outbox');
+  assert(flakyRelay.events.some(e => e.id === firstTry.event.id), 'Retried relay received the original signed event');
+  assert(upRelay.events.filter(e => e.id === firstTry.event.id).length === 1, 'Acked relays are not re-sent');
+
+  const rejectingBox = new Outbox({ minAcks: 1, autoRetry: false });
+  const RejectingWebSocket = class extends createFakeRelay().WebSocket {
+    send(data) {
+      const [type, ev] = JSON.parse(data);
+      if (type !== 'EVENT') return super.send(data);
+      setImmediate(() => this.emit('message', Buffer.from(JSON.stringify(['OK', ev.id, false, 'blocked: spam']))));
+    }
+  };
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: RejectingWebSocket, timeoutMs: 1000 }));
+  const rejectedEvent = attest(2, 1, 'general-trust', 5);
+  const blocked = await rejectingBox.publish(rejectedEvent, ['wss://reject.relay']);
+  assert(blocked.delivery.status === 'failed' && blocked.delivery.rejected.length === 1, 'Permanent rejections fail without retrying');
+  assert(rejectingBox.list({ status: 'failed' }).length === 1, 'Failed events are kept for inspection');
+  assert(rejectingBox.remove(rejectedEvent.id) && rejectingBox.size === 0, 'remove() drops a queued event');
+
+  const capped1 = new Outbox({ minAcks: 3, autoRetry: false });
+  const oneRelay = await capped1.publish(attest(2, 0, 'general-trust', 5), ['wss://reject.relay']);
+  assert(oneRelay.delivery.minAcks === 1, 'minAcks is capped at the number of relays');
+
+  // Processes sharing a directory (server and CLI) keep each other's entries
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: FlakyWebSocket, timeoutMs: 1000 }));
+  flakyUp = false;
+  const sharedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-wot-outbox-shared-'));
+  const boxA = new Outbox({ dir: sharedDir, minAcks: 1, autoRetry: false });
+  const boxB = new Outbox({ dir: sharedDir, minAcks: 1, autoRetry: false });
+  await boxA.publish(attest(0, 1, 'general-trust', 7), ['wss://flaky.relay']);
+  await boxB.publish(attest(0, 2, 'general-trust', 8), ['wss://flaky.relay']);
+  await boxA.publish(attest(0, 3, 'general-trust', 9), ['wss://flaky.relay']);
+  assert(new Outbox({ dir: sharedDir, autoRetry: false }).size === 3, 'Outboxes sharing a directory do not overwrite each other');
+  flakyUp = true;
+  const sharedFlush = await boxA.flush({ force: true });
+  assert(sharedFlush.length === 3 && new Outbox({ dir: sharedDir, autoRetry: false }).size === 0, 'flush() also delivers entries queued by another process');
+  await boxB.flush();
+  assert(boxB.size === 0, 'Entries delivered by another process leave the outbox');
+
+  const legacyEvent = attest(1, 2, 'general-trust', 10);
+  fs.writeFileSync(path.join(sharedDir, 'outbox.json'), JSON.stringify([{ id: legacyEvent.id, event: legacyEvent, minAcks: 1, status: 'pending', attempts: 0, createdAt: Date.now(), nextAttemptAt: null, relays: {} }]));
+  const migrated = new Outbox({ dir: sharedDir, autoRetry: false });
+  assert(migrated.size === 1 && !fs.existsSync(path.join(sharedDir, 'outbox.json')), 'A legacy outbox.json is migrated to per-entry files');
+  fs.rmSync(sharedDir, { recursive: true, force: true });
+
+  // Overlapping retries of one entry share a single attempt
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: FlakyWebSocket, timeoutMs: 1000 }));
+  flakyUp = false;
+  const guardedBox = new Outbox({ minAcks: 1, autoRetry: false });
+  const guardedEvent = attest(1, 3, 'general-trust', 11);
+  await guardedBox.publish(guardedEvent, ['wss://flaky.relay']);
+  flakyUp = true;
+  const [retryOne, retryTwo] = await Promise.all([guardedBox.retry(guardedEvent.id), guardedBox.retry(guardedEvent.id)]);
+  assert(flakyRelay.events.filter(e => e.id === guardedEvent.id).length === 1 && retryTwo.delivery.attempts === 2,
+    `Concurrent retries make one delivery attempt (got ${retryTwo.delivery.attempts - 1})`);
+  assert(retryOne.delivery.acks === 1 && retryTwo.delivery.acks === 1 && retryOne.delivery.status === 'delivered', 'Concurrent retries report the same acks');
+
+  wotModule.closeRelayPool();
+  wotModule.getOutbox().stop();
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+  fs.rmSync(process.env.AI_WOT_OUTBOX_DIR, { recursive: true, force: true });
+
+  console.log('\n⚡ Zap Validation (NIP-57)');
+
+  const { decodeBolt11, validateZapReceipt } = require('./lib/zaps');
+  const crypto = require('crypto');
+  const BECH32 = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+  const bech32Checksum = (hrp, words) => {
+    const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    const values = [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31), ...words, 0, 0, 0, 0, 0, 0];
+    let chk = 1;
+    for (const v of values) {
+      const top = chk >>> 25;
+      chk = ((chk & 0x1ffffff) << 5) ^ v;
+      for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+    }
+    chk ^= 1;
+    return Array.from({ length: 6 }, (_, i) => (chk >>> (5 * (5 - i))) & 31);
+  };
+  const toWords = (bytes) => {
+    const out = [];
+    let acc = 0, bits = 0;
+    for (const b of bytes) {
+      acc = (acc << 8) | b; bits += 8;
+      while (bits >= 5) { bits -= 5; out.push((acc >> bits) & 31); }
+      acc &= (1 << bits) - 1;
+    }
+    if (bits > 0) out.push((acc << (5 - bits)) & 31);
+    return out;
+  };
+  // Unsigned test invoice: timestamp, payment hash (p) and description hash (h)
+  const makeInvoice = (amount, descriptionHash) => {
+    const hrp = `lnbc${amount}`;
+    const tagged = (type, bytes) => { const w = toWords(bytes); return [type, w.length >> 5, w.length & 31, ...w]; };
+    const words = [
+      ...Array.from({ length: 7 }, (_, i) => (wallClock >>> (5 * (6 - i))) & 31),
+      ...tagged(1, crypto.randomBytes(32)),
+      ...tagged(23, Buffer.from(descriptionHash, 'hex')),
+      ...new Array(104).fill(0)
+    ];
+    return hrp + '1' + [...words, ...bech32Checksum(hrp, words)].map(w => BECH32[w]).join('');
+  };
+
+  const zapperSk = generateSecretKey();
+  const zapperPk = getPublicKey(zapperSk);
+  const zappedAtt = fromWire(attest(4, 1, 'service-quality', 100));
+  const makeZap = ({ invoiceAmount = '21u', requestMsats = 2100000, signer = zapperSk, sender = batchKeys[5], tamperHash = false } = {}) => {
+    const zapRequest = finalizeEvent({
+      kind: 9734, created_at: wallClock, content: '',
+      tags: [['p', batchPks[4]], ['e', zappedAtt.id], ['amount', String(requestMsats)], ['relays', fakeRelays[0]]]
+    }, sender);
+    const description = JSON.stringify(zapRequest);
+    const hash = crypto.createHash('sha256').update(tamperHash ? description + ' ' : description).digest('hex');
+    return fromWire(finalizeEvent({
+      kind: 9735, created_at: wallClock, content: '',
+      tags: [['p', batchPks[4]], ['e', zappedAtt.id], ['bolt11', makeInvoice(invoiceAmount, hash)], ['description', description]]
+    }, signer));
+  };
+
+  const decoded = decodeBolt11(makeInvoice('2500u', '00'.repeat(32)));
+  assert(decoded.amountMsats === 250000000 && decoded.descriptionHash === '00'.repeat(32), 'decodeBolt11 reads amount and description hash');
+  assert(decodeBolt11(makeInvoice('10p', '00'.repeat(32))).amountMsats === 1, 'decodeBolt11 handles pico-BTC amounts');
+  let badChecksum = false;
+  const checksummed = makeInvoice('21u', '00'.repeat(32));
+  try { decodeBolt11(checksummed.slice(0, -1) + (checksummed.endsWith('q') ? 'p' : 'q')); } catch (_) { badChecksum = true; }
+  assert(badChecksum, 'decodeBolt11 rejects a bad checksum');
+
+  const goodZap = makeZap();
+  const validZap = validateZapReceipt(goodZap, zapperPk);
+  assert(validZap.valid && validZap.sats === 2100, `Valid receipt counts the invoice amount (got ${validZap.sats})`);
+  assert(!validateZapReceipt(goodZap, null).valid, 'Receipt for a recipient without a zap endpoint is rejected');
+  const forged = validateZapReceipt(makeZap({ signer: generateSecretKey(), invoiceAmount: '10m', requestMsats: 1000000000 }), zapperPk);
+  assert(!forged.valid && /zap provider/.test(forged.reason) && forged.claimedSats === 1000000, 'Receipt from another signer is rejected');
+  const overclaimed = validateZapReceipt(makeZap({ requestMsats: 500000000 }), zapperPk);
+  assert(!overclaimed.valid && /amount/.test(overclaimed.reason), 'Invoice amount must match the zap request');
+  assert(!validateZapReceipt(makeZap({ tamperHash: true }), zapperPk).valid, 'Description hash must match the zap request');
+
+  const profileEvent = fromWire(finalizeEvent({ kind: 0, created_at: wallClock, content: JSON.stringify({ lud16: 'agent@zaps.example' }), tags: [] }, batchKeys[4]));
+  const zapRelay = createFakeRelay([profileEvent, goodZap, makeZap({ signer: generateSecretKey(), invoiceAmount: '10m', requestMsats: 1000000000 })]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: zapRelay.WebSocket, timeoutMs: 1000 }));
+  const lnurlCalls = [];
+  const publicLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+  const fakeFetch = async (url) => {
+    lnurlCalls.push(url);
+    return { ok: true, text: async () => JSON.stringify({ callback: 'https://zaps.example/cb', allowsNostr: true, nostrPubkey: zapperPk }) };
+  };
+  wotModule.clearZapperCache();
+
+  const checkedZaps = await wotModule.queryZapsForEvents([zappedAtt.id], fakeRelays, { fetch: fakeFetch, lookup: publicLookup });
+  const zapDetail = checkedZaps._details.get(zappedAtt.id);
+  assert(checkedZaps.get(zappedAtt.id) === 2100, 'queryZapsForEvents totals only validated receipts');
+  assert(zapDetail.validCount === 1 && zapDetail.rejectedCount === 1 && zapDetail.rejectedSats === 1000000, 'Rejected receipts are tallied in _details');
+  assert(lnurlCalls[0] === 'https://zaps.example/.well-known/lnurlp/agent', 'Zap provider resolved from the lud16 LNURL endpoint');
+  await wotModule.queryZapsForEvents([zappedAtt.id], fakeRelays, { fetch: fakeFetch, lookup: publicLookup });
+  assert(lnurlCalls.length === 1, 'Zap provider pubkeys are cached');
+
+  const zapScore = await calculateTrustScore([zappedAtt], checkedZaps, { now: wallClock });
+  assert(zapScore.breakdown[0].zapSats === 2100 && zapScore.breakdown[0].rejectedZapSats === 1000000, 'Breakdown shows validated and rejected zap sats');
+
+  // Store mode: providers are resolved by syncStore, then read offline
+  wotModule.clearZapperCache();
+  const zapStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-wot-zapstore-'));
+  const zapSyncRelay = createFakeRelay([zappedAtt, ...zapRelay.events]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: zapSyncRelay.WebSocket, timeoutMs: 1000 }));
+  const zapSync = await syncStore(new AttestationStore({ dir: zapStoreDir }), { relays: fakeRelays, fetch: fakeFetch, lookup: publicLookup });
+  assert(zapSync.added.zaps === 2 && zapSync.added.zappers === 1, `Sync resolves the zap providers of stored receipts (got ${zapSync.added.zappers})`);
+
+  wotModule.clearZapperCache();
+  const zapStore = new AttestationStore({ dir: zapStoreDir });
+  assert(zapStore.getZapper(batchPks[4]).zapper === zapperPk, 'Zap providers are persisted with the store');
+  const reqsBefore = zapSyncRelay.reqs.length;
+  let offlineFetches = 0;
+  const offlineFetch = async () => { offlineFetches++; throw new Error('offline'); };
+  const storeZaps = await wotModule.queryZapsForEvents([zappedAtt.id], fakeRelays, { store: zapStore, fetch: offlineFetch, lookup: publicLookup });
+  assert(storeZaps.get(zappedAtt.id) === 2100 && storeZaps._details.get(zappedAtt.id).rejectedCount === 1,
+    `Store-mode zaps are validated from stored providers (got ${storeZaps.get(zappedAtt.id)})`);
+  assert(offlineFetches === 0 && zapSyncRelay.reqs.length === reqsBefore, 'Store-mode zap validation stays off the network');
+
+  const unresolvedStore = new AttestationStore();
+  unresolvedStore.addMany([zappedAtt, goodZap]);
+  const unresolvedZaps = await wotModule.queryZapsForEvents([zappedAtt.id], fakeRelays, { store: unresolvedStore, fetch: offlineFetch, lookup: publicLookup });
+  assert(!unresolvedZaps.has(zappedAtt.id) && /unknown/.test(unresolvedZaps._details.get(zappedAtt.id).rejections[0].reason),
+    'Receipts for recipients without a stored provider are rejected as unknown');
+  fs.rmSync(zapStoreDir, { recursive: true, force: true });
+
+  // LNURL endpoints are fetched in parallel, at most 8 at once
+  wotModule.clearZapperCache();
+  const lnurlKeys = Array.from({ length: 12 }, () => generateSecretKey());
+  const lnurlProfiles = lnurlKeys.map((sk, i) => fromWire(finalizeEvent({
+    kind: 0, created_at: wallClock, content: JSON.stringify({ lud16: `agent@zaps${i}.example` }), tags: []
+  }, sk)));
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: createFakeRelay(lnurlProfiles).WebSocket, timeoutMs: 1000 }));
+  let inFlight = 0, maxInFlight = 0;
+  const slowFetch = async () => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(r => setTimeout(r, 10));
+    inFlight--;
+    return { ok: true, text: async () => JSON.stringify({ allowsNostr: true, nostrPubkey: zapperPk }) };
+  };
+  const lnurlResolved = await wotModule.resolveZapperPubkeys(lnurlKeys.map(sk => getPublicKey(sk)), { relays: fakeRelays, fetch: slowFetch, lookup: publicLookup });
+  assert([...lnurlResolved.values()].filter(z => z === zapperPk).length === 12, 'All zap providers resolved');
+  assert(maxInFlight === 8, `LNURL fetches run in parallel under the cap (max ${maxInFlight} at once)`);
+
+  // Profiles name arbitrary hosts: only public https endpoints are fetched
+  const { getLnurlEndpoint } = require('./lib/zaps');
+  const lnurlProfile = (meta) => ({ content: JSON.stringify(meta) });
+  const httpLnurl = 'lnurl1' + [...toWords(Buffer.from('http://zaps.example/lnurlp/agent')), ...bech32Checksum('lnurl', toWords(Buffer.from('http://zaps.example/lnurlp/agent')))].map(w => BECH32[w]).join('');
+  assert(getLnurlEndpoint(lnurlProfile({ lud06: httpLnurl })) === null && getLnurlEndpoint(lnurlProfile({ lud16: 'agent@127.0.0.1:8080' })) === null,
+    'getLnurlEndpoint only returns https URLs on plain hostnames');
+
+  wotModule.clearZapperCache();
+  const guardedHosts = ['localhost', 'intranet.example', 'huge.example', 'flaky.example', 'good.example'];
+  const guardedKeys = guardedHosts.map(() => generateSecretKey());
+  const guardedPks = guardedKeys.map(sk => getPublicKey(sk));
+  wotModule.setRelayPool(new wotModule.RelayPool({
+    WebSocket: createFakeRelay(guardedKeys.map((sk, i) => fromWire(finalizeEvent({
+      kind: 0, created_at: wallClock, content: JSON.stringify({ lud16: `agent@${guardedHosts[i]}` }), tags: []
+    }, sk)))).WebSocket,
+    timeoutMs: 1000
+  }));
+  const guardedLookup = async (host) => [{ address: host === 'intranet.example' ? '10.0.0.5' : '93.184.216.34', family: 4 }];
+  const guardedFetches = [];
+  let providerUp = false;
+  const guardedFetch = async (url) => {
+    const host = new URL(url).hostname;
+    guardedFetches.push(host);
+    if (host === 'flaky.example' && !providerUp) throw new Error('ECONNRESET');
+    const body = JSON.stringify({ allowsNostr: true, nostrPubkey: zapperPk, padding: host === 'huge.example' ? 'x'.repeat(100000) : '' });
+    return { ok: true, text: async () => body };
+  };
+  const guarded = await wotModule.resolveZapperPubkeys(guardedPks, { relays: fakeRelays, fetch: guardedFetch, lookup: guardedLookup });
+  assert(!guardedFetches.includes('localhost') && !guardedFetches.includes('intranet.example'), 'LNURL hosts on loopback or private addresses are never fetched');
+  assert(guarded.get(guardedPks[2]) === null && !guarded._failed.has(guardedPks[2]), 'Oversized LNURL responses are rejected');
+  assert(guarded.get(guardedPks[4]) === zapperPk && guarded._failed.has(guardedPks[3]) && guarded._failed.size === 1, 'Fetch errors are reported in _failed');
+
+  providerUp = true;
+  guardedFetches.length = 0;
+  const realDateNow = Date.now;
+  Date.now = () => realDateNow() + 3 * 60 * 1000;
+  const retriedZappers = await wotModule.resolveZapperPubkeys(guardedPks, { relays: fakeRelays, fetch: guardedFetch, lookup: guardedLookup });
+  Date.now = realDateNow;
+  assert(retriedZappers.get(guardedPks[3]) === zapperPk && guardedFetches.join() === 'flaky.example',
+    `Failed lookups are retried after minutes, answers stay cached (fetched ${guardedFetches.join()})`);
+
+  providerUp = false;
+  wotModule.clearZapperCache();
+  const guardedStore = new AttestationStore();
+  guardedStore.add(fromWire(finalizeEvent({ kind: 9735, created_at: wallClock, content: '', tags: [['p', guardedPks[3]], ['e', zappedAtt.id]] }, generateSecretKey())));
+  guardedStore.setZappers(new Map([[guardedPks[3], zapperPk]]), wallClock - 2 * 86400);
+  const storeResolved = await syncStore(guardedStore, { relays: fakeRelays, fetch: guardedFetch, lookup: guardedLookup });
+  assert(storeResolved.added.zappers === 0 && guardedStore.getZapper(guardedPks[3]).zapper === zapperPk, 'syncStore keeps a stored provider when its refresh fails');
+
+  wotModule.clearZapperCache();
+  wotModule.closeRelayPool();
+
+  // ─── Self-Dealing Zaps ────────────────────────────────────────
+  console.log('\n🔁 Self-Dealing Zaps');
+
+  const { splitSelfZaps, buildIdentityLinks } = require('./lib/scoring');
+
+  // zappedAtt is 4 → 1; zaps from the attester (4) and the subject (1) are self-dealing
+  const selfZapRelay = createFakeRelay([
+    profileEvent,
+    makeZap({ sender: batchKeys[4], invoiceAmount: '50u', requestMsats: 5000000 }),
+    makeZap({ sender: batchKeys[1], invoiceAmount: '30u', requestMsats: 3000000 }),
+    makeZap({ sender: batchKeys[5] })
+  ]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: selfZapRelay.WebSocket, timeoutMs: 1000 }));
+  const selfZaps = await wotModule.queryZapsForEvents([zappedAtt.id], fakeRelays, { fetch: fakeFetch, lookup: publicLookup });
+  const selfZapDetail = selfZaps._details.get(zappedAtt.id);
+  assert(selfZapDetail.zaps.length === 3 && selfZapDetail.zaps.some(z => z.sender === batchPks[4] && z.sats === 5000),
+    'Validated zaps keep the zap request sender');
+
+  const selfScore = await calculateTrustScore([zappedAtt], selfZaps, { now: wallClock });
+  assert(selfScore.breakdown[0].zapSats === 2100 && selfScore.breakdown[0].excludedZapSats === 8000,
+    `Zaps from attester and subject are excluded (got ${selfScore.breakdown[0].zapSats}/${selfScore.breakdown[0].excludedZapSats})`);
+  const discounted = await calculateTrustScore([zappedAtt], selfZaps, { now: wallClock, selfZapWeight: 0.25 });
+  assert(discounted.breakdown[0].zapSats === 4100 && discounted.breakdown[0].excludedZapSats === 6000, 'selfZapWeight discounts self-dealing zaps');
+
+  const continuity = fromWire(attest(5, 4, 'identity-continuity', 50));
+  const links = buildIdentityLinks([continuity]);
+  assert(links.get(batchPks[4]).has(batchPks[5]) && links.get(batchPks[5]).has(batchPks[4]), 'Identity-continuity links both ways');
+  const linkedScore = await calculateTrustScore([zappedAtt], selfZaps, { now: wallClock, identityLinks: links });
+  assert(linkedScore.breakdown[0].zapSats === 0 && linkedScore.breakdown[0].excludedZapSats === 10100, 'Zaps from identity-linked pubkeys are excluded');
+  assert(splitSelfZaps([{ sender: 'x', sats: 10 }], [batchPks[4]]).excludedSats === 0, 'Zaps from unrelated pubkeys are counted');
+
+  wotModule.clearZapperCache();
+  wotModule.closeRelayPool();
+
+  // ─── Perspective Scoring ──────────────────────────────────────
+  console.log('\n👁️ Perspective Scoring');
+
+  // O vouches for F and (later, with a warning) X; F and stranger S attest T
+  const [obsSk, friendSk, strangerSk, targetSk, warnedSk] = Array.from({ length: 5 }, () => generateSecretKey());
+  const [obsPk, friendPk, strangerPk, targetPk, warnedPk] = [obsSk, friendSk, strangerSk, targetSk, warnedSk].map(getPublicKey);
+  const vouch = (sk, subject, type, ago, content = 'vouch') => fromWire(finalizeEvent({
+    kind: 1985, created_at: wallClock - ago, content,
+    tags: [['L', 'ai.wot'], ['l', type, 'ai.wot'], ['p', subject]]
+  }, sk));
+  const perspectiveRelay = createFakeRelay([
+    vouch(obsSk, friendPk, 'general-trust', 500),
+    vouch(obsSk, warnedPk, 'general-trust', 400),
+    vouch(obsSk, warnedPk, 'warning', 300, 'Stopped delivering'),
+    vouch(friendSk, targetPk, 'service-quality', 200),
+    vouch(strangerSk, targetPk, 'service-quality', 200)
+  ]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: perspectiveRelay.WebSocket, timeoutMs: 1000 }));
+
+  const seedSet = await wotModule.resolveSeeds({ perspective: obsPk, relays: fakeRelays });
+  assert(seedSet.has(obsPk) && seedSet.has(friendPk), 'Seeds are the observer plus pubkeys it vouched for');
+  assert(!seedSet.has(warnedPk) && !seedSet.has(targetPk), 'Pubkeys the observer warned about are not seeds');
+
+  const globalView = await wotModule.calculateTrustScore(targetPk, { relays: fakeRelays });
+  const observerView = await wotModule.calculateTrustScore(targetPk, { relays: fakeRelays, perspective: obsPk });
+  const byAttester = (score, pk) => score.breakdown.find(b => b.attester === pk);
+  assert(byAttester(globalView, strangerPk).contribution > 0, 'Globally, an attester without trust still counts');
+  assert(byAttester(observerView, strangerPk).contribution === 0 && byAttester(observerView, strangerPk).attesterTrust === 0,
+    'From a perspective, an attester with no path to the seeds counts for nothing');
+  assert(byAttester(observerView, friendPk).attesterTrust === 1 && observerView.raw > 0, 'Attestations by a seed carry full trust');
+  assert(observerView.raw < globalView.raw, 'Perspective score is below the global score here');
+
+  const strangerView = await wotModule.calculateTrustScore(targetPk, { relays: fakeRelays, seeds: [strangerPk] });
+  assert(byAttester(strangerView, strangerPk).attesterTrust === 1 && byAttester(strangerView, friendPk).contribution === 0,
+    'Explicit seeds replace the observer set');
+
+  const scoredOnly = await calculateTrustScore([vouch(strangerSk, targetPk, 'general-trust', 10)], new Map(), { now: wallClock, seeds: [obsPk] });
+  assert(scoredOnly.raw === 0 && scoredOnly.breakdown[0].attesterTrust === 0, 'scoring: unresolved non-seed attesters carry no trust');
+
+  wotModule.closeRelayPool();
+
+  // ─── Global Scores (EigenTrust) ───────────────────────────────
+  console.log('\n🌍 Global Scores (EigenTrust)');
+
+  const { buildTrustGraph, computeEigenTrust } = require('./lib/graph');
+  const [gA, gB, gC, gD, gE] = Array.from({ length: 5 }, () => generateSecretKey());
+  const [pkA, pkB, pkC, pkD, pkE] = [gA, gB, gC, gD, gE].map(getPublicKey);
+  const chain = [
+    vouch(gA, pkB, 'service-quality', 100),
+    vouch(gB, pkC, 'service-quality', 100),
+    vouch(gD, pkC, 'general-trust', 100),
+    vouch(gE, pkA, 'general-trust', 100)
+  ];
+  const chainGraph = buildTrustGraph(chain, new Map(), { now: wallClock });
+  assert(chainGraph.nodes.size === 5 && chainGraph.edgeCount === 4, 'buildTrustGraph: one edge per attester → subject');
+  assert(buildTrustGraph([vouch(gE, pkC, 'dispute', 10, '')], new Map()).edgeCount === 0, 'buildTrustGraph: empty negative attestations are skipped');
+
+  const pagerank = computeEigenTrust(chainGraph);
+  const trustSum = [...pagerank.values()].reduce((sum, r) => sum + r.trust, 0);
+  assert(pagerank._converged && Math.abs(trustSum - 1) < 1e-6, `EigenTrust converges to a distribution (sum ${trustSum.toFixed(6)})`);
+  assert(pagerank.get(pkC).rank === 1 && pagerank.get(pkC).display === 100, 'The most-trusted node ranks first with display 100');
+  assert(pagerank.get(pkC).trust > pagerank.get(pkD).trust, 'Attested nodes outrank unattested ones');
+
+  const fromA = computeEigenTrust(chainGraph, { seeds: [pkA] });
+  assert(fromA.get(pkD).trust === 0 && fromA.get(pkE).trust === 0, 'Personalized: nodes unreachable from the seeds get no trust');
+  assert(fromA.get(pkC).trust > 0, 'Personalized: trust flows along the chain from the seed');
+
+  const disputedGraph = buildTrustGraph([...chain, vouch(gA, pkC, 'dispute', 50, 'Never delivered')], new Map(), { now: wallClock });
+  const disputed = computeEigenTrust(disputedGraph, { seeds: [pkA] });
+  assert(disputed.get(pkC).distrust > 0 && disputed.get(pkC).score < fromA.get(pkC).score, 'Disputes from trusted nodes subtract distrust');
+  assert(computeEigenTrust(buildTrustGraph([], new Map())).size === 0, 'Empty graph yields no scores');
+
+  const globalRelay = createFakeRelay(chain);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: globalRelay.WebSocket, timeoutMs: 1000 }));
+  const globalScores = await wotModule.computeGlobalScores({ relays: fakeRelays });
+  assert(globalScores.size === 5 && globalScores.get(pkC).rank === 1 && globalScores._truncated === false, 'computeGlobalScores ranks every pubkey from relay attestations');
+  const personalGlobal = await wotModule.computeGlobalScores({ relays: fakeRelays, perspective: pkA });
+  assert(personalGlobal.get(pkD).score === 0, 'computeGlobalScores honours perspective');
+  const [cmpC] = await wotModule.compareGlobalScores([pkC], { relays: fakeRelays, globalScores });
+  assert(cmpC.global === 100 && cmpC.recursive > 0 && cmpC.delta === cmpC.global - cmpC.recursive, 'compareGlobalScores lines up EigenTrust and recursive scores');
+
+  // Server: concurrent graph requests share one run; stale results are served while recomputing
+  const realCompute = wotModule.computeGlobalScores;
+  let globalRuns = 0;
+  let holdRun = null;
+  wotModule.computeGlobalScores = async (opts) => {
+    globalRuns++;
+    if (holdRun) await holdRun;
+    return realCompute(opts);
+  };
+  const graphApi = require('./lib/server').createServer({});
+  await new Promise(resolve => graphApi.server.listen(0, resolve));
+  const apiGet = (api, urlPath) => new Promise((resolve, reject) => {
+    require('http').get({ port: api.server.address().port, path: urlPath }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, ...JSON.parse(data) }));
+    }).on('error', reject);
+  });
+  const graphGet = (urlPath) => apiGet(graphApi, urlPath);
+
+  const concurrentGraph = await Promise.all([graphGet('/v1/graph/scores'), graphGet('/v1/graph/scores'), graphGet(`/v1/graph/score/${pkC}`)]);
+  assert(concurrentGraph.every(r => r.status === 200) && globalRuns === 1, `Concurrent graph requests share one EigenTrust run (got ${globalRuns})`);
+
+  let releaseRun;
+  holdRun = new Promise(r => { releaseRun = r; });
+  const realNow = Date.now;
+  Date.now = () => realNow() + 11 * 60 * 1000;
+  const staleGraph = await graphGet('/v1/graph/scores');
+  assert(staleGraph.status === 200 && staleGraph.computedAt === concurrentGraph[0].computedAt && globalRuns === 2,
+    'A stale ranking is served while it is recomputed in the background');
+  holdRun = null;
+  releaseRun();
+  for (let i = 0; i < 50 && (await graphGet('/v1/graph/scores')).computedAt === staleGraph.computedAt; i++) {
+    await new Promise(r => setTimeout(r, 20));
+  }
+  const refreshedGraph = await graphGet('/v1/graph/scores');
+  Date.now = realNow;
+  assert(refreshedGraph.computedAt > staleGraph.computedAt && globalRuns === 2, 'The background run replaces the stale ranking');
+
+  await graphApi.stop();
+  wotModule.computeGlobalScores = realCompute;
+  wotModule.closeRelayPool();
+
+  // ─── Scoring Policies ─────────────────────────────────────────
+  console.log('\n📐 Scoring Policies');
+
+  const { ScoringPolicy, getPolicy, registerPolicy, loadPolicy, listPolicies } = require('./lib/policy');
+  const policyAtt = vouch(gA, pkB, 'service-quality', 45 * 86400);
+  const plain = await calculateTrustScore([policyAtt], new Map(), { now: wallClock });
+  const asDefault = await calculateTrustScore([policyAtt], new Map(), { now: wallClock, policy: 'default' });
+  assert(plain.policy === 'default@2' && asDefault.raw === plain.raw, 'Default policy reproduces the built-in constants');
+  const strictScore = await calculateTrustScore([policyAtt], new Map(), { now: wallClock, policy: 'strict' });
+  assert(strictScore.policy === 'strict@2' && strictScore.raw < plain.raw, 'Strict policy scores lower and records itself');
+
+  const custom = new ScoringPolicy({ name: 'custom-test', version: 3, typeMultipliers: { 'service-quality': 3 }, noveltyMultiplier: 1, displayScale: 5 });
+  const customScore = await calculateTrustScore([policyAtt], new Map(), { now: wallClock, policy: custom });
+  assert(customScore.breakdown[0].typeMult === 3 && customScore.display === custom.display(customScore.raw) && customScore.policy === 'custom-test@3',
+    'Custom multipliers and display scale are applied');
+  const shortLived = await calculateTrustScore([policyAtt], new Map(), { now: wallClock, policy: { typeHalfLifeDays: { 'service-quality': 45 } } });
+  assert(Math.abs(shortLived.breakdown[0].decayFactor - 0.5) < 0.001, 'Per-type half-life overrides the global one');
+  assert(getPolicy('strict').halfLifeFor('general-trust') === 30 && getPolicy('strict').halfLifeFor('dispute') === 60, 'halfLifeFor falls back to the policy half-life');
+
+  const policyThrows = (opts) => { try { new ScoringPolicy(opts); return false; } catch (_) { return true; } };
+  assert(policyThrows({ typeMultipliers: { 'general-trust': -1 } }), 'Positive types cannot get negative multipliers');
+  assert(policyThrows({ typeMultipliers: { 'made-up': 1 } }) && policyThrows({ zapMultipler: 1 }), 'Unknown types and fields are rejected');
+  assert(policyThrows({ maxDepth: 1.5 }) && policyThrows({ displayScale: 'ten' }), 'Invalid numeric fields are rejected');
+  let unknownPolicy = false;
+  try { getPolicy('nope'); } catch (_) { unknownPolicy = true; }
+  assert(unknownPolicy, 'Unknown policy names throw');
+  assert(['constructor', 'toString', '__proto__'].every(name => { try { getPolicy(name); return false; } catch (_) { return true; } }),
+    'Object prototype names are unknown policies');
+  const protoPolicy = registerPolicy({ name: '__proto__', zapMultiplier: 1 });
+  assert(getPolicy('__proto__') === protoPolicy && getPolicy('default').name === 'default' && listPolicies().includes('__proto__'),
+    'A policy named __proto__ registers like any other');
+
+  const policyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-wot-policy-')), 'policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify({ name: 'from-file', version: 2, zapMultiplier: 1 }));
+  const fromFile = registerPolicy(loadPolicy(policyFile));
+  assert(fromFile.id === 'from-file@2' && fromFile.zapWeight(1) === 2 && listPolicies().includes('from-file'), 'Policies load from JSON and register by name');
+  assert(ScoringPolicy.fromJSON(JSON.stringify(fromFile)).zapMultiplier === 1, 'Policies round-trip through JSON');
+  fs.rmSync(path.dirname(policyFile), { recursive: true, force: true });
+
+  const heavier = buildTrustGraph(chain, new Map(), { now: wallClock, policy: { typeMultipliers: { 'service-quality': 3 } } });
+  assert(heavier.edges.get(pkA).get(pkB).positive > chainGraph.edges.get(pkA).get(pkB).positive, 'buildTrustGraph uses the policy multipliers');
+
+  const policyRelay = createFakeRelay(chain);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: policyRelay.WebSocket, timeoutMs: 1000 }));
+  const shallow = await wotModule.calculateTrustScore(pkC, { relays: fakeRelays, policy: { name: 'shallow', maxDepth: 0 } });
+  assert(shallow.policy === 'shallow@1' && shallow.breakdown.every(b => b.attesterTrust === 1), 'Policy maxDepth limits attester recursion');
+  const strictRemote = await wotModule.calculateTrustScore(pkC, { relays: fakeRelays, policy: 'strict' });
+  assert(strictRemote.policy === 'strict@2', 'wot score functions accept a policy name');
+  const strictGlobal = await wotModule.computeGlobalScores({ relays: fakeRelays, policy: 'strict' });
+  assert(strictGlobal._policy === 'strict@2', 'computeGlobalScores records the policy');
+  wotModule.closeRelayPool();
+
+  // ─── Historical Scores ────────────────────────────────────────
+  console.log('\n⏳ Historical Scores');
+
+  const DAY = 86400;
+  const [hA, hB, hC, hT] = Array.from({ length: 4 }, () => generateSecretKey());
+  const hTpk = getPublicKey(hT);
+  const oldAtt = vouch(hA, hTpk, 'service-quality', 100 * DAY);
+  const newAtt = vouch(hB, hTpk, 'general-trust', 10 * DAY);
+  const expiringAtt = fromWire(finalizeEvent({
+    kind: 1985, created_at: wallClock - 80 * DAY, content: 'short-lived',
+    tags: [['L', 'ai.wot'], ['l', 'service-quality', 'ai.wot'], ['p', hTpk], ['expiration', String(wallClock - 50 * DAY)]]
+  }, hC));
+  const oldRevocation = fromWire(finalizeEvent({
+    kind: 5, created_at: wallClock - 30 * DAY, content: 'resolved',
+    tags: [['e', oldAtt.id], ['k', '1985']]
+  }, hA));
+
+  const revokedOld = { ...oldAtt, revocation: { revokedAt: wallClock - 30 * DAY } };
+  const before = await calculateTrustScore([revokedOld, newAtt], new Map(), { at: wallClock - 60 * DAY });
+  assert(before.attestationCount === 1 && before.breakdown[0].attester === getPublicKey(hA),
+    'at: later attestations are excluded; revocations after `at` still count the attestation');
+  const after = await calculateTrustScore([revokedOld, newAtt], new Map(), { at: wallClock - 5 * DAY });
+  assert(after.attestationCount === 1 && after.breakdown[0].attester === getPublicKey(hB), 'at: attestations revoked by then are dropped');
+  assert(Math.abs(before.breakdown[0].decayFactor - Math.pow(0.5, 40 / 90)) < 0.001, 'at: decay is measured from `at`');
+  const expiredThen = await calculateTrustScore([expiringAtt], new Map(), { at: wallClock - 40 * DAY });
+  const liveThen = await calculateTrustScore([expiringAtt], new Map(), { at: wallClock - 60 * DAY });
+  assert(expiredThen.attestationCount === 0 && liveThen.attestationCount === 1, 'at: expiration is relative to `at`');
+
+  const timedZaps = new Map([[oldAtt.id, 3000]]);
+  timedZaps._details = new Map([[oldAtt.id, {
+    zaps: [{ sender: 'x', sats: 1000, createdAt: wallClock - 90 * DAY }, { sender: 'y', sats: 2000, createdAt: wallClock - 20 * DAY }],
+    rejections: [{ reason: 'bad', sats: 500, createdAt: wallClock - 20 * DAY }],
+    rejectedSats: 500
+  }]]);
+  const zapsThen = await calculateTrustScore([oldAtt], timedZaps, { at: wallClock - 60 * DAY });
+  assert(zapsThen.breakdown[0].zapSats === 1000 && zapsThen.breakdown[0].rejectedZapSats === 0, 'at: zaps received later are ignored');
+
+  const historyRelay = createFakeRelay([oldAtt, newAtt, expiringAtt, oldRevocation]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: historyRelay.WebSocket, timeoutMs: 1000 }));
+  const pastRemote = await wotModule.calculateTrustScore(hTpk, { relays: fakeRelays, at: wallClock - 60 * DAY });
+  assert(pastRemote.attestationCount === 2, `Relay scores at a past moment include since-revoked and since-expired attestations (got ${pastRemote.attestationCount})`);
+  const nowRemote = await wotModule.calculateTrustScore(hTpk, { relays: fakeRelays });
+  assert(nowRemote.attestationCount === 1, 'Current scores still drop revoked and expired attestations');
+
+  historyRelay.reqs.length = 0;
+  const history = await wotModule.getScoreHistory(hTpk, { relays: fakeRelays, from: wallClock - 120 * DAY, to: wallClock, step: 30 * DAY });
+  assert(history.length === 5 && history[4].at === wallClock && history.every((p, i) => i === 0 || p.at - history[i - 1].at === 30 * DAY),
+    'getScoreHistory returns evenly spaced points ending at `to`');
+  assert(history[0].attestationCount === 0 && history[2].attestationCount === 2 && history[4].attestationCount === 1,
+    `History follows attestations, expirations and revocations (${history.map(p => p.attestationCount).join(',')})`);
+  assert(history._policy === 'default@2' && history[4].display === nowRemote.display, 'Latest history point matches the current score');
+  assert(historyRelay.reqs.filter(f => f[0].kinds[0] === 1985).length <= 2, 'getScoreHistory fetches the graph once');
+  const observerPk = getPublicKey(hB);
+  const perspectiveReqs = async (step) => {
+    historyRelay.reqs.length = 0;
+    const points = await wotModule.getScoreHistory(hTpk, { relays: fakeRelays, perspective: observerPk, from: wallClock - 120 * DAY, to: wallClock, step });
+    return { points, reqs: historyRelay.reqs.filter(f => f.some(filter => (filter.authors || []).includes(observerPk))).length };
+  };
+  const fivePoints = await perspectiveReqs(30 * DAY);
+  const twoPoints = await perspectiveReqs(120 * DAY);
+  const perspectiveNow = await wotModule.calculateTrustScore(hTpk, { relays: fakeRelays, perspective: observerPk, at: wallClock });
+  assert(fivePoints.reqs === twoPoints.reqs && fivePoints.points[4].raw === perspectiveNow.raw,
+    `getScoreHistory resolves perspective seeds once (${fivePoints.reqs} vs ${twoPoints.reqs} observer queries)`);
+  let tooMany = false;
+  try { await wotModule.getScoreHistory(hTpk, { relays: fakeRelays, from: 0, to: wallClock, step: 60 }); } catch (_) { tooMany = true; }
+  assert(tooMany, 'getScoreHistory rejects ranges with too many points');
+
+  // Server: a bad range is a 400, a failure while scoring is a 500
+  const historyApi = require('./lib/server').createServer({});
+  await new Promise(resolve => historyApi.server.listen(0, resolve));
+  const badRange = await apiGet(historyApi, `/v1/score/${hTpk}/history?from=1&to=${wallClock}&step=60`);
+  assert(badRange.status === 400 && /max 500/.test(badRange.error), 'History endpoint rejects a bad range with 400');
+  const realHistory = wotModule.getScoreHistory;
+  wotModule.getScoreHistory = async () => { throw new Error('relay exploded'); };
+  const failedHistory = await apiGet(historyApi, `/v1/score/${hTpk}/history`);
+  wotModule.getScoreHistory = realHistory;
+  assert(failedHistory.status === 500 && !/exploded/.test(failedHistory.error), `History endpoint reports scoring failures as 500 (got ${failedHistory.status})`);
+  await historyApi.stop();
+  wotModule.closeRelayPool();
+
+  // ─── Score Diffs ──────────────────────────────────────────────
+  console.log('\n🔎 Score Diffs');
+
+  const { diffScores } = require('./lib/diff');
+  const diffBefore = await calculateTrustScore([oldAtt, expiringAtt], new Map(), { at: wallClock - 60 * DAY });
+  const diffAfter = await calculateTrustScore([revokedOld, newAtt, expiringAtt], new Map(), { at: wallClock });
+  const scoreDiff = diffScores(diffBefore, diffAfter, { at: wallClock });
+  const kindOf = (diff, id) => (diff.changes.find(c => c.eventId === id) || {}).kind;
+  assert(kindOf(scoreDiff, newAtt.id) === 'added' && kindOf(scoreDiff, oldAtt.id) === 'revoked' && kindOf(scoreDiff, expiringAtt.id) === 'expired',
+    'diffScores: added, revoked and expired entries');
+  assert(scoreDiff.summary.added === 1 && scoreDiff.summary.revoked === 1 && scoreDiff.summary.expired === 1 && scoreDiff.summary.decayed === 0,
+    'diffScores: summary counts changes per kind');
+  assert(scoreDiff.display.delta === diffAfter.display - diffBefore.display &&
+    scoreDiff.changes.reduce((sum, c) => sum + c.displayDelta, 0) === scoreDiff.display.delta,
+    'diffScores: per-change display deltas add up to the display change');
+  assert(scoreDiff.changes.every((c, i) => i === 0 || Math.abs(c.rawDelta) <= Math.abs(scoreDiff.changes[i - 1].rawDelta)), 'diffScores: largest changes first');
+
+  const aged = diffScores(await calculateTrustScore([newAtt], new Map(), { at: wallClock - 5 * DAY }), await calculateTrustScore([newAtt], new Map(), { at: wallClock }));
+  assert(aged.changes.length === 1 && aged.changes[0].kind === 'decayed' && aged.changes[0].rawDelta < 0, 'diffScores: decay alone is reported as decayed');
+  const entry = { eventId: 'e1', attester: 'a', type: 'warning', contribution: -1, attesterTrust: 0.5, zapWeight: 1, typeMult: -0.8, decayFactor: 1, gated: false };
+  const regated = diffScores({ raw: 0, display: 0, breakdown: [entry] }, { raw: 0, display: 0, breakdown: [{ ...entry, contribution: 0, gated: true }] });
+  assert(regated.changes[0].kind === 'regated' && regated.changes[0].rawDelta === 1, 'diffScores: crossing the gate is reported as regated');
+  const reweighted = diffScores({ raw: 2, display: 20, breakdown: [{ ...entry, contribution: 2 }] }, { raw: 4, display: 40, breakdown: [{ ...entry, contribution: 4, attesterTrust: 1 }] });
+  assert(reweighted.changes[0].kind === 'reweighted' && reweighted.changes[0].displayDelta === 20, 'diffScores: attester trust changes are reported as reweighted');
+  assert(diffScores(diffAfter, diffAfter).changes.length === 0, 'diffScores: identical scores have no changes');
+  const foreign = { ...diffAfter, policy: 'house-rules@3' };
+  let foreignError = null;
+  try { diffScores(diffBefore, foreign); } catch (e) { foreignError = e; }
+  assert(foreignError && /house-rules@3/.test(foreignError.message), 'diffScores: an unregistered recorded policy is reported, not replaced by default');
+  assert(diffScores(diffBefore, foreign, { policy: 'default' }).policy === 'house-rules@3', 'diffScores: opts.policy overrides an unregistered recorded policy');
+
+  const diffRelay = createFakeRelay([oldAtt, newAtt, expiringAtt, oldRevocation]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: diffRelay.WebSocket, timeoutMs: 1000 }));
+  const remoteDiff = await wotModule.getScoreDiff(hTpk, { relays: fakeRelays, from: wallClock - 60 * DAY, to: wallClock });
+  assert(remoteDiff.from === wallClock - 60 * DAY && remoteDiff.summary.added === 1 && remoteDiff.summary.revoked === 1 && remoteDiff.summary.expired === 1,
+    'getScoreDiff replays both moments from relays');
+
+  const diffApi = require('./lib/server').createServer({});
+  await new Promise(resolve => diffApi.server.listen(0, resolve));
+  const backwards = await apiGet(diffApi, `/v1/score/${hTpk}/diff?from=${wallClock}&to=${wallClock - DAY}`);
+  assert(backwards.status === 400 && /from must not be after to/.test(backwards.error), 'Diff endpoint rejects a backwards range with 400');
+  const realDiff = wotModule.getScoreDiff;
+  wotModule.getScoreDiff = async () => { throw new Error('relay exploded'); };
+  const failedDiff = await apiGet(diffApi, `/v1/score/${hTpk}/diff`);
+  wotModule.getScoreDiff = realDiff;
+  assert(failedDiff.status === 500 && !/exploded/.test(failedDiff.error), `Diff endpoint reports scoring failures as 500 (got ${failedDiff.status})`);
+  await diffApi.stop();
+  wotModule.closeRelayPool();
+
+  // ─── Confidence ───────────────────────────────────────────────
+  console.log('\n🎯 Confidence');
+
+  const { calculateConfidence } = require('./lib/scoring');
+  const loneScore = await calculateTrustScore([vouch(gA, pkB, 'service-quality', 10)], new Map(), { now: wallClock });
+  assert(loneScore.confidence < 0.5 && loneScore.interval[0] === 0 && loneScore.interval[1] >= loneScore.display,
+    `One attestation: low confidence with a wide interval (${loneScore.confidence}, [${loneScore.interval}])`);
+  const crowdKeys = Array.from({ length: 30 }, () => generateSecretKey());
+  const crowdScore = await calculateTrustScore(crowdKeys.map(sk => vouch(sk, pkB, 'general-trust', 80 * DAY)), new Map(), { now: wallClock });
+  assert(crowdScore.confidence > loneScore.confidence + 0.5 && crowdScore.interval[0] <= crowdScore.display && crowdScore.display <= crowdScore.interval[1],
+    `Thirty diverse attesters: high confidence around the score (${crowdScore.confidence}, [${crowdScore.interval}])`);
+  assert(calculateConfidence(crowdScore.breakdown).interval.join() === crowdScore.interval.join(), 'Confidence is deterministic for the same breakdown');
+  const noEvidence = calculateConfidence([{ eventId: 'g', contribution: 0, gated: true }]);
+  assert(noEvidence.confidence === 0 && noEvidence.interval.join() === '0,0', 'No ungated evidence means no confidence');
+  const narrow = calculateConfidence(crowdScore.breakdown, { level: 0.5 });
+  assert(narrow.interval[1] - narrow.interval[0] <= crowdScore.interval[1] - crowdScore.interval[0], 'Lower interval levels give narrower intervals');
+
+  const fadedBadge = generateBadgeSvg(40, undefined, { confidence: 0.2, interval: [0, 90] });
+  assert(fadedBadge.includes('~40/100') && fadedBadge.includes('fill-opacity=".5"') && fadedBadge.includes('likely 0-90'), 'Low-confidence badges are faded and marked approximate');
+  assert(!generateBadgeSvg(40, undefined, { confidence: 0.8, interval: [30, 50] }).includes('~40'), 'Confident badges are unchanged');
+
+  // ─── Sybil Clusters ───────────────────────────────────────────
+  console.log('\n🕸️ Sybil Clusters');
+
+  const { detectSybilClusters } = require('./lib/sybil');
+  const ringKeys = Array.from({ length: 4 }, () => generateSecretKey());
+  const ringPks = ringKeys.map(getPublicKey);
+  const elderKeys = Array.from({ length: 6 }, () => generateSecretKey());
+  const elderPks = elderKeys.map(getPublicKey);
+  const [sybilTargetSk, honestSk] = [generateSecretKey(), generateSecretKey()];
+  const [sybilTargetPk, honestPk] = [sybilTargetSk, honestSk].map(getPublicKey);
+
+  // Four new keys all vouch for each other and for the target
+  const ringAtts = [];
+  ringKeys.forEach((sk, i) => {
+    ringPks.forEach((pk, j) => { if (i !== j) ringAtts.push(vouch(sk, pk, 'general-trust', 5 * DAY)); });
+    ringAtts.push(vouch(sk, sybilTargetPk, 'service-quality', 4 * DAY));
+  });
+  // Three long-standing agents vouch for each other, and three more vouch for them
+  const elderAtts = [];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) if (i !== j) elderAtts.push(vouch(elderKeys[i], elderPks[j], 'general-trust', 200 * DAY));
+    for (let k = 3; k < 6; k++) elderAtts.push(vouch(elderKeys[k], elderPks[i], 'service-quality', 150 * DAY));
+  }
+  const elderToTarget = [vouch(elderKeys[0], sybilTargetPk, 'service-quality', 10 * DAY), vouch(elderKeys[1], honestPk, 'service-quality', 10 * DAY)];
+
+  const sybilResult = detectSybilClusters([...ringAtts, ...elderAtts, ...elderToTarget], { now: wallClock });
+  assert(sybilResult.clusters.length === 1 && sybilResult.clusters[0].size === 4 && ringPks.every(pk => sybilResult.byPubkey.has(pk)),
+    `The mutually-attesting ring of new keys is one flagged cluster (got ${sybilResult.clusters.map(c => c.size)})`);
+  const ring = sybilResult.clusters[0];
+  assert(ring.density === 1 && ring.internalShare === 0.75 && ring.externalEdges === 0, 'Cluster reports density, internal share and external edges');
+  assert(ring.reasons.includes('mutual-attestation') && ring.reasons.includes('new-keys') && ring.newKeyShare === 1, 'Cluster reports why it was flagged');
+  assert(!elderPks.some(pk => sybilResult.byPubkey.has(pk)), 'Mutual attesters with outside support are not flagged');
+  const oneWay = [[0, 1], [1, 2], [2, 3], [3, 0], [0, 2], [1, 3]].map(([i, j]) => vouch(ringKeys[i], ringPks[j], 'general-trust', 5 * DAY));
+  const youngOnly = detectSybilClusters(oneWay, { now: wallClock });
+  assert(youngOnly.clusters.length === 1 && youngOnly.clusters[0].reasons.join() === 'new-keys', 'New keys attesting each other one-way are flagged too');
+  const supported = detectSybilClusters([...ringAtts, ...[3, 4, 5].flatMap(k => ringPks.map(pk => vouch(elderKeys[k], pk, 'general-trust', 150 * DAY)))], { now: wallClock });
+  assert(supported.clusters.length === 0, 'Clusters with plenty of attestations from established agents are not flagged');
+
+  const targetAtts = [...ringAtts, ...elderToTarget].filter(a => a.tags.find(t => t[0] === 'p')[1] === sybilTargetPk);
+  const undiscounted = await calculateTrustScore(targetAtts, new Map(), { now: wallClock });
+  const discounted020 = await calculateTrustScore(targetAtts, new Map(), { now: wallClock, sybilClusters: sybilResult });
+  assert(discounted020.sybilCount === 4 && discounted020.raw < undiscounted.raw / 2, `Sybil cluster attestations are discounted (${undiscounted.raw} → ${discounted020.raw})`);
+  assert(discounted020.breakdown.filter(b => b.sybilCluster === ring.id).length === 4, 'Breakdown entries name the sybil cluster');
+  const zeroWeight = await calculateTrustScore(targetAtts, new Map(), { now: wallClock, sybilClusters: sybilResult.byPubkey, policy: { sybilWeight: 0 } });
+  assert(zeroWeight.breakdown.filter(b => b.sybilCluster).every(b => b.contribution === 0), 'Policy sybilWeight sets the discount');
+  assert(policyThrows({ sybilWeight: 1.5 }), 'sybilWeight must be between 0 and 1');
+
+  const sybilRelay = createFakeRelay([...ringAtts, ...elderAtts, ...elderToTarget]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: sybilRelay.WebSocket, timeoutMs: 1000 }));
+  const targetReport = await wotModule.getSybilReport(sybilTargetPk, { relays: fakeRelays });
+  assert(!targetReport.flagged && targetReport.suspectedAttesters.length === 4 && targetReport.attesterClusters.length === 1 && targetReport.attesterCount === 5,
+    'getSybilReport lists the suspected attesters of a pubkey');
+  const memberReport = await wotModule.getSybilReport(ringPks[0], { relays: fakeRelays });
+  assert(memberReport.flagged && memberReport.cluster.members.length === 4, 'getSybilReport flags cluster members');
+  const plainRemote = await wotModule.calculateTrustScore(sybilTargetPk, { relays: fakeRelays });
+  const sybilRemote = await wotModule.calculateTrustScore(sybilTargetPk, { relays: fakeRelays, sybil: true });
+  assert(sybilRemote.sybilCount === 4 && sybilRemote.raw < plainRemote.raw, 'calculateTrustScore with sybil: true discounts detected clusters');
+
+  // The ring forms between the two points; each point must see its own clusters
+  const sybilNow = await wotModule.calculateTrustScore(sybilTargetPk, { relays: fakeRelays, sybil: true, at: wallClock });
+  const plainNow = await wotModule.calculateTrustScore(sybilTargetPk, { relays: fakeRelays, at: wallClock });
+  const sybilHistory = await wotModule.getScoreHistory(sybilTargetPk, { relays: fakeRelays, sybil: true, from: wallClock - 6 * DAY, to: wallClock, step: 6 * DAY });
+  assert(sybilNow.raw < plainNow.raw && sybilHistory[1].raw === sybilNow.raw,
+    `History replays sybil clusters per point (got ${sybilHistory[1].raw}, expected ${sybilNow.raw})`);
+  wotModule.closeRelayPool();
+
+  // ─── Reciprocal Attestations ──────────────────────────────────
+  console.log('\n🔄 Reciprocal Attestations');
+
+  const { buildAttestationEdges, findReciprocalAttesters } = require('./lib/scoring');
+  const recKeys = Array.from({ length: 5 }, () => generateSecretKey());
+  const recPks = recKeys.map(getPublicKey);
+  const recSubjectSk = generateSecretKey();
+  const recSubjectPk = getPublicKey(recSubjectSk);
+  // 0 ↔ subject; 1 → 2 → 3 → 1 all vouch for the subject; 4 is independent
+  const recAtts = [0, 1, 2, 3, 4].map(i => vouch(recKeys[i], recSubjectPk, 'service-quality', 10 * DAY));
+  const backAtt = vouch(recSubjectSk, recPks[0], 'service-quality', 9 * DAY);
+  const ringEdges = [[1, 2], [2, 3], [3, 1]].map(([i, j]) => vouch(recKeys[i], recPks[j], 'general-trust', 20 * DAY));
+
+  const recEdges = buildAttestationEdges([...recAtts, backAtt, ...ringEdges]);
+  assert(recEdges.get(recSubjectPk).has(recPks[0]) && recEdges.get(recPks[1]).has(recPks[2]), 'buildAttestationEdges indexes who vouches for whom');
+  const recFound = findReciprocalAttesters(recSubjectPk, new Set(recPks.slice(0, 5)), recEdges);
+  assert(recFound.get(recPks[0]) === 'mutual', 'An attester the subject vouches for back is mutual');
+  assert([1, 2, 3].every(i => recFound.get(recPks[i]) === 'ring'), 'Attesters vouching for each other in a 3-cycle are a ring');
+  assert(!recFound.has(recPks[4]), 'Independent attesters are not reciprocal');
+  const fourCycle = [[1, 2], [2, 3], [3, 4], [4, 1]].map(([i, j]) => vouch(recKeys[i], recPks[j], 'general-trust', 20 * DAY));
+  const longRing = findReciprocalAttesters(recSubjectPk, new Set(recPks.slice(1, 5)), buildAttestationEdges(fourCycle));
+  assert(longRing.size === 0, 'Cycles longer than maxRingLength are not flagged');
+  assert(findReciprocalAttesters(recSubjectPk, new Set(recPks.slice(1, 5)), buildAttestationEdges(fourCycle), 4).size === 4, 'maxRingLength widens the search');
+  const recRevoked = buildAttestationEdges([{ ...backAtt, revocation: { revokedAt: wallClock - DAY } }]);
+  assert(!recRevoked.has(recSubjectPk), 'Revoked attestations are not edges');
+
+  const recScore = await calculateTrustScore([...recAtts, backAtt, ...ringEdges], new Map(), { now: wallClock });
+  const recSubjectEntries = recScore.breakdown.filter(b => recAtts.some(a => a.id === b.eventId));
+  const recIndependent = recSubjectEntries.find(b => b.attester === recPks[4]);
+  const recMutual = recSubjectEntries.find(b => b.attester === recPks[0]);
+  assert(recMutual.reciprocal && recMutual.reciprocalType === 'mutual' && !recIndependent.reciprocal, 'Breakdown entries are marked reciprocal');
+  assert(Math.abs(recMutual.contribution - recIndependent.contribution * 0.5 / 1.3) < 0.01,
+    `Reciprocal attestations count at half weight without novelty bonus (${recMutual.contribution} vs ${recIndependent.contribution})`);
+  const recSubjectOnly = recAtts.map(a => a.id);
+  const recSubjectScore = await calculateTrustScore(recAtts, new Map(), { now: wallClock, attestationEdges: recEdges });
+  assert(recSubjectScore.reciprocalCount === 4 && recSubjectScore.breakdown.every(b => recSubjectOnly.includes(b.eventId)),
+    'attestationEdges supplies the wider graph; reciprocalCount counts discounted entries');
+  const recFull = await calculateTrustScore(recAtts, new Map(), { now: wallClock, attestationEdges: recEdges, policy: { reciprocalWeight: 1 } });
+  assert(recFull.raw > recSubjectScore.raw && recFull.reciprocalCount === 4, 'Policy reciprocalWeight sets the discount');
+  assert(policyThrows({ reciprocalWeight: -0.1 }), 'reciprocalWeight must be between 0 and 1');
+
+  const recRelay = createFakeRelay([...recAtts, backAtt, ...ringEdges]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: recRelay.WebSocket, timeoutMs: 1000 }));
+  const recRemote = await wotModule.calculateTrustScore(recSubjectPk, { relays: fakeRelays });
+  assert(recRemote.reciprocalCount === 4 && recRemote.breakdown.find(b => b.attester === recPks[0]).reciprocalType === 'mutual',
+    'calculateTrustScore finds reciprocal attesters in the fetched graph');
+  const recSummary = await wotModule.getAttestationSummary(recSubjectPk, { relays: fakeRelays });
+  assert(recSummary.includes('4 reciprocal attestation(s) discounted') && recSummary.includes('↔ mutual'), 'getAttestationSummary shows reciprocal attestations');
+  wotModule.closeRelayPool();
+
+  // ─── Attester Volume ──────────────────────────────────────────
+  console.log('\n📢 Attester Volume');
+
+  const { volumeWeight, countOutDegrees } = require('./lib/scoring');
+  assert(volumeWeight(5) === 1 && volumeWeight(10) === 1, 'Attesters up to the pivot keep full weight');
+  assert(Math.abs(volumeWeight(40) - 0.5) < 1e-9, 'sqrt curve: 40 subjects at pivot 10 → 0.5');
+  assert(volumeWeight(40, { curve: 'linear' }) === 0.25 && Math.abs(volumeWeight(40, { curve: 'log' }) - 1 / 3) < 1e-9, 'linear and log curves');
+  assert(volumeWeight(5000, { curve: 'none' }) === 1 && volumeWeight(40, { pivot: 40 }) === 1, 'none curve and pivot');
+  assert((() => { try { volumeWeight(50, { curve: 'cube' }); return false; } catch (e) { return true; } })(), 'Unknown curves throw');
+
+  const [spamSk, carefulSk, volSubjectSk] = [generateSecretKey(), generateSecretKey(), generateSecretKey()];
+  const [spamPk, carefulPk, volSubjectPk] = [spamSk, carefulSk, volSubjectSk].map(getPublicKey);
+  const spamTargets = Array.from({ length: 40 }, () => getPublicKey(generateSecretKey()));
+  const spamAtts = spamTargets.map(pk => vouch(spamSk, pk, 'general-trust', 3 * DAY));
+  const oldSpam = spamTargets.slice(0, 20).map(pk => vouch(spamSk, pk, 'general-trust', 200 * DAY));
+  const volAtts = [vouch(spamSk, volSubjectPk, 'service-quality', 2 * DAY), vouch(carefulSk, volSubjectPk, 'service-quality', 2 * DAY)];
+  const carefulAtts = Array.from({ length: 4 }, () => vouch(carefulSk, getPublicKey(generateSecretKey()), 'general-trust', 5 * DAY));
+
+  const outDegrees = countOutDegrees([...spamAtts, ...spamAtts.slice(0, 5), ...oldSpam, ...volAtts, ...carefulAtts], { now: wallClock });
+  assert(outDegrees.get(spamPk) === 41 && outDegrees.get(carefulPk) === 5, `countOutDegrees counts distinct subjects in the window (got ${outDegrees.get(spamPk)}, ${outDegrees.get(carefulPk)})`);
+  assert(countOutDegrees(oldSpam, { now: wallClock, windowDays: 365 }).get(spamPk) === 20, 'windowDays widens the window');
+
+  const volPlain = await calculateTrustScore(volAtts, new Map(), { now: wallClock });
+  const volScore = await calculateTrustScore(volAtts, new Map(), { now: wallClock, attesterOutDegrees: outDegrees });
+  const spamEntry = volScore.breakdown.find(b => b.attester === spamPk);
+  const carefulEntry = volScore.breakdown.find(b => b.attester === carefulPk);
+  assert(spamEntry.attesterOutDegree === 41 && carefulEntry.attesterOutDegree === 5, 'Breakdown exposes attesterOutDegree');
+  assert(carefulEntry.volumeWeight === 1 && spamEntry.volumeWeight === 0.494 && spamEntry.contribution < carefulEntry.contribution / 2 + 0.01,
+    `High-volume attesters are thinned out (${spamEntry.contribution} vs ${carefulEntry.contribution})`);
+  assert(volScore.volumeDiscountedCount === 1 && volPlain.volumeDiscountedCount === 0 && volPlain.breakdown[0].attesterOutDegree === null,
+    'Volume normalization is off unless out-degrees are given');
+  const volLinear = await calculateTrustScore(volAtts, new Map(), { now: wallClock, attesterOutDegrees: outDegrees, policy: { volumeCurve: 'linear', volumePivot: 5 } });
+  assert(volLinear.breakdown.find(b => b.attester === spamPk).volumeWeight === 0.122, 'Policy volumeCurve and volumePivot set the curve');
+  assert(policyThrows({ volumeCurve: 'cube' }) && policyThrows({ volumePivot: 0 }) && policyThrows({ volumeWindowDays: -1 }), 'Volume policy fields are validated');
+  assert(wotModule.getPolicy({ volumeCurve: 'log' }).toJSON().volumeCurve === 'log', 'volumeCurve round-trips through toJSON');
+
+  const volRelay = createFakeRelay([...spamAtts, ...volAtts, ...carefulAtts]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: volRelay.WebSocket, timeoutMs: 1000 }));
+  const outgoingBoth = await wotModule.queryOutgoingAttestations([spamPk, carefulPk], { relays: fakeRelays });
+  assert(outgoingBoth.length === 46, `queryOutgoingAttestations takes several attesters (got ${outgoingBoth.length})`);
+  const volRemotePlain = await wotModule.calculateTrustScore(volSubjectPk, { relays: fakeRelays });
+  const volRemote = await wotModule.calculateTrustScore(volSubjectPk, { relays: fakeRelays, volume: true });
+  assert(volRemote.breakdown.find(b => b.attester === spamPk).attesterOutDegree === 41 && volRemote.raw < volRemotePlain.raw,
+    'calculateTrustScore with volume: true counts out-degrees from relays');
+  wotModule.closeRelayPool();
+
+  // ─── Attester Calibration ─────────────────────────────────────
+  console.log('\n🎚️ Attester Calibration');
+
+  const { calibrateAttester, calibrationFactor } = require('./lib/calibration');
+  const newKeys = n => Array.from({ length: n }, () => generateSecretKey());
+  const [calSk, judgeSk, nobodySk] = newKeys(3);
+  const [calPk, judgePk, nobodyPk] = [calSk, judgeSk, nobodySk].map(getPublicKey);
+  const calSubjectKeys = newKeys(4);
+  const calSubjects = calSubjectKeys.map(getPublicKey);
+  const [calLatePk, calEarlyPk] = newKeys(2).map(getPublicKey);
+
+  // The attester vouched for four agents 60 days ago; a well-trusted judge disputed the first 30 days ago
+  const calVouches = calSubjects.map(pk => vouch(calSk, pk, 'service-quality', 60 * DAY));
+  const judgeBackers = newKeys(3).map(sk => vouch(sk, judgePk, 'service-quality', 100 * DAY));
+  const calNegatives = [
+    vouch(judgeSk, calSubjects[0], 'dispute', 30 * DAY, 'Took payment, never delivered'),
+    vouch(nobodySk, calSubjects[1], 'dispute', 30 * DAY, 'Untrusted complaint'),
+    vouch(calSk, calSubjects[2], 'warning', 30 * DAY, 'Second thoughts')
+  ];
+  const calLate = vouch(calSk, calLatePk, 'service-quality', 10 * DAY);
+  const calEarly = vouch(calSk, calEarlyPk, 'work-completed', 45 * DAY);
+
+  const handScores = new Map([[calSubjects[0], { breakdown: [{ type: 'dispute', gated: false, contribution: -1, timestamp: wallClock - 30 * DAY, attester: judgePk, eventId: 'x' }] }],
+    [calSubjects[1], { breakdown: [{ type: 'dispute', gated: true, contribution: 0, timestamp: wallClock - 30 * DAY, attester: nobodyPk, eventId: 'y' }] }]]);
+  const handCal = calibrateAttester(calPk, calVouches, handScores, { at: wallClock });
+  assert(handCal.vouches === 4 && handCal.disputed === 1 && handCal.factor === 0.833, `Effective later disputes lower calibration (got ${handCal.disputed}, ${handCal.factor})`);
+  assert(handCal.records.find(r => r.subject === calSubjects[1]).disputedAt === null, 'Gated disputes do not count');
+  assert(calibrationFactor(handCal, wallClock - 40 * DAY) === 1 && calibrationFactor(null, wallClock) === 1, 'Calibration only reflects disputes that had happened by then');
+  assert(calibrateAttester(calPk, calVouches, handScores, { at: wallClock, prior: 0 }).factor === 0.75, 'prior smooths the factor');
+  const beforeDispute = calibrateAttester(calPk, calVouches, handScores, { at: wallClock - 40 * DAY });
+  assert(beforeDispute.vouches === 4 && beforeDispute.disputed === 0 && beforeDispute.factor === calibrationFactor(handCal, wallClock - 40 * DAY),
+    'Reported counts match the factor at the same moment');
+  const earlyDispute = new Map([[calSubjects[0], { breakdown: [{ type: 'warning', gated: false, contribution: -1, timestamp: wallClock - 70 * DAY, attester: judgePk, eventId: 'z' }] }]]);
+  assert(calibrateAttester(calPk, calVouches, earlyDispute, { at: wallClock }).disputed === 0, 'Negatives from before the vouch do not count');
+
+  const calScore = await calculateTrustScore([calLate, calEarly], new Map(), { now: wallClock, attesterCalibration: new Map([[calPk, handCal]]) });
+  const lateEntry = calScore.breakdown.find(b => b.eventId === calLate.id);
+  const earlyEntry = calScore.breakdown.find(b => b.eventId === calEarly.id);
+  assert(lateEntry.calibration === 0.833 && lateEntry.attesterTrust === 0.83, `Later vouches carry the attester's calibration (got ${lateEntry.calibration})`);
+  assert(earlyEntry.calibration === 1, 'Vouches made before the dispute keep full weight');
+  const uncalibrated = await calculateTrustScore([calLate], new Map(), { now: wallClock });
+  assert(uncalibrated.breakdown[0].calibration === null && uncalibrated.breakdown[0].attesterTrust === 1, 'Calibration is off unless records are given');
+
+  const calRelay = createFakeRelay([...calVouches, ...judgeBackers, ...calNegatives, calLate, calEarly]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: calRelay.WebSocket, timeoutMs: 1000 }));
+  const remoteCal = await wotModule.getAttesterCalibration(calPk, { relays: fakeRelays });
+  assert(remoteCal.vouches === 6 && remoteCal.disputed === 1 && remoteCal.records.find(r => r.disputedAt !== null).subject === calSubjects[0],
+    `getAttesterCalibration finds the effective dispute (got ${remoteCal.vouches} vouches, ${remoteCal.disputed} disputed)`);
+  assert(remoteCal.records.find(r => r.subject === calSubjects[0]).disputes[0].attester === judgePk, 'Records name who disputed');
+  const remoteCalScore = await wotModule.calculateTrustScore(calLatePk, { relays: fakeRelays, calibrate: true });
+  const remotePlain = await wotModule.calculateTrustScore(calLatePk, { relays: fakeRelays });
+  assert(remoteCalScore.breakdown[0].calibration < 1 && remoteCalScore.raw < remotePlain.raw, 'calculateTrustScore with calibrate: true discounts the attester');
+  wotModule.closeRelayPool();
+
+  // ─── Negative Quorum ──────────────────────────────────────────
+  console.log('\n🗳️ Negative Quorum');
+
+  const { findPendingQuorum } = require('./lib/scoring');
+  const [qSubjectSk, qD1, qD2, qD3] = newKeys(4);
+  const qSubjectPk = getPublicKey(qSubjectSk);
+  const [qD1Pk, qD2Pk, qD3Pk] = [qD1, qD2, qD3].map(getPublicKey);
+  const qVouches = newKeys(3).map(sk => vouch(sk, qSubjectPk, 'service-quality', 20 * DAY));
+  const qDispute1 = vouch(qD1, qSubjectPk, 'dispute', 10 * DAY, 'Never delivered');
+  const qDispute2 = vouch(qD2, qSubjectPk, 'dispute', 5 * DAY, 'Never delivered either');
+  const qOldWarning = vouch(qD3, qSubjectPk, 'warning', 60 * DAY, 'Flaky months ago');
+  const quorum2 = { policy: { negativeQuorum: 2 } };
+
+  const qBase = await calculateTrustScore(qVouches, new Map(), { now: wallClock });
+  const qSingle = await calculateTrustScore([...qVouches, qDispute1], new Map(), { now: wallClock, ...quorum2 });
+  const qSingleEntry = qSingle.breakdown.find(b => b.eventId === qDispute1.id);
+  assert(qSingleEntry.pendingQuorum && qSingleEntry.gated && qSingleEntry.gateReason.startsWith('pending-quorum: 1 of 2'),
+    `A lone dispute is pending quorum (${qSingleEntry.gateReason})`);
+  assert(qSingle.raw === qBase.raw && qSingle.pendingQuorumCount === 1 && qSingle.negativeCount === 0, 'Pending negatives do not lower the score');
+  const qDefault = await calculateTrustScore([...qVouches, qDispute1], new Map(), { now: wallClock });
+  assert(qDefault.raw < qBase.raw && qDefault.pendingQuorumCount === 0, 'Without a quorum policy one dispute counts');
+
+  const qMet = await calculateTrustScore([...qVouches, qDispute1, qDispute2], new Map(), { now: wallClock, ...quorum2 });
+  assert(qMet.pendingQuorumCount === 0 && qMet.negativeCount === 2 && qMet.raw < qDefault.raw, 'Two independent disputes within the window both count');
+  const qApart = await calculateTrustScore([...qVouches, qDispute1, qOldWarning], new Map(), { now: wallClock, ...quorum2 });
+  assert(qApart.pendingQuorumCount === 2, 'Negatives further apart than the window do not make a quorum');
+  const qWide = await calculateTrustScore([...qVouches, qDispute1, qOldWarning], new Map(), { now: wallClock, policy: { negativeQuorum: 2, negativeQuorumWindowDays: 60 } });
+  assert(qWide.pendingQuorumCount === 0, 'negativeQuorumWindowDays widens the window');
+
+  const qLinks = buildIdentityLinks([vouch(qD1, qD2Pk, 'identity-continuity', 100 * DAY)]);
+  const qLinked = await calculateTrustScore([...qVouches, qDispute1, qDispute2], new Map(), { now: wallClock, linkedAttesters: qLinks, ...quorum2 });
+  assert(qLinked.pendingQuorumCount === 2, 'Attesters linked by identity-continuity count once');
+  const qMutualEdges = buildAttestationEdges([vouch(qD1, qD2Pk, 'general-trust', 100 * DAY), vouch(qD2, qD1Pk, 'general-trust', 100 * DAY)]);
+  const qMutual = await calculateTrustScore([...qVouches, qDispute1, qDispute2], new Map(), { now: wallClock, attestationEdges: qMutualEdges, ...quorum2 });
+  assert(qMutual.pendingQuorumCount === 2, 'Attesters vouching for each other count once');
+  const qThree = findPendingQuorum([{ attester: qD1Pk, timestamp: 0 }, { attester: qD2Pk, timestamp: DAY }, { attester: qD3Pk, timestamp: 2 * DAY }], { quorum: 3, windowDays: 30 });
+  assert(qThree.size === 0 && findPendingQuorum([{ attester: qD1Pk, timestamp: 0 }], { quorum: 1, windowDays: 30 }).size === 0, 'findPendingQuorum counts independent attesters');
+  assert(policyThrows({ negativeQuorum: 0 }) && policyThrows({ negativeQuorum: 1.5 }) && policyThrows({ negativeQuorumWindowDays: 0 }), 'Quorum policy fields are validated');
+
+  const qBackers = [qD1, qD2].flatMap(sk => newKeys(3).map(backer => vouch(backer, getPublicKey(sk), 'service-quality', 100 * DAY)));
+  const qRelay = createFakeRelay([...qVouches, qDispute1, ...qBackers]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: qRelay.WebSocket, timeoutMs: 1000 }));
+  const qRemote = await wotModule.calculateTrustScore(qSubjectPk, { relays: fakeRelays, ...quorum2 });
+  assert(qRemote.pendingQuorumCount === 1 && qRemote.breakdown.find(b => b.pendingQuorum).attester === qD1Pk, 'calculateTrustScore marks trusted disputes pending quorum');
+  const qSummary = await wotModule.getAttestationSummary(qSubjectPk, { relays: fakeRelays, ...quorum2 });
+  assert(qSummary.includes('⏳') && qSummary.includes('pending-quorum'), 'getAttestationSummary shows pending negatives');
+  wotModule.closeRelayPool();
+
+  // ─── Rebuttals ────────────────────────────────────────────────
+  console.log('\n↩️ Rebuttals');
+
+  const [rbSubjectSk, rbDisputerSk, rbOtherSk] = newKeys(3);
+  const [rbSubjectPk, rbDisputerPk] = [rbSubjectSk, rbDisputerSk].map(getPublicKey);
+  const rbVouches = newKeys(3).map(sk => vouch(sk, rbSubjectPk, 'service-quality', 40 * DAY));
+  const rbBackers = newKeys(3).map(sk => vouch(sk, rbDisputerPk, 'service-quality', 100 * DAY));
+  const rbDispute = vouch(rbDisputerSk, rbSubjectPk, 'dispute', 20 * DAY, 'Never delivered');
+  const rbPraise = vouch(rbDisputerSk, rbSubjectPk, 'general-trust', 30 * DAY, 'Used to be good');
+  const rbForeign = finalizeEvent({
+    kind: 1985, created_at: wallClock - DAY, content: 'Speaking for them',
+    tags: [['L', 'ai.wot'], ['l', 'rebuttal', 'ai.wot'], ['e', rbDispute.id]]
+  }, rbOtherSk);
+
+  const rbRelay = createFakeRelay([...rbVouches, ...rbBackers, rbDispute, rbPraise, rbForeign]);
+  wotModule.setRelayPool(new wotModule.RelayPool({ WebSocket: rbRelay.WebSocket, timeoutMs: 1000 }));
+
+  let rbError = null;
+  try { await wotModule.publishRebuttal(rbSubjectSk, 'abc', 'text', { relays: fakeRelays }); } catch (e) { rbError = e.message; }
+  assert(rbError && rbError.includes('64-character'), 'publishRebuttal: rejects a bad event id');
+  rbError = null;
+  try { await wotModule.publishRebuttal(rbSubjectSk, rbDispute.id, '  ', { relays: fakeRelays }); } catch (e) { rbError = e.message; }
+  assert(rbError && rbError.includes('must not be empty'), 'publishRebuttal: rejects empty text');
+  rbError = null;
+  try { await wotModule.publishRebuttal(rbOtherSk, rbDispute.id, 'Not mine to answer', { relays: fakeRelays }); } catch (e) { rbError = e.message; }
+  assert(rbError && rbError.includes('Only the subject'), 'publishRebuttal: only the subject can rebut');
+  rbError = null;
+  try { await wotModule.publishRebuttal(rbSubjectSk, rbPraise.id, 'Thanks?', { relays: fakeRelays }); } catch (e) { rbError = e.message; }
+  assert(rbError && rbError.includes('dispute and warning'), 'publishRebuttal: positive attestations cannot be rebutted');
+  rbError = null;
+  try { await wotModule.publishRebuttal(rbSubjectSk, 'f'.repeat(64), 'Who?', { relays: fakeRelays }); } catch (e) { rbError = e.message; }
+  assert(rbError && rbError.includes('not found'), 'publishRebuttal: unknown disputes are rejected');
+
+  const rbBefore = await wotModule.queryAttestations(rbSubjectPk, { relays: fakeRelays });
+  assert(rbBefore.find(a => a.id === rbDispute.id).rebuttals.length === 0, 'Rebuttals by anyone but the subject are ignored');
+  assert(rbBefore.find(a => a.id === rbPraise.id).rebuttals === undefined, 'Positive attestations carry no rebuttals');
+
+  const rebuttal = await wotModule.publishRebuttal(rbSubjectSk, rbDispute.id, 'Delivered on time, see receipt',
+    { relays: fakeRelays, publishOutbox: new Outbox({ autoRetry: false }) });
+  assert(rebuttal.results[0].success && rbRelay.events.some(e => e.id === rebuttal.event.id), 'publishRebuttal: sent to relays');
+  assert(rebuttal.event.tags.some(t => t[0] === 'e' && t[1] === rbDispute.id) && !rebuttal.event.tags.some(t => t[0] === 'p'),
+    'Rebuttal e-tags the dispute and names no subject');
+  assert(rebuttal.event.tags.some(t => t[0] === 'l' && t[1] === wotModule.REBUTTAL_TYPE && t[2] === 'ai.wot'), 'Rebuttal is labelled in the ai.wot namespace');
+
+  const rbAtts = await wotModule.queryAttestations(rbSubjectPk, { relays: fakeRelays });
+  const rbAnswered = rbAtts.find(a => a.id === rbDispute.id);
+  assert(rbAnswered.rebuttals.length === 1 && rbAnswered.rebuttals[0].rebuttalId === rebuttal.event.id && rbAnswered.rebuttals[0].author === rbSubjectPk,
+    'queryAttestations attaches the subject\'s rebuttal');
+  assert(rbAtts.length === rbBefore.length && !rbRelay.events.find(e => e.id === rbDispute.id).rebuttals, 'Rebuttals are not attestations and do not modify events');
+  const rbBatch = await wotModule.queryAttestationsBatch([rbSubjectPk], { relays: fakeRelays });
+  assert(rbBatch.get(rbSubjectPk).find(a => a.id === rbDispute.id).rebuttals.length === 1, 'queryAttestationsBatch attaches rebuttals');
+  const rbDirect = await wotModule.queryRebuttals([rbDispute.id], fakeRelays);
+  assert(rbDirect.get(rbDispute.id).length === 2, 'queryRebuttals returns every rebuttal of a dispute');
+
+  const rbSummary = await wotModule.getAttestationSummary(rbSubjectPk, { relays: fakeRelays });
+  assert(rbSummary.includes('↩ rebutted: "Delivered on time, see receipt"') && rbSummary.includes('Rebutted disputes/warnings: 1'),
+    'getAttestationSummary shows rebuttals under the dispute');
+  const rbScored = await wotModule.calculateTrustScore(rbSubjectPk, { relays: fakeRelays });
+  const rbEntry = rbScored.breakdown.find(b => b.eventId === rbDispute.id);
+  assert(rbEntry.rebuttalCount === 1 && rbEntry.negativeWeight === 1 && rbEntry.contribution < 0, 'Rebuttals change nothing under the default policy');
+  wotModule.closeRelayPool();
+
+  // Scoring: local attestations with hand-made rebuttals and revocations
+  const rbReply = { rebuttalId: 'r'.repeat(64), author: rbSubjectPk, content: 'Not true', rebuttedAt: wallClock - 15 * DAY };
+  const rbUnanswered = { ...rbDispute, rebuttals: [] };
+  const rbLocal = [...rbVouches, ...rbBackers];
+  const rbBase = await calculateTrustScore([...rbLocal, rbUnanswered], new Map(), { now: wallClock });
+  const rbHalved = await calculateTrustScore([...rbLocal, rbUnanswered], new Map(), { now: wallClock, policy: { unansweredWeight: 0.5 } });
+  const rbHalvedEntry = rbHalved.breakdown.find(b => b.eventId === rbDispute.id);
+  assert(rbHalvedEntry.negativeWeight === 0.5 && rbHalved.raw > rbBase.raw, 'unansweredWeight down-weights disputes nobody answered');
+  const rbGrace = await calculateTrustScore([...rbLocal, rbUnanswered], new Map(), { now: wallClock, policy: { unansweredWeight: 0.5, rebuttalGraceDays: 30 } });
+  assert(rbGrace.breakdown.find(b => b.eventId === rbDispute.id).negativeWeight === 1, 'Disputes within the grace period are not yet unanswered');
+  const rbRebutted = await calculateTrustScore([...rbLocal, { ...rbDispute, rebuttals: [rbReply] }], new Map(), { now: wallClock, policy: { unansweredWeight: 0.5 } });
+  assert(rbRebutted.breakdown.find(b => b.eventId === rbDispute.id).negativeWeight === 1, 'Answered disputes keep full weight');
+
+  const rbRevoked = { ...rbDispute, rebuttals: [rbReply], revocation: { revocationId: 'v'.repeat(64), author: rbDisputerPk, reason: 'My mistake', revokedAt: wallClock - 5 * DAY } };
+  const rbThen = await calculateTrustScore([...rbLocal, rbRevoked], new Map(), { at: wallClock - 10 * DAY, policy: { rebuttedRevokedWeight: 0 } });
+  const rbThenEntry = rbThen.breakdown.find(b => b.eventId === rbDispute.id);
+  assert(rbThenEntry.negativeWeight === 0 && rbThenEntry.contribution === 0, 'rebuttedRevokedWeight discounts rebutted disputes that were later revoked');
+  const rbEarly = await calculateTrustScore([...rbLocal, rbRevoked], new Map(), { at: wallClock - 18 * DAY, policy: { rebuttedRevokedWeight: 0 } });
+  const rbEarlyEntry = rbEarly.breakdown.find(b => b.eventId === rbDispute.id);
+  assert(rbEarlyEntry.rebuttalCount === 0 && rbEarlyEntry.negativeWeight === 1, 'Rebuttals made after `at` are ignored');
+
+  let rbContext = null;
+  const rbHooked = await calculateTrustScore([...rbLocal, { ...rbDispute, rebuttals: [rbReply] }], new Map(), {
+    now: wallClock, policy: { negativeWeight: ctx => { rbContext = ctx; return 0.25; } }
+  });
+  assert(rbHooked.breakdown.find(b => b.eventId === rbDispute.id).negativeWeight === 0.25, 'A negativeWeight hook sets the weight');
+  assert(rbContext.type === 'dispute' && rbContext.attester === rbDisputerPk && rbContext.subject === rbSubjectPk &&
+    rbContext.rebuttals.length === 1 && rbContext.revocation === null && rbContext.now === wallClock, 'The hook receives the dispute context');
+  assert(rbHooked.breakdown.filter(b => b.negativeWeight !== null).length === 1, 'Positive attestations are not weighed by the hook');
+  assert(policyThrows({ negativeWeight: 0.5 }) && policyThrows({ unansweredWeight: 2 }) && policyThrows({ rebuttedRevokedWeight: -1 }) && policyThrows({ rebuttalGraceDays: -1 }),
+    'Rebuttal policy fields are validated');
+  assert(new ScoringPolicy({ negativeWeight: () => 1 }).toJSON().negativeWeight === undefined, 'The hook is not serialized');
+
   // ─── Summary ──────────────────────────────────────────────────
 
   console.log('\n' + '═'.repeat(50));